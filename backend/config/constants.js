@@ -18,11 +18,50 @@ module.exports = {
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
   ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+  ADMIN_USERNAME: process.env.ADMIN_USERNAME || 'admin',
 
   // Intervals
   DATA_POLL_INTERVAL: parseInt(process.env.DATA_POLL_INTERVAL || '30000'),
   DISPLAY_UPDATE_INTERVAL: parseInt(process.env.DISPLAY_UPDATE_INTERVAL || '10000'),
 
+  // Shown in place of the AQI while the device is in maintenance mode
+  MAINTENANCE_DISPLAY_CODE: parseInt(process.env.MAINTENANCE_DISPLAY_CODE || '888'),
+
+  // Relay commands: confirmation window (doubles with each attempt), attempts and first retry delay
+  COMMAND_CONFIRM_TIMEOUT_MS: parseInt(process.env.COMMAND_CONFIRM_TIMEOUT_MS || '75000'),
+  COMMAND_MAX_ATTEMPTS: parseInt(process.env.COMMAND_MAX_ATTEMPTS || '3'),
+  COMMAND_RETRY_DELAY_MS: parseInt(process.env.COMMAND_RETRY_DELAY_MS || '2000'),
+
+  // Commands queued while the device is offline: default and longest expiry
+  OFFLINE_QUEUE_EXPIRY_MINUTES: parseInt(process.env.OFFLINE_QUEUE_EXPIRY_MINUTES || '60'),
+  OFFLINE_QUEUE_MAX_EXPIRY_MINUTES: parseInt(process.env.OFFLINE_QUEUE_MAX_EXPIRY_MINUTES || '1440'),
+
+  // Local history store
+  HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS || '365'),
+  HISTORY_COMPACT_AFTER_DAYS: parseInt(process.env.HISTORY_COMPACT_AFTER_DAYS || '7'),
+  HISTORY_COMPACT_BUCKET_MS: parseInt(process.env.HISTORY_COMPACT_BUCKET_MS || '300000'),
+  HISTORY_MAINTENANCE_CRON: process.env.HISTORY_MAINTENANCE_CRON || '15 3 * * *',
+
+  // Audit log
+  AUDIT_RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS || '730'),
+
+  // Automation: time zone of schedules without their own (default: server time zone)
+  SCHEDULE_TIMEZONE: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  AUTOMATION_HISTORY_RETENTION_DAYS: parseInt(process.env.AUTOMATION_HISTORY_RETENTION_DAYS || '365'),
+
+  // Alarms
+  ALARM_HISTORY_RETENTION_DAYS: parseInt(process.env.ALARM_HISTORY_RETENTION_DAYS || '365'),
+
+  // Notifications
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || '587'),
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+  SMTP_FROM: process.env.SMTP_FROM || 'iocl-alerts@localhost',
+  NOTIFICATION_DEDUP_SECONDS: parseInt(process.env.NOTIFICATION_DEDUP_SECONDS || '300'),
+  NOTIFICATION_RATE_LIMIT: parseInt(process.env.NOTIFICATION_RATE_LIMIT || '20'),
+
   // Sensor Labels
   SENSOR_LABELS: {
     d1: 'Inlet-CO₂',
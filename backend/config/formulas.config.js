@@ -101,6 +101,9 @@ module.exports = {
     // Calculation interval in seconds (how often to accumulate)
     calculationInterval: 30, // seconds (matches polling interval)
 
+    // Longest gap between two readings that is still accumulated (handles restarts/outages)
+    maxIntervalMinutes: 5,
+
     // Minimum CO2 difference to consider (noise filter)
     minimumDifference: 0, // ppm - set higher to filter noise
   },
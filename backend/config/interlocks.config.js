@@ -0,0 +1,22 @@
+/**
+ * Default relay interlocks
+ * Used by devices without their own interlocks.json; change them per device
+ * through /api/devices/:deviceId/interlocks (see services/interlock.service.js)
+ */
+module.exports = [
+  {
+    id: 'co2-vent',
+    name: 'No CO2 injection while venting',
+    type: 'exclusive',
+    relays: ['i8', 'i10'],
+    enabled: true
+  },
+  {
+    id: 'uv-pump',
+    name: 'UV sterilizer needs water flow',
+    type: 'requires',
+    relay: 'i6',
+    requires: ['i5'],
+    enabled: true
+  }
+];
@@ -0,0 +1,10 @@
+/**
+ * Default runtime settings per relay
+ * Used until a relay's settings are changed through
+ * /api/devices/:deviceId/relay/runtime/:relayId (see services/runtime.service.js).
+ * - ratedWatts: power drawn while ON, for the kWh estimate (null = unknown)
+ * - maintenanceHours: runtime between services, e.g. lamp replacement (null = none)
+ */
+module.exports = {
+  i6: { ratedWatts: null, maintenanceHours: 8000 } // UV Sterilizer lamp replacement
+};
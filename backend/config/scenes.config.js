@@ -0,0 +1,28 @@
+/**
+ * Default scenes
+ * Used by devices without their own scenes.json; change them per device
+ * through /api/devices/:deviceId/scenes (see services/scene.service.js).
+ * Relays a scene does not list keep their state.
+ */
+module.exports = [
+  {
+    id: 'night',
+    name: 'Night mode',
+    relays: { i1: 1, i2: 0, i3: 0, i4: 0, i7: 0, i9: 0 }
+  },
+  {
+    id: 'maintenance',
+    name: 'Maintenance',
+    relays: { i1: 0, i2: 0, i3: 0, i4: 0, i5: 0, i6: 0, i7: 1, i8: 0, i9: 0, i10: 1 }
+  },
+  {
+    id: 'full-scrub',
+    name: 'Full scrub',
+    relays: { i1: 1, i2: 1, i3: 1, i4: 1, i5: 1, i6: 1, i7: 1, i8: 0, i9: 1, i10: 0 }
+  },
+  {
+    id: 'all-off',
+    name: 'All off',
+    relays: { i1: 0, i2: 0, i3: 0, i4: 0, i5: 0, i6: 0, i7: 0, i8: 0, i9: 0, i10: 0 }
+  }
+];
@@ -1,9 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../config/constants');
+const userService = require('../services/user.service');
 const logger = require('../utils/logger');
 
+// Methods a viewer may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
  * Verify JWT token middleware
+ * The user is looked up on every request so role changes and deleted
+ * accounts take effect immediately. Viewers may only read.
  */
 const verifyToken = (req, res, next) => {
   try {
@@ -28,9 +34,24 @@ const verifyToken = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
+    const user = userService.getUser(decoded.username);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
 
     // Attach user info to request
-    req.user = decoded;
+    req.user = user;
+
+    if (!userService.hasRole(user, 'operator') && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Viewers have read-only access'
+      });
+    }
 
     next();
   } catch (error) {
@@ -50,4 +71,46 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken };
+/**
+ * Verify the JWT a Socket.IO client sends on connect (auth: { token })
+ * Attaches the user as socket.data.user
+ */
+const verifySocketToken = (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('No authorization token provided'));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = userService.getUser(decoded.username);
+
+    if (!user) {
+      return next(new Error('User no longer exists'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    logger.warn('Socket token verification failed:', error.message);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+};
+
+/**
+ * Only allow users with at least the given role
+ * Must run after verifyToken
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!userService.hasRole(req.user, role)) {
+    return res.status(403).json({
+      success: false,
+      message: `${role.charAt(0).toUpperCase()}${role.slice(1)} access required`
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyToken, verifySocketToken, requireRole };
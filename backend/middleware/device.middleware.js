@@ -0,0 +1,69 @@
+const registryService = require('../services/registry.service');
+
+/**
+ * Check if an authenticated user may access a device
+ * Admins may access every device, other users the devices assigned to
+ * them (all devices when none are assigned)
+ */
+const canAccessDevice = (user, deviceId) => {
+  if (!user) return false;
+  if (user.role === 'admin' || !user.devices?.length) return true;
+  return user.devices.includes(deviceId);
+};
+
+/**
+ * Resolve :deviceId from the registry and attach it as req.device
+ * Must run after verifyToken
+ */
+const resolveDevice = (req, res, next) => {
+  const device = registryService.getDevice(req.params.deviceId);
+
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      message: `Device ${req.params.deviceId} not found`
+    });
+  }
+
+  if (!canAccessDevice(req.user, device.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access to this device is not allowed'
+    });
+  }
+
+  req.device = device;
+  next();
+};
+
+/**
+ * Resolve the device a Socket.IO client asked for (?deviceId=...) and
+ * attach it as socket.data.device
+ * Must run after verifySocketToken
+ */
+const resolveSocketDevice = (socket, next) => {
+  const { deviceId } = socket.handshake.query;
+
+  if (!deviceId) {
+    return next(new Error('No device ID provided'));
+  }
+
+  const device = registryService.getDevice(deviceId);
+
+  if (!device) {
+    return next(new Error(`Device ${deviceId} not found`));
+  }
+
+  if (!canAccessDevice(socket.data.user, device.id)) {
+    return next(new Error('Access to this device is not allowed'));
+  }
+
+  socket.data.device = device;
+  next();
+};
+
+module.exports = {
+  canAccessDevice,
+  resolveDevice,
+  resolveSocketDevice
+};
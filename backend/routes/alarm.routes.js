@@ -0,0 +1,152 @@
+const express = require('express');
+const alarmService = require('../services/alarm.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
+const { parseTime } = require('../utils/timeRange');
+const logger = require('../utils/logger');
+
+// Mounted under /api/devices/:deviceId/alarms
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
+
+/**
+ * Map alarm service error codes to HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'ALARM_NOT_FOUND') return 404;
+  if (error.code === 'ALARM_ACKNOWLEDGED') return 409;
+  return 400;
+};
+
+/**
+ * GET /api/devices/:deviceId/alarms
+ * Get alarms that are not cleared yet (active and acknowledged), newest first
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    alarms: alarmService.getActiveAlarms(req.device.id),
+    summary: alarmService.getSummary(req.device.id)
+  });
+});
+
+/**
+ * GET /api/devices/:deviceId/alarms/history?from=&to=&limit=
+ * Get raise/acknowledge/clear events, newest first (default: last 7 days, 200 events)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * 60 * 60 * 1000;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+
+    if (from === null || to === null || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid range: "from" and "to" must be dates with from < to'
+      });
+    }
+
+    const events = await alarmService.getHistory(req.device.id, from, to, limit);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      events
+    });
+  } catch (error) {
+    logger.error('Error getting alarm history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching alarm history'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/alarms/:alarmId/acknowledge
+ * Acknowledge an active alarm (operator or admin)
+ */
+router.post('/:alarmId/acknowledge', requireRole('operator'), async (req, res) => {
+  try {
+    const alarm = await alarmService.acknowledge(req.device.id, req.params.alarmId, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      alarm
+    });
+  } catch (error) {
+    logger.error('Error acknowledging alarm:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error acknowledging alarm'
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/alarms/definitions
+ * Get alarm definitions
+ */
+router.get('/definitions', (req, res) => {
+  res.json({
+    success: true,
+    definitions: alarmService.getDefinitions(req.device.id)
+  });
+});
+
+/**
+ * POST /api/devices/:deviceId/alarms/definitions
+ * Add or update an alarm definition (admin only)
+ * Body: { id?, name, field, low?, high?, severity, delaySeconds, deadband, enabled }
+ */
+router.post('/definitions', requireRole('admin'), async (req, res) => {
+  try {
+    const definition = await alarmService.saveDefinition(req.device.id, req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      definition
+    });
+  } catch (error) {
+    logger.error('Error saving alarm definition:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error saving alarm definition'
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/alarms/definitions/:id
+ * Delete an alarm definition and clear its alarms (admin only)
+ */
+router.delete('/definitions/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await alarmService.deleteDefinition(req.device.id, req.params.id, auditService.fromRequest(req));
+
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Alarm definition deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Alarm definition not found'
+      });
+    }
+  } catch (error) {
+    logger.error('Error deleting alarm definition:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting alarm definition'
+    });
+  }
+});
+
+module.exports = router;
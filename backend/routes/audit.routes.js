@@ -0,0 +1,67 @@
+const express = require('express');
+const auditService = require('../services/audit.service');
+const registryService = require('../services/registry.service');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { canAccessDevice } = require('../middleware/device.middleware');
+const { parseTime } = require('../utils/timeRange');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * GET /api/audit?from=&to=&deviceId=&system=&user=&action=&source=&result=&limit=
+ * Query the audit log, newest first (default: last 7 days, 200 entries)
+ * - action: exact action (relay.control) or prefix ending in "." (rule.)
+ * - source: manual, automation or restore
+ * - result: success or failure
+ * - system: "include" to also get entries without a device (user and
+ *   notification channel changes) when filtering by deviceId
+ * Users only see entries of the devices they may access; entries without a
+ * device are for admins only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { deviceId, user, action, source, result, limit } = req.query;
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * 60 * 60 * 1000;
+
+    if (from === null || to === null || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid range: "from" and "to" must be dates with from < to'
+      });
+    }
+
+    if (deviceId && !canAccessDevice(req.user, deviceId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this device is not allowed'
+      });
+    }
+
+    // Restrict users limited to some devices; removed devices stay visible to admins only
+    const deviceIds = req.user.role === 'admin'
+      ? undefined
+      : registryService.getDevices().map(d => d.id).filter(id => canAccessDevice(req.user, id));
+
+    const includeSystem = req.query.system === 'include' && req.user.role === 'admin';
+
+    const audit = await auditService.query({ from, to, deviceId, deviceIds, includeSystem, user, action, source, result, limit });
+
+    res.json({
+      success: true,
+      ...audit
+    });
+  } catch (error) {
+    logger.error('Error querying audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
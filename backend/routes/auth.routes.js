@@ -1,6 +1,7 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { DISPLAY_DEVICE_ID, ADMIN_PASSWORD, JWT_SECRET, JWT_EXPIRES_IN } = require('../config/constants');
+const { JWT_SECRET, JWT_EXPIRES_IN } = require('../config/constants');
+const userService = require('../services/user.service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -9,40 +10,48 @@ const router = express.Router();
  * POST /api/auth/login
  * Authenticate user and return JWT token
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   try {
-    const { deviceId, password } = req.body;
+    const { username, password } = req.body;
 
     // Validate input
-    if (!deviceId || !password) {
+    if (!username || !password) {
       return res.status(400).json({
         success: false,
-        message: 'Device ID and password are required'
+        message: 'Username and password are required'
+      });
+    }
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password must be strings'
       });
     }
 
     // Check credentials
-    if (deviceId !== DISPLAY_DEVICE_ID || password !== ADMIN_PASSWORD) {
-      logger.warn(`Failed login attempt: ${deviceId}`);
+    const user = await userService.authenticate(username, password);
+    if (!user) {
+      logger.warn(`Failed login attempt: ${username}`);
       return res.status(401).json({
         success: false,
-        message: 'Invalid device ID or password'
+        message: 'Invalid username or password'
       });
     }
 
-    // Generate JWT token
+    // Generate JWT token (role and devices are looked up on every request)
     const token = jwt.sign(
-      { deviceId: DISPLAY_DEVICE_ID },
+      { username: user.username },
       JWT_SECRET,
       { expiresIn: JWT_EXPIRES_IN }
     );
 
-    logger.info(`Successful login: ${deviceId}`);
+    logger.info(`Successful login: ${username} (${user.role})`);
 
     res.json({
       success: true,
       token,
-      deviceId: DISPLAY_DEVICE_ID
+      user
     });
   } catch (error) {
     logger.error('Login error:', error);
@@ -69,11 +78,20 @@ router.post('/verify', (req, res) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    const user = userService.getUser(decoded.username);
+
+    if (!user) {
+      return res.json({
+        success: false,
+        valid: false,
+        message: 'User no longer exists'
+      });
+    }
 
     res.json({
       success: true,
       valid: true,
-      deviceId: decoded.deviceId
+      user
     });
   } catch (error) {
     res.json({
@@ -1,20 +1,24 @@
 const express = require('express');
 const automationService = require('../services/automation.service');
-const { verifyToken } = require('../middleware/auth.middleware');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
+const { parseTime } = require('../utils/timeRange');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+// Mounted under /api/devices/:deviceId/automation
+const router = express.Router({ mergeParams: true });
 
-// All routes require authentication
-router.use(verifyToken);
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
 
 /**
- * GET /api/automation/rules
+ * GET /api/devices/:deviceId/automation/rules
  * Get all automation rules
  */
 router.get('/rules', async (req, res) => {
   try {
-    const rules = await automationService.getRules();
+    const rules = await automationService.getRules(req.device.id);
 
     res.json({
       success: true,
@@ -30,14 +34,14 @@ router.get('/rules', async (req, res) => {
 });
 
 /**
- * POST /api/automation/rules
- * Add or update automation rule
+ * POST /api/devices/:deviceId/automation/rules
+ * Add or update automation rule (admin only)
  */
-router.post('/rules', async (req, res) => {
+router.post('/rules', requireRole('admin'), async (req, res) => {
   try {
     const rule = req.body;
 
-    const savedRule = await automationService.addOrUpdateRule(rule);
+    const savedRule = await automationService.addOrUpdateRule(req.device.id, rule, auditService.fromRequest(req));
 
     res.json({
       success: true,
@@ -53,14 +57,14 @@ router.post('/rules', async (req, res) => {
 });
 
 /**
- * DELETE /api/automation/rules/:id
- * Delete automation rule
+ * DELETE /api/devices/:deviceId/automation/rules/:id
+ * Delete automation rule (admin only)
  */
-router.delete('/rules/:id', async (req, res) => {
+router.delete('/rules/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const deleted = await automationService.deleteRule(id);
+    const deleted = await automationService.deleteRule(req.device.id, id, auditService.fromRequest(req));
 
     if (deleted) {
       res.json({
@@ -83,12 +87,12 @@ router.delete('/rules/:id', async (req, res) => {
 });
 
 /**
- * GET /api/automation/status
+ * GET /api/devices/:deviceId/automation/status
  * Get automation engine status
  */
 router.get('/status', (req, res) => {
   try {
-    const status = automationService.getStatus();
+    const status = automationService.getStatus(req.device.id);
 
     res.json({
       success: true,
@@ -103,4 +107,199 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/devices/:deviceId/automation/schedule?days=7
+ * Upcoming switch times of the time rules (1 to 31 days ahead)
+ */
+router.get('/schedule', (req, res) => {
+  const days = parseInt(req.query.days || '7');
+
+  if (isNaN(days) || days < 1 || days > 31) {
+    return res.status(400).json({
+      success: false,
+      message: 'days must be between 1 and 31'
+    });
+  }
+
+  const from = Date.now();
+  const to = from + days * 24 * 60 * 60 * 1000;
+
+  res.json({
+    success: true,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    actions: automationService.getUpcomingActions(req.device.id, from, to)
+  });
+});
+
+/**
+ * GET /api/devices/:deviceId/automation/history?from=&to=&relay=&result=&limit=
+ * Switches attempted by automation, newest first (default: last 7 days, 200 entries),
+ * with the rule, its input values, the decision and the command result
+ * - relay: only one relay (i1...)
+ * - result: success or failure
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { relay, result } = req.query;
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * 60 * 60 * 1000;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+
+    if (from === null || to === null || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid range: "from" and "to" must be dates with from < to'
+      });
+    }
+
+    const entries = await automationService.getHistory(req.device.id, { from, to, relay, result, limit });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      entries
+    });
+  } catch (error) {
+    logger.error('Error getting automation history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching automation history'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/automation/simulate
+ * Replay history through a set of rules without switching any relay
+ * Body: { rules, relaySettings?, from?, to? } (ISO date or epoch ms, default:
+ * last 24 hours, at most 31 days); returns the switching timeline, toggles
+ * and on-time of each relay
+ */
+router.post('/simulate', async (req, res) => {
+  const { rules, relaySettings } = req.body || {};
+  const to = req.body?.to ? parseTime(req.body.to) : Date.now();
+  const from = req.body?.from ? parseTime(req.body.from) : to - 24 * 60 * 60 * 1000;
+
+  if (from === null || to === null || from >= to) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid range: "from" and "to" must be dates with from < to'
+    });
+  }
+
+  try {
+    const result = await automationService.simulate(req.device.id, { rules, relaySettings, from, to });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error simulating automation rules:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error simulating automation rules'
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/automation/relays
+ * Get relay settings (strategy, minimum on/off time), the available strategies
+ * and what automation is doing with each relay (controlling rule, hold)
+ */
+router.get('/relays', (req, res) => {
+  res.json({
+    success: true,
+    settings: automationService.getAllRelaySettings(req.device.id),
+    strategies: automationService.getStrategies(),
+    relays: automationService.getRelayStatus(req.device.id)
+  });
+});
+
+/**
+ * PUT /api/devices/:deviceId/automation/relays/:relayId
+ * Update the settings of a relay (admin only)
+ * Body: { strategy?, minOnSeconds?, minOffSeconds? }
+ */
+router.put('/relays/:relayId', requireRole('admin'), async (req, res) => {
+  try {
+    const settings = await automationService.setRelaySettings(
+      req.device.id,
+      req.params.relayId,
+      req.body,
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    logger.error('Error saving relay settings:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error saving relay settings'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/automation/overrides/:relayId
+ * Switch an automated relay by hand and pause its automation (operator)
+ * Body: { state: 0 | 1, minutes } or { state, untilNextSchedule: true }
+ */
+router.post('/overrides/:relayId', requireRole('operator'), async (req, res) => {
+  try {
+    const override = await automationService.setOverride(
+      req.device.id,
+      req.params.relayId,
+      req.body || {},
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      override
+    });
+  } catch (error) {
+    logger.error('Error overriding relay:', error.message);
+    res.status({ DEVICE_OFFLINE: 503, INTERLOCK: 409 }[error.code] || 400).json({
+      success: false,
+      message: error.message || 'Error overriding relay',
+      violations: error.violations
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/automation/overrides/:relayId
+ * Release an override early (operator)
+ */
+router.delete('/overrides/:relayId', requireRole('operator'), async (req, res) => {
+  try {
+    const released = await automationService.releaseOverride(req.device.id, req.params.relayId, auditService.fromRequest(req));
+
+    if (released) {
+      res.json({
+        success: true,
+        message: 'Override released'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Relay has no override'
+      });
+    }
+  } catch (error) {
+    logger.error('Error releasing override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing override'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,27 +3,37 @@ const awsService = require('../services/aws.service');
 const cacheService = require('../services/cache.service');
 const calculationsService = require('../services/calculations.service');
 const displayService = require('../services/display.service');
+const historyService = require('../services/history.service');
+const reportService = require('../services/report.service');
+const auditService = require('../services/audit.service');
 const { transformDeviceData } = require('../utils/deviceMapper');
-const { verifyToken } = require('../middleware/auth.middleware');
+const { isKnownField, getFieldLabel } = require('../utils/sampleFields');
+const { parseDuration, parseTime } = require('../utils/timeRange');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+// Mounted under /api/devices/:deviceId
+const router = express.Router({ mergeParams: true });
 
-// All routes require authentication
-router.use(verifyToken);
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
+
+// Whether history and reports keep readings taken during maintenance
+const MAINTENANCE_OPTIONS = ['include', 'exclude'];
 
 /**
- * GET /api/device/current
+ * GET /api/devices/:deviceId/current
  * Get current device data with calculations
  */
 router.get('/current', (req, res) => {
   try {
-    const processedData = cacheService.getProcessedData();
-    const deviceStatus = cacheService.getDeviceStatus();
+    const processedData = cacheService.getProcessedData(req.device.id);
+    const deviceStatus = cacheService.getDeviceStatus(req.device.id);
 
     if (!processedData) {
       // Fallback to raw data if processed not available
-      const latestData = cacheService.getLatestData();
+      const latestData = cacheService.getLatestData(req.device.id);
       if (!latestData) {
         return res.status(404).json({
           success: false,
@@ -55,12 +65,12 @@ router.get('/current', (req, res) => {
 });
 
 /**
- * GET /api/device/airflow
+ * GET /api/devices/:deviceId/airflow
  * Get current airflow rate setting
  */
 router.get('/airflow', (req, res) => {
   try {
-    const airflowRate = calculationsService.getAirflowRate();
+    const airflowRate = calculationsService.getAirflowRate(req.device.id);
     res.json({
       success: true,
       airflowRate,
@@ -76,10 +86,10 @@ router.get('/airflow', (req, res) => {
 });
 
 /**
- * PUT /api/device/airflow
- * Update airflow rate setting
+ * PUT /api/devices/:deviceId/airflow
+ * Update airflow rate setting (admin only)
  */
-router.put('/airflow', (req, res) => {
+router.put('/airflow', requireRole('admin'), async (req, res) => {
   try {
     const { airflowRate } = req.body;
 
@@ -90,7 +100,7 @@ router.put('/airflow', (req, res) => {
       });
     }
 
-    const updatedRate = calculationsService.setAirflowRate(airflowRate);
+    const updatedRate = await calculationsService.setAirflowRate(req.device.id, airflowRate, auditService.fromRequest(req));
 
     res.json({
       success: true,
@@ -107,12 +117,12 @@ router.put('/airflow', (req, res) => {
 });
 
 /**
- * GET /api/device/accumulated
+ * GET /api/devices/:deviceId/accumulated
  * Get accumulated CO2 and O2 totals
  */
 router.get('/accumulated', (req, res) => {
   try {
-    const totals = calculationsService.getAccumulatedTotals();
+    const totals = calculationsService.getAccumulatedTotals(req.device.id);
     res.json({
       success: true,
       ...totals
@@ -127,12 +137,12 @@ router.get('/accumulated', (req, res) => {
 });
 
 /**
- * POST /api/device/accumulated/reset
- * Reset accumulated CO2 and O2 totals
+ * POST /api/devices/:deviceId/accumulated/reset
+ * Reset accumulated CO2 and O2 totals (admin only)
  */
-router.post('/accumulated/reset', (req, res) => {
+router.post('/accumulated/reset', requireRole('admin'), async (req, res) => {
   try {
-    calculationsService.resetAccumulatedTotals();
+    await calculationsService.resetAccumulatedTotals(req.device.id, auditService.fromRequest(req));
     res.json({
       success: true,
       message: 'Accumulated totals reset successfully'
@@ -147,7 +157,7 @@ router.post('/accumulated/reset', (req, res) => {
 });
 
 /**
- * GET /api/device/relay-names
+ * GET /api/devices/:deviceId/relay-names
  * Get relay names configuration
  */
 router.get('/relay-names', (req, res) => {
@@ -167,12 +177,12 @@ router.get('/relay-names', (req, res) => {
 });
 
 /**
- * GET /api/device/status
+ * GET /api/devices/:deviceId/status
  * Get device online/offline status
  */
 router.get('/status', (req, res) => {
   try {
-    const status = cacheService.getDeviceStatus();
+    const status = cacheService.getDeviceStatus(req.device.id);
 
     res.json({
       success: true,
@@ -188,12 +198,12 @@ router.get('/status', (req, res) => {
 });
 
 /**
- * GET /api/device/display
+ * GET /api/devices/:deviceId/display
  * Get display update service status
  */
 router.get('/display', (req, res) => {
   try {
-    const status = displayService.getStatus();
+    const status = displayService.getStatus(req.device.id);
     res.json({
       success: true,
       ...status
@@ -208,10 +218,10 @@ router.get('/display', (req, res) => {
 });
 
 /**
- * PUT /api/device/display
- * Enable or disable display updates
+ * PUT /api/devices/:deviceId/display
+ * Enable or disable display updates (admin only)
  */
-router.put('/display', async (req, res) => {
+router.put('/display', requireRole('admin'), async (req, res) => {
   try {
     const { enabled } = req.body;
 
@@ -223,8 +233,8 @@ router.put('/display', async (req, res) => {
     }
 
     const status = enabled
-      ? await displayService.enable()
-      : await displayService.disable();
+      ? await displayService.enable(req.device.id, auditService.fromRequest(req))
+      : await displayService.disable(req.device.id, auditService.fromRequest(req));
 
     res.json({
       success: true,
@@ -240,83 +250,237 @@ router.put('/display', async (req, res) => {
 });
 
 /**
- * GET /api/device/history/hour
- * Get hourly historical data
+ * GET /api/devices/:deviceId/history?from=&to=&sensors=d1,d8&bucket=5m&agg=avg
+ * Get bucketed series for any range
+ * - from/to: ISO date or epoch ms (default: last 24 hours)
+ * - sensors: comma separated sensor, relay or calculated keys (aqi, co2Difference, ...)
+ * - bucket: 30s, 5m, 1h, 1d... (auto when omitted, coarsened if too many points)
+ * - agg: avg | min | max | last (default avg)
+ * - maintenance: include | exclude samples taken during maintenance (default include);
+ *   the maintenance windows of the range are returned either way
  */
-router.get('/history/hour', async (req, res) => {
+router.get('/history', async (req, res) => {
   try {
-    const data = await awsService.getHourlyData();
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 24 * 60 * 60 * 1000;
+
+    if (from === null || to === null || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid range: "from" and "to" must be dates with from < to'
+      });
+    }
+
+    const fields = String(req.query.sensors || '')
+      .split(',')
+      .map(f => f.trim())
+      .filter(Boolean);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one sensor is required (e.g. sensors=d1,d8)'
+      });
+    }
+
+    const unknownFields = fields.filter(f => !isKnownField(f));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown sensor(s): ${unknownFields.join(', ')}`
+      });
+    }
+
+    let bucketMs = null;
+    if (req.query.bucket) {
+      bucketMs = parseDuration(req.query.bucket);
+      if (!bucketMs) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid bucket (use e.g. 30s, 5m, 1h, 1d)'
+        });
+      }
+    }
 
-    // Transform device IDs
-    const transformedData = {
-      ...data,
-      deviceId: transformDeviceData({ deviceId: data.deviceId }).deviceId,
-      data: transformDeviceData(data.data)
-    };
+    const agg = req.query.agg || 'avg';
+    if (!['avg', 'min', 'max', 'last'].includes(agg)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid agg (must be avg, min, max or last)'
+      });
+    }
+
+    const maintenance = req.query.maintenance || 'include';
+    if (!MAINTENANCE_OPTIONS.includes(maintenance)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance (must be include or exclude)'
+      });
+    }
+
+    const result = await historyService.getSeries(req.device.id, {
+      from,
+      to,
+      fields,
+      bucketMs,
+      agg,
+      excludeMaintenance: maintenance === 'exclude'
+    });
+
+    const labels = {};
+    for (const field of fields) {
+      labels[field] = getFieldLabel(field);
+    }
 
     res.json({
       success: true,
-      ...transformedData
+      deviceId: req.device.id,
+      ...result,
+      labels
     });
   } catch (error) {
-    logger.error('Error fetching hourly data:', error);
+    logger.error('Error fetching history range:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching hourly data'
+      message: 'Error fetching history'
     });
   }
 });
 
+const HISTORY_PERIODS = {
+  hour: { label: 'hourly', durationMs: 60 * 60 * 1000 },
+  day: { label: 'daily', durationMs: 24 * 60 * 60 * 1000 },
+  week: { label: 'weekly', durationMs: 7 * 24 * 60 * 60 * 1000 }
+};
+
 /**
- * GET /api/device/history/day
- * Get daily historical data
+ * GET /api/devices/:deviceId/history/hour|day|week
+ * Get historical data for a fixed period
+ * Served from the device's data source, falling back to the local history
+ * store when it is unreachable
  */
-router.get('/history/day', async (req, res) => {
+router.get('/history/:period(hour|day|week)', async (req, res) => {
+  const period = HISTORY_PERIODS[req.params.period];
+  const endTime = Date.now();
+  const startTime = endTime - period.durationMs;
+
   try {
-    const data = await awsService.getDailyData();
+    const records = await awsService.getRangeData(req.device.id, startTime, endTime);
 
-    const transformedData = {
-      ...data,
-      deviceId: transformDeviceData({ deviceId: data.deviceId }).deviceId,
-      data: transformDeviceData(data.data)
-    };
+    return res.json({
+      success: true,
+      source: req.device.dataSource,
+      deviceId: req.device.id,
+      period: req.params.period,
+      count: records.length,
+      startTime: Math.floor(startTime / 1000),
+      endTime: Math.floor(endTime / 1000),
+      data: transformDeviceData(records)
+    });
+  } catch (error) {
+    logger.warn(`Data source ${period.label} data unavailable, using local history:`, error.message);
+  }
+
+  try {
+    const samples = await historyService.getSamples(req.device.id, startTime, endTime);
+
+    if (samples.length === 0) {
+      return res.status(503).json({
+        success: false,
+        message: `Error fetching ${period.label} data`
+      });
+    }
 
     res.json({
       success: true,
-      ...transformedData
+      source: 'local',
+      deviceId: req.device.id,
+      period: req.params.period,
+      count: samples.length,
+      startTime: Math.floor(startTime / 1000),
+      endTime: Math.floor(endTime / 1000),
+      data: transformDeviceData(samples.map(sample => sample.raw))
     });
   } catch (error) {
-    logger.error('Error fetching daily data:', error);
+    logger.error(`Error fetching ${period.label} data:`, error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching daily data'
+      message: `Error fetching ${period.label} data`
     });
   }
 });
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REPORT_DAYS = 366;
+
 /**
- * GET /api/device/history/week
- * Get weekly historical data
+ * GET /api/devices/:deviceId/report?start=YYYY-MM-DD&end=YYYY-MM-DD&format=csv|xlsx|pdf&maintenance=include|exclude
+ * Download a report combining raw sensor data with calculated AQI, CO2 absorbed,
+ * O2 generated and relay on-time totals
+ * Readings taken during maintenance are flagged, or left out with maintenance=exclude
  */
-router.get('/history/week', async (req, res) => {
+router.get('/report', async (req, res) => {
   try {
-    const data = await awsService.getWeeklyData();
+    const { start, end } = req.query;
+    const format = req.query.format || 'csv';
 
-    const transformedData = {
-      ...data,
-      deviceId: transformDeviceData({ deviceId: data.deviceId }).deviceId,
-      data: transformDeviceData(data.data)
-    };
+    if (!DATE_PATTERN.test(start || '') || !DATE_PATTERN.test(end || '') || start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid range: "start" and "end" must be YYYY-MM-DD dates with start <= end'
+      });
+    }
 
-    res.json({
-      success: true,
-      ...transformedData
+    const spanDays = (new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000) + 1;
+    if (spanDays > MAX_REPORT_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Report range cannot exceed ${MAX_REPORT_DAYS} days`
+      });
+    }
+
+    if (!reportService.getFormats().includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format (must be ${reportService.getFormats().join(', ')})`
+      });
+    }
+
+    const maintenance = req.query.maintenance || 'include';
+    if (!MAINTENANCE_OPTIONS.includes(maintenance)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance (must be include or exclude)'
+      });
+    }
+
+    const report = await reportService.generate({
+      deviceId: req.device.id,
+      startDate: start,
+      endDate: end,
+      format,
+      excludeMaintenance: maintenance === 'exclude'
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No data available for the selected range'
+      });
+    }
+
+    res.set({
+      'Content-Type': report.contentType,
+      'Content-Disposition': `attachment; filename="${report.filename}"`,
+      'X-Report-Source': report.source,
+      'X-Report-Records': String(report.recordCount)
     });
+    res.send(report.buffer);
   } catch (error) {
-    logger.error('Error fetching weekly data:', error);
+    logger.error('Error generating report:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching weekly data'
+      message: 'Error generating report'
     });
   }
 });
@@ -0,0 +1,76 @@
+const express = require('express');
+const interlockService = require('../services/interlock.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
+const logger = require('../utils/logger');
+
+// Mounted under /api/devices/:deviceId/interlocks
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
+
+/**
+ * GET /api/devices/:deviceId/interlocks
+ * Get the relay interlocks of the device and the available types
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    interlocks: interlockService.getInterlocks(req.device.id),
+    types: interlockService.getTypes()
+  });
+});
+
+/**
+ * POST /api/devices/:deviceId/interlocks
+ * Add or update an interlock (admin only)
+ * Body: { id?, name, type, enabled, relays?, relay?, requires?, max?, condition? }
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const interlock = await interlockService.saveInterlock(req.device.id, req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      interlock
+    });
+  } catch (error) {
+    logger.error('Error saving interlock:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error saving interlock'
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/interlocks/:id
+ * Delete an interlock (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await interlockService.deleteInterlock(req.device.id, req.params.id, auditService.fromRequest(req));
+
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Interlock deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Interlock not found'
+      });
+    }
+  } catch (error) {
+    logger.error('Error deleting interlock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting interlock'
+    });
+  }
+});
+
+module.exports = router;
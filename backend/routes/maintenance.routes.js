@@ -0,0 +1,85 @@
+const express = require('express');
+const maintenanceService = require('../services/maintenance.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
+const logger = require('../utils/logger');
+
+// Mounted under /api/devices/:deviceId/maintenance
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
+
+/**
+ * Map maintenance service error codes to HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'MAINTENANCE_ACTIVE') return 409;
+  if (error.code === 'MAINTENANCE_NOT_ACTIVE') return 409;
+  return 400;
+};
+
+/**
+ * GET /api/devices/:deviceId/maintenance
+ * Get the active maintenance session and the recent ones
+ * Query: limit (default 20)
+ */
+router.get('/', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+
+  res.json({
+    success: true,
+    ...maintenanceService.getStatus(req.device.id, limit)
+  });
+});
+
+/**
+ * POST /api/devices/:deviceId/maintenance/start
+ * Put the device into maintenance mode (operators and admins)
+ * Body: { reason, technician }
+ */
+router.post('/start', requireRole('operator'), async (req, res) => {
+  try {
+    const { reason, technician } = req.body || {};
+    const session = await maintenanceService.startMaintenance(
+      req.device.id,
+      { reason, technician },
+      auditService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    logger.error('Error starting maintenance:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error starting maintenance'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/maintenance/stop
+ * End the maintenance session (operators and admins)
+ */
+router.post('/stop', requireRole('operator'), async (req, res) => {
+  try {
+    const session = await maintenanceService.stopMaintenance(req.device.id, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    logger.error('Error ending maintenance:', error.message);
+    res.status(error.code ? getErrorStatus(error) : 500).json({
+      success: false,
+      message: error.message || 'Error ending maintenance'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const notificationService = require('../services/notification.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Notification settings are admin only
+router.use(verifyToken, requireRole('admin'));
+
+/**
+ * Map notification service error codes to HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'CHANNEL_NOT_FOUND') return 404;
+  if (error.code === 'SEND_FAILED') return 502;
+  return 400;
+};
+
+/**
+ * GET /api/notifications/channels
+ * Get all channels with delivery counters, plus the available event and channel types
+ */
+router.get('/channels', (req, res) => {
+  res.json({
+    success: true,
+    channels: notificationService.getChannels(),
+    options: notificationService.getOptions()
+  });
+});
+
+/**
+ * POST /api/notifications/channels
+ * Add or update a channel
+ * Body: { id?, name, type, to? | url?, events, devices?, minSeverity?, enabled? }
+ */
+router.post('/channels', async (req, res) => {
+  try {
+    const channel = await notificationService.saveChannel(req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      channel
+    });
+  } catch (error) {
+    logger.error('Error saving notification channel:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error saving notification channel'
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/channels/:id
+ * Delete a channel
+ */
+router.delete('/channels/:id', async (req, res) => {
+  try {
+    await notificationService.deleteChannel(req.params.id, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Channel deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting notification channel:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error deleting notification channel'
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a test notification, ignoring subscriptions and rate limits
+ */
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    await notificationService.sendTest(req.params.id, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Test notification sent'
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error sending test notification'
+    });
+  }
+});
+
+module.exports = router;
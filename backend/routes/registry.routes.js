@@ -0,0 +1,162 @@
+const express = require('express');
+const registryService = require('../services/registry.service');
+const cacheService = require('../services/cache.service');
+const calculationsService = require('../services/calculations.service');
+const awsService = require('../services/aws.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { canAccessDevice } = require('../middleware/device.middleware');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * HTTP status for a registry error
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'DEVICE_NOT_FOUND') return 404;
+  if (error.code === 'DEVICE_EXISTS') return 409;
+  return 400;
+};
+
+/**
+ * Health summary of a device for the fleet overview
+ */
+const getDeviceSummary = (deviceId) => {
+  const latestData = cacheService.getLatestData(deviceId);
+  const { co2AbsorbedGrams } = calculationsService.getAccumulatedTotals(deviceId);
+
+  if (!latestData) {
+    return { aqi: null, co2Difference: null, co2AbsorbedGrams };
+  }
+
+  const { value, category, color } = calculationsService.calculateAQI(latestData);
+
+  return {
+    aqi: { value, category, color },
+    co2Difference: Math.max(0, (latestData.d1 || 0) - (latestData.d8 || 0)),
+    co2AbsorbedGrams
+  };
+};
+
+/**
+ * GET /api/devices
+ * List registered devices with their online status and health summary,
+ * plus the data sources a device can use
+ */
+router.get('/', (req, res) => {
+  try {
+    const devices = registryService.getDevices()
+      .filter(device => canAccessDevice(req.user, device.id))
+      .map(device => ({
+        ...device,
+        status: cacheService.getDeviceStatus(device.id),
+        summary: getDeviceSummary(device.id)
+      }));
+
+    res.json({
+      success: true,
+      devices,
+      dataSources: awsService.getDataSources()
+    });
+  } catch (error) {
+    logger.error('Error listing devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching devices'
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId
+ * Get one registered device with its online status
+ */
+router.get('/:deviceId', (req, res) => {
+  const device = registryService.getDevice(req.params.deviceId);
+
+  if (!device || !canAccessDevice(req.user, device.id)) {
+    return res.status(404).json({
+      success: false,
+      message: `Device ${req.params.deviceId} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    device: {
+      ...device,
+      status: cacheService.getDeviceStatus(device.id)
+    }
+  });
+});
+
+/**
+ * POST /api/devices
+ * Register a device
+ * Body: { id, dataSource? (default aws), awsDeviceId, imei, meter, name?, location?, enabled? }
+ * awsDeviceId, imei and meter are only required by the aws data source
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const device = await registryService.addDevice(req.body, auditService.fromRequest(req));
+
+    res.status(201).json({
+      success: true,
+      device
+    });
+  } catch (error) {
+    logger.error('Error registering device:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error registering device'
+    });
+  }
+});
+
+/**
+ * PUT /api/devices/:deviceId
+ * Update a registered device (name, dataSource, awsDeviceId, imei, meter, location, enabled)
+ */
+router.put('/:deviceId', requireRole('admin'), async (req, res) => {
+  try {
+    const device = await registryService.updateDevice(req.params.deviceId, req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      device
+    });
+  } catch (error) {
+    logger.error('Error updating device:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error updating device'
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId
+ * Remove a device from the registry (its stored data is kept)
+ */
+router.delete('/:deviceId', requireRole('admin'), async (req, res) => {
+  try {
+    await registryService.removeDevice(req.params.deviceId, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing device:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error removing device'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,27 @@
 const express = require('express');
 const relayService = require('../services/relay.service');
+const runtimeService = require('../services/runtime.service');
 const cacheService = require('../services/cache.service');
-const { verifyToken } = require('../middleware/auth.middleware');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+// Mounted under /api/devices/:deviceId/relay
+const router = express.Router({ mergeParams: true });
 
-// All routes require authentication
-router.use(verifyToken);
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
 
 /**
- * POST /api/relay/control
- * Control a single relay
+ * POST /api/devices/:deviceId/relay/control
+ * Control a single relay (operators and admins)
+ * Body: { relay, state, queueIfOffline?, expiresInMinutes? } - with queueIfOffline
+ * the command is queued while the device is offline (202) instead of rejected (503)
  */
-router.post('/control', async (req, res) => {
+router.post('/control', requireRole('operator'), async (req, res) => {
   try {
-    const { relay, state } = req.body;
+    const { relay, state, queueIfOffline, expiresInMinutes } = req.body;
 
     if (!relay || state === undefined) {
       return res.status(400).json({
@@ -24,34 +30,138 @@ router.post('/control', async (req, res) => {
       });
     }
 
-    const result = await relayService.controlRelay(relay, state);
+    const result = await relayService.controlRelay(req.device.id, relay, state, auditService.fromRequest(req), {
+      queueIfOffline,
+      expiresInMinutes
+    });
 
-    res.json({
+    res.status(result.queued ? 202 : 200).json({
       success: true,
       ...result,
-      deviceStatus: cacheService.getDeviceStatus()
+      deviceStatus: cacheService.getDeviceStatus(req.device.id)
     });
   } catch (error) {
     logger.error('Error controlling relay:', error);
 
-    // Return 503 Service Unavailable when device is offline
-    const statusCode = error.code === 'DEVICE_OFFLINE' ? 503 : 500;
+    // Return 503 Service Unavailable when device is offline, 409 Conflict when an interlock rejects the command
+    const statusCode = { DEVICE_OFFLINE: 503, INTERLOCK: 409 }[error.code] || 500;
 
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Error controlling relay',
-      deviceStatus: cacheService.getDeviceStatus()
+      violations: error.violations,
+      deviceStatus: cacheService.getDeviceStatus(req.device.id)
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/relay/commands?status=&limit=
+ * Get relay commands: unfinished ones first, then the most recent finished
+ * ones (default 50, at most 100)
+ */
+router.get('/commands', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+  res.json({
+    success: true,
+    commands: relayService.getCommands(req.device.id, { status: req.query.status, limit })
+  });
+});
+
+/**
+ * DELETE /api/devices/:deviceId/relay/commands/:id
+ * Cancel a command queued while the device is offline (operators and admins)
+ */
+router.delete('/commands/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const command = await relayService.cancelQueued(req.device.id, req.params.id, auditService.fromRequest(req));
+
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        message: 'No queued command with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      command
+    });
+  } catch (error) {
+    logger.error('Error cancelling queued command:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling queued command'
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/relay/runtime?days=
+ * Get on-time, switch counts and kWh per relay (today, this month, in all,
+ * since the last service), with daily totals (default 30 days, at most 400)
+ * and monthly totals
+ */
+router.get('/runtime', (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 400);
+
+  res.json({
+    success: true,
+    ...runtimeService.getRuntime(req.device.id, { days })
+  });
+});
+
+/**
+ * PUT /api/devices/:deviceId/relay/runtime/:relayId
+ * Set the rated power and/or maintenance interval of a relay (admin only)
+ * Body: { ratedWatts?, maintenanceHours? } - null clears a value
+ */
+router.put('/runtime/:relayId', requireRole('admin'), async (req, res) => {
+  try {
+    const settings = await runtimeService.saveSettings(req.device.id, req.params.relayId, req.body || {}, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    logger.error('Error saving runtime settings:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error saving runtime settings'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/relay/runtime/:relayId/reset
+ * Reset the maintenance counter of a relay after a service (operators and admins)
+ */
+router.post('/runtime/:relayId/reset', requireRole('operator'), async (req, res) => {
+  try {
+    const service = await runtimeService.resetMaintenance(req.device.id, req.params.relayId, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      service
+    });
+  } catch (error) {
+    logger.error('Error resetting maintenance counter:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error resetting maintenance counter'
     });
   }
 });
 
 /**
- * GET /api/relay/states
- * Get all relay states
+ * GET /api/devices/:deviceId/relay/states
+ * Get the last confirmed relay states
  */
 router.get('/states', async (req, res) => {
   try {
-    const states = await relayService.getAllRelayStates();
+    const states = await relayService.getAllRelayStates(req.device.id);
 
     res.json({
       success: true,
@@ -0,0 +1,126 @@
+const express = require('express');
+const sceneService = require('../services/scene.service');
+const automationService = require('../services/automation.service');
+const auditService = require('../services/audit.service');
+const cacheService = require('../services/cache.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const { resolveDevice } = require('../middleware/device.middleware');
+const logger = require('../utils/logger');
+
+// Mounted under /api/devices/:deviceId/scenes
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication and a registered device
+router.use(verifyToken, resolveDevice);
+
+/**
+ * Map scene service error codes to HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'SCENE_NOT_FOUND') return 404;
+  if (error.code === 'DEVICE_OFFLINE') return 503;
+  if (error.code === 'INTERLOCK') return 409;
+  return 500;
+};
+
+/**
+ * GET /api/devices/:deviceId/scenes
+ * Get the scenes of the device
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    scenes: sceneService.getScenes(req.device.id)
+  });
+});
+
+/**
+ * POST /api/devices/:deviceId/scenes
+ * Add or update a scene (admin only)
+ * Body: { id?, name, relays: { i1: 1, i7: 0 } }
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const scene = await sceneService.saveScene(req.device.id, req.body, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      scene
+    });
+  } catch (error) {
+    logger.error('Error saving scene:', error.message);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Error saving scene'
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/scenes/:id
+ * Delete a scene no automation rule targets (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = automationService.getDeviceRules(req.device.id)
+      .find(r => r.scene === req.params.id || r.offScene === req.params.id);
+
+    if (rule) {
+      return res.status(409).json({
+        success: false,
+        message: `Scene is used by automation rule ${rule.id}`
+      });
+    }
+
+    const deleted = await sceneService.deleteScene(req.device.id, req.params.id, auditService.fromRequest(req));
+
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Scene deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Scene not found'
+      });
+    }
+  } catch (error) {
+    logger.error('Error deleting scene:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting scene'
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/scenes/:id/apply
+ * Set all relays of a scene in one command (operators and admins)
+ * Body: { queueIfOffline?, expiresInMinutes? } - queue it while the device is offline (202)
+ */
+router.post('/:id/apply', requireRole('operator'), async (req, res) => {
+  try {
+    const { queueIfOffline, expiresInMinutes } = req.body || {};
+    const result = await sceneService.applyScene(req.device.id, req.params.id, auditService.fromRequest(req), {
+      queueIfOffline,
+      expiresInMinutes
+    });
+
+    res.status(result.queued ? 202 : 200).json({
+      success: true,
+      ...result,
+      deviceStatus: cacheService.getDeviceStatus(req.device.id)
+    });
+  } catch (error) {
+    logger.error('Error applying scene:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error applying scene',
+      violations: error.violations,
+      deviceStatus: cacheService.getDeviceStatus(req.device.id)
+    });
+  }
+});
+
+module.exports = router;
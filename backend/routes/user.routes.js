@@ -0,0 +1,105 @@
+const express = require('express');
+const userService = require('../services/user.service');
+const auditService = require('../services/audit.service');
+const { verifyToken, requireRole } = require('../middleware/auth.middleware');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(verifyToken, requireRole('admin'));
+
+/**
+ * HTTP status for a user store error
+ */
+const getErrorStatus = (error) => {
+  if (error.code === 'USER_NOT_FOUND') return 404;
+  if (error.code === 'USER_EXISTS' || error.code === 'LAST_ADMIN') return 409;
+  return 400;
+};
+
+/**
+ * GET /api/users
+ * List users (without password hashes)
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    users: userService.getUsers()
+  });
+});
+
+/**
+ * POST /api/users
+ * Create a user
+ * Body: { username, password, role, devices? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role, devices } = req.body;
+    const user = await userService.addUser({ username, password, role, devices }, auditService.fromRequest(req));
+
+    res.status(201).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    logger.error('Error creating user:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error creating user'
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:username
+ * Update a user's role, devices and/or password
+ */
+router.put('/:username', async (req, res) => {
+  try {
+    const { password, role, devices } = req.body;
+    const user = await userService.updateUser(req.params.username, { password, role, devices }, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    logger.error('Error updating user:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error updating user'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:username
+ * Delete a user (admins cannot delete themselves)
+ */
+router.delete('/:username', async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) {
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    await userService.removeUser(req.params.username, auditService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting user:', error.message);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Error deleting user'
+    });
+  }
+});
+
+module.exports = router;
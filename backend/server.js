@@ -6,19 +6,41 @@ const { PORT } = require('./config/constants');
 const logger = require('./utils/logger');
 const fileStorage = require('./utils/fileStorage');
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
+const { verifySocketToken } = require('./middleware/auth.middleware');
+const { resolveSocketDevice } = require('./middleware/device.middleware');
 
 // Services
 const pollingService = require('./services/polling.service');
 const automationService = require('./services/automation.service');
+const relayService = require('./services/relay.service');
 const displayService = require('./services/display.service');
 const cacheService = require('./services/cache.service');
 const calculationsService = require('./services/calculations.service');
+const historyService = require('./services/history.service');
+const registryService = require('./services/registry.service');
+const userService = require('./services/user.service');
+const auditService = require('./services/audit.service');
+const alarmService = require('./services/alarm.service');
+const interlockService = require('./services/interlock.service');
+const sceneService = require('./services/scene.service');
+const runtimeService = require('./services/runtime.service');
+const maintenanceService = require('./services/maintenance.service');
+const notificationService = require('./services/notification.service');
+const { deviceRoom } = require('./utils/socketRooms');
 
 // Routes
 const authRoutes = require('./routes/auth.routes');
+const userRoutes = require('./routes/user.routes');
+const auditRoutes = require('./routes/audit.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const registryRoutes = require('./routes/registry.routes');
 const deviceRoutes = require('./routes/device.routes');
 const relayRoutes = require('./routes/relay.routes');
 const automationRoutes = require('./routes/automation.routes');
+const alarmRoutes = require('./routes/alarm.routes');
+const interlockRoutes = require('./routes/interlock.routes');
+const sceneRoutes = require('./routes/scene.routes');
+const maintenanceRoutes = require('./routes/maintenance.routes');
 
 // Initialize Express app
 const app = express();
@@ -46,12 +68,25 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/device', deviceRoutes);
-app.use('/api/relay', relayRoutes);
-app.use('/api/automation', automationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/devices', registryRoutes);
+app.use('/api/devices/:deviceId', deviceRoutes);
+app.use('/api/devices/:deviceId/relay', relayRoutes);
+app.use('/api/devices/:deviceId/automation', automationRoutes);
+app.use('/api/devices/:deviceId/alarms', alarmRoutes);
+app.use('/api/devices/:deviceId/interlocks', interlockRoutes);
+app.use('/api/devices/:deviceId/scenes', sceneRoutes);
+app.use('/api/devices/:deviceId/maintenance', maintenanceRoutes);
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const devices = {};
+  for (const device of registryService.getDevices()) {
+    devices[device.id] = cacheService.getDeviceStatus(device.id);
+  }
+
   res.json({
     success: true,
     status: 'healthy',
@@ -60,7 +95,8 @@ app.get('/health', (req, res) => {
       polling: pollingService.getStatus(),
       automation: automationService.getStatus(),
       display: displayService.getStatus(),
-      device: cacheService.getDeviceStatus()
+      history: await historyService.getStatus(),
+      devices
     }
   });
 });
@@ -70,28 +106,80 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Socket.IO connection handling
+// Clients authenticate with their token (auth: { token }), pass the device
+// they are viewing as ?deviceId=... and only receive its updates
+io.use(verifySocketToken);
+io.use(resolveSocketDevice);
+
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  const { device, user } = socket.data;
+
+  logger.info(`Client connected: ${socket.id} (${device.id}, ${user.username})`);
+  socket.join(deviceRoom(device.id));
 
   // Send current processed data immediately
-  const processedData = cacheService.getProcessedData();
+  const processedData = cacheService.getProcessedData(device.id);
   if (processedData) {
     socket.emit('deviceUpdate', processedData);
   } else {
-    const currentData = cacheService.getLatestData();
+    const currentData = cacheService.getLatestData(device.id);
     if (currentData) {
       socket.emit('deviceUpdate', currentData);
     }
   }
 
   // Send device status
-  socket.emit('deviceStatus', cacheService.getDeviceStatus());
+  socket.emit('deviceStatus', cacheService.getDeviceStatus(device.id));
 
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
 });
 
+/**
+ * Prepare storage and load persisted state of a device
+ */
+async function initializeDevice(deviceId) {
+  await fileStorage.initializeDeviceStorage(deviceId);
+  await cacheService.loadPersistedData(deviceId);
+  await calculationsService.waitForInit(deviceId);
+}
+
+// Devices registered while running are set up and polled right away
+registryService.on('deviceAdded', async (device) => {
+  try {
+    await initializeDevice(device.id);
+    await maintenanceService.loadDevice(device.id);
+    await historyService.loadDevice(device.id);
+    await automationService.loadRules(device.id);
+    await displayService.loadState(device.id);
+    await alarmService.loadDevice(device.id);
+    await interlockService.loadDevice(device.id);
+    await sceneService.loadDevice(device.id);
+    await relayService.loadDevice(device.id);
+    await runtimeService.loadDevice(device.id);
+    pollingService.pollData(device.id);
+  } catch (error) {
+    logger.error(`Failed to initialize device ${device.id}:`, error);
+  }
+});
+
+// Removed devices are forgotten by every service (their storage is kept)
+registryService.on('deviceRemoved', (device) => {
+  pollingService.removeDevice(device.id);
+  cacheService.removeDevice(device.id);
+  calculationsService.removeDevice(device.id);
+  historyService.removeDevice(device.id);
+  automationService.removeDevice(device.id);
+  displayService.removeDevice(device.id);
+  alarmService.removeDevice(device.id);
+  interlockService.removeDevice(device.id);
+  relayService.removeDevice(device.id);
+  sceneService.removeDevice(device.id);
+  runtimeService.removeDevice(device.id);
+  maintenanceService.removeDevice(device.id);
+});
+
 // Initialize and start server
 async function startServer() {
   try {
@@ -103,17 +191,56 @@ async function startServer() {
     logger.info('Initializing file storage...');
     await fileStorage.initializeStorage();
 
+    // Load user accounts (creates the admin account on first run)
+    logger.info('Loading users...');
+    await userService.load();
+
+    // Load notification channels
+    await notificationService.load();
+
+    // Load device registry (migrates single-device storage on first run)
+    logger.info('Loading device registry...');
+    const devices = await registryService.load();
+
     // Load persisted data
     logger.info('Loading persisted data...');
-    await cacheService.loadPersistedData();
+    for (const device of devices) {
+      await initializeDevice(device.id);
+    }
+
+    // Load maintenance sessions before readings are processed
+    await maintenanceService.start();
 
     // Initialize calculations service
     logger.info('Initializing calculations service...');
     calculationsService.init();
 
+    // Start local history store (retention/compaction run daily)
+    logger.info('Starting history store...');
+    await historyService.start();
+
+    // Start audit log retention
+    auditService.start();
+
+    // Load alarm definitions and active alarms
+    logger.info('Starting alarm engine...');
+    await alarmService.start();
+
+    // Load relay interlocks before any relay command (restore, automation) is sent
+    await interlockService.start();
+
+    // Load scenes before automation rules can apply them
+    await sceneService.start();
+
+    // Load relay runtime totals before the first reading is counted
+    await runtimeService.start();
+
     // Start background services
     logger.info('Starting background services...');
 
+    // Track relay commands until the device confirms them (loads the offline queues)
+    await relayService.start();
+
     // Start data polling (every 30 seconds)
     pollingService.start();
 
@@ -142,13 +269,20 @@ async function startServer() {
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
-function shutdown() {
+async function shutdown() {
   logger.info('Shutting down gracefully...');
 
   // Stop background services
   pollingService.stop();
+  relayService.stop();
   automationService.stop();
   displayService.stop();
+  historyService.stop();
+  auditService.stop();
+  alarmService.stop();
+
+  // Write the relay runtime counted since the last periodic save
+  await runtimeService.stop();
 
   // Close server
   server.close(() => {
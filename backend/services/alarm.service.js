@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const registryService = require('./registry.service');
+const auditService = require('./audit.service');
+const notificationService = require('./notification.service');
+const fileStorage = require('../utils/fileStorage');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const { isKnownField, getFieldLabel, getFieldValue } = require('../utils/sampleFields');
+const { emitToDevice } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+const { ALARM_HISTORY_RETENTION_DAYS, HISTORY_MAINTENANCE_CRON } = require('../config/constants');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Threshold alarms on sensor and calculated values
+ *
+ * A definition watches one field (d12, d6, aqi...) against a low and/or high
+ * limit. The value must stay out of range for `delaySeconds` before an alarm
+ * is raised, and must come back inside the limits by `deadband` before it
+ * clears, so a value hovering around a limit does not flap.
+ *
+ * Alarm lifecycle: active -> acknowledged (by a user) -> cleared (value back
+ * in range). An alarm can also clear without being acknowledged; the
+ * history keeps who acknowledged what and when.
+ *
+ * Storage per device:
+ * - alarm-definitions.json: definitions
+ * - active-alarms.json: alarms not yet cleared
+ * - alarms/YYYY-MM-DD.jsonl: every raise/acknowledge/clear event
+ */
+class AlarmService {
+  constructor() {
+    this.devices = new Map(); // { definitions, active, pendingSince, history } per device
+    this.maintenanceTask = null;
+  }
+
+  /**
+   * Get the alarm state of a device, creating an empty one if needed
+   */
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        definitions: [],
+        active: [],
+        pendingSince: new Map(), // Definition ID -> when its value first went out of range
+        history: new TimeSeriesStore(fileStorage.deviceFile(deviceId, 'alarms'), {
+          retentionDays: ALARM_HISTORY_RETENTION_DAYS,
+          compactAfterDays: 0 // Events are never downsampled
+        })
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Load definitions and active alarms of a device from file
+   */
+  async loadDevice(deviceId) {
+    const state = this.getState(deviceId);
+
+    try {
+      const definitions = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'alarm-definitions.json'));
+      const active = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'active-alarms.json'));
+      state.definitions = definitions?.definitions || [];
+      state.active = active?.alarms || [];
+      logger.info(`Loaded ${state.definitions.length} alarm definitions and ${state.active.length} active alarms for ${deviceId}`);
+    } catch (error) {
+      logger.error(`Error loading alarms for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Forget a device that was removed from the registry (its files are kept)
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  /**
+   * Load every registered device and start daily history retention
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+
+    if (!this.maintenanceTask) {
+      this.maintenanceTask = cron.schedule(HISTORY_MAINTENANCE_CRON, () => this.applyRetention());
+    }
+    this.applyRetention();
+
+    logger.info('Alarm engine started');
+  }
+
+  /**
+   * Stop daily history retention
+   */
+  stop() {
+    if (this.maintenanceTask) {
+      this.maintenanceTask.stop();
+      this.maintenanceTask = null;
+      logger.info('Alarm engine stopped');
+    }
+  }
+
+  /**
+   * Drop alarm history older than ALARM_HISTORY_RETENTION_DAYS
+   */
+  async applyRetention() {
+    for (const [deviceId, state] of this.devices) {
+      try {
+        await state.history.applyRetention();
+      } catch (error) {
+        logger.error(`Alarm history retention failed for ${deviceId}:`, error.message);
+      }
+    }
+  }
+
+  async saveDefinitions(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'alarm-definitions.json'), {
+      definitions: this.getState(deviceId).definitions
+    });
+  }
+
+  async saveActive(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'active-alarms.json'), {
+      alarms: this.getState(deviceId).active
+    });
+  }
+
+  /**
+   * Get alarm definitions of a device
+   */
+  getDefinitions(deviceId) {
+    return this.getState(deviceId).definitions;
+  }
+
+  /**
+   * Get alarms of a device that are not cleared yet, newest first
+   */
+  getActiveAlarms(deviceId) {
+    return [...this.getState(deviceId).active].sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+  }
+
+  /**
+   * Count alarms of a device by state
+   */
+  getSummary(deviceId) {
+    const { active } = this.getState(deviceId);
+    return {
+      active: active.filter(a => a.state === 'active').length,
+      acknowledged: active.filter(a => a.state === 'acknowledged').length,
+      critical: active.filter(a => a.severity === 'critical').length
+    };
+  }
+
+  /**
+   * Validate an alarm definition
+   * Throws an error describing the first invalid field
+   */
+  validateDefinition(definition) {
+    if (!definition.name || typeof definition.name !== 'string') {
+      throw new Error('Alarm name is required');
+    }
+
+    if (!isKnownField(definition.field)) {
+      throw new Error(`Unknown field: ${definition.field}`);
+    }
+
+    const { low, high } = definition;
+    if (low === null && high === null) {
+      throw new Error('At least one of low or high limit is required');
+    }
+    if ((low !== null && typeof low !== 'number') || (high !== null && typeof high !== 'number')) {
+      throw new Error('Limits must be numbers');
+    }
+    if (low !== null && high !== null && low >= high) {
+      throw new Error('Low limit must be below high limit');
+    }
+
+    if (!SEVERITIES.includes(definition.severity)) {
+      throw new Error(`Invalid severity (must be one of: ${SEVERITIES.join(', ')})`);
+    }
+
+    if (typeof definition.delaySeconds !== 'number' || definition.delaySeconds < 0) {
+      throw new Error('Delay must be a non-negative number of seconds');
+    }
+
+    if (typeof definition.deadband !== 'number' || definition.deadband < 0) {
+      throw new Error('Deadband must be a non-negative number');
+    }
+
+    if (low !== null && high !== null && definition.deadband * 2 >= high - low) {
+      throw new Error('Deadband is too large for the range between the limits');
+    }
+
+    return true;
+  }
+
+  /**
+   * Add or update an alarm definition
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async saveDefinition(deviceId, data, actor = {}) {
+    const state = this.getState(deviceId);
+    const previous = state.definitions.find(d => d.id === data.id) || null;
+    const action = previous ? 'alarm.update' : 'alarm.create';
+
+    const definition = {
+      id: previous?.id || `alarm_${Date.now()}`,
+      name: data.name,
+      field: data.field,
+      low: data.low ?? null,
+      high: data.high ?? null,
+      severity: data.severity || 'warning',
+      delaySeconds: data.delaySeconds ?? 0,
+      deadband: data.deadband ?? 0,
+      enabled: data.enabled ?? true,
+      createdAt: previous?.createdAt || new Date().toISOString()
+    };
+    if (previous) definition.updatedAt = new Date().toISOString();
+
+    try {
+      this.validateDefinition(definition);
+
+      state.definitions = previous
+        ? state.definitions.map(d => (d.id === definition.id ? definition : d))
+        : [...state.definitions, definition];
+      state.pendingSince.delete(definition.id);
+      await this.saveDefinitions(deviceId);
+
+      // Limits changed: start over instead of keeping an alarm raised against the old ones
+      await this.clearAlarmsOf(deviceId, definition.id, 'Definition changed');
+
+      logger.info(`${previous ? 'Updated' : 'Added'} alarm definition for ${deviceId}: ${definition.id}`);
+      await auditService.record({ deviceId, action, target: definition.id, previous, value: definition, actor });
+      return definition;
+    } catch (error) {
+      await auditService.record({ deviceId, action, target: definition.id, previous, value: definition, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an alarm definition and clear its alarms
+   * @returns {boolean} false when the definition does not exist
+   */
+  async deleteDefinition(deviceId, definitionId, actor = {}) {
+    const state = this.getState(deviceId);
+    const previous = state.definitions.find(d => d.id === definitionId);
+    if (!previous) return false;
+
+    state.definitions = state.definitions.filter(d => d.id !== definitionId);
+    state.pendingSince.delete(definitionId);
+    await this.saveDefinitions(deviceId);
+    await this.clearAlarmsOf(deviceId, definitionId, 'Definition deleted');
+
+    logger.info(`Deleted alarm definition for ${deviceId}: ${definitionId}`);
+    await auditService.record({ deviceId, action: 'alarm.delete', target: definitionId, previous, actor });
+    return true;
+  }
+
+  /**
+   * Check if a value is outside the limits of a definition
+   */
+  isOutOfRange(definition, value) {
+    return (definition.low !== null && value < definition.low) ||
+      (definition.high !== null && value > definition.high);
+  }
+
+  /**
+   * Check if a value is back inside the limits by at least the deadband
+   */
+  isBackInRange(definition, value) {
+    return (definition.low === null || value >= definition.low + definition.deadband) &&
+      (definition.high === null || value <= definition.high - definition.deadband);
+  }
+
+  /**
+   * Evaluate every enabled definition of a device against a new sample
+   * @param {Object} sample - { raw, calculated } as stored in the history
+   */
+  async evaluate(deviceId, sample) {
+    const state = this.getState(deviceId);
+    const now = Date.now();
+
+    for (const definition of state.definitions) {
+      if (!definition.enabled) continue;
+
+      const value = getFieldValue(sample, definition.field);
+      if (value === null) continue;
+
+      try {
+        const alarm = state.active.find(a => a.definitionId === definition.id);
+
+        if (alarm) {
+          alarm.lastValue = value;
+          if (this.isBackInRange(definition, value)) {
+            await this.clearAlarm(deviceId, alarm, 'Value back in range');
+          }
+          continue;
+        }
+
+        if (!this.isOutOfRange(definition, value)) {
+          state.pendingSince.delete(definition.id);
+          continue;
+        }
+
+        if (!state.pendingSince.has(definition.id)) {
+          state.pendingSince.set(definition.id, now);
+        }
+
+        if (now - state.pendingSince.get(definition.id) >= definition.delaySeconds * 1000) {
+          state.pendingSince.delete(definition.id);
+          await this.raiseAlarm(deviceId, definition, value);
+        }
+      } catch (error) {
+        logger.error(`Error evaluating alarm ${definition.id} on ${deviceId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Raise a new alarm for a definition
+   */
+  async raiseAlarm(deviceId, definition, value) {
+    const alarm = {
+      id: crypto.randomUUID(),
+      definitionId: definition.id,
+      deviceId,
+      name: definition.name,
+      field: definition.field,
+      fieldLabel: getFieldLabel(definition.field),
+      severity: definition.severity,
+      low: definition.low,
+      high: definition.high,
+      state: 'active',
+      value,
+      lastValue: value,
+      raisedAt: new Date().toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      clearedAt: null,
+      clearReason: null
+    };
+
+    this.getState(deviceId).active.push(alarm);
+    await this.saveActive(deviceId);
+
+    logger.warn(`Alarm raised on ${deviceId}: ${alarm.name} (${alarm.field} = ${value}, ${alarm.severity})`);
+    await this.publish(deviceId, 'raised', alarm);
+    return alarm;
+  }
+
+  /**
+   * Acknowledge an active alarm
+   * @param {Object} actor - Who acknowledged it ({ user, source }), see auditService
+   */
+  async acknowledge(deviceId, alarmId, actor = {}) {
+    const alarm = this.getState(deviceId).active.find(a => a.id === alarmId);
+
+    if (!alarm) {
+      const error = new Error(`Alarm ${alarmId} not found or already cleared`);
+      error.code = 'ALARM_NOT_FOUND';
+      throw error;
+    }
+
+    if (alarm.state !== 'active') {
+      const error = new Error('Alarm is already acknowledged');
+      error.code = 'ALARM_ACKNOWLEDGED';
+      throw error;
+    }
+
+    alarm.state = 'acknowledged';
+    alarm.acknowledgedAt = new Date().toISOString();
+    alarm.acknowledgedBy = actor.user || 'unknown';
+    await this.saveActive(deviceId);
+
+    logger.info(`Alarm acknowledged on ${deviceId} by ${alarm.acknowledgedBy}: ${alarm.name}`);
+    await auditService.record({ deviceId, action: 'alarm.acknowledge', target: alarm.id, previous: 'active', value: 'acknowledged', actor });
+    await this.publish(deviceId, 'acknowledged', alarm);
+    return alarm;
+  }
+
+  /**
+   * Clear an alarm and move it to the history
+   */
+  async clearAlarm(deviceId, alarm, reason) {
+    const state = this.getState(deviceId);
+
+    alarm.state = 'cleared';
+    alarm.clearedAt = new Date().toISOString();
+    alarm.clearReason = reason;
+    state.active = state.active.filter(a => a.id !== alarm.id);
+    await this.saveActive(deviceId);
+
+    logger.info(`Alarm cleared on ${deviceId}: ${alarm.name} (${reason})`);
+    await this.publish(deviceId, 'cleared', alarm);
+  }
+
+  /**
+   * Clear every alarm raised by a definition
+   */
+  async clearAlarmsOf(deviceId, definitionId, reason) {
+    const alarms = this.getState(deviceId).active.filter(a => a.definitionId === definitionId);
+    for (const alarm of alarms) {
+      await this.clearAlarm(deviceId, alarm, reason);
+    }
+  }
+
+  /**
+   * Persist a lifecycle event and push it to dashboards
+   */
+  async publish(deviceId, event, alarm) {
+    const t = Date.now();
+
+    try {
+      await this.getState(deviceId).history.append({ t, event, ...alarm });
+    } catch (error) {
+      logger.error(`Failed to store alarm event for ${deviceId}:`, error.message);
+    }
+
+    emitToDevice(deviceId, 'alarm', { event, alarm, timestamp: new Date(t).toISOString() });
+
+    notificationService.notify({
+      type: `alarm.${event}`,
+      deviceId,
+      severity: alarm.severity,
+      title: `Alarm ${event}: ${alarm.name}`,
+      message: this.describe(event, alarm),
+      key: alarm.definitionId,
+      data: alarm
+    });
+  }
+
+  /**
+   * One line description of a lifecycle event for notifications
+   */
+  describe(event, alarm) {
+    const limits = [
+      alarm.low !== null ? `< ${alarm.low}` : null,
+      alarm.high !== null ? `> ${alarm.high}` : null
+    ].filter(Boolean).join(' or ');
+
+    if (event === 'acknowledged') return `${alarm.name} acknowledged by ${alarm.acknowledgedBy}`;
+    if (event === 'cleared') return `${alarm.fieldLabel} = ${alarm.lastValue} (${alarm.clearReason})`;
+    return `${alarm.fieldLabel} = ${alarm.value} (limit ${limits})`;
+  }
+
+  /**
+   * Get lifecycle events of a device, newest first
+   */
+  async getHistory(deviceId, from, to, limit = 200) {
+    const events = await this.getState(deviceId).history.query(from, to);
+    return events.reverse().slice(0, limit);
+  }
+}
+
+module.exports = new AlarmService();
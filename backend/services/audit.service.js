@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const { emitToDevice } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+const { AUDIT_RETENTION_DAYS, HISTORY_MAINTENANCE_CRON } = require('../config/constants');
+
+// Where a change came from
+const SOURCES = ['manual', 'automation', 'restore'];
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * Persistent audit trail of every change to plant state
+ *
+ * Entries are appended to storage/audit/YYYY-MM-DD.jsonl and carry:
+ * - t / timestamp: when the change was attempted
+ * - deviceId, action (relay.control, relay.queue, relay.cancel, relay.settings,
+ *   relay.override, relay.release,
+ *   rule.create, rule.update, rule.delete, airflow.update, totals.reset,
+ *   display.enable, display.disable, interlock.create, interlock.update,
+ *   interlock.delete, scene.create, scene.update, scene.delete, runtime.settings,
+ *   runtime.reset, maintenance.start, maintenance.stop, alarm.create,
+ *   alarm.update, alarm.delete, alarm.acknowledge, device.create, device.update,
+ *   device.delete, user.create, user.update, user.delete, channel.create,
+ *   channel.update, channel.delete) and target
+ * - deviceId is null for changes not tied to a device (users, notification
+ *   channels); only admins see those entries
+ * - user and source (manual, automation or restore), plus an optional reason
+ * - previous / value: state before and requested state after the change
+ * - result (success or failure) and error
+ *
+ * Services take an `actor` ({ user, source, reason }) describing who
+ * triggered the change; use fromRequest() in routes.
+ */
+class AuditService {
+  constructor() {
+    this.store = new TimeSeriesStore('audit', {
+      retentionDays: AUDIT_RETENTION_DAYS,
+      compactAfterDays: 0 // Entries are never downsampled
+    });
+    this.maintenanceTask = null;
+  }
+
+  /**
+   * Actor for a change made through the API by the logged in user
+   */
+  fromRequest(req) {
+    return { user: req.user?.username || 'unknown', source: 'manual' };
+  }
+
+  /**
+   * Start daily retention
+   */
+  start() {
+    this.store.applyRetention().catch(error => logger.error('Audit retention failed:', error.message));
+
+    if (!this.maintenanceTask) {
+      this.maintenanceTask = cron.schedule(HISTORY_MAINTENANCE_CRON, () => {
+        this.store.applyRetention().catch(error => logger.error('Audit retention failed:', error.message));
+      });
+    }
+
+    logger.info(`Audit log started (retention: ${AUDIT_RETENTION_DAYS} days)`);
+  }
+
+  /**
+   * Stop daily retention
+   */
+  stop() {
+    if (this.maintenanceTask) {
+      this.maintenanceTask.stop();
+      this.maintenanceTask = null;
+    }
+  }
+
+  /**
+   * Append an entry
+   * Never throws: a failing audit write must not fail the change itself
+   */
+  async record({ deviceId, action, target = null, previous = null, value = null, actor = {}, error = null }) {
+    const t = Date.now();
+    const entry = {
+      t,
+      id: crypto.randomUUID(),
+      timestamp: new Date(t).toISOString(),
+      deviceId,
+      action,
+      target,
+      user: actor.user || 'system',
+      source: SOURCES.includes(actor.source) ? actor.source : 'manual',
+      reason: actor.reason || null,
+      previous: previous ?? null,
+      value: value ?? null,
+      result: error ? 'failure' : 'success',
+      error: error ? (error.message || String(error)) : null
+    };
+
+    try {
+      await this.store.append(entry);
+      if (deviceId) emitToDevice(deviceId, 'auditEntry', entry);
+    } catch (err) {
+      logger.error(`Failed to write audit entry ${action} for ${deviceId}:`, err.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} filters - from/to (epoch ms), deviceId, deviceIds (allowed devices),
+   *   includeSystem (also match entries without a device when filtering by deviceId),
+   *   user, action (exact or prefix such as "rule."), source, result, limit
+   */
+  async query(filters = {}) {
+    const to = filters.to ?? Date.now();
+    const from = filters.from ?? to - 7 * 24 * 60 * 60 * 1000;
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const matches = (entry) => {
+      if (filters.deviceId && entry.deviceId !== filters.deviceId && !(filters.includeSystem && !entry.deviceId)) return false;
+      if (filters.deviceIds && !filters.deviceIds.includes(entry.deviceId)) return false;
+      if (filters.user && entry.user !== filters.user) return false;
+      if (filters.source && entry.source !== filters.source) return false;
+      if (filters.result && entry.result !== filters.result) return false;
+      if (filters.action) {
+        const prefix = filters.action.endsWith('.') ? filters.action : null;
+        if (prefix ? !entry.action.startsWith(prefix) : entry.action !== filters.action) return false;
+      }
+      return true;
+    };
+
+    const entries = (await this.store.query(from, to)).filter(matches).reverse();
+
+    return {
+      from,
+      to,
+      total: entries.length,
+      entries: entries.slice(0, limit)
+    };
+  }
+}
+
+module.exports = new AuditService();
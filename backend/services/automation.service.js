@@ -1,92 +1,445 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
 const cacheService = require('./cache.service');
 const relayService = require('./relay.service');
+const historyService = require('./history.service');
+const auditService = require('./audit.service');
+const registryService = require('./registry.service');
+const notificationService = require('./notification.service');
+const sceneService = require('./scene.service');
+const maintenanceService = require('./maintenance.service');
 const fileStorage = require('../utils/fileStorage');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const { validateCondition, evaluateCondition, describeCondition, getConditionFields, fromLegacyRule } = require('../utils/conditions');
+const { getFieldValue } = require('../utils/sampleFields');
+const { validateSchedule, isScheduleActive, getOnPeriods, getScheduledActions, describeSchedule } = require('../utils/schedule');
+const { emitToDevice } = require('../utils/socketRooms');
 const logger = require('../utils/logger');
+const { AUTOMATION_HISTORY_RETENTION_DAYS, HISTORY_MAINTENANCE_CRON } = require('../config/constants');
 
+// How the rules of one relay are combined
+const STRATEGIES = {
+  priority: 'Highest priority rule wins',
+  any: 'ON if any rule is ON',
+  all: 'ON if all rules are ON'
+};
+
+const DEFAULT_RELAY_SETTINGS = { strategy: 'priority', minOnSeconds: 0, minOffSeconds: 0 };
+
+const EVALUATION_INTERVAL_MS = 10000;
+
+// Simulations evaluate at most this many steps (coarser steps for long ranges)
+const MAX_SIMULATION_STEPS = 10000;
+const MAX_SIMULATION_DAYS = 31;
+
+// Longest manual override
+const MAX_OVERRIDE_MINUTES = 7 * 24 * 60;
+
+/**
+ * Automation engine
+ *
+ * Every 10s the enabled rules of each relay are evaluated and combined with
+ * the relay's strategy into one target state; the rule deciding it is the
+ * relay's controlling rule. Rules whose values are missing do not take part.
+ *
+ * Every switch the engine attempts is kept in the device's
+ * automation-history/YYYY-MM-DD.jsonl (see recordSwitch).
+ *
+ * An operator can override an automated relay for a while (see setOverride):
+ * its rules are still evaluated but the engine does not switch it until the
+ * override expires or is released.
+ *
+ * Rules can target a scene instead of a relay (see applySceneRule): the scene
+ * is applied when the rule turns ON, and its `offScene` (if any) when it
+ * turns OFF. A relay is automated either by its own rules or by scene rules,
+ * never both (see getSceneConflict).
+ */
 class AutomationService {
   constructor() {
-    this.rules = [];
+    this.rules = new Map(); // Rules per device, keyed by device ID
+    this.relaySettings = new Map(); // Device ID -> { relayId: { strategy, minOnSeconds, minOffSeconds } }
+    this.pending = new Map(); // Device ID -> { relayId: { targetState, since } } while a relay is debounced
+    this.relayStatus = new Map(); // Device ID -> { relayId: { ruleId, targetState, reason, hold, override } }
+    this.cycles = new Map(); // Device ID -> { ruleId: start of the running cycle (epoch ms) }, saved with the rules
+    this.overrides = new Map(); // Device ID -> { relayId: { state, until, user, createdAt } }, saved with the rules
+    this.sceneStates = new Map(); // Device ID -> { ruleId: state last applied by a scene rule }, saved with the rules
+    this.history = new Map(); // Device ID -> TimeSeriesStore of switch attempts
+    this.lastFailures = new Map(); // Device ID -> { relayId: key of the last failed attempt }
     this.evaluationInterval = null;
+    this.maintenanceTask = null;
     this.isRunning = false;
-    this.lastEvaluation = {};
   }
 
   /**
-   * Load automation rules from file
+   * Load automation rules of a device from file
    */
-  async loadRules() {
+  async loadRules(deviceId) {
     try {
-      const data = await fileStorage.readJSON('automation-rules.json');
-      this.rules = data?.rules || [];
-      logger.info(`Loaded ${this.rules.length} automation rules`);
-      return this.rules;
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'automation-rules.json'));
+      const rules = data?.rules || [];
+      this.rules.set(deviceId, rules);
+      this.relaySettings.set(deviceId, data?.relaySettings || {});
+      this.cycles.set(deviceId, data?.cycles || {});
+      this.overrides.set(deviceId, data?.overrides || {});
+      this.sceneStates.set(deviceId, data?.sceneStates || {});
+      logger.info(`Loaded ${rules.length} automation rules for ${deviceId}`);
+      return rules;
     } catch (error) {
-      logger.error('Error loading automation rules:', error);
-      this.rules = [];
+      logger.error(`Error loading automation rules for ${deviceId}:`, error);
+      this.rules.set(deviceId, []);
+      this.relaySettings.set(deviceId, {});
+      this.cycles.set(deviceId, {});
+      this.overrides.set(deviceId, {});
+      this.sceneStates.set(deviceId, {});
       return [];
     }
   }
 
   /**
-   * Save automation rules to file
+   * Save automation rules of a device to file
+   */
+  async saveRules(deviceId) {
+    try {
+      await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'automation-rules.json'), {
+        rules: this.getDeviceRules(deviceId),
+        relaySettings: this.relaySettings.get(deviceId) || {},
+        cycles: this.getCycles(deviceId),
+        overrides: this.getOverrides(deviceId),
+        sceneStates: this.getSceneStates(deviceId)
+      });
+      logger.debug(`Automation rules saved for ${deviceId}`);
+    } catch (error) {
+      logger.error(`Error saving automation rules for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Get the loaded rules of a device
+   */
+  getDeviceRules(deviceId) {
+    return this.rules.get(deviceId) || [];
+  }
+
+  /**
+   * Forget the rules of a device that was removed from the registry
+   * (the file is kept)
+   */
+  removeDevice(deviceId) {
+    this.rules.delete(deviceId);
+    this.relaySettings.delete(deviceId);
+    this.relayStatus.delete(deviceId);
+    this.cycles.delete(deviceId);
+    this.overrides.delete(deviceId);
+    this.sceneStates.delete(deviceId);
+    this.pending.delete(deviceId);
+    this.history.delete(deviceId);
+    this.lastFailures.delete(deviceId);
+  }
+
+  /**
+   * Get the switch history store of a device
+   */
+  getHistoryStore(deviceId) {
+    if (!this.history.has(deviceId)) {
+      this.history.set(deviceId, new TimeSeriesStore(fileStorage.deviceFile(deviceId, 'automation-history'), {
+        retentionDays: AUTOMATION_HISTORY_RETENTION_DAYS,
+        compactAfterDays: 0 // Entries are never downsampled
+      }));
+    }
+    return this.history.get(deviceId);
+  }
+
+  /**
+   * Get the start times of the running cycles of a device, keyed by rule ID
+   */
+  getCycles(deviceId) {
+    if (!this.cycles.has(deviceId)) this.cycles.set(deviceId, {});
+    return this.cycles.get(deviceId);
+  }
+
+  /**
+   * Get the manual overrides of a device, keyed by relay ID
+   * (expired ones are removed at the next evaluation)
+   */
+  getOverrides(deviceId) {
+    if (!this.overrides.has(deviceId)) this.overrides.set(deviceId, {});
+    return this.overrides.get(deviceId);
+  }
+
+  /**
+   * Get the state each scene rule of a device last applied, keyed by rule ID
+   */
+  getSceneStates(deviceId) {
+    if (!this.sceneStates.has(deviceId)) this.sceneStates.set(deviceId, {});
+    return this.sceneStates.get(deviceId);
+  }
+
+  /**
+   * Get the override of a relay unless it has expired
+   */
+  getActiveOverride(deviceId, relayId, now = Date.now()) {
+    const override = this.getOverrides(deviceId)[relayId];
+    return override && Date.parse(override.until) > now ? override : null;
+  }
+
+  /**
+   * Switch an automated relay by hand and pause its automation
+   * - minutes: for that long (at most 7 days)
+   * - untilNextSchedule: until the next switch time of its time rules
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   * @returns {Object} The override { state, until, user, createdAt }
+   */
+  async setOverride(deviceId, relayId, { state, minutes, untilNextSchedule }, actor = {}) {
+    const previous = this.getActiveOverride(deviceId, relayId);
+    const now = Date.now();
+    let override = null;
+
+    try {
+      if (!relayId.match(/^i([1-9]|10)$/)) {
+        throw new Error('Invalid relay ID');
+      }
+      if (![0, 1].includes(state)) {
+        throw new Error('Invalid state (must be 0 or 1)');
+      }
+      const rules = this.getDeviceRules(deviceId);
+      if (!this.getActiveRulesByRelay(rules)[relayId] && !this.getSceneRelays(deviceId, rules).has(relayId)) {
+        throw new Error('Relay has no active automation rule: switch it directly');
+      }
+
+      let until;
+      if (untilNextSchedule) {
+        const next = this.getUpcomingActions(deviceId, now, now + MAX_OVERRIDE_MINUTES * 60000)
+          .find(action => action.relay === relayId);
+        if (!next) {
+          throw new Error('No upcoming schedule change for this relay');
+        }
+        until = Date.parse(next.time);
+      } else {
+        if (typeof minutes !== 'number' || !(minutes > 0) || minutes > MAX_OVERRIDE_MINUTES) {
+          throw new Error(`Override duration must be between 1 and ${MAX_OVERRIDE_MINUTES} minutes`);
+        }
+        until = now + minutes * 60000;
+      }
+
+      override = {
+        state,
+        until: new Date(until).toISOString(),
+        user: actor.user || 'unknown',
+        createdAt: new Date(now).toISOString()
+      };
+
+      await relayService.controlRelay(deviceId, relayId, state, { ...actor, reason: `Manual override until ${override.until}` });
+
+      this.getOverrides(deviceId)[relayId] = override;
+      delete this.getPending(deviceId)[relayId];
+      await this.saveRules(deviceId);
+      this.updateOverrideStatus(deviceId, relayId, override);
+
+      logger.info(`Override of ${relayId} on ${deviceId}: ${state === 1 ? 'ON' : 'OFF'} until ${override.until} (${override.user})`);
+      await auditService.record({ deviceId, action: 'relay.override', target: relayId, previous, value: override, actor });
+      return override;
+    } catch (error) {
+      await auditService.record({ deviceId, action: 'relay.override', target: relayId, previous, value: override || { state }, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * End the override of a relay early; automation takes over at the next evaluation
+   * @returns {boolean} false when the relay had no override
+   */
+  async releaseOverride(deviceId, relayId, actor = {}) {
+    const previous = this.getActiveOverride(deviceId, relayId);
+    if (!previous) return false;
+
+    delete this.getOverrides(deviceId)[relayId];
+    await this.saveRules(deviceId);
+    this.updateOverrideStatus(deviceId, relayId, null);
+
+    logger.info(`Override of ${relayId} on ${deviceId} released`);
+    await auditService.record({ deviceId, action: 'relay.release', target: relayId, previous, actor });
+    return true;
+  }
+
+  /**
+   * Show a new or released override in the relay status right away
+   */
+  updateOverrideStatus(deviceId, relayId, override) {
+    const relays = this.getRelayStatus(deviceId);
+    this.updateRelayStatus(deviceId, {
+      ...relays,
+      [relayId]: { ruleId: null, targetState: null, reason: null, ...relays[relayId], hold: null, override }
+    });
+  }
+
+  /**
+   * Get the debounced relays of a device, keyed by relay ID
+   */
+  getPending(deviceId) {
+    if (!this.pending.has(deviceId)) this.pending.set(deviceId, {});
+    return this.pending.get(deviceId);
+  }
+
+  /**
+   * Get the settings of a relay, with defaults for unset values
+   */
+  getRelaySettings(deviceId, relayId) {
+    return { ...DEFAULT_RELAY_SETTINGS, ...(this.relaySettings.get(deviceId) || {})[relayId] };
+  }
+
+  /**
+   * Get the settings of every relay that has any, keyed by relay ID
+   */
+  getAllRelaySettings(deviceId) {
+    const settings = this.relaySettings.get(deviceId) || {};
+    return Object.fromEntries(Object.keys(settings).map(relayId => [relayId, this.getRelaySettings(deviceId, relayId)]));
+  }
+
+  /**
+   * Update the settings of a relay; omitted values are kept
+   * - strategy: see STRATEGIES
+   * - minOnSeconds / minOffSeconds: automation will not switch the relay again
+   *   before that time has passed since its last change (0 = no minimum);
+   *   manual commands are not limited
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  async saveRules() {
+  async setRelaySettings(deviceId, relayId, data, actor = {}) {
+    const previous = (this.relaySettings.get(deviceId) || {})[relayId] || null;
+    const current = this.getRelaySettings(deviceId, relayId);
+    const settings = {
+      strategy: data.strategy ?? current.strategy,
+      minOnSeconds: data.minOnSeconds ?? current.minOnSeconds,
+      minOffSeconds: data.minOffSeconds ?? current.minOffSeconds
+    };
+
     try {
-      await fileStorage.writeJSON('automation-rules.json', { rules: this.rules });
-      logger.debug('Automation rules saved');
+      this.validateRelaySettings(relayId, settings);
+
+      this.relaySettings.set(deviceId, { ...this.relaySettings.get(deviceId), [relayId]: settings });
+      await this.saveRules(deviceId);
+      logger.info(`Relay settings of ${relayId} on ${deviceId}: ${settings.strategy}, min on ${settings.minOnSeconds}s, min off ${settings.minOffSeconds}s`);
+      await auditService.record({ deviceId, action: 'relay.settings', target: relayId, previous, value: settings, actor });
+      return settings;
     } catch (error) {
-      logger.error('Error saving automation rules:', error);
+      await auditService.record({ deviceId, action: 'relay.settings', target: relayId, previous, value: settings, actor, error });
+      throw error;
     }
   }
 
+  /**
+   * Validate the settings of a relay
+   */
+  validateRelaySettings(relayId, settings) {
+    if (!relayId.match(/^i([1-9]|10)$/)) {
+      throw new Error('Invalid relay ID');
+    }
+    if (!STRATEGIES[settings.strategy]) {
+      throw new Error(`Invalid strategy (must be one of: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+    for (const key of ['minOnSeconds', 'minOffSeconds']) {
+      if (typeof settings[key] !== 'number' || isNaN(settings[key]) || settings[key] < 0) {
+        throw new Error(`${key} must be a non-negative number of seconds`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get what automation is doing with each relay, keyed by relay ID:
+   * { ruleId (controlling rule), targetState, reason, hold, override }
+   * hold is set while the relay should switch but may not yet:
+   * { type (debounce, minOn, minOff, command, maintenance), until, message }
+   * override is set while the relay is switched by hand (see setOverride)
+   */
+  getRelayStatus(deviceId) {
+    return this.relayStatus.get(deviceId) || {};
+  }
+
+  /**
+   * Replace the relay status of a device, notifying dashboards when it changed
+   */
+  updateRelayStatus(deviceId, relays) {
+    if (JSON.stringify(relays) === JSON.stringify(this.getRelayStatus(deviceId))) return;
+
+    this.relayStatus.set(deviceId, relays);
+    emitToDevice(deviceId, 'automationRelays', { deviceId, relays });
+  }
+
   /**
    * Add or update automation rule
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  async addOrUpdateRule(rule) {
+  async addOrUpdateRule(deviceId, rule, actor = {}) {
+    const rules = this.getDeviceRules(deviceId);
+    const existingIndex = rules.findIndex(r => r.id === rule.id);
+    const previous = existingIndex >= 0 ? rules[existingIndex] : null;
+    const action = previous ? 'rule.update' : 'rule.create';
+
     try {
       // Validate rule
       this.validateRule(rule);
 
-      // Check if rule exists
-      const existingIndex = this.rules.findIndex(r => r.id === rule.id);
+      for (const sceneId of [rule.scene, rule.offScene].filter(Boolean)) {
+        if (!sceneService.getScene(deviceId, sceneId)) {
+          throw new Error(`Unknown scene: ${sceneId}`);
+        }
+      }
+
+      const conflict = this.getSceneConflict(deviceId, rules, rule);
+      if (conflict) {
+        throw new Error(conflict);
+      }
+
+      // A changed cycle starts over; a changed scene rule applies its scene again
+      delete this.getCycles(deviceId)[rule.id];
+      delete this.getSceneStates(deviceId)[rule.id];
 
       if (existingIndex >= 0) {
         // Update existing rule
-        this.rules[existingIndex] = { ...rule, updatedAt: new Date().toISOString() };
-        logger.info(`Updated automation rule: ${rule.id}`);
+        rules[existingIndex] = { ...rule, updatedAt: new Date().toISOString() };
+        logger.info(`Updated automation rule for ${deviceId}: ${rule.id}`);
       } else {
         // Add new rule
         rule.id = rule.id || `rule_${Date.now()}`;
         rule.createdAt = new Date().toISOString();
-        this.rules.push(rule);
-        logger.info(`Added new automation rule: ${rule.id}`);
+        rules.push(rule);
+        logger.info(`Added new automation rule for ${deviceId}: ${rule.id}`);
       }
 
-      await this.saveRules();
+      this.rules.set(deviceId, rules);
+      await this.saveRules(deviceId);
+      await auditService.record({ deviceId, action, target: rule.id, previous, value: rule, actor });
       return rule;
     } catch (error) {
       logger.error('Error adding/updating rule:', error);
+      await auditService.record({ deviceId, action, target: rule.id || null, previous, value: rule, actor, error });
       throw error;
     }
   }
 
   /**
    * Delete automation rule
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  async deleteRule(ruleId) {
-    try {
-      const initialLength = this.rules.length;
-      this.rules = this.rules.filter(r => r.id !== ruleId);
+  async deleteRule(deviceId, ruleId, actor = {}) {
+    const rules = this.getDeviceRules(deviceId);
+    const previous = rules.find(r => r.id === ruleId) || null;
 
-      if (this.rules.length < initialLength) {
-        await this.saveRules();
-        logger.info(`Deleted automation rule: ${ruleId}`);
+    try {
+      if (previous) {
+        this.rules.set(deviceId, rules.filter(r => r.id !== ruleId));
+        delete this.getCycles(deviceId)[ruleId];
+        delete this.getSceneStates(deviceId)[ruleId];
+        await this.saveRules(deviceId);
+        logger.info(`Deleted automation rule for ${deviceId}: ${ruleId}`);
+        await auditService.record({ deviceId, action: 'rule.delete', target: ruleId, previous, actor });
         return true;
       }
 
       return false;
     } catch (error) {
       logger.error('Error deleting rule:', error);
+      await auditService.record({ deviceId, action: 'rule.delete', target: ruleId, previous, actor, error });
       throw error;
     }
   }
@@ -94,36 +447,105 @@ class AutomationService {
   /**
    * Get all automation rules
    */
-  async getRules() {
-    return this.rules;
+  async getRules(deviceId) {
+    return this.getDeviceRules(deviceId);
+  }
+
+  /**
+   * Check that a rule does not automate a relay that is also automated the
+   * other way: by the scenes of an active scene rule and by active relay rules.
+   * Relays a scene gained later are left out when it is applied (see applySceneRule)
+   * @param {Array} rules - The other rules (a rule with the same ID is ignored)
+   * @returns {string|null} Why the rule conflicts, null when it does not
+   */
+  getSceneConflict(deviceId, rules, rule) {
+    const isActive = r => r.enabled && r.mode !== 'manual';
+    if (!isActive(rule)) return null;
+
+    const others = rules.filter(r => r.id !== rule.id && isActive(r));
+    const sceneRules = rule.scene ? [rule] : others.filter(r => r.scene);
+    const relayRules = rule.scene ? others.filter(r => !r.scene) : [rule];
+
+    for (const sceneRule of sceneRules) {
+      for (const sceneId of [sceneRule.scene, sceneRule.offScene].filter(Boolean)) {
+        const scene = sceneService.getScene(deviceId, sceneId);
+        const relayRule = relayRules.find(r => scene?.relays[r.relay] !== undefined);
+
+        if (relayRule) {
+          return `Relay ${relayRule.relay} is set by scene ${scene.name} of rule ${sceneRule.id || '(new)'} ` +
+            `and by rule ${relayRule.id || '(new)'}: a relay is automated by its own rules or by scene rules, not both`;
+        }
+      }
+    }
+    return null;
   }
 
   /**
    * Validate automation rule
    */
   validateRule(rule) {
-    if (!rule.relay || !rule.relay.match(/^i([1-9]|10)$/)) {
+    // A rule targets a relay, or a scene (optionally another scene when OFF)
+    if (rule.scene !== undefined) {
+      if (rule.relay) {
+        throw new Error('A rule targets either a relay or a scene');
+      }
+      if (typeof rule.scene !== 'string' || !rule.scene) {
+        throw new Error('Invalid scene ID');
+      }
+      if (rule.offScene !== undefined && (typeof rule.offScene !== 'string' || !rule.offScene)) {
+        throw new Error('Invalid off scene ID');
+      }
+    } else if (!rule.relay || !rule.relay.match(/^i([1-9]|10)$/)) {
       throw new Error('Invalid relay ID');
     }
 
-    if (!['manual', 'sensor', 'time'].includes(rule.mode)) {
+    if (!['manual', 'sensor', 'time', 'cycle'].includes(rule.mode)) {
       throw new Error('Invalid mode');
     }
 
+    // Sensor rules use a condition tree, or the older single sensor/operator/threshold
     if (rule.mode === 'sensor') {
-      if (!rule.sensor) throw new Error('Sensor required for sensor mode');
-      if (!rule.operator || !['<', '>'].includes(rule.operator)) {
-        throw new Error('Invalid operator');
+      if (rule.condition) {
+        validateCondition(rule.condition);
+      } else {
+        if (!rule.sensor) throw new Error('Sensor required for sensor mode');
+        if (!rule.operator || !['<', '>'].includes(rule.operator)) {
+          throw new Error('Invalid operator');
+        }
+        if (rule.threshold === undefined || rule.threshold === null) {
+          throw new Error('Threshold required');
+        }
+        // Same checks as a condition tree: numeric threshold and deadband
+        validateCondition(fromLegacyRule(rule));
       }
-      if (rule.threshold === undefined || rule.threshold === null) {
-        throw new Error('Threshold required');
+
+      if (rule.holdSeconds !== undefined && (typeof rule.holdSeconds !== 'number' || rule.holdSeconds < 0)) {
+        throw new Error('Hold time must be a non-negative number of seconds');
       }
     }
 
+    if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+      throw new Error('Priority must be a whole number');
+    }
+
+    // Time rules use windows / events (see utils/schedule), or the older startTime / endTime
     if (rule.mode === 'time') {
-      if (!rule.startTime || !rule.endTime) {
+      if (!rule.windows && !rule.events && (!rule.startTime || !rule.endTime)) {
         throw new Error('Start and end time required for time mode');
       }
+      validateSchedule(rule);
+    }
+
+    // Cycle rules run onMinutes / offMinutes, optionally only inside a schedule
+    // and while a condition matches
+    if (rule.mode === 'cycle') {
+      for (const key of ['onMinutes', 'offMinutes']) {
+        if (typeof rule[key] !== 'number' || !(rule[key] > 0)) {
+          throw new Error(`${key} must be a positive number of minutes`);
+        }
+      }
+      if (rule.windows || rule.events) validateSchedule(rule);
+      if (rule.condition) validateCondition(rule.condition);
     }
 
     return true;
@@ -140,8 +562,10 @@ class AutomationService {
 
     logger.info('Starting automation engine');
 
-    // Load rules
-    await this.loadRules();
+    // Load rules of every registered device
+    for (const device of registryService.getDevices()) {
+      await this.loadRules(device.id);
+    }
 
     // Evaluate immediately
     await this.evaluateAllRules();
@@ -149,7 +573,12 @@ class AutomationService {
     // Then evaluate every 10 seconds
     this.evaluationInterval = setInterval(() => {
       this.evaluateAllRules();
-    }, 10000);
+    }, EVALUATION_INTERVAL_MS);
+
+    if (!this.maintenanceTask) {
+      this.maintenanceTask = cron.schedule(HISTORY_MAINTENANCE_CRON, () => this.applyRetention());
+    }
+    this.applyRetention();
 
     this.isRunning = true;
   }
@@ -158,6 +587,11 @@ class AutomationService {
    * Stop automation engine
    */
   stop() {
+    if (this.maintenanceTask) {
+      this.maintenanceTask.stop();
+      this.maintenanceTask = null;
+    }
+
     if (this.evaluationInterval) {
       clearInterval(this.evaluationInterval);
       this.evaluationInterval = null;
@@ -167,159 +601,700 @@ class AutomationService {
   }
 
   /**
-   * Evaluate all automation rules
+   * Drop switch history older than AUTOMATION_HISTORY_RETENTION_DAYS
+   */
+  async applyRetention() {
+    for (const device of registryService.getDevices()) {
+      try {
+        await this.getHistoryStore(device.id).applyRetention();
+      } catch (error) {
+        logger.error(`Automation history retention failed for ${device.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Evaluate automation rules of every enabled device
    */
   async evaluateAllRules() {
+    for (const device of registryService.getEnabledDevices()) {
+      await this.evaluateDeviceRules(device.id);
+    }
+  }
+
+  /**
+   * Evaluate all automation rules of one device
+   */
+  async evaluateDeviceRules(deviceId) {
     try {
-      const currentData = cacheService.getLatestData();
+      const currentData = cacheService.getLatestData(deviceId);
 
       if (!currentData) {
-        logger.debug('No data available for rule evaluation');
+        logger.debug(`No data available for rule evaluation on ${deviceId}`);
         return;
       }
 
-      for (const rule of this.rules) {
-        if (!rule.enabled) continue;
+      const sample = {
+        raw: currentData,
+        calculated: cacheService.getProcessedData(deviceId)?.calculated || null
+      };
+      const relayStates = await relayService.getAllRelayStates(deviceId);
+      const relays = {};
+      const savedBefore = JSON.stringify([this.getCycles(deviceId), this.getOverrides(deviceId), this.getSceneStates(deviceId)]);
+      const context = this.createContext(deviceId);
+      const maintenance = maintenanceService.getActive(deviceId);
+
+      const rulesByRelay = this.getActiveRulesByRelay(this.getDeviceRules(deviceId));
+
+      for (const relayId of Object.keys(this.getOverrides(deviceId))) {
+        if (!this.getActiveOverride(deviceId, relayId, context.now)) {
+          delete this.getOverrides(deviceId)[relayId];
+          logger.info(`Override of ${relayId} on ${deviceId} expired`);
+        }
+      }
+
+      for (const [relayId, rules] of Object.entries(rulesByRelay)) {
+        const currentState = relayStates[relayId];
+        const decision = this.resolveRelay(context, relayId, rules, sample, currentState);
+        const override = this.getActiveOverride(deviceId, relayId, context.now);
 
-        // Skip manual mode
-        if (rule.mode === 'manual') continue;
+        // Overridden relays keep their manual state; the decision is shown for information
+        if (override) {
+          relays[relayId] = {
+            ruleId: decision?.rule.id ?? null,
+            targetState: decision?.targetState ?? null,
+            reason: decision?.reason ?? null,
+            hold: null,
+            override
+          };
+          continue;
+        }
+        if (!decision) continue;
 
-        // Evaluate sensor-based rules
-        if (rule.mode === 'sensor') {
-          await this.evaluateSensorRule(rule, currentData);
+        // Nothing is switched during maintenance; otherwise wait until the
+        // device confirms the last command of the relay
+        const { rule, targetState, reason } = decision;
+        const command = relayService.getPendingCommand(deviceId, relayId);
+        let hold;
+        if (maintenance) {
+          hold = { type: 'maintenance', until: null, message: `Suspended during maintenance (${maintenance.technician})` };
+        } else if (command) {
+          hold = { type: 'command', until: command.deadline, message: 'Waiting for the device to confirm the last command' };
+        } else {
+          hold = await this.applyRuleState(context, decision, currentState, sample);
         }
+        relays[relayId] = { ruleId: rule.id, targetState, reason, hold, override: null };
+      }
+
+      this.updateRelayStatus(deviceId, relays);
 
-        // Evaluate time-based rules
-        if (rule.mode === 'time') {
-          await this.evaluateTimeRule(rule);
+      for (const rule of this.getDeviceRules(deviceId)) {
+        if (rule.scene && rule.enabled && rule.mode !== 'manual' && !maintenance) {
+          await this.applySceneRule(context, rule, sample, rulesByRelay);
         }
       }
+
+      // Keep cycle phases, overrides and applied scenes across restarts
+      if (JSON.stringify([this.getCycles(deviceId), this.getOverrides(deviceId), this.getSceneStates(deviceId)]) !== savedBefore) {
+        await this.saveRules(deviceId);
+      }
     } catch (error) {
-      logger.error('Error evaluating automation rules:', error);
+      logger.error(`Error evaluating automation rules for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * State the rules are evaluated with: the time and what the engine
+   * remembers between evaluations. The live engine uses the service state;
+   * simulations use their own (see simulate)
+   * @returns {Object} { deviceId, now, simulation, cycles, pending, settings(relayId), lastChange(relayId), inSchedule(rule) }
+   */
+  createContext(deviceId) {
+    const now = Date.now();
+
+    return {
+      deviceId,
+      now,
+      simulation: false,
+      cycles: this.getCycles(deviceId),
+      pending: this.getPending(deviceId),
+      settings: relayId => this.getRelaySettings(deviceId, relayId),
+      lastChange: relayId => relayService.getLastChange(deviceId, relayId),
+      inSchedule: rule => isScheduleActive(rule, new Date(now))
+    };
+  }
+
+  /**
+   * Enabled automatic relay rules grouped by relay, highest priority first
+   * (rules with equal priority keep their order)
+   */
+  getActiveRulesByRelay(rules) {
+    const byRelay = {};
+
+    for (const rule of rules) {
+      if (!rule.enabled || rule.mode === 'manual' || rule.scene) continue;
+      (byRelay[rule.relay] = byRelay[rule.relay] || []).push(rule);
     }
+
+    for (const rules of Object.values(byRelay)) {
+      rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    }
+    return byRelay;
+  }
+
+  /**
+   * Relays set by the scenes of the enabled automatic scene rules
+   * @returns {Set} Relay IDs
+   */
+  getSceneRelays(deviceId, rules) {
+    return new Set(rules
+      .filter(rule => rule.enabled && rule.mode !== 'manual' && rule.scene)
+      .flatMap(rule => [rule.scene, rule.offScene].filter(Boolean))
+      .flatMap(sceneId => Object.keys(sceneService.getScene(deviceId, sceneId)?.relays || {})));
+  }
+
+  /**
+   * Combine the rules of one relay into its target state
+   * @returns {Object|null} { rule (controlling rule), targetState, reason },
+   *   null when no rule could be evaluated
+   */
+  resolveRelay(context, relayId, rules, sample, currentState) {
+    const results = rules
+      .map(rule => ({ rule, ...this.evaluateRule(context, rule, sample, currentState === 1) }))
+      .filter(result => result.targetState !== null);
+
+    if (results.length === 0) return null;
+
+    const { strategy } = context.settings(relayId);
+
+    if (strategy === 'any') {
+      return results.find(r => r.targetState === 1) || results[0];
+    }
+    if (strategy === 'all') {
+      return results.find(r => r.targetState === 0) || results[0];
+    }
+    return results[0];
   }
 
   /**
-   * Evaluate sensor-based rule
+   * Target state a single rule asks for
+   * @param {boolean} isOn - Relay is currently on (deadbands apply)
+   * @returns {Object} { targetState (1, 0 or null when values are missing), reason }
    */
-  async evaluateSensorRule(rule, currentData) {
+  evaluateRule(context, rule, sample, isOn) {
     try {
-      const sensorValue = currentData[rule.sensor];
+      if (rule.mode === 'time') {
+        const targetState = context.inSchedule(rule) ? 1 : 0;
+        return { targetState, reason: `Time schedule: ${describeSchedule(rule)}` };
+      }
 
-      if (sensorValue === undefined || sensorValue === null) {
-        logger.warn(`Sensor ${rule.sensor} not found in data`);
-        return;
+      if (rule.mode === 'cycle') {
+        return this.evaluateCycleRule(context, rule, sample);
       }
 
-      let shouldActivate = false;
+      const condition = rule.condition || fromLegacyRule(rule);
+      const matches = evaluateCondition(condition, sample, isOn);
 
-      // Evaluate condition
-      if (rule.operator === '<') {
-        shouldActivate = sensorValue < rule.threshold;
-      } else if (rule.operator === '>') {
-        shouldActivate = sensorValue > rule.threshold;
+      if (matches === null) {
+        if (!context.simulation) {
+          logger.warn(`Rule ${rule.id} on ${context.deviceId} skipped: values missing for ${describeCondition(condition)}`);
+        }
+        return { targetState: null, reason: null };
       }
 
-      const targetState = shouldActivate ? 1 : 0;
+      return {
+        targetState: matches ? 1 : 0,
+        reason: `${matches ? '' : 'not '}${describeCondition(condition, sample)}`
+      };
+    } catch (error) {
+      logger.error(`Error evaluating rule ${rule.id}:`, error);
+      return { targetState: null, reason: null };
+    }
+  }
+
+  /**
+   * Target state of a cycle rule
+   * The cycle starts ON when its schedule and condition allow it to run and
+   * stops (OFF) as soon as they do not; deadbands of the condition apply
+   * while the cycle runs.
+   */
+  evaluateCycleRule(context, rule, sample) {
+    const { cycles, now } = context;
+    const running = cycles[rule.id] !== undefined;
+
+    const inSchedule = rule.windows || rule.events ? context.inSchedule(rule) : true;
+    const matches = rule.condition ? evaluateCondition(rule.condition, sample, running) : true;
 
-      // Check if state needs to change
-      const currentRelayStates = await relayService.getAllRelayStates();
-      const currentState = currentRelayStates[rule.relay];
+    if (matches === null) {
+      if (!context.simulation) {
+        logger.warn(`Rule ${rule.id} on ${context.deviceId} skipped: values missing for ${describeCondition(rule.condition)}`);
+      }
+      return { targetState: null, reason: null };
+    }
 
-      if (currentState !== targetState) {
-        logger.info(
-          `Automation triggered: ${rule.relay} -> ${targetState === 1 ? 'ON' : 'OFF'} ` +
-          `(${rule.sensor} ${rule.operator} ${rule.threshold}, value: ${sensorValue})`
-        );
+    if (!inSchedule || !matches) {
+      delete cycles[rule.id];
+      return {
+        targetState: 0,
+        reason: !inSchedule ? `Cycle outside ${describeSchedule(rule)}` : `Cycle stopped: not ${describeCondition(rule.condition, sample)}`
+      };
+    }
 
-        await relayService.controlRelay(rule.relay, targetState);
+    if (!running) cycles[rule.id] = now;
 
-        // Emit event
-        if (global.io) {
-          global.io.emit('automationTriggered', {
-            ruleId: rule.id,
-            relay: rule.relay,
-            state: targetState,
-            reason: `${rule.sensor} (${sensorValue}) ${rule.operator} ${rule.threshold}`
-          });
-        }
+    const onMs = rule.onMinutes * 60000;
+    const periodMs = onMs + rule.offMinutes * 60000;
+    const elapsed = (now - cycles[rule.id]) % periodMs;
+    const isOnPhase = elapsed < onMs;
+    const minutesLeft = Math.ceil(((isOnPhase ? onMs : periodMs) - elapsed) / 60000);
+
+    return {
+      targetState: isOnPhase ? 1 : 0,
+      reason: `Cycle ${rule.onMinutes} min on / ${rule.offMinutes} min off: ${isOnPhase ? 'on' : 'off'} phase, ${minutesLeft} min left`
+    };
+  }
+
+  /**
+   * Switch the relay of a rule to the state it wants, unless held back
+   * (see getHold)
+   * @param {Object} decision - { rule, targetState, reason } from resolveRelay
+   * @param {Object} sample - Values the rules were evaluated with
+   * @returns {Object|null} Hold ({ type, until, message }) when the relay was not switched yet
+   */
+  async applyRuleState(context, decision, currentState, sample) {
+    const { rule, targetState } = decision;
+
+    if (currentState === targetState) {
+      delete context.pending[rule.relay];
+      return null;
+    }
+
+    const hold = this.getHold(context, rule, currentState, targetState);
+    if (!hold) {
+      await this.switchRelay(context, decision, currentState, sample);
+    }
+    return hold;
+  }
+
+  /**
+   * Check whether a relay may switch to the state its rule wants, or is held
+   * back by the rule's hold time (debounce) or the relay's minimum on/off time
+   * @returns {Object|null} Hold ({ type, until, message }), null when it may switch
+   */
+  getHold(context, rule, currentState, targetState) {
+    const { now, pending: pendingByRelay } = context;
+    const key = rule.relay ?? rule.id; // scene rules are debounced on their own
+
+    // Debounce: the rule must want the new state for holdSeconds in a row
+    if (rule.holdSeconds > 0) {
+      let pending = pendingByRelay[key];
+      if (!pending || pending.targetState !== targetState) {
+        pending = { targetState, since: now };
+        pendingByRelay[key] = pending;
+      }
+
+      const until = pending.since + rule.holdSeconds * 1000;
+      if (now < until) {
+        return {
+          type: 'debounce',
+          until: new Date(until).toISOString(),
+          message: `Waiting for the condition to hold ${rule.holdSeconds}s`
+        };
       }
-    } catch (error) {
-      logger.error(`Error evaluating sensor rule ${rule.id}:`, error);
     }
+
+    // Minimum on/off time since the relay last changed (relay rules only)
+    const settings = context.settings(rule.relay);
+    const isOn = currentState === 1;
+    const minSeconds = isOn ? settings.minOnSeconds : settings.minOffSeconds;
+    const lastChange = rule.relay ? context.lastChange(rule.relay) : null;
+
+    if (minSeconds > 0 && lastChange && now < lastChange + minSeconds * 1000) {
+      return {
+        type: isOn ? 'minOn' : 'minOff',
+        until: new Date(lastChange + minSeconds * 1000).toISOString(),
+        message: `Minimum ${isOn ? 'on' : 'off'} time of ${minSeconds}s`
+      };
+    }
+
+    delete pendingByRelay[key];
+    return null;
   }
 
   /**
-   * Evaluate time-based rule
+   * Send the command of a triggered rule, record the attempt and announce it
+   * A failed command (e.g. DEVICE_OFFLINE) is recorded too; the engine tries
+   * again at the next evaluation
    */
-  async evaluateTimeRule(rule) {
+  async switchRelay(context, decision, currentState, sample) {
+    const { deviceId } = context;
+    const { rule, targetState, reason } = decision;
+    let error = null;
+
+    logger.info(`Automation triggered on ${deviceId}: ${rule.relay} -> ${targetState === 1 ? 'ON' : 'OFF'} (${reason})`);
+
     try {
-      const now = new Date();
-      const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+      await relayService.controlRelay(deviceId, rule.relay, targetState, {
+        user: 'automation',
+        source: 'automation',
+        reason: `Rule ${rule.id}: ${reason}`
+      });
+    } catch (err) {
+      error = err;
+      logger.error(`Automation could not switch ${rule.relay} on ${deviceId}: ${err.message}`);
+    }
 
-      // Parse start and end times
-      const [startHour, startMin] = rule.startTime.split(':').map(Number);
-      const [endHour, endMin] = rule.endTime.split(':').map(Number);
+    await this.recordSwitch(deviceId, {
+      relay: rule.relay,
+      ruleId: rule.id,
+      mode: rule.mode,
+      strategy: context.settings(rule.relay).strategy,
+      previousState: currentState ?? null,
+      state: targetState,
+      reason,
+      inputs: this.getRuleInputs(rule, sample)
+    }, error);
 
-      const startMinutes = startHour * 60 + startMin;
-      const endMinutes = endHour * 60 + endMin;
-      const currentMinutes = now.getHours() * 60 + now.getMinutes();
+    if (error) return;
 
-      let shouldBeOn = false;
+    notificationService.notify({
+      type: 'automation.triggered',
+      deviceId,
+      severity: 'info',
+      title: `Automation switched ${rule.relay} ${targetState === 1 ? 'ON' : 'OFF'}`,
+      message: `Rule ${rule.id}: ${reason}`,
+      key: `${rule.id}:${targetState}`
+    });
+  }
 
-      if (startMinutes <= endMinutes) {
-        // Normal case: start time is before end time
-        shouldBeOn = currentMinutes >= startMinutes && currentMinutes < endMinutes;
-      } else {
-        // Crosses midnight
-        shouldBeOn = currentMinutes >= startMinutes || currentMinutes < endMinutes;
+  /**
+   * State a scene rule switches to now
+   * @param {number} [previousState] - State the rule last applied
+   * @returns {Object|null} { targetState, reason }, null while the rule keeps
+   *   its state, is held back or could not be evaluated
+   */
+  resolveSceneRule(context, rule, sample, previousState) {
+    const { targetState, reason } = this.evaluateRule(context, rule, sample, previousState === 1);
+
+    if (targetState === null) return null;
+    if (targetState === previousState) {
+      delete context.pending[rule.id];
+      return null;
+    }
+    if (this.getHold(context, rule, previousState, targetState)) return null;
+
+    return { targetState, reason };
+  }
+
+  /**
+   * Apply the scene of a scene rule when the state it asks for changes:
+   * `scene` when it turns ON, `offScene` (if any) when it turns OFF.
+   * Hold times apply; the relays' minimum on/off times and strategies do
+   * not, as the scene is applied as a whole. Relays with an active override,
+   * or with rules of their own, are left as they are. Failed scenes are
+   * recorded like relay switches and tried again at the next evaluation.
+   * @param {Object} rulesByRelay - Active relay rules of the device, see getActiveRulesByRelay
+   */
+  async applySceneRule(context, rule, sample, rulesByRelay) {
+    const { deviceId } = context;
+    const states = this.getSceneStates(deviceId);
+    const previousState = states[rule.id];
+    const decision = this.resolveSceneRule(context, rule, sample, previousState);
+
+    if (!decision) return;
+
+    const { targetState, reason } = decision;
+    const sceneId = targetState === 1 ? rule.scene : rule.offScene;
+    if (!sceneId) {
+      states[rule.id] = targetState;
+      return;
+    }
+
+    const skipRelays = Object.keys(sceneService.getScene(deviceId, sceneId)?.relays || {})
+      .filter(relayId => rulesByRelay[relayId] || this.getActiveOverride(deviceId, relayId, context.now));
+    let error = null;
+    logger.info(`Automation triggered on ${deviceId}: scene ${sceneId} (${reason})` +
+      (skipRelays.length > 0 ? `, leaving ${skipRelays.join(', ')} unchanged` : ''));
+
+    try {
+      await sceneService.applyScene(deviceId, sceneId, {
+        user: 'automation',
+        source: 'automation',
+        reason: `Rule ${rule.id}: ${reason}`
+      }, { skipRelays });
+      states[rule.id] = targetState;
+    } catch (err) {
+      error = err;
+      logger.error(`Automation could not apply scene ${sceneId} on ${deviceId}: ${err.message}`);
+    }
+
+    await this.recordSwitch(deviceId, {
+      relay: null,
+      scene: sceneId,
+      ruleId: rule.id,
+      mode: rule.mode,
+      strategy: null,
+      previousState: previousState ?? null,
+      state: targetState,
+      reason,
+      inputs: this.getRuleInputs(rule, sample)
+    }, error);
+
+    if (error) return;
+
+    notificationService.notify({
+      type: 'automation.triggered',
+      deviceId,
+      severity: 'info',
+      title: `Automation applied scene ${sceneService.getScene(deviceId, sceneId)?.name || sceneId}`,
+      message: `Rule ${rule.id}: ${reason}`,
+      key: `${rule.id}:${targetState}`
+    });
+  }
+
+  /**
+   * Values the condition of a rule read ({ d1: 850 }), empty for rules without one
+   */
+  getRuleInputs(rule, sample) {
+    const condition = rule.condition || (rule.mode === 'sensor' ? fromLegacyRule(rule) : null);
+    return condition
+      ? Object.fromEntries(getConditionFields(condition).map(field => [field, getFieldValue(sample, field)]))
+      : {};
+  }
+
+  /**
+   * Persist a switch attempt and push it to dashboards (automationTriggered)
+   * Repeats of the same failure are only recorded once, until the relay
+   * switches or fails differently.
+   * @param {Object} attempt - { relay (null for scene rules), scene?, ruleId, mode, strategy, previousState, state, reason, inputs }
+   * @param {Error} [error] - Why the command failed
+   * @returns {Object|null} The entry, null when it was a repeated failure
+   */
+  async recordSwitch(deviceId, attempt, error = null) {
+    if (!this.lastFailures.has(deviceId)) this.lastFailures.set(deviceId, {});
+    const lastFailures = this.lastFailures.get(deviceId);
+    const failureKey = error ? `${attempt.ruleId}:${attempt.state}:${error.code || error.message}` : null;
+    const target = attempt.relay ?? attempt.ruleId;
+
+    if (error && lastFailures[target] === failureKey) return null;
+    lastFailures[target] = failureKey;
+
+    const t = Date.now();
+    const entry = {
+      t,
+      id: crypto.randomUUID(),
+      timestamp: new Date(t).toISOString(),
+      deviceId,
+      ...attempt,
+      result: error ? 'failure' : 'success',
+      error: error ? error.message : null,
+      errorCode: error?.code || null
+    };
+
+    try {
+      await this.getHistoryStore(deviceId).append(entry);
+    } catch (err) {
+      logger.error(`Failed to store automation history for ${deviceId}:`, err.message);
+    }
+
+    emitToDevice(deviceId, 'automationTriggered', entry);
+    return entry;
+  }
+
+  /**
+   * Get the switch attempts of a device, newest first
+   * @param {Object} filters - from/to (epoch ms), relay, result (success or failure), limit
+   */
+  async getHistory(deviceId, { from, to, relay, result, limit = 200 }) {
+    const entries = await this.getHistoryStore(deviceId).query(from, to);
+
+    return entries
+      .filter(entry => (!relay || entry.relay === relay) && (!result || entry.result === result))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Replay history through a set of rules without switching anything
+   * Steps through [from, to] like the engine (every 10s, coarser for long
+   * ranges) with the latest sample at each step. Relays start in the state
+   * of the first sample (OFF when unknown); scene rules switch the relays of
+   * their scenes.
+   * @param {Object} options
+   * @param {Array} options.rules - Rules to simulate (need not be saved)
+   * @param {Object} [options.relaySettings] - Settings per relay ID replacing the saved ones
+   * @param {number} options.from - Range start (epoch ms)
+   * @param {number} options.to - Range end (epoch ms)
+   * @returns {Object} { from, to, stepMs, source, backfill, partial, coveredFrom, sampleCount,
+   *   relays: { relayId: { toggles, onSeconds, onPercent, timeline: [{ time, state, ruleId, reason }] } } }
+   */
+  async simulate(deviceId, { rules, relaySettings = {}, from, to }) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error('At least one rule is required');
+    }
+    if (to - from > MAX_SIMULATION_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`Simulations can cover at most ${MAX_SIMULATION_DAYS} days`);
+    }
+
+    rules.forEach(rule => this.validateRule(rule));
+    const simulatedRules = rules.map((rule, index) => ({ ...rule, id: rule.id || `rule_${index + 1}` }));
+
+    for (const rule of simulatedRules) {
+      for (const sceneId of [rule.scene, rule.offScene].filter(Boolean)) {
+        if (!sceneService.getScene(deviceId, sceneId)) {
+          throw new Error(`Unknown scene: ${sceneId}`);
+        }
       }
 
-      const targetState = shouldBeOn ? 1 : 0;
+      const conflict = this.getSceneConflict(deviceId, simulatedRules, rule);
+      if (conflict) {
+        throw new Error(conflict);
+      }
+    }
+
+    const settings = {};
+    for (const [relayId, data] of Object.entries(relaySettings || {})) {
+      settings[relayId] = { ...this.getRelaySettings(deviceId, relayId), ...data };
+      this.validateRelaySettings(relayId, settings[relayId]);
+    }
 
-      // Check if state needs to change
-      const currentRelayStates = await relayService.getAllRelayStates();
-      const currentState = currentRelayStates[rule.relay];
+    const { samples, source, backfill, partial, coveredFrom } = await historyService.getRangeSamples(deviceId, from, to);
 
-      // Prevent duplicate executions
-      const evalKey = `${rule.id}_${currentTime}`;
-      if (this.lastEvaluation[evalKey] === targetState) {
-        return; // Already executed this minute
+    // Schedules are expanded once for the whole range
+    const periods = new Map(); // Rule ID -> ON periods
+    const lastChanges = {}; // Relay ID -> epoch ms
+    const context = {
+      deviceId,
+      now: from,
+      simulation: true,
+      cycles: {},
+      pending: {},
+      settings: relayId => settings[relayId] || this.getRelaySettings(deviceId, relayId),
+      lastChange: relayId => lastChanges[relayId] || null,
+      inSchedule: rule => {
+        if (!periods.has(rule.id)) periods.set(rule.id, getOnPeriods(rule, from, to));
+        return periods.get(rule.id).some(period => period.from <= context.now && context.now < period.to);
       }
+    };
+
+    const rulesByRelay = this.getActiveRulesByRelay(simulatedRules);
+    const states = {};
+    const timelines = {};
+
+    // Scene rules switch the relays of their scenes, like applySceneRule
+    const sceneRules = simulatedRules.filter(rule => rule.scene && rule.enabled && rule.mode !== 'manual');
+    const sceneStates = {}; // Rule ID -> state last applied
+
+    for (const relayId of new Set([...Object.keys(rulesByRelay), ...this.getSceneRelays(deviceId, simulatedRules)])) {
+      states[relayId] = samples[0]?.raw?.[relayId] === 1 ? 1 : 0;
+      timelines[relayId] = [{ time: from, state: states[relayId], ruleId: null, reason: 'Initial state' }];
+    }
 
-      if (currentState !== targetState) {
-        logger.info(
-          `Time automation triggered: ${rule.relay} -> ${targetState === 1 ? 'ON' : 'OFF'} ` +
-          `(schedule: ${rule.startTime}-${rule.endTime}, current: ${currentTime})`
-        );
+    const stepMs = Math.max(EVALUATION_INTERVAL_MS, Math.ceil((to - from) / MAX_SIMULATION_STEPS / 1000) * 1000);
+    const noData = { raw: {}, calculated: null };
+    let sampleIndex = -1;
 
-        await relayService.controlRelay(rule.relay, targetState);
+    for (let now = from; now <= to; now += stepMs) {
+      context.now = now;
+      while (sampleIndex + 1 < samples.length && samples[sampleIndex + 1].t <= now) sampleIndex++;
+      const sample = sampleIndex >= 0 ? samples[sampleIndex] : noData;
 
-        this.lastEvaluation[evalKey] = targetState;
+      for (const [relayId, relayRules] of Object.entries(rulesByRelay)) {
+        const decision = this.resolveRelay(context, relayId, relayRules, sample, states[relayId]);
+        if (!decision) continue;
 
-        // Emit event
-        if (global.io) {
-          global.io.emit('automationTriggered', {
-            ruleId: rule.id,
-            relay: rule.relay,
-            state: targetState,
-            reason: `Time schedule: ${rule.startTime}-${rule.endTime}`
-          });
+        const { rule, targetState, reason } = decision;
+        if (targetState === states[relayId]) {
+          delete context.pending[relayId];
+          continue;
         }
+        if (this.getHold(context, rule, states[relayId], targetState)) continue;
+
+        states[relayId] = targetState;
+        lastChanges[relayId] = now;
+        timelines[relayId].push({ time: now, state: targetState, ruleId: rule.id, reason });
       }
-    } catch (error) {
-      logger.error(`Error evaluating time rule ${rule.id}:`, error);
+
+      for (const rule of sceneRules) {
+        const decision = this.resolveSceneRule(context, rule, sample, sceneStates[rule.id]);
+        if (!decision) continue;
+
+        const { targetState, reason } = decision;
+        const scene = sceneService.getScene(deviceId, targetState === 1 ? rule.scene : rule.offScene);
+        sceneStates[rule.id] = targetState;
+
+        for (const [relayId, state] of Object.entries(scene?.relays || {})) {
+          if (state === states[relayId]) continue;
+
+          states[relayId] = state;
+          lastChanges[relayId] = now;
+          timelines[relayId].push({ time: now, state, ruleId: rule.id, reason: `Scene ${scene.name}: ${reason}` });
+        }
+      }
+    }
+
+    const relays = {};
+    for (const [relayId, timeline] of Object.entries(timelines)) {
+      const onMs = timeline.reduce((total, change, index) => (
+        change.state === 1 ? total + (timeline[index + 1]?.time ?? to) - change.time : total
+      ), 0);
+
+      relays[relayId] = {
+        toggles: timeline.length - 1,
+        onSeconds: Math.round(onMs / 1000),
+        onPercent: Math.round((onMs / (to - from)) * 1000) / 10,
+        timeline: timeline.map(change => ({ ...change, time: new Date(change.time).toISOString() }))
+      };
     }
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      stepMs,
+      source,
+      backfill,
+      partial,
+      coveredFrom,
+      sampleCount: samples.length,
+      relays
+    };
+  }
+
+  /**
+   * Upcoming switch times of the enabled time rules of the relays of a device
+   * @returns {Array} [{ time, relay, ruleId, state, source }], oldest first
+   */
+  getUpcomingActions(deviceId, from, to) {
+    return this.getDeviceRules(deviceId)
+      .filter(rule => rule.enabled && rule.mode === 'time' && rule.relay)
+      .flatMap(rule => getScheduledActions(rule, from, to).map(action => ({
+        time: new Date(action.time).toISOString(),
+        relay: rule.relay,
+        ruleId: rule.id,
+        state: action.state,
+        source: action.source
+      })))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+
+  /**
+   * Strategies a relay can combine its rules with
+   */
+  getStrategies() {
+    return STRATEGIES;
   }
 
   /**
    * Get automation engine status
+   * Counts the rules of one device, or of all devices when no ID is given
    */
-  getStatus() {
+  getStatus(deviceId) {
+    const rules = deviceId ? this.getDeviceRules(deviceId) : [...this.rules.values()].flat();
+
     return {
       isRunning: this.isRunning,
-      rulesCount: this.rules.length,
-      activeRulesCount: this.rules.filter(r => r.enabled).length
+      rulesCount: rules.length,
+      activeRulesCount: rules.filter(r => r.enabled).length
     };
   }
 }
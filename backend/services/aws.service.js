@@ -1,117 +1,89 @@
-const axios = require('axios');
-const { AWS_API_BASE_URL, ACTUAL_DEVICE_ID, DEVICE_IMEI, DEVICE_METER } = require('../config/constants');
+const registryService = require('./registry.service');
+const dataSources = require('./datasources');
 const logger = require('../utils/logger');
 
+/**
+ * Device data access: readings, commands and report exports
+ *
+ * Every call goes to the data source of the device (`dataSource` in the
+ * registry, see datasources/), so polling, relay control and the display
+ * service work the same whichever source a device uses.
+ */
 class AWSService {
-  constructor() {
-    this.baseURL = AWS_API_BASE_URL;
-    this.deviceId = ACTUAL_DEVICE_ID;
-  }
-
   /**
-   * Fetch hourly data
+   * Registered device and its data source
    */
-  async getHourlyData() {
-    try {
-      const url = `${this.baseURL}/${this.deviceId}/graph/hour`;
-      logger.debug('Fetching hourly data from:', url);
+  resolve(deviceId) {
+    const device = registryService.requireDevice(deviceId);
+    const source = dataSources[device.dataSource];
 
-      const response = await axios.get(url, { timeout: 10000 });
-      return response.data;
-    } catch (error) {
-      logger.error('Error fetching hourly data:', error.message);
-      throw error;
+    if (!source) {
+      throw new Error(`Unknown data source "${device.dataSource}" for ${deviceId}`);
     }
+    return { device, source };
   }
 
   /**
-   * Fetch daily data
+   * Get the data sources a device can use (type -> label)
    */
-  async getDailyData() {
-    try {
-      const url = `${this.baseURL}/${this.deviceId}/graph/day`;
-      const response = await axios.get(url, { timeout: 10000 });
-      return response.data;
-    } catch (error) {
-      logger.error('Error fetching daily data:', error.message);
-      throw error;
-    }
+  getDataSources() {
+    return Object.fromEntries(Object.entries(dataSources).map(([type, source]) => [type, source.label]));
   }
 
   /**
-   * Fetch weekly data
+   * Get the latest reading of a device (null when there is none)
    */
-  async getWeeklyData() {
+  async getLatestData(deviceId) {
     try {
-      const url = `${this.baseURL}/${this.deviceId}/graph/week`;
-      const response = await axios.get(url, { timeout: 10000 });
-      return response.data;
+      const { device, source } = this.resolve(deviceId);
+      return await source.fetchLatest(device);
     } catch (error) {
-      logger.error('Error fetching weekly data:', error.message);
+      logger.error(`Error getting latest data for ${deviceId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Generate report (CSV download)
+   * Get the readings of a device between two timestamps (epoch ms), oldest first
    */
-  async generateReport(startDate, endDate) {
+  async getRangeData(deviceId, from, to) {
     try {
-      const url = `${this.baseURL}/${this.deviceId}/report?startDate=${startDate}&endDate=${endDate}`;
-      const response = await axios.get(url, { timeout: 15000 });
-      return response.data;
+      const { device, source } = this.resolve(deviceId);
+      return await source.fetchRange(device, from, to);
     } catch (error) {
-      logger.error('Error generating report:', error.message);
+      logger.error(`Error fetching data range for ${deviceId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Send command to device (relay control or display update)
+   * Get the readings of a long-term export for a date range
+   * @returns {Array|null} Raw readings, null when the data source has no export
    */
-  async sendCommand(commandData) {
+  async generateReport(deviceId, startDate, endDate) {
     try {
-      const url = `${this.baseURL}/${this.deviceId}/command`;
-
-      const payload = {
-        imei: DEVICE_IMEI,
-        meter: DEVICE_METER,
-        ...commandData
-      };
-
-      logger.debug('Sending command:', payload);
-
-      const response = await axios.post(url, payload, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      logger.info('Command sent successfully:', commandData);
-      return response.data;
+      const { device, source } = this.resolve(deviceId);
+      return await source.generateReport(device, startDate, endDate);
     } catch (error) {
-      logger.error('Error sending command:', error.message);
+      logger.error(`Error generating report for ${deviceId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Get latest data point from hourly data
+   * Send command to device (relay control or display update)
    */
-  async getLatestData() {
+  async sendCommand(deviceId, commandData) {
     try {
-      const hourlyData = await this.getHourlyData();
+      const { device, source } = this.resolve(deviceId);
+      logger.debug(`Sending command to ${deviceId} (${device.dataSource}):`, commandData);
 
-      if (hourlyData && hourlyData.data && hourlyData.data.length > 0) {
-        // Get the most recent data point
-        const latestData = hourlyData.data[hourlyData.data.length - 1];
-        return latestData;
-      }
+      const result = await source.sendCommand(device, commandData);
 
-      return null;
+      logger.info(`Command sent successfully to ${deviceId}:`, commandData);
+      return result;
     } catch (error) {
-      logger.error('Error getting latest data:', error.message);
+      logger.error(`Error sending command to ${deviceId}:`, error.message);
       throw error;
     }
   }
@@ -1,54 +1,89 @@
 const logger = require('../utils/logger');
 const fileStorage = require('../utils/fileStorage');
+const notificationService = require('./notification.service');
 
 class CacheService {
   constructor() {
-    this.latestData = null;
-    this.processedData = null;
-    this.lastUpdate = null;
-    this.isOnline = false;
+    // Per-device cache, keyed by device ID
+    this.devices = new Map();
 
     // Consecutive failure tracking for stable online/offline detection
-    this.consecutiveFailures = 0;
     this.maxConsecutiveFailures = 5; // 5 real API failures before marking offline
-    this.lastError = null;
 
     // Time-based offline detection (backup check)
     // If no data received for this duration, consider offline
     this.offlineTimeoutMs = 90000; // 90 seconds - covers ~6-9 data intervals at 10-15s each
   }
 
+  /**
+   * Get the cache entry of a device, creating an empty one if needed
+   */
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        latestData: null,
+        processedData: null,
+        lastUpdate: null,
+        isOnline: false,
+        consecutiveFailures: 0,
+        lastError: null
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Drop the cache of a device that was removed from the registry
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
   /**
    * Update cached data
    */
-  updateLatestData(data) {
-    this.latestData = data;
-    this.lastUpdate = new Date();
+  updateLatestData(deviceId, data) {
+    const state = this.getState(deviceId);
+    state.latestData = data;
+    state.lastUpdate = new Date();
 
     // Mark device as online and reset failure counter
-    this.markOnline();
+    this.markOnline(deviceId);
 
     // Persist to file
-    fileStorage.writeJSON('last-data.json', {
+    fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'last-data.json'), {
       data: data,
-      timestamp: this.lastUpdate.toISOString()
+      timestamp: state.lastUpdate.toISOString()
     }).catch(err => logger.error('Failed to persist data:', err));
 
-    logger.debug('Cache updated with latest data');
+    logger.debug(`Cache updated with latest data for ${deviceId}`);
   }
 
   /**
    * Mark device as online - called when data is successfully received
    * Resets consecutive failure counter
    */
-  markOnline() {
-    const wasOffline = !this.isOnline;
-    this.isOnline = true;
-    this.consecutiveFailures = 0;
-    this.lastError = null;
+  markOnline(deviceId) {
+    const state = this.getState(deviceId);
+    const wasOffline = !state.isOnline;
+    const recovered = state.consecutiveFailures >= this.maxConsecutiveFailures;
+    state.isOnline = true;
+    state.consecutiveFailures = 0;
+    state.lastError = null;
 
     if (wasOffline) {
-      logger.info('Device is now ONLINE');
+      logger.info(`Device ${deviceId} is now ONLINE`);
+    }
+
+    // Only announce recovery from an outage that was announced
+    if (recovered) {
+      notificationService.notify({
+        type: 'device.online',
+        deviceId,
+        severity: 'info',
+        title: 'Device back online',
+        message: `Device ${deviceId} is sending data again`
+      });
     }
   }
 
@@ -56,18 +91,29 @@ class CacheService {
    * Record a failure - called when polling fails
    * Device goes offline after maxConsecutiveFailures
    */
-  recordFailure(error) {
-    this.consecutiveFailures++;
-    this.lastError = error?.message || 'Unknown error';
+  recordFailure(deviceId, error) {
+    const state = this.getState(deviceId);
+    state.consecutiveFailures++;
+    state.lastError = error?.message || 'Unknown error';
 
-    logger.warn(`Poll failure ${this.consecutiveFailures}/${this.maxConsecutiveFailures}: ${this.lastError}`);
+    logger.warn(`Poll failure for ${deviceId} ${state.consecutiveFailures}/${this.maxConsecutiveFailures}: ${state.lastError}`);
 
-    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
-      const wasOnline = this.isOnline;
-      this.isOnline = false;
+    if (state.consecutiveFailures >= this.maxConsecutiveFailures) {
+      const wasOnline = state.isOnline;
+      state.isOnline = false;
 
       if (wasOnline) {
-        logger.error('Device is now OFFLINE after consecutive failures');
+        logger.error(`Device ${deviceId} is now OFFLINE after consecutive failures`);
+      }
+
+      if (state.consecutiveFailures === this.maxConsecutiveFailures) {
+        notificationService.notify({
+          type: 'device.offline',
+          deviceId,
+          severity: 'critical',
+          title: 'Device offline',
+          message: `No data from device ${deviceId} after ${state.consecutiveFailures} attempts (${state.lastError})`
+        });
       }
     }
   }
@@ -75,37 +121,37 @@ class CacheService {
   /**
    * Check if relay control is allowed (device must be online)
    */
-  canControlRelays() {
-    return this.isOnline;
+  canControlRelays(deviceId) {
+    return this.getState(deviceId).isOnline;
   }
 
   /**
    * Update processed data (with calculations)
    */
-  updateProcessedData(data) {
-    this.processedData = data;
-    logger.debug('Cache updated with processed data');
+  updateProcessedData(deviceId, data) {
+    this.getState(deviceId).processedData = data;
+    logger.debug(`Cache updated with processed data for ${deviceId}`);
   }
 
   /**
    * Get cached data
    */
-  getLatestData() {
-    return this.latestData;
+  getLatestData(deviceId) {
+    return this.getState(deviceId).latestData;
   }
 
   /**
    * Get processed data (with calculations)
    */
-  getProcessedData() {
-    return this.processedData;
+  getProcessedData(deviceId) {
+    return this.getState(deviceId).processedData;
   }
 
   /**
    * Get last update timestamp
    */
-  getLastUpdate() {
-    return this.lastUpdate;
+  getLastUpdate(deviceId) {
+    return this.getState(deviceId).lastUpdate;
   }
 
   /**
@@ -113,96 +159,104 @@ class CacheService {
    * Primary check: isOnline flag (set by markOnline/recordFailure)
    * Backup check: time since last data (for stale data detection)
    */
-  isDeviceOnline() {
+  isDeviceOnline(deviceId) {
+    const state = this.getState(deviceId);
+
     // If we have recent data, we're online (regardless of isOnline flag)
     // This handles the startup case where we loaded persisted data
-    if (this.lastUpdate) {
-      const timeSinceLastUpdate = Date.now() - this.lastUpdate.getTime();
+    if (state.lastUpdate) {
+      const timeSinceLastUpdate = Date.now() - state.lastUpdate.getTime();
 
       // If data is fresh (within timeout), consider online
       if (timeSinceLastUpdate < this.offlineTimeoutMs) {
         // Sync the isOnline flag if it's out of date
-        if (!this.isOnline) {
-          this.isOnline = true;
-          this.consecutiveFailures = 0;
+        if (!state.isOnline) {
+          state.isOnline = true;
+          state.consecutiveFailures = 0;
         }
         return true;
       }
 
       // Data is stale - mark offline if not already
-      if (this.isOnline) {
-        this.isOnline = false;
-        this.lastError = 'No data received for extended period';
-        logger.warn(`Device marked OFFLINE: no data for ${Math.round(timeSinceLastUpdate / 1000)}s`);
+      if (state.isOnline) {
+        state.isOnline = false;
+        state.lastError = 'No data received for extended period';
+        logger.warn(`Device ${deviceId} marked OFFLINE: no data for ${Math.round(timeSinceLastUpdate / 1000)}s`);
       }
       return false;
     }
 
     // No data at all - use the isOnline flag
-    return this.isOnline;
+    return state.isOnline;
   }
 
   /**
    * Get specific sensor value
    */
-  getSensorValue(sensorKey) {
-    if (!this.latestData) return null;
-    return this.latestData[sensorKey];
+  getSensorValue(deviceId, sensorKey) {
+    const { latestData } = this.getState(deviceId);
+    if (!latestData) return null;
+    return latestData[sensorKey];
   }
 
   /**
    * Get all relay states
    */
-  getRelayStates() {
-    if (!this.latestData) return null;
+  getRelayStates(deviceId) {
+    const { latestData } = this.getState(deviceId);
+    if (!latestData) return null;
 
     return {
-      i1: this.latestData.i1 || 0,
-      i2: this.latestData.i2 || 0,
-      i3: this.latestData.i3 || 0,
-      i4: this.latestData.i4 || 0,
-      i5: this.latestData.i5 || 0,
-      i6: this.latestData.i6 || 0,
-      i7: this.latestData.i7 || 0,
-      i8: this.latestData.i8 || 0,
-      i9: this.latestData.i9 || 0,
-      i10: this.latestData.i10 || 0
+      i1: latestData.i1 || 0,
+      i2: latestData.i2 || 0,
+      i3: latestData.i3 || 0,
+      i4: latestData.i4 || 0,
+      i5: latestData.i5 || 0,
+      i6: latestData.i6 || 0,
+      i7: latestData.i7 || 0,
+      i8: latestData.i8 || 0,
+      i9: latestData.i9 || 0,
+      i10: latestData.i10 || 0
     };
   }
 
   /**
-   * Load persisted data on server start
+   * Load persisted data of a device on server start
    */
-  async loadPersistedData() {
+  async loadPersistedData(deviceId) {
     try {
-      const persistedData = await fileStorage.readJSON('last-data.json');
+      const persistedData = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'last-data.json'));
 
       if (persistedData && persistedData.data) {
-        this.latestData = persistedData.data;
-        this.lastUpdate = new Date(persistedData.timestamp);
+        const state = this.getState(deviceId);
+        state.latestData = persistedData.data;
+        state.lastUpdate = new Date(persistedData.timestamp);
 
         // isDeviceOnline() will determine if data is fresh enough
-        const online = this.isDeviceOnline();
-        logger.info(`Loaded persisted data from file - device is ${online ? 'ONLINE' : 'OFFLINE'}`);
+        const online = this.isDeviceOnline(deviceId);
+        logger.info(`Loaded persisted data for ${deviceId} - device is ${online ? 'ONLINE' : 'OFFLINE'}`);
       }
     } catch (error) {
-      logger.warn('Could not load persisted data:', error.message);
+      logger.warn(`Could not load persisted data for ${deviceId}:`, error.message);
     }
   }
 
   /**
    * Get device status summary
    */
-  getDeviceStatus() {
+  getDeviceStatus(deviceId) {
+    const state = this.getState(deviceId);
+
     return {
-      online: this.isDeviceOnline(),
-      lastUpdate: this.lastUpdate,
-      hasData: this.latestData !== null,
-      gsmSignal: this.latestData ? this.latestData.d38 : null,
-      consecutiveFailures: this.consecutiveFailures,
+      deviceId,
+      online: this.isDeviceOnline(deviceId),
+      lastUpdate: state.lastUpdate,
+      hasData: state.latestData !== null,
+      gsmSignal: state.latestData ? state.latestData.d38 : null,
+      consecutiveFailures: state.consecutiveFailures,
       maxConsecutiveFailures: this.maxConsecutiveFailures,
-      lastError: this.lastError,
-      canControlRelays: this.canControlRelays()
+      lastError: state.lastError,
+      canControlRelays: this.canControlRelays(deviceId)
     };
   }
 }
@@ -8,36 +8,60 @@ const fs = require('fs');
 const path = require('path');
 const formulas = require('../config/formulas.config');
 const fileStorage = require('../utils/fileStorage');
+const auditService = require('./audit.service');
+const maintenanceService = require('./maintenance.service');
 
 class CalculationsService {
   constructor() {
-    this.accumulatedData = {
-      co2AbsorbedGrams: 0,
-      o2GeneratedLiters: 0,
-      lastCalculationTime: null,
-      airflowRate: formulas.airflow.defaultRate,
-      history: [] // Store last 24 hours of calculations
-    };
+    // Accumulated totals per device, keyed by device ID
+    this.devices = new Map();
 
-    this.isInitialized = false;
-    this.initPromise = this.loadAccumulatedData();
+    // Pending/finished loads of persisted totals, keyed by device ID
+    this.initPromises = new Map();
   }
 
   /**
-   * Wait for initialization to complete
+   * Get the accumulated data of a device, creating empty totals if needed
    */
-  async waitForInit() {
-    if (!this.isInitialized) {
-      await this.initPromise;
+  getAccumulatedData(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        co2AbsorbedGrams: 0,
+        o2GeneratedLiters: 0,
+        lastCalculationTime: null,
+        airflowRate: formulas.airflow.defaultRate,
+        history: [] // Store last 24 hours of calculations
+      });
     }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Wait for the persisted totals of a device to be loaded
+   * The first call for a device starts loading them
+   */
+  async waitForInit(deviceId) {
+    if (!this.initPromises.has(deviceId)) {
+      this.initPromises.set(deviceId, this.loadAccumulatedData(deviceId));
+    }
+    await this.initPromises.get(deviceId);
+  }
+
+  /**
+   * Forget the totals of a device that was removed from the registry
+   * (the file is kept)
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+    this.initPromises.delete(deviceId);
   }
 
   /**
    * Load accumulated data from file storage
    */
-  async loadAccumulatedData() {
+  async loadAccumulatedData(deviceId) {
     try {
-      const data = await fileStorage.readJSON('accumulated-data.json');
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'accumulated-data.json'));
       if (data) {
         // Handle migration from old format (o2GeneratedGrams) to new format (o2GeneratedLiters)
         let o2Liters = data.o2GeneratedLiters || 0;
@@ -46,39 +70,39 @@ class CalculationsService {
           o2Liters = data.o2GeneratedGrams * formulas.o2.gramsToLiters;
         }
 
-        this.accumulatedData = {
-          ...this.accumulatedData,
+        const accumulatedData = {
+          ...this.getAccumulatedData(deviceId),
           co2AbsorbedGrams: data.co2AbsorbedGrams || 0,
           o2GeneratedLiters: o2Liters,
           airflowRate: data.airflowRate || formulas.airflow.defaultRate,
           history: data.history || [],
           lastCalculationTime: data.lastCalculationTime ? new Date(data.lastCalculationTime) : null
         };
-        this.isInitialized = true;
-        console.log('[Calculations] Loaded accumulated data:', {
-          co2: this.accumulatedData.co2AbsorbedGrams.toFixed(2) + ' g',
-          o2: this.accumulatedData.o2GeneratedLiters.toFixed(4) + ' L'
+        this.devices.set(deviceId, accumulatedData);
+        console.log(`[Calculations] Loaded accumulated data for ${deviceId}:`, {
+          co2: accumulatedData.co2AbsorbedGrams.toFixed(2) + ' g',
+          o2: accumulatedData.o2GeneratedLiters.toFixed(4) + ' L'
         });
       } else {
-        this.isInitialized = true;
+        this.getAccumulatedData(deviceId);
       }
     } catch (err) {
-      console.log('[Calculations] No previous accumulated data found, starting fresh');
-      this.isInitialized = true;
+      console.log(`[Calculations] No previous accumulated data found for ${deviceId}, starting fresh`);
+      this.getAccumulatedData(deviceId);
     }
   }
 
   /**
    * Save accumulated data to file storage
    */
-  async saveAccumulatedData() {
+  async saveAccumulatedData(deviceId) {
     try {
-      await fileStorage.writeJSON('accumulated-data.json', {
-        ...this.accumulatedData,
+      await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'accumulated-data.json'), {
+        ...this.getAccumulatedData(deviceId),
         lastSaved: new Date().toISOString()
       });
     } catch (err) {
-      console.error('[Calculations] Failed to save accumulated data:', err);
+      console.error(`[Calculations] Failed to save accumulated data for ${deviceId}:`, err);
     }
   }
 
@@ -206,10 +230,13 @@ class CalculationsService {
 
   /**
    * Calculate CO2 absorbed and O2 generated
+   * @param {string} deviceId - Device the reading belongs to
    * @param {Object} data - Sensor data with inlet (d1) and outlet (d8) CO2
    * @returns {Object} - CO2 absorbed (grams) and O2 generated (liters) in this interval
+   *   (none while the device is in maintenance mode)
    */
-  calculateGasExchange(data) {
+  calculateGasExchange(deviceId, data) {
+    const accumulatedData = this.getAccumulatedData(deviceId);
     const now = new Date();
     const inletCO2 = data.d1 || 0;   // Inlet CO2 (ppm)
     const outletCO2 = data.d8 || 0;  // Outlet CO2 (ppm)
@@ -219,51 +246,46 @@ class CalculationsService {
     const co2Diff = Math.max(0, inletCO2 - outletCO2);
 
     // Debug logging for CO2 calculation
-    console.log(`[CO2] Inlet: ${inletCO2} ppm, Outlet: ${outletCO2} ppm, Diff: ${co2Diff} ppm`);
+    console.log(`[CO2] ${deviceId} Inlet: ${inletCO2} ppm, Outlet: ${outletCO2} ppm, Diff: ${co2Diff} ppm`);
 
-    // Skip if difference is zero or below threshold (no absorption happening)
-    if (co2Diff <= formulas.co2.minimumDifference) {
+    // Skip if difference is zero or below threshold (no absorption happening),
+    // or while the unit is in maintenance (readings are not representative)
+    if (co2Diff <= formulas.co2.minimumDifference || maintenanceService.isActive(deviceId)) {
       // Still update lastCalculationTime to keep timing accurate
-      this.accumulatedData.lastCalculationTime = now;
+      accumulatedData.lastCalculationTime = now;
       return {
         intervalCO2Grams: 0,
         intervalO2Liters: 0,
-        totalCO2Grams: this.accumulatedData.co2AbsorbedGrams,
-        totalO2Liters: this.accumulatedData.o2GeneratedLiters
+        totalCO2Grams: accumulatedData.co2AbsorbedGrams,
+        totalO2Liters: accumulatedData.o2GeneratedLiters
       };
     }
 
     // Calculate time interval in hours
     let timeIntervalHours = formulas.co2.calculationInterval / 3600; // Default to config interval
 
-    if (this.accumulatedData.lastCalculationTime) {
-      const elapsedMs = now - this.accumulatedData.lastCalculationTime;
+    if (accumulatedData.lastCalculationTime) {
+      const elapsedMs = now - accumulatedData.lastCalculationTime;
       timeIntervalHours = elapsedMs / (1000 * 3600);
 
-      // Cap at reasonable maximum (5 minutes) to handle restarts
-      timeIntervalHours = Math.min(timeIntervalHours, 5 / 60);
+      // Cap at reasonable maximum to handle restarts
+      timeIntervalHours = Math.min(timeIntervalHours, formulas.co2.maxIntervalMinutes / 60);
     }
 
-    // CO2 absorbed (grams) = ppm_diff * airflow(m³/h) * time(h) * conversionFactor
-    const co2AbsorbedGrams = co2Diff * this.accumulatedData.airflowRate *
-      timeIntervalHours * formulas.co2.conversionFactor;
-
-    // O2 generated (grams) = CO2_absorbed * O2_conversion_factor
-    const o2GeneratedGrams = co2AbsorbedGrams * formulas.o2.conversionFactor;
-
-    // Convert O2 grams to liters
-    const o2GeneratedLiters = o2GeneratedGrams * formulas.o2.gramsToLiters;
+    const { co2AbsorbedGrams, o2GeneratedLiters } = this.calculateIntervalExchange(
+      co2Diff, timeIntervalHours, accumulatedData.airflowRate
+    );
 
     // Update accumulated totals
-    this.accumulatedData.co2AbsorbedGrams += co2AbsorbedGrams;
-    this.accumulatedData.o2GeneratedLiters += o2GeneratedLiters;
-    this.accumulatedData.lastCalculationTime = now;
+    accumulatedData.co2AbsorbedGrams += co2AbsorbedGrams;
+    accumulatedData.o2GeneratedLiters += o2GeneratedLiters;
+    accumulatedData.lastCalculationTime = now;
 
-    console.log(`[CO2] Absorbed this interval: ${co2AbsorbedGrams.toFixed(4)} g, Total: ${this.accumulatedData.co2AbsorbedGrams.toFixed(4)} g`);
-    console.log(`[O2] Generated this interval: ${o2GeneratedLiters.toFixed(6)} L, Total: ${this.accumulatedData.o2GeneratedLiters.toFixed(6)} L`);
+    console.log(`[CO2] Absorbed this interval: ${co2AbsorbedGrams.toFixed(4)} g, Total: ${accumulatedData.co2AbsorbedGrams.toFixed(4)} g`);
+    console.log(`[O2] Generated this interval: ${o2GeneratedLiters.toFixed(6)} L, Total: ${accumulatedData.o2GeneratedLiters.toFixed(6)} L`);
 
     // Add to history (keep last 24 hours at 30-second intervals = 2880 entries)
-    this.accumulatedData.history.push({
+    accumulatedData.history.push({
       timestamp: now.toISOString(),
       co2Diff,
       co2Grams: co2AbsorbedGrams,
@@ -271,60 +293,102 @@ class CalculationsService {
     });
 
     // Trim history to last 24 hours
-    if (this.accumulatedData.history.length > 2880) {
-      this.accumulatedData.history = this.accumulatedData.history.slice(-2880);
+    if (accumulatedData.history.length > 2880) {
+      accumulatedData.history = accumulatedData.history.slice(-2880);
     }
 
     // Save immediately when we have absorption (don't wait for periodic save)
-    this.saveAccumulatedData();
+    this.saveAccumulatedData(deviceId);
 
     return {
       intervalCO2Grams: co2AbsorbedGrams,
       intervalO2Liters: o2GeneratedLiters,
-      totalCO2Grams: this.accumulatedData.co2AbsorbedGrams,
-      totalO2Liters: this.accumulatedData.o2GeneratedLiters,
+      totalCO2Grams: accumulatedData.co2AbsorbedGrams,
+      totalO2Liters: accumulatedData.o2GeneratedLiters,
       co2DiffPPM: co2Diff
     };
   }
 
+  /**
+   * Calculate CO2 absorbed and O2 generated over one interval
+   * Pure calculation - does not touch the accumulated totals
+   * @param {number} co2DiffPPM - Inlet minus outlet CO2 (ppm)
+   * @param {number} timeIntervalHours - Interval length in hours
+   * @param {number} airflowRate - Airflow in m³/h
+   * @returns {Object} - CO2 absorbed (grams) and O2 generated (liters)
+   */
+  calculateIntervalExchange(co2DiffPPM, timeIntervalHours, airflowRate) {
+    if (co2DiffPPM <= formulas.co2.minimumDifference || timeIntervalHours <= 0) {
+      return { co2AbsorbedGrams: 0, o2GeneratedLiters: 0 };
+    }
+
+    // CO2 absorbed (grams) = ppm_diff * airflow(m³/h) * time(h) * conversionFactor
+    const co2AbsorbedGrams = co2DiffPPM * airflowRate * timeIntervalHours * formulas.co2.conversionFactor;
+
+    // O2 generated (grams) = CO2_absorbed * O2_conversion_factor, then converted to liters
+    const o2GeneratedGrams = co2AbsorbedGrams * formulas.o2.conversionFactor;
+    const o2GeneratedLiters = o2GeneratedGrams * formulas.o2.gramsToLiters;
+
+    return { co2AbsorbedGrams, o2GeneratedLiters };
+  }
+
   /**
    * Get current airflow rate
    */
-  getAirflowRate() {
-    return this.accumulatedData.airflowRate;
+  getAirflowRate(deviceId) {
+    return this.getAccumulatedData(deviceId).airflowRate;
   }
 
   /**
    * Set airflow rate
+   * @param {string} deviceId - Device ID
    * @param {number} rate - Airflow rate in m³/h
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  setAirflowRate(rate) {
-    this.accumulatedData.airflowRate = rate;
-    this.saveAccumulatedData();
-    return this.accumulatedData.airflowRate;
+  async setAirflowRate(deviceId, rate, actor = {}) {
+    const accumulatedData = this.getAccumulatedData(deviceId);
+    const previous = accumulatedData.airflowRate;
+    accumulatedData.airflowRate = rate;
+    await this.saveAccumulatedData(deviceId);
+    await auditService.record({ deviceId, action: 'airflow.update', previous, value: rate, actor });
+    return accumulatedData.airflowRate;
   }
 
   /**
    * Get accumulated totals
    */
-  getAccumulatedTotals() {
+  getAccumulatedTotals(deviceId) {
+    const accumulatedData = this.getAccumulatedData(deviceId);
     return {
-      co2AbsorbedGrams: this.accumulatedData.co2AbsorbedGrams,
-      o2GeneratedLiters: this.accumulatedData.o2GeneratedLiters,
-      airflowRate: this.accumulatedData.airflowRate,
-      lastCalculationTime: this.accumulatedData.lastCalculationTime
+      co2AbsorbedGrams: accumulatedData.co2AbsorbedGrams,
+      o2GeneratedLiters: accumulatedData.o2GeneratedLiters,
+      airflowRate: accumulatedData.airflowRate,
+      lastCalculationTime: accumulatedData.lastCalculationTime
     };
   }
 
   /**
    * Reset accumulated totals
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  resetAccumulatedTotals() {
-    this.accumulatedData.co2AbsorbedGrams = 0;
-    this.accumulatedData.o2GeneratedLiters = 0;
-    this.accumulatedData.history = [];
-    this.saveAccumulatedData();
-    console.log('[Calculations] Accumulated totals reset');
+  async resetAccumulatedTotals(deviceId, actor = {}) {
+    const accumulatedData = this.getAccumulatedData(deviceId);
+    const previous = {
+      co2AbsorbedGrams: accumulatedData.co2AbsorbedGrams,
+      o2GeneratedLiters: accumulatedData.o2GeneratedLiters
+    };
+    accumulatedData.co2AbsorbedGrams = 0;
+    accumulatedData.o2GeneratedLiters = 0;
+    accumulatedData.history = [];
+    await this.saveAccumulatedData(deviceId);
+    await auditService.record({
+      deviceId,
+      action: 'totals.reset',
+      previous,
+      value: { co2AbsorbedGrams: 0, o2GeneratedLiters: 0 },
+      actor
+    });
+    console.log(`[Calculations] Accumulated totals reset for ${deviceId}`);
   }
 
   /**
@@ -336,12 +400,13 @@ class CalculationsService {
 
   /**
    * Process sensor data and return all calculated values
+   * @param {string} deviceId - Device the reading belongs to
    * @param {Object} data - Raw sensor data
    * @returns {Object} - Processed data with all calculations
    */
-  processData(data) {
+  processData(deviceId, data) {
     const aqi = this.calculateAQI(data);
-    const gasExchange = this.calculateGasExchange(data);
+    const gasExchange = this.calculateGasExchange(deviceId, data);
 
     // Parse device timestamp from the data (format: "2025-12-14,15:22:07")
     let deviceTimestamp = null;
@@ -356,6 +421,8 @@ class CalculationsService {
     }
 
     return {
+      deviceId,
+
       // Original sensor data
       sensors: data,
 
@@ -379,9 +446,12 @@ class CalculationsService {
           generatedLiters: gasExchange.totalO2Liters,
           intervalLiters: gasExchange.intervalO2Liters
         },
-        airflowRate: this.accumulatedData.airflowRate
+        airflowRate: this.getAirflowRate(deviceId)
       },
 
+      // Taken during maintenance (not representative, see maintenance.service)
+      maintenance: maintenanceService.isActive(deviceId),
+
       // Relay names
       relayNames: formulas.relayNames,
 
@@ -405,9 +475,11 @@ class CalculationsService {
    * Initialize periodic save
    */
   init() {
-    // Save accumulated data every minute
+    // Save accumulated data of every device every minute
     setInterval(() => {
-      this.saveAccumulatedData();
+      for (const deviceId of this.devices.keys()) {
+        this.saveAccumulatedData(deviceId);
+      }
     }, formulas.persistence.saveInterval);
 
     console.log('[Calculations] Service initialized');
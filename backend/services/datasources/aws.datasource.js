@@ -0,0 +1,98 @@
+const axios = require('axios');
+const { AWS_API_BASE_URL } = require('../../config/constants');
+const { parseCSV } = require('../../utils/csv');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const REPORT_TIMEOUT_MS = 15000;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+// Graph windows of the AWS API, smallest first
+const WINDOWS = [
+  { path: 'graph/hour', durationMs: HOUR_MS },
+  { path: 'graph/day', durationMs: 24 * HOUR_MS },
+  { path: 'graph/week', durationMs: 7 * 24 * HOUR_MS }
+];
+
+/**
+ * Base URL of a device in the AWS API
+ */
+const getDeviceURL = (device) => `${AWS_API_BASE_URL}/${device.awsDeviceId}`;
+
+/**
+ * AWS REST API: { awsDeviceId, imei, meter }
+ * Readings come from the hour/day/week graphs, commands are POSTed with the
+ * device's IMEI and meter number
+ */
+module.exports = {
+  label: 'AWS REST API',
+
+  validate(device) {
+    if (!device.awsDeviceId || typeof device.awsDeviceId !== 'string') {
+      throw new Error('AWS device ID is required');
+    }
+
+    if (!device.imei || !/^\d{1,20}$/.test(String(device.imei))) {
+      throw new Error('Invalid IMEI (digits only)');
+    }
+
+    if (!Number.isInteger(device.meter) || device.meter < 0) {
+      throw new Error('Invalid meter (must be a non-negative integer)');
+    }
+  },
+
+  /**
+   * Last reading of the hourly graph
+   */
+  async fetchLatest(device) {
+    const response = await axios.get(`${getDeviceURL(device)}/graph/hour`, { timeout: REQUEST_TIMEOUT_MS });
+    const data = response.data?.data;
+
+    return data && data.length > 0 ? data[data.length - 1] : null;
+  },
+
+  /**
+   * Readings of the smallest graph window (hour/day/week) that covers the range start
+   */
+  async fetchRange(device, from, to) {
+    const age = Date.now() - from;
+    const window = WINDOWS.find(w => age <= w.durationMs) || WINDOWS[WINDOWS.length - 1];
+
+    const response = await axios.get(`${getDeviceURL(device)}/${window.path}`, { timeout: REQUEST_TIMEOUT_MS });
+
+    return (response.data?.data || [])
+      .filter(record => typeof record.ts === 'number' && record.ts * 1000 >= from && record.ts * 1000 <= to)
+      .sort((a, b) => a.ts - b.ts);
+  },
+
+  async sendCommand(device, commandData) {
+    const payload = {
+      imei: device.imei,
+      meter: device.meter,
+      ...commandData
+    };
+
+    const response = await axios.post(`${getDeviceURL(device)}/command`, payload, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.data;
+  },
+
+  /**
+   * Long-term CSV export: the API returns a download URL for the range
+   */
+  async generateReport(device, startDate, endDate) {
+    const url = `${getDeviceURL(device)}/report?startDate=${startDate}&endDate=${endDate}`;
+    const report = (await axios.get(url, { timeout: REPORT_TIMEOUT_MS })).data;
+
+    if (!report?.downloadUrl) {
+      throw new Error(report?.message || 'AWS report returned no download URL');
+    }
+
+    const response = await axios.get(report.downloadUrl, { timeout: DOWNLOAD_TIMEOUT_MS, responseType: 'text' });
+    return parseCSV(response.data);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Data sources by type, selected per device by its `dataSource`
+ * Each source has a label, validate(device) (throws on invalid settings) and:
+ * - fetchLatest(device): most recent raw reading, or null
+ * - fetchRange(device, from, to): raw readings between two timestamps (epoch ms), oldest first
+ * - sendCommand(device, commandData): relay states / display values (i1...i18)
+ * - generateReport(device, startDate, endDate): raw readings of a long-term
+ *   export (YYYY-MM-DD dates), or null when the source has none
+ *
+ * Raw readings use the AWS record format: ts (seconds), d1...d39, i1...i10.
+ */
+module.exports = {
+  aws: require('./aws.datasource'),
+  simulator: require('./simulator.datasource')
+};
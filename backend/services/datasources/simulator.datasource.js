@@ -0,0 +1,125 @@
+// Simulated readings are spaced like AWS readings
+const READING_INTERVAL_MS = 30 * 1000;
+const MAX_RANGE_READINGS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RELAYS = ['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'];
+
+// Hours (local time) the circulation unit runs in simulated past readings
+const DAY_START_HOUR = 6;
+const DAY_END_HOUR = 22;
+
+// Relay states of each simulated device, keyed by device ID
+const relayStates = new Map();
+
+const getRelays = (deviceId) => {
+  if (!relayStates.has(deviceId)) {
+    relayStates.set(deviceId, Object.fromEntries(RELAYS.map(relay => [relay, 0])));
+  }
+  return relayStates.get(deviceId);
+};
+
+/**
+ * Relay states of a past reading at time t: the circulation unit (i1) runs
+ * by day, everything else is off. Depends on t only, like the sensor values
+ */
+const scheduledRelays = (t) => {
+  const hour = new Date(t).getHours();
+  const relays = Object.fromEntries(RELAYS.map(relay => [relay, 0]));
+  relays.i1 = hour >= DAY_START_HOUR && hour < DAY_END_HOUR ? 1 : 0;
+  return relays;
+};
+
+const round = (value, decimals = 1) => Number(value.toFixed(decimals));
+
+/**
+ * Value following a daily cycle (peak at 14:00) with a little deterministic
+ * jitter, so a range fetched twice returns the same readings
+ */
+const wave = (t, base, amplitude, jitter) => {
+  const phase = ((t % DAY_MS) / DAY_MS - 14 / 24) * 2 * Math.PI;
+  return base + amplitude * Math.cos(phase) + jitter * Math.sin(t / 7919);
+};
+
+/**
+ * Reading at time t (epoch ms) in the AWS record format
+ * Air passing the unit loses CO2 and dust while the circulation unit (i1) runs
+ */
+const createReading = (device, t, relays) => {
+  const scrubbing = relays.i1 === 1;
+  const inletCO2 = wave(t, 480, 60, 8);
+  const inletPM = wave(t, 85, 25, 5);
+  const inletTemp = wave(t, 30, 4, 0.3);
+  const inletHumidity = wave(t, 55, -10, 1);
+  const date = new Date(t);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    deviceId: device.id,
+    ts: Math.floor(t / 1000),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())},` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+    d1: Math.round(inletCO2),
+    d2: Math.round(inletPM),
+    d3: round(inletTemp),
+    d4: round(inletHumidity),
+    d5: 7.2,
+    d6: 80,
+    d7: round(inletTemp - 3),
+    d8: Math.round(scrubbing ? inletCO2 * 0.85 : inletCO2 - 2),
+    d9: Math.round(scrubbing ? inletPM * 0.4 : inletPM),
+    d10: round(inletTemp - (scrubbing ? 1.5 : 0)),
+    d11: round(inletHumidity + (scrubbing ? 8 : 0)),
+    d12: 7.1,
+    d13: 78,
+    d14: round(inletTemp - 3.5),
+    d38: 24,
+    ...relays
+  };
+};
+
+/**
+ * Simulator for development and demos, no settings required
+ * Readings follow a daily cycle; relay commands apply at once and show up
+ * in the next reading. Past readings (fetchRange) use a fixed relay schedule,
+ * so a range returns the same readings whenever it is fetched. Nothing is
+ * kept across restarts and there is no long-term export (reports use the
+ * local history store)
+ */
+module.exports = {
+  label: 'Simulator',
+
+  validate() {},
+
+  async fetchLatest(device) {
+    const t = Math.floor(Date.now() / READING_INTERVAL_MS) * READING_INTERVAL_MS;
+    return createReading(device, t, getRelays(device.id));
+  },
+
+  /**
+   * Readings of the range, spaced out to at most MAX_RANGE_READINGS
+   * (relays follow a fixed daily schedule, see scheduledRelays)
+   */
+  async fetchRange(device, from, to) {
+    const step = Math.ceil((to - from) / MAX_RANGE_READINGS / READING_INTERVAL_MS) * READING_INTERVAL_MS || READING_INTERVAL_MS;
+    const readings = [];
+
+    for (let t = Math.ceil(from / step) * step; t <= to; t += step) {
+      readings.push(createReading(device, t, scheduledRelays(t)));
+    }
+    return readings;
+  },
+
+  async sendCommand(device, commandData) {
+    const relays = getRelays(device.id);
+
+    for (const [key, value] of Object.entries(commandData)) {
+      if (key in relays) relays[key] = value ? 1 : 0;
+    }
+    return { success: true };
+  },
+
+  async generateReport() {
+    return null;
+  }
+};
@@ -1,42 +1,59 @@
 const awsService = require('./aws.service');
 const cacheService = require('./cache.service');
+const registryService = require('./registry.service');
+const auditService = require('./audit.service');
+const maintenanceService = require('./maintenance.service');
 const fileStorage = require('../utils/fileStorage');
 const logger = require('../utils/logger');
-const { DISPLAY_UPDATE_INTERVAL } = require('../config/constants');
+const { DISPLAY_UPDATE_INTERVAL, MAINTENANCE_DISPLAY_CODE } = require('../config/constants');
 
 class DisplayService {
   constructor() {
     this.updateInterval = null;
     this.isRunning = false;
-    this.enabled = true;
-    this.stateLoaded = false;
+    this.enabled = new Map(); // Display updates enabled per device, keyed by device ID
   }
 
-  async loadState() {
-    if (this.stateLoaded) return;
+  async loadState(deviceId) {
+    if (this.enabled.has(deviceId)) return;
 
-    const saved = await fileStorage.readJSON('display-settings.json');
+    const saved = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'display-settings.json'));
     if (saved && typeof saved.enabled === 'boolean') {
-      this.enabled = saved.enabled;
+      this.enabled.set(deviceId, saved.enabled);
     } else {
-      await this.saveState();
+      this.enabled.set(deviceId, true);
+      await this.saveState(deviceId);
     }
-    this.stateLoaded = true;
   }
 
-  async saveState() {
-    await fileStorage.writeJSON('display-settings.json', { enabled: this.enabled });
+  async saveState(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'display-settings.json'), {
+      enabled: this.isEnabled(deviceId)
+    });
+  }
+
+  /**
+   * Check if display updates are enabled for a device
+   */
+  isEnabled(deviceId) {
+    return this.enabled.get(deviceId) ?? true;
+  }
+
+  /**
+   * Forget the setting of a device that was removed from the registry
+   * (the file is kept)
+   */
+  removeDevice(deviceId) {
+    this.enabled.delete(deviceId);
   }
 
   /**
    * Start display update service
+   * One interval updates the display of every device that has updates enabled
    */
   async start() {
-    await this.loadState();
-
-    if (!this.enabled) {
-      logger.info('Display service is disabled; not starting interval');
-      return;
+    for (const device of registryService.getDevices()) {
+      await this.loadState(device.id);
     }
 
     if (this.isRunning) {
@@ -47,11 +64,11 @@ class DisplayService {
     logger.info(`Starting display update service (interval: ${DISPLAY_UPDATE_INTERVAL}ms)`);
 
     // Update immediately on start
-    this.updateDisplay();
+    this.updateAllDisplays();
 
     // Then update at intervals
     this.updateInterval = setInterval(() => {
-      this.updateDisplay();
+      this.updateAllDisplays();
     }, DISPLAY_UPDATE_INTERVAL);
 
     this.isRunning = true;
@@ -70,27 +87,39 @@ class DisplayService {
   }
 
   /**
-   * Update display with current data
+   * Update the display of every enabled device
+   */
+  async updateAllDisplays() {
+    const devices = registryService.getEnabledDevices().filter(device => this.isEnabled(device.id));
+    await Promise.all(devices.map(device => this.updateDisplay(device.id)));
+  }
+
+  /**
+   * Update display of a device with its current data
    */
-  async updateDisplay() {
+  async updateDisplay(deviceId) {
     try {
-      if (!this.enabled) {
+      if (!this.isEnabled(deviceId)) {
         return;
       }
 
-      const currentData = cacheService.getLatestData();
+      const currentData = cacheService.getLatestData(deviceId);
 
       if (!currentData) {
-        logger.debug('No data available for display update');
+        logger.debug(`No data available for display update on ${deviceId}`);
         return;
       }
 
+      // During maintenance the readings are not representative: show the
+      // maintenance code instead of the AQI and blank temperature/humidity
+      const maintenance = maintenanceService.isActive(deviceId);
+
       // Calculate AQI from outlet data
-      const aqi = this.calculateAQI(currentData);
+      const aqi = maintenance ? MAINTENANCE_DISPLAY_CODE : this.calculateAQI(currentData);
 
       // Get temperature and humidity from outlet
-      const temperature = Math.round(currentData.d10 || 0);
-      const humidity = Math.round(currentData.d11 || 0);
+      const temperature = maintenance ? 0 : Math.round(currentData.d10 || 0);
+      const humidity = maintenance ? 0 : Math.round(currentData.d11 || 0);
 
       // Get current date/time
       const now = new Date();
@@ -113,34 +142,39 @@ class DisplayService {
       };
 
       // Send command to device
-      await awsService.sendCommand(displayData);
+      await awsService.sendCommand(deviceId, displayData);
 
-      logger.debug(`Display updated: AQI=${aqi}, TEMP=${temperature}, HUM=${humidity}%, ${hour}:${minute} ${day}/${month}/${year}`);
+      logger.debug(`Display of ${deviceId} updated: AQI=${aqi}, TEMP=${temperature}, HUM=${humidity}%, ${hour}:${minute} ${day}/${month}/${year}`);
     } catch (error) {
-      logger.error('Error updating display:', error.message);
+      logger.error(`Error updating display of ${deviceId}:`, error.message);
     }
   }
 
   /**
-   * Enable display updates
+   * Enable display updates for a device
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  async enable() {
-    await this.loadState();
-    this.enabled = true;
-    await this.saveState();
-    await this.start();
-    return this.getStatus();
+  async enable(deviceId, actor = {}) {
+    await this.loadState(deviceId);
+    const previous = this.isEnabled(deviceId);
+    this.enabled.set(deviceId, true);
+    await this.saveState(deviceId);
+    await auditService.record({ deviceId, action: 'display.enable', previous, value: true, actor });
+    this.updateDisplay(deviceId);
+    return this.getStatus(deviceId);
   }
 
   /**
-   * Disable display updates
+   * Disable display updates for a device
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
    */
-  async disable() {
-    await this.loadState();
-    this.enabled = false;
-    await this.saveState();
-    this.stop();
-    return this.getStatus();
+  async disable(deviceId, actor = {}) {
+    await this.loadState(deviceId);
+    const previous = this.isEnabled(deviceId);
+    this.enabled.set(deviceId, false);
+    await this.saveState(deviceId);
+    await auditService.record({ deviceId, action: 'display.disable', previous, value: false, actor });
+    return this.getStatus(deviceId);
   }
 
   /**
@@ -171,11 +205,21 @@ class DisplayService {
 
   /**
    * Get display service status
+   * For a device, "isRunning" means its display is actually being updated
    */
-  getStatus() {
+  getStatus(deviceId) {
+    if (!deviceId) {
+      return {
+        isRunning: this.isRunning,
+        enabledDevices: [...this.enabled.entries()].filter(([, enabled]) => enabled).map(([id]) => id),
+        updateInterval: DISPLAY_UPDATE_INTERVAL
+      };
+    }
+
+    const enabled = this.isEnabled(deviceId);
     return {
-      isRunning: this.isRunning,
-      enabled: this.enabled,
+      isRunning: this.isRunning && enabled,
+      enabled,
       updateInterval: DISPLAY_UPDATE_INTERVAL
     };
   }
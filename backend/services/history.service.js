@@ -0,0 +1,375 @@
+const cron = require('node-cron');
+const awsService = require('./aws.service');
+const calculationsService = require('./calculations.service');
+const registryService = require('./registry.service');
+const maintenanceService = require('./maintenance.service');
+const fileStorage = require('../utils/fileStorage');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const { getFieldValue } = require('../utils/sampleFields');
+const { parseDuration, formatDuration } = require('../utils/timeRange');
+const logger = require('../utils/logger');
+const {
+  HISTORY_RETENTION_DAYS,
+  HISTORY_COMPACT_AFTER_DAYS,
+  HISTORY_COMPACT_BUCKET_MS,
+  HISTORY_MAINTENANCE_CRON
+} = require('../config/constants');
+
+// Relay states and the device timestamp keep their last value when samples are
+// downsampled; sensor and calculated values are averaged
+const LAST_VALUE_FIELDS = ['raw.ts', ...['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'].map(relay => `raw.${relay}`)];
+
+// A range counts as covered when its first sample is at most this far past the start
+const COVERAGE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Upper bound on points returned per series; larger requests get a coarser bucket
+const MAX_POINTS_PER_SERIES = 1000;
+
+// Bucket sizes tried (in order) when the caller does not pick one
+const AUTO_BUCKETS = ['10s', '30s', '1m', '5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d'].map(parseDuration);
+
+const AGGREGATORS = {
+  avg: (values) => values.reduce((sum, v) => sum + v, 0) / values.length,
+  min: (values) => Math.min(...values),
+  max: (values) => Math.max(...values),
+  last: (values) => values[values.length - 1]
+};
+
+class HistoryService {
+  constructor() {
+    this.devices = new Map(); // Store and write stats per device, keyed by device ID
+    this.maintenanceTask = null;
+  }
+
+  /**
+   * Get the store of a device (storage/devices/<id>/history/)
+   */
+  getDeviceState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        store: new TimeSeriesStore(fileStorage.deviceFile(deviceId, 'history'), {
+          retentionDays: HISTORY_RETENTION_DAYS,
+          compactAfterDays: HISTORY_COMPACT_AFTER_DAYS,
+          compactBucketMs: HISTORY_COMPACT_BUCKET_MS,
+          lastValueFields: LAST_VALUE_FIELDS
+        }),
+        lastDeviceTs: null, // Device "ts" of the last stored sample (dedup)
+        samplesWritten: 0,
+        lastWriteError: null
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Load the last stored sample of a device for de-duplication
+   */
+  async loadDevice(deviceId) {
+    const state = this.getDeviceState(deviceId);
+
+    try {
+      const lastRecord = await state.store.getLastRecord();
+      state.lastDeviceTs = lastRecord?.raw?.ts ?? null;
+    } catch (error) {
+      logger.warn(`Could not read last history sample of ${deviceId}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop tracking a device that was removed from the registry
+   * (its stored history is kept)
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  /**
+   * Start the history service
+   * Loads the last stored sample of every device and schedules daily maintenance
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+
+    // Catch up on compaction/retention missed while the server was down
+    this.runMaintenance();
+
+    if (!this.maintenanceTask) {
+      this.maintenanceTask = cron.schedule(HISTORY_MAINTENANCE_CRON, () => this.runMaintenance());
+    }
+
+    logger.info(`History store started (retention: ${HISTORY_RETENTION_DAYS} days, compaction after: ${HISTORY_COMPACT_AFTER_DAYS} days)`);
+  }
+
+  /**
+   * Stop scheduled maintenance
+   */
+  stop() {
+    if (this.maintenanceTask) {
+      this.maintenanceTask.stop();
+      this.maintenanceTask = null;
+      logger.info('History service stopped');
+    }
+  }
+
+  /**
+   * Compact and apply retention to the store of every device
+   */
+  async runMaintenance() {
+    const results = {};
+
+    for (const [deviceId, state] of this.devices) {
+      try {
+        results[deviceId] = await state.store.runMaintenance();
+      } catch (error) {
+        logger.error(`History store maintenance failed for ${deviceId}:`, error.message);
+        results[deviceId] = null;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Timestamp (epoch ms) a sample was recorded at by the device
+   * Falls back to the server time when the device did not send one
+   */
+  getSampleTime(rawData, processedData) {
+    if (typeof rawData?.ts === 'number') {
+      return Math.round(rawData.ts * 1000);
+    }
+
+    const deviceTime = processedData?.deviceTimestamp ? Date.parse(processedData.deviceTimestamp) : NaN;
+    return isNaN(deviceTime) ? Date.now() : deviceTime;
+  }
+
+  /**
+   * Append a polled sample (raw + calculated values) to the store
+   * The same device reading polled twice is only stored once
+   * Samples taken during maintenance are tagged `maintenance: true`
+   */
+  async recordSample(deviceId, rawData, processedData) {
+    if (!rawData) return false;
+
+    const state = this.getDeviceState(deviceId);
+
+    if (rawData.ts !== undefined && rawData.ts === state.lastDeviceTs) {
+      logger.debug(`History sample for ${deviceId} skipped (already stored)`);
+      return false;
+    }
+
+    const record = {
+      t: this.getSampleTime(rawData, processedData),
+      raw: rawData,
+      calculated: processedData?.calculated || null
+    };
+    if (processedData?.maintenance) {
+      record.maintenance = true;
+    }
+
+    try {
+      await state.store.append(record);
+      state.lastDeviceTs = rawData.ts ?? null;
+      state.samplesWritten++;
+      state.lastWriteError = null;
+      return true;
+    } catch (error) {
+      state.lastWriteError = error.message;
+      logger.error(`Failed to store history sample for ${deviceId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get stored samples of a device between two timestamps (epoch ms), oldest first
+   */
+  async getSamples(deviceId, from, to) {
+    return this.getDeviceState(deviceId).store.query(from, to);
+  }
+
+  /**
+   * Get samples for a range from the device's data source when the local
+   * store has none
+   */
+  async getSourceSamples(deviceId, from, to) {
+    const records = await awsService.getRangeData(deviceId, from, to);
+
+    return records
+      .filter(record => typeof record.ts === 'number')
+      .map(record => ({
+        t: Math.round(record.ts * 1000),
+        raw: record,
+        calculated: {
+          aqi: calculationsService.calculateAQI(record),
+          co2: { difference: Math.max(0, (record.d1 || 0) - (record.d8 || 0)) }
+        }
+      }))
+      .filter(sample => sample.t >= from && sample.t <= to)
+      .sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Get the samples of a range from the local store. The part of the range
+   * before the first local sample (all of it when the store has none) is
+   * filled from the device's data source.
+   * @returns {Object} { samples (oldest first),
+   *   source: 'local', or the data source (aws, ...) when every sample came from it,
+   *   backfill: { source, sampleCount } of the samples filled in, or null,
+   *   partial: true when the samples still start later than the range,
+   *   coveredFrom: time of the first sample (epoch ms), or null }
+   */
+  async getRangeSamples(deviceId, from, to) {
+    const local = await this.getSamples(deviceId, from, to);
+    const localFrom = local.length > 0 ? local[0].t : to;
+    let samples = local;
+    let source = 'local';
+    let backfill = null;
+
+    if (localFrom - from > COVERAGE_TOLERANCE_MS) {
+      try {
+        const dataSource = registryService.requireDevice(deviceId).dataSource;
+        const older = (await this.getSourceSamples(deviceId, from, to)).filter(sample => sample.t < localFrom);
+
+        if (older.length > 0) {
+          samples = [...older, ...local];
+          backfill = { source: dataSource, sampleCount: older.length };
+          if (local.length === 0) source = dataSource;
+        }
+      } catch (error) {
+        logger.warn(`Data source history unavailable for range query on ${deviceId}:`, error.message);
+      }
+    }
+
+    const coveredFrom = samples.length > 0 ? samples[0].t : null;
+    return {
+      samples,
+      source,
+      backfill,
+      partial: coveredFrom === null || coveredFrom - from > COVERAGE_TOLERANCE_MS,
+      coveredFrom
+    };
+  }
+
+  /**
+   * Whether a sample was taken during maintenance: tagged when recorded, or
+   * inside one of the maintenance windows (data source samples are never tagged)
+   * @param {Array} windows - See maintenanceService.getWindows
+   */
+  isMaintenanceSample(sample, windows) {
+    return sample.maintenance === true || maintenanceService.inWindows(windows, sample.t);
+  }
+
+  /**
+   * Pick a bucket size for a range
+   * Uses the requested bucket unless it would exceed MAX_POINTS_PER_SERIES
+   */
+  resolveBucket(from, to, requestedMs) {
+    const minimumMs = Math.ceil((to - from) / MAX_POINTS_PER_SERIES);
+
+    if (requestedMs && requestedMs >= minimumMs) {
+      return requestedMs;
+    }
+
+    return AUTO_BUCKETS.find(ms => ms >= minimumMs) || AUTO_BUCKETS[AUTO_BUCKETS.length - 1];
+  }
+
+  /**
+   * Get bucketed series for a set of fields
+   * @param {string} deviceId - Device ID
+   * @param {Object} options
+   * @param {number} options.from - Range start (epoch ms)
+   * @param {number} options.to - Range end (epoch ms)
+   * @param {string[]} options.fields - Sensor, relay or calculated field keys
+   * @param {number} [options.bucketMs] - Requested bucket size (auto when omitted)
+   * @param {string} [options.agg] - avg | min | max | last
+   * @param {boolean} [options.excludeMaintenance] - Leave out samples taken during maintenance
+   * @returns {Object} Series plus the maintenance windows of the range (for shading)
+   */
+  async getSeries(deviceId, { from, to, fields, bucketMs, agg = 'avg', excludeMaintenance = false }) {
+    const aggregate = AGGREGATORS[agg];
+    if (!aggregate) {
+      throw new Error(`Invalid aggregation "${agg}"`);
+    }
+
+    const range = await this.getRangeSamples(deviceId, from, to);
+    const { source, backfill, partial, coveredFrom } = range;
+    const maintenance = maintenanceService.getWindows(deviceId, from, to);
+    const maintenanceSamples = range.samples.filter(sample => this.isMaintenanceSample(sample, maintenance)).length;
+    const samples = excludeMaintenance && maintenanceSamples > 0
+      ? range.samples.filter(sample => !this.isMaintenanceSample(sample, maintenance))
+      : range.samples;
+
+    const bucket = this.resolveBucket(from, to, bucketMs);
+    const series = {};
+
+    for (const field of fields) {
+      const buckets = new Map();
+
+      for (const sample of samples) {
+        const value = getFieldValue(sample, field);
+        if (value === null) continue;
+
+        const bucketStart = Math.floor(sample.t / bucket) * bucket;
+        if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+        buckets.get(bucketStart).push(value);
+      }
+
+      series[field] = [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([t, values]) => ({ t, v: aggregate(values) }));
+    }
+
+    return {
+      from,
+      to,
+      bucket: formatDuration(bucket),
+      bucketMs: bucket,
+      agg,
+      source,
+      backfill,
+      partial,
+      coveredFrom,
+      sampleCount: samples.length,
+      maintenanceSamples,
+      maintenanceExcluded: excludeMaintenance,
+      maintenance,
+      series
+    };
+  }
+
+  /**
+   * Get history status of one device
+   */
+  async getDeviceStatus(deviceId) {
+    const state = this.getDeviceState(deviceId);
+    const status = {
+      samplesWritten: state.samplesWritten,
+      lastWriteError: state.lastWriteError
+    };
+
+    try {
+      return { ...status, ...(await state.store.getStats()) };
+    } catch (error) {
+      logger.error(`Error reading history store stats of ${deviceId}:`, error.message);
+      return { ...status, error: error.message };
+    }
+  }
+
+  /**
+   * Get history service status with the store stats of every device
+   */
+  async getStatus() {
+    const devices = {};
+    for (const deviceId of this.devices.keys()) {
+      devices[deviceId] = await this.getDeviceStatus(deviceId);
+    }
+
+    return {
+      maintenanceSchedule: HISTORY_MAINTENANCE_CRON,
+      devices
+    };
+  }
+}
+
+module.exports = new HistoryService();
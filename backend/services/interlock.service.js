@@ -0,0 +1,271 @@
+const registryService = require('./registry.service');
+const auditService = require('./audit.service');
+const cacheService = require('./cache.service');
+const calculationsService = require('./calculations.service');
+const fileStorage = require('../utils/fileStorage');
+const { validateCondition, evaluateCondition, describeCondition } = require('../utils/conditions');
+const logger = require('../utils/logger');
+const DEFAULT_INTERLOCKS = require('../config/interlocks.config');
+
+const RELAY_PATTERN = /^i([1-9]|10)$/;
+const ALL_RELAYS = ['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'];
+
+const TYPES = {
+  exclusive: 'At most one of the relays ON',
+  requires: 'Relay only ON while other relays are ON',
+  maxOn: 'At most N relays ON at once',
+  precondition: 'Relay only turned ON while a condition matches'
+};
+
+/**
+ * Relay interlocks: safety constraints checked before any relay command
+ * (manual, automation or restore) is sent, see relayService
+ *
+ * - exclusive: { relays: ['i8', 'i10'] } - at most one of them ON
+ * - requires: { relay: 'i6', requires: ['i5'] } - i6 only ON while i5 is ON;
+ *   i5 cannot turn OFF while i6 is ON
+ * - maxOn: { max: 4, relays? } - at most `max` of the relays (default all) ON
+ * - precondition: { relay: 'i5', condition } - i5 only turned ON while the
+ *   condition (see utils/conditions) matches the latest reading
+ *
+ * A command is rejected when the states it leads to break an interlock the
+ * command itself is involved in, so commands that make things safer (turning
+ * relays OFF) always go through unless a `requires` interlock needs them ON.
+ *
+ * Storage per device: interlocks.json (config/interlocks.config.js until
+ * the device's interlocks are first changed)
+ */
+class InterlockService {
+  constructor() {
+    this.interlocks = new Map(); // Device ID -> interlocks
+  }
+
+  /**
+   * Load the interlocks of a device from file
+   */
+  async loadDevice(deviceId) {
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'interlocks.json'));
+      this.interlocks.set(deviceId, data?.interlocks || DEFAULT_INTERLOCKS);
+      logger.info(`Loaded ${this.getInterlocks(deviceId).length} relay interlocks for ${deviceId}`);
+    } catch (error) {
+      logger.error(`Error loading relay interlocks for ${deviceId}:`, error);
+      this.interlocks.set(deviceId, DEFAULT_INTERLOCKS);
+    }
+  }
+
+  /**
+   * Load the interlocks of every registered device
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+  }
+
+  /**
+   * Forget a device that was removed from the registry (its file is kept)
+   */
+  removeDevice(deviceId) {
+    this.interlocks.delete(deviceId);
+  }
+
+  async saveInterlocks(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'interlocks.json'), {
+      interlocks: this.getInterlocks(deviceId)
+    });
+  }
+
+  /**
+   * Get the interlocks of a device
+   */
+  getInterlocks(deviceId) {
+    return this.interlocks.get(deviceId) || DEFAULT_INTERLOCKS;
+  }
+
+  /**
+   * Interlock types and what they do
+   */
+  getTypes() {
+    return TYPES;
+  }
+
+  /**
+   * Validate an interlock
+   * Throws an error describing the first invalid field
+   */
+  validateInterlock(interlock) {
+    if (!interlock.name || typeof interlock.name !== 'string') {
+      throw new Error('Interlock name is required');
+    }
+    if (!TYPES[interlock.type]) {
+      throw new Error(`Invalid interlock type (must be one of: ${Object.keys(TYPES).join(', ')})`);
+    }
+
+    const isRelayList = (relays, min) => Array.isArray(relays) && relays.length >= min &&
+      relays.every(relay => RELAY_PATTERN.test(relay)) && new Set(relays).size === relays.length;
+
+    if (interlock.type === 'exclusive' && !isRelayList(interlock.relays, 2)) {
+      throw new Error('Exclusive interlocks need at least two different relays');
+    }
+
+    if (['requires', 'precondition'].includes(interlock.type) && !RELAY_PATTERN.test(interlock.relay || '')) {
+      throw new Error('Invalid relay ID');
+    }
+
+    if (interlock.type === 'requires') {
+      if (!isRelayList(interlock.requires, 1) || interlock.requires.includes(interlock.relay)) {
+        throw new Error('Required relays must be other relays');
+      }
+    }
+
+    if (interlock.type === 'maxOn') {
+      if (interlock.relays !== undefined && !isRelayList(interlock.relays, 2)) {
+        throw new Error('Relays must be a list of at least two different relays');
+      }
+      const count = interlock.relays?.length || ALL_RELAYS.length;
+      if (!Number.isInteger(interlock.max) || interlock.max < 1 || interlock.max >= count) {
+        throw new Error(`Max must be a whole number from 1 to ${count - 1}`);
+      }
+    }
+
+    if (interlock.type === 'precondition') {
+      validateCondition(interlock.condition);
+    }
+
+    return true;
+  }
+
+  /**
+   * Add or update an interlock
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async saveInterlock(deviceId, data, actor = {}) {
+    const interlocks = this.getInterlocks(deviceId);
+    const previous = interlocks.find(i => i.id === data.id) || null;
+    const action = previous ? 'interlock.update' : 'interlock.create';
+
+    const interlock = {
+      ...data,
+      id: previous?.id || `interlock_${Date.now()}`,
+      enabled: data.enabled ?? true
+    };
+
+    try {
+      this.validateInterlock(interlock);
+
+      this.interlocks.set(deviceId, previous
+        ? interlocks.map(i => (i.id === interlock.id ? interlock : i))
+        : [...interlocks, interlock]);
+      await this.saveInterlocks(deviceId);
+
+      logger.info(`${previous ? 'Updated' : 'Added'} relay interlock for ${deviceId}: ${interlock.id}`);
+      await auditService.record({ deviceId, action, target: interlock.id, previous, value: interlock, actor });
+      return interlock;
+    } catch (error) {
+      await auditService.record({ deviceId, action, target: interlock.id, previous, value: interlock, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an interlock
+   * @returns {boolean} false when the interlock does not exist
+   */
+  async deleteInterlock(deviceId, interlockId, actor = {}) {
+    const interlocks = this.getInterlocks(deviceId);
+    const previous = interlocks.find(i => i.id === interlockId);
+    if (!previous) return false;
+
+    this.interlocks.set(deviceId, interlocks.filter(i => i.id !== interlockId));
+    await this.saveInterlocks(deviceId);
+
+    logger.info(`Deleted relay interlock for ${deviceId}: ${interlockId}`);
+    await auditService.record({ deviceId, action: 'interlock.delete', target: interlockId, previous, actor });
+    return true;
+  }
+
+  /**
+   * "Water Pump (i5)"
+   */
+  label(relayId) {
+    const name = calculationsService.getRelayNames()[relayId];
+    return name ? `${name} (${relayId})` : relayId;
+  }
+
+  /**
+   * Find the interlocks a set of relay commands would break
+   * @param {Object} currentStates - Relay states before the commands ({ i1: 0, ... })
+   * @param {Object} changes - Requested states ({ i5: 1 })
+   * @returns {Array} [{ interlockId, name, type, message }], empty when allowed
+   */
+  check(deviceId, currentStates, changes) {
+    const next = { ...currentStates, ...changes };
+    const turningOn = (relay) => changes[relay] === 1 && currentStates[relay] !== 1;
+    const turningOff = (relay) => changes[relay] === 0 && currentStates[relay] === 1;
+    const violations = [];
+
+    const sample = {
+      raw: cacheService.getLatestData(deviceId),
+      calculated: cacheService.getProcessedData(deviceId)?.calculated || null
+    };
+
+    for (const interlock of this.getInterlocks(deviceId)) {
+      if (!interlock.enabled) continue;
+      const reject = (message) => violations.push({ interlockId: interlock.id, name: interlock.name, type: interlock.type, message });
+
+      if (interlock.type === 'exclusive') {
+        const on = interlock.relays.filter(relay => next[relay] === 1);
+        const started = on.filter(turningOn);
+        if (on.length > 1 && started.length > 0) {
+          const others = on.filter(relay => relay !== started[0]).map(relay => this.label(relay));
+          reject(`${this.label(started[0])} cannot be ON together with ${others.join(', ')}`);
+        }
+      }
+
+      if (interlock.type === 'requires' && next[interlock.relay] === 1) {
+        const missing = interlock.requires.filter(relay => next[relay] !== 1);
+        if (missing.length > 0 && turningOn(interlock.relay)) {
+          reject(`${this.label(interlock.relay)} requires ${missing.map(relay => this.label(relay)).join(', ')} to be ON`);
+        } else if (missing.some(turningOff)) {
+          reject(`${missing.filter(turningOff).map(relay => this.label(relay)).join(', ')} cannot turn OFF while ${this.label(interlock.relay)} is ON`);
+        }
+      }
+
+      if (interlock.type === 'maxOn') {
+        const relays = interlock.relays || ALL_RELAYS;
+        const on = relays.filter(relay => next[relay] === 1);
+        if (on.length > interlock.max && relays.some(turningOn)) {
+          reject(`At most ${interlock.max} of ${interlock.relays ? relays.join(', ') : 'the relays'} may be ON at once (would be ${on.length})`);
+        }
+      }
+
+      if (interlock.type === 'precondition' && turningOn(interlock.relay)) {
+        const matches = sample.raw ? evaluateCondition(interlock.condition, sample) : null;
+        if (matches === null) {
+          reject(`${this.label(interlock.relay)} needs ${describeCondition(interlock.condition)} (value unknown)`);
+        } else if (!matches) {
+          reject(`${this.label(interlock.relay)} needs ${describeCondition(interlock.condition, sample)}`);
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw when a set of relay commands would break an interlock
+   * The error has code INTERLOCK and the `violations`
+   */
+  enforce(deviceId, currentStates, changes) {
+    const violations = this.check(deviceId, currentStates, changes);
+    if (violations.length === 0) return;
+
+    const error = new Error(`Interlock: ${violations.map(v => v.message).join('; ')}`);
+    error.code = 'INTERLOCK';
+    error.violations = violations;
+    throw error;
+  }
+}
+
+module.exports = new InterlockService();
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const registryService = require('./registry.service');
+const auditService = require('./audit.service');
+const fileStorage = require('../utils/fileStorage');
+const { emitToDevice } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Finished sessions kept per device
+const MAX_SESSIONS = 200;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Maintenance mode: a technician services the unit, switching relays by hand
+ * and opening it. While a session is active:
+ * - automation does not switch relays (relay status hold type `maintenance`)
+ * - display updates show MAINTENANCE_DISPLAY_CODE instead of the AQI
+ * - CO2 absorbed / O2 generated totals do not accumulate
+ * - history samples are tagged `maintenance: true`; the session windows let
+ *   charts shade and reports exclude readings taken during maintenance
+ *
+ * Each start/stop is pushed to dashboards as `maintenanceMode`.
+ *
+ * Storage per device: maintenance.json (active session and finished ones)
+ */
+class MaintenanceService {
+  constructor() {
+    this.devices = new Map(); // Device ID -> { active, sessions (newest first) }
+  }
+
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, { active: null, sessions: [] });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Load the maintenance sessions of a device from file
+   */
+  async loadDevice(deviceId) {
+    const state = this.getState(deviceId);
+
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'maintenance.json'));
+      state.active = data?.active || null;
+      state.sessions = data?.sessions || [];
+      if (state.active) {
+        logger.warn(`${deviceId} is in maintenance since ${state.active.startedAt} (${state.active.technician})`);
+      }
+    } catch (error) {
+      logger.error(`Error loading maintenance sessions for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Load the maintenance sessions of every registered device
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+  }
+
+  /**
+   * Forget a device that was removed from the registry (its file is kept)
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+  }
+
+  async save(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'maintenance.json'), this.getState(deviceId));
+  }
+
+  /**
+   * Active maintenance session of a device
+   * @returns {Object|null} { id, reason, technician, startedAt, startedBy }
+   */
+  getActive(deviceId) {
+    return this.getState(deviceId).active;
+  }
+
+  isActive(deviceId) {
+    return !!this.getActive(deviceId);
+  }
+
+  /**
+   * Active session and the most recent finished ones
+   */
+  getStatus(deviceId, limit = 20) {
+    const state = this.getState(deviceId);
+    return {
+      active: state.active,
+      sessions: state.sessions.slice(0, limit)
+    };
+  }
+
+  /**
+   * Maintenance windows overlapping a range, oldest first
+   * The active session ends now
+   * @returns {Array} [{ from, to, reason, technician }] (epoch ms)
+   */
+  getWindows(deviceId, from, to) {
+    const state = this.getState(deviceId);
+    const sessions = state.active ? [{ ...state.active, endedAt: new Date().toISOString() }, ...state.sessions] : state.sessions;
+
+    return sessions
+      .map(session => ({
+        from: Date.parse(session.startedAt),
+        to: Date.parse(session.endedAt),
+        reason: session.reason,
+        technician: session.technician
+      }))
+      .filter(window => window.from <= to && window.to >= from)
+      .reverse();
+  }
+
+  /**
+   * Whether a time lies in one of the windows of getWindows()
+   */
+  inWindows(windows, t) {
+    return windows.some(window => t >= window.from && t <= window.to);
+  }
+
+  /**
+   * Validate the reason and technician of a session
+   */
+  validateSession({ reason, technician }) {
+    for (const [field, value] of [['reason', reason], ['technician', technician]]) {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`${field === 'reason' ? 'Reason' : 'Technician'} is required`);
+      }
+      if (value.length > MAX_TEXT_LENGTH) {
+        throw new Error(`${field === 'reason' ? 'Reason' : 'Technician'} is too long (max ${MAX_TEXT_LENGTH} characters)`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Put a device into maintenance mode
+   * @param {Object} data - reason, technician
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   * @throws {Error} code MAINTENANCE_ACTIVE when a session is already active
+   */
+  async startMaintenance(deviceId, data, actor = {}) {
+    const state = this.getState(deviceId);
+
+    try {
+      if (state.active) {
+        const error = new Error(`Maintenance already in progress since ${state.active.startedAt}`);
+        error.code = 'MAINTENANCE_ACTIVE';
+        throw error;
+      }
+      this.validateSession(data);
+
+      state.active = {
+        id: crypto.randomUUID(),
+        reason: data.reason.trim(),
+        technician: data.technician.trim(),
+        startedAt: new Date().toISOString(),
+        startedBy: actor.user || 'unknown',
+        endedAt: null,
+        endedBy: null
+      };
+      await this.save(deviceId);
+
+      logger.info(`Maintenance started on ${deviceId} by ${state.active.technician}: ${state.active.reason}`);
+      await auditService.record({ deviceId, action: 'maintenance.start', target: deviceId, value: state.active, actor });
+      emitToDevice(deviceId, 'maintenanceMode', this.getStatus(deviceId));
+      return state.active;
+    } catch (error) {
+      await auditService.record({ deviceId, action: 'maintenance.start', target: deviceId, value: data, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * End the maintenance session of a device
+   * @throws {Error} code MAINTENANCE_NOT_ACTIVE when no session is active
+   */
+  async stopMaintenance(deviceId, actor = {}) {
+    const state = this.getState(deviceId);
+
+    if (!state.active) {
+      const error = new Error('No maintenance in progress');
+      error.code = 'MAINTENANCE_NOT_ACTIVE';
+      throw error;
+    }
+
+    const session = { ...state.active, endedAt: new Date().toISOString(), endedBy: actor.user || 'unknown' };
+    state.active = null;
+    state.sessions = [session, ...state.sessions].slice(0, MAX_SESSIONS);
+    await this.save(deviceId);
+
+    logger.info(`Maintenance ended on ${deviceId} (${session.technician})`);
+    await auditService.record({ deviceId, action: 'maintenance.stop', target: deviceId, previous: session, actor });
+    emitToDevice(deviceId, 'maintenanceMode', this.getStatus(deviceId));
+    return session;
+  }
+}
+
+module.exports = new MaintenanceService();
@@ -0,0 +1,323 @@
+const registryService = require('./registry.service');
+const notifiers = require('./notifiers');
+const auditService = require('./audit.service');
+const fileStorage = require('../utils/fileStorage');
+const logger = require('../utils/logger');
+const { NOTIFICATION_DEDUP_SECONDS, NOTIFICATION_RATE_LIMIT } = require('../config/constants');
+
+const CHANNELS_FILE = 'notifications.json';
+
+// Events a channel can subscribe to
+const EVENT_TYPES = {
+  'alarm.raised': 'Alarm raised',
+  'alarm.acknowledged': 'Alarm acknowledged',
+  'alarm.cleared': 'Alarm cleared',
+  'device.offline': 'Device offline',
+  'device.online': 'Device back online',
+  'automation.triggered': 'Automation triggered',
+  'maintenance.due': 'Maintenance due'
+};
+
+// Ordered from least to most severe
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Outgoing notifications (email, webhooks, Slack / Teams)
+ *
+ * Each channel has:
+ * - type: email, webhook or chat (see notifiers/), plus `to` or `url`
+ * - events: subscribed event types (see EVENT_TYPES)
+ * - devices: device IDs to notify about (empty = all devices)
+ * - minSeverity: notifications below this severity are skipped
+ *
+ * Identical notifications (same channel, event, device and key) are sent at
+ * most once per NOTIFICATION_DEDUP_SECONDS, and a channel sends at most
+ * NOTIFICATION_RATE_LIMIT notifications per hour; the rest are dropped.
+ */
+class NotificationService {
+  constructor() {
+    this.channels = [];
+    this.lastSent = new Map(); // Dedup key -> time of last send
+    this.status = new Map(); // Channel ID -> { sent, failed, suppressed, recent, lastSentAt, lastError }
+  }
+
+  /**
+   * Load channels from file
+   */
+  async load() {
+    try {
+      const data = await fileStorage.readJSON(CHANNELS_FILE);
+      this.channels = data?.channels || [];
+      logger.info(`Loaded ${this.channels.length} notification channel(s)`);
+    } catch (error) {
+      logger.error('Error loading notification channels:', error);
+    }
+  }
+
+  /**
+   * Save channels to file
+   */
+  async save() {
+    await fileStorage.writeJSON(CHANNELS_FILE, { channels: this.channels });
+  }
+
+  /**
+   * Get the delivery counters of a channel
+   */
+  getStatus(channelId) {
+    if (!this.status.has(channelId)) {
+      this.status.set(channelId, { sent: 0, failed: 0, suppressed: 0, recent: [], lastSentAt: null, lastError: null });
+    }
+    return this.status.get(channelId);
+  }
+
+  /**
+   * Get all channels with their delivery counters
+   */
+  getChannels() {
+    return this.channels.map(channel => {
+      const { recent, ...status } = this.getStatus(channel.id);
+      return { ...channel, status };
+    });
+  }
+
+  /**
+   * Get a channel or throw a CHANNEL_NOT_FOUND error
+   */
+  requireChannel(channelId) {
+    const channel = this.channels.find(c => c.id === channelId);
+
+    if (!channel) {
+      const error = new Error(`Notification channel ${channelId} not found`);
+      error.code = 'CHANNEL_NOT_FOUND';
+      throw error;
+    }
+
+    return channel;
+  }
+
+  /**
+   * Validate channel fields
+   * Throws an error describing the first invalid field
+   */
+  validateChannel(channel) {
+    if (!channel.name || typeof channel.name !== 'string') {
+      throw new Error('Channel name is required');
+    }
+
+    const notifier = notifiers[channel.type];
+    if (!notifier) {
+      throw new Error(`Invalid type (must be one of: ${Object.keys(notifiers).join(', ')})`);
+    }
+
+    if (!Array.isArray(channel.events) || channel.events.length === 0) {
+      throw new Error('Subscribe to at least one event');
+    }
+    const unknown = channel.events.find(event => !EVENT_TYPES[event]);
+    if (unknown) {
+      throw new Error(`Unknown event: ${unknown}`);
+    }
+
+    if (!Array.isArray(channel.devices) || channel.devices.some(id => typeof id !== 'string')) {
+      throw new Error('Invalid devices (must be a list of device IDs)');
+    }
+
+    if (!SEVERITIES.includes(channel.minSeverity)) {
+      throw new Error(`Invalid minimum severity (must be one of: ${SEVERITIES.join(', ')})`);
+    }
+
+    notifier.validate(channel);
+    return true;
+  }
+
+  /**
+   * Audited fields of a channel (recipients and webhook URLs are left out)
+   */
+  toAudit(channel) {
+    if (!channel) return null;
+    const { name, type, enabled, events, devices, minSeverity } = channel;
+    return { name, type, enabled, events, devices, minSeverity };
+  }
+
+  /**
+   * Add or update a channel
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async saveChannel(data, actor = {}) {
+    const previous = data.id ? this.requireChannel(data.id) : null;
+    const action = previous ? 'channel.update' : 'channel.create';
+
+    const channel = {
+      id: previous?.id || `channel_${Date.now()}`,
+      name: data.name,
+      type: data.type,
+      enabled: data.enabled ?? true,
+      events: data.events || [],
+      devices: data.devices || [],
+      minSeverity: data.minSeverity || 'info',
+      createdAt: previous?.createdAt || new Date().toISOString()
+    };
+    if (channel.type === 'email') {
+      channel.to = data.to || [];
+    } else {
+      channel.url = data.url;
+    }
+    if (previous) channel.updatedAt = new Date().toISOString();
+
+    const audit = { deviceId: null, action, target: channel.id, previous: this.toAudit(previous), value: this.toAudit(channel), actor };
+
+    try {
+      this.validateChannel(channel);
+
+      this.channels = previous
+        ? this.channels.map(c => (c.id === channel.id ? channel : c))
+        : [...this.channels, channel];
+      await this.save();
+
+      logger.info(`${previous ? 'Updated' : 'Added'} notification channel ${channel.id} (${channel.type})`);
+      await auditService.record(audit);
+      return channel;
+    } catch (error) {
+      await auditService.record({ ...audit, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a channel
+   */
+  async deleteChannel(channelId, actor = {}) {
+    const previous = this.requireChannel(channelId);
+
+    this.channels = this.channels.filter(c => c.id !== channelId);
+    this.status.delete(channelId);
+    await this.save();
+
+    logger.info(`Deleted notification channel ${channelId}`);
+    await auditService.record({ deviceId: null, action: 'channel.delete', target: channelId, previous: this.toAudit(previous), actor });
+  }
+
+  /**
+   * Check if a channel wants a notification
+   */
+  isSubscribed(channel, notification) {
+    return channel.enabled &&
+      channel.events.includes(notification.type) &&
+      (channel.devices.length === 0 || channel.devices.includes(notification.deviceId)) &&
+      SEVERITIES.indexOf(notification.severity) >= SEVERITIES.indexOf(channel.minSeverity);
+  }
+
+  /**
+   * Check dedup and rate limits, recording the send when allowed
+   */
+  allowSend(channel, notification) {
+    const now = Date.now();
+    const status = this.getStatus(channel.id);
+
+    const dedupKey = [channel.id, notification.type, notification.deviceId, notification.key || ''].join('|');
+    const lastSentAt = this.lastSent.get(dedupKey);
+    if (lastSentAt && now - lastSentAt < NOTIFICATION_DEDUP_SECONDS * 1000) {
+      logger.debug(`Notification ${notification.type} to ${channel.id} skipped (duplicate)`);
+      status.suppressed++;
+      return false;
+    }
+
+    status.recent = status.recent.filter(t => now - t < RATE_WINDOW_MS);
+    if (status.recent.length >= NOTIFICATION_RATE_LIMIT) {
+      logger.warn(`Notification ${notification.type} to ${channel.id} dropped (rate limit of ${NOTIFICATION_RATE_LIMIT}/hour)`);
+      status.suppressed++;
+      return false;
+    }
+
+    this.lastSent.set(dedupKey, now);
+    status.recent.push(now);
+    return true;
+  }
+
+  /**
+   * Deliver a notification to one channel
+   * Throws when the sender fails
+   */
+  async deliver(channel, notification) {
+    const status = this.getStatus(channel.id);
+
+    try {
+      await notifiers[channel.type].send(channel, notification);
+      status.sent++;
+      status.lastSentAt = new Date().toISOString();
+      status.lastError = null;
+    } catch (error) {
+      status.failed++;
+      status.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Send a notification to every subscribed channel
+   * Never throws; callers do not need to wait for delivery
+   * @param {Object} event - { type, deviceId, severity, title, message, key?, data? }
+   */
+  async notify(event) {
+    const notification = {
+      severity: 'info',
+      ...event,
+      deviceName: registryService.getDevice(event.deviceId)?.name || event.deviceId,
+      timestamp: new Date().toISOString()
+    };
+
+    const channels = this.channels.filter(c => this.isSubscribed(c, notification) && this.allowSend(c, notification));
+
+    await Promise.all(channels.map(async (channel) => {
+      try {
+        await this.deliver(channel, notification);
+        logger.info(`Notification ${notification.type} sent to ${channel.name}`);
+      } catch (error) {
+        logger.error(`Notification ${notification.type} to ${channel.name} failed:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Send a test notification to a channel, ignoring subscriptions and limits
+   */
+  async sendTest(channelId, actor = {}) {
+    const channel = this.requireChannel(channelId);
+    const deviceId = registryService.getDevices()[0]?.id || 'test';
+
+    const notification = {
+      type: 'test',
+      deviceId,
+      deviceName: registryService.getDevice(deviceId)?.name || deviceId,
+      severity: 'info',
+      title: 'Test notification',
+      message: `Test notification for channel "${channel.name}" sent by ${actor.user || 'unknown'}`,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await this.deliver(channel, notification);
+      logger.info(`Test notification sent to ${channel.name}`);
+    } catch (error) {
+      logger.error(`Test notification to ${channel.name} failed:`, error.message);
+      const sendError = new Error(`Sending failed: ${error.message}`);
+      sendError.code = 'SEND_FAILED';
+      throw sendError;
+    }
+  }
+
+  /**
+   * Event types and channel types for the settings UI
+   */
+  getOptions() {
+    return {
+      events: EVENT_TYPES,
+      types: Object.fromEntries(Object.entries(notifiers).map(([type, notifier]) => [type, notifier.label])),
+      severities: SEVERITIES
+    };
+  }
+}
+
+module.exports = new NotificationService();
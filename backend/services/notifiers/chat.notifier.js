@@ -0,0 +1,28 @@
+const axios = require('axios');
+const webhookNotifier = require('./webhook.notifier');
+
+const SEND_TIMEOUT_MS = 10000;
+
+const SEVERITY_ICONS = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨'
+};
+
+/**
+ * Slack / Microsoft Teams incoming webhook channel: { url }
+ * Both accept a plain { text } payload
+ */
+module.exports = {
+  label: 'Slack / Teams',
+
+  validate: webhookNotifier.validate,
+
+  async send(channel, notification) {
+    const icon = SEVERITY_ICONS[notification.severity] || '';
+    const text = `${icon} *${notification.title}*\n${notification.message}\n` +
+      `Device: ${notification.deviceName} (${notification.deviceId}) · ${notification.timestamp}`;
+
+    await axios.post(channel.url, { text }, { timeout: SEND_TIMEOUT_MS });
+  }
+};
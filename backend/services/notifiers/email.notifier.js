@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM } = require('../../config/constants');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+let transporter = null;
+
+/**
+ * SMTP transport, created on first use from the SMTP_* settings
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Email channel: { to: ['ops@example.com', ...] }
+ */
+module.exports = {
+  label: 'Email (SMTP)',
+
+  validate(channel) {
+    if (!Array.isArray(channel.to) || channel.to.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+    const invalid = channel.to.find(address => !EMAIL_PATTERN.test(address));
+    if (invalid) {
+      throw new Error(`Invalid email address: ${invalid}`);
+    }
+    if (!SMTP_HOST) {
+      throw new Error('SMTP is not configured (set SMTP_HOST)');
+    }
+  },
+
+  async send(channel, notification) {
+    await getTransporter().sendMail({
+      from: SMTP_FROM,
+      to: channel.to.join(', '),
+      subject: `[${notification.severity.toUpperCase()}] ${notification.title}`,
+      text: `${notification.message}\n\nDevice: ${notification.deviceName} (${notification.deviceId})\nTime: ${notification.timestamp}`
+    });
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Notification senders by channel type
+ * Each sender has a label, validate(channel) (throws on invalid settings)
+ * and send(channel, notification)
+ */
+module.exports = {
+  email: require('./email.notifier'),
+  webhook: require('./webhook.notifier'),
+  chat: require('./chat.notifier')
+};
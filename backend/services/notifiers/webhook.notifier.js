@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+const SEND_TIMEOUT_MS = 10000;
+
+/**
+ * Check that a channel has an http(s) URL
+ */
+const validateUrl = (channel) => {
+  let url;
+  try {
+    url = new URL(channel.url);
+  } catch (error) {
+    throw new Error('A valid webhook URL is required');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Webhook URL must use http or https');
+  }
+};
+
+/**
+ * Generic webhook channel: { url }
+ * POSTs the notification as JSON
+ */
+module.exports = {
+  label: 'Webhook (JSON)',
+
+  validate: validateUrl,
+
+  async send(channel, notification) {
+    await axios.post(channel.url, notification, { timeout: SEND_TIMEOUT_MS });
+  }
+};
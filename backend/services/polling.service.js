@@ -2,6 +2,11 @@ const awsService = require('./aws.service');
 const cacheService = require('./cache.service');
 const calculationsService = require('./calculations.service');
 const relayService = require('./relay.service');
+const historyService = require('./history.service');
+const alarmService = require('./alarm.service');
+const runtimeService = require('./runtime.service');
+const registryService = require('./registry.service');
+const { emitToDevice } = require('../utils/socketRooms');
 const logger = require('../utils/logger');
 const { DATA_POLL_INTERVAL } = require('../config/constants');
 
@@ -9,8 +14,27 @@ class PollingService {
   constructor() {
     this.pollingInterval = null;
     this.isRunning = false;
-    this.wasOffline = true; // Track if device was offline (starts as offline)
-    this.isRestoringRelays = false; // Prevent multiple restore attempts
+    this.devices = new Map(); // Reconnect tracking per device, keyed by device ID
+  }
+
+  /**
+   * Get the reconnect tracking state of a device
+   */
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        wasOffline: true, // Track if device was offline (starts as offline)
+        isRestoringRelays: false // Prevent multiple restore attempts
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Forget a device that was removed from the registry
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
   }
 
   /**
@@ -25,11 +49,11 @@ class PollingService {
     logger.info(`Starting data polling service (interval: ${DATA_POLL_INTERVAL}ms)`);
 
     // Poll immediately on start
-    this.pollData();
+    this.pollAllDevices();
 
     // Then poll at intervals
     this.pollingInterval = setInterval(() => {
-      this.pollData();
+      this.pollAllDevices();
     }, DATA_POLL_INTERVAL);
 
     this.isRunning = true;
@@ -48,86 +72,110 @@ class PollingService {
   }
 
   /**
-   * Poll data from AWS
+   * Poll every enabled device in the registry
+   * Devices are polled in parallel; a failing device does not delay the others
+   */
+  async pollAllDevices() {
+    const devices = registryService.getEnabledDevices();
+    await Promise.all(devices.map(device => this.pollData(device.id)));
+  }
+
+  /**
+   * Poll data of one device from AWS
    */
-  async pollData() {
+  async pollData(deviceId) {
+    const state = this.getState(deviceId);
+
     try {
-      logger.debug('Polling data from AWS...');
+      logger.debug(`Polling data for ${deviceId} from AWS...`);
 
       // Wait for calculations service to be initialized
-      await calculationsService.waitForInit();
+      await calculationsService.waitForInit(deviceId);
 
       // Fetch latest data
-      const latestData = await awsService.getLatestData();
+      const latestData = await awsService.getLatestData(deviceId);
 
       if (latestData) {
         // Check if device just came back online (was offline before)
-        const justReconnected = this.wasOffline;
-        this.wasOffline = false; // Device is now online
+        const justReconnected = state.wasOffline;
+        state.wasOffline = false; // Device is now online
 
         // Process data with calculations (AQI, CO2, O2)
-        const processedData = calculationsService.processData(latestData);
+        const processedData = calculationsService.processData(deviceId, latestData);
 
         // Update cache with both raw and processed data
         // This also marks device as online via cacheService.markOnline()
-        cacheService.updateLatestData(latestData);
-        cacheService.updateProcessedData(processedData);
-
-        // Emit data update to connected clients
-        if (global.io) {
-          global.io.emit('deviceUpdate', processedData);
-          // Also emit updated device status (now online)
-          global.io.emit('deviceStatus', cacheService.getDeviceStatus());
-        }
+        cacheService.updateLatestData(deviceId, latestData);
+        cacheService.updateProcessedData(deviceId, processedData);
+
+        // Confirm the relay commands this reading shows applied
+        const confirmed = await relayService.confirmCommands(deviceId, latestData);
+
+        // Count relay on-time and switches since the previous reading
+        runtimeService.recordSample(deviceId, latestData, confirmed);
+
+        // Keep our own copy of every reading in the local history store
+        historyService.recordSample(deviceId, latestData, processedData);
+
+        // Emit data update to clients viewing this device
+        emitToDevice(deviceId, 'deviceUpdate', processedData);
+        // Also emit updated device status (now online)
+        emitToDevice(deviceId, 'deviceStatus', cacheService.getDeviceStatus(deviceId));
+
+        // Raise or clear threshold alarms
+        await alarmService.evaluate(deviceId, { raw: latestData, calculated: processedData.calculated });
 
-        // If device just reconnected, restore relay states
-        if (justReconnected && !this.isRestoringRelays) {
-          this.restoreRelayStates(latestData);
+        // If device just reconnected, restore relay states (then replay the
+        // commands queued while it was offline); otherwise replay any commands
+        // still queued, e.g. from before a restart
+        if (justReconnected && !state.isRestoringRelays) {
+          this.restoreRelayStates(deviceId, latestData);
+        } else if (!state.isRestoringRelays) {
+          relayService.replayQueue(deviceId);
         }
 
-        logger.debug('Data poll successful');
+        logger.debug(`Data poll successful for ${deviceId}`);
       } else {
         // No new data received from AWS - this is NOT necessarily an error
         // The API responded successfully but returned no data points
         // Don't treat this as a failure - just log it
-        logger.debug('No new data available from AWS (API responded but no data points)');
+        logger.debug(`No new data available from AWS for ${deviceId} (API responded but no data points)`);
 
         // Still emit current status to clients (maintains current state)
-        if (global.io) {
-          global.io.emit('deviceStatus', cacheService.getDeviceStatus());
-        }
+        emitToDevice(deviceId, 'deviceStatus', cacheService.getDeviceStatus(deviceId));
       }
     } catch (error) {
       // Record failure in cache service (handles consecutive failure tracking)
       // Only REAL errors (network, timeout, API errors) count as failures
-      cacheService.recordFailure(error);
+      cacheService.recordFailure(deviceId, error);
 
       // If device goes offline, mark it for relay restoration on reconnect
-      if (!cacheService.isDeviceOnline()) {
-        this.wasOffline = true;
+      if (!cacheService.isDeviceOnline(deviceId)) {
+        state.wasOffline = true;
       }
 
-      logger.error(`Data poll failed:`, error.message);
+      logger.error(`Data poll failed for ${deviceId}:`, error.message);
 
       // Emit updated status to clients (may now be offline)
-      if (global.io) {
-        global.io.emit('deviceStatus', cacheService.getDeviceStatus());
-      }
+      emitToDevice(deviceId, 'deviceStatus', cacheService.getDeviceStatus(deviceId));
     }
   }
 
   /**
    * Restore relay states when device reconnects
-   * Compares persisted states with device's current states and sends commands to restore
+   * Compares persisted states with device's current states and sends commands to restore;
+   * relays with commands queued while offline are left to those, replayed afterwards
    */
-  async restoreRelayStates(deviceData) {
-    this.isRestoringRelays = true;
+  async restoreRelayStates(deviceId, deviceData) {
+    const state = this.getState(deviceId);
+    state.isRestoringRelays = true;
 
     try {
-      logger.info('Device reconnected - checking relay states for restoration...');
+      logger.info(`Device ${deviceId} reconnected - checking relay states for restoration...`);
 
       // Get our persisted relay states (what we want)
-      const persistedStates = await relayService.getAllRelayStates();
+      const persistedStates = await relayService.getAllRelayStates(deviceId);
+      const queuedRelays = relayService.getQueuedRelays(deviceId);
 
       // Get current device relay states (what the device has)
       const deviceStates = {
@@ -152,7 +200,7 @@ class PollingService {
         const deviceState = deviceStates[relayId];
 
         // Only restore if persisted state exists and differs from device state
-        if (persistedState !== undefined && persistedState !== deviceState) {
+        if (persistedState !== undefined && persistedState !== deviceState && !queuedRelays.has(relayId)) {
           commandsToSend.push({
             relay: relayId,
             state: persistedState
@@ -163,12 +211,16 @@ class PollingService {
 
       // Send restoration commands if needed
       if (commandsToSend.length > 0) {
-        logger.info(`Restoring ${commandsToSend.length} relay(s) to persisted state...`);
+        logger.info(`Restoring ${commandsToSend.length} relay(s) on ${deviceId} to persisted state...`);
 
         // Send commands one by one with a small delay to avoid overwhelming the device
         for (const cmd of commandsToSend) {
           try {
-            await relayService.controlRelay(cmd.relay, cmd.state);
+            await relayService.controlRelay(deviceId, cmd.relay, cmd.state, {
+              user: 'system',
+              source: 'restore',
+              reason: 'Device came back online with a different relay state'
+            });
             logger.info(`Restored ${cmd.relay} to state ${cmd.state}`);
 
             // Small delay between commands
@@ -182,22 +234,30 @@ class PollingService {
       } else {
         logger.info('All relay states match - no restoration needed');
       }
+
+      await relayService.replayQueue(deviceId);
     } catch (error) {
-      logger.error('Error during relay state restoration:', error.message);
+      logger.error(`Error during relay state restoration on ${deviceId}:`, error.message);
     } finally {
-      this.isRestoringRelays = false;
+      state.isRestoringRelays = false;
     }
   }
 
   /**
    * Get polling status
+   * Includes the status of one device, or the number of polled devices when no ID is given
    */
-  getStatus() {
-    return {
+  getStatus(deviceId) {
+    const status = {
       isRunning: this.isRunning,
-      interval: DATA_POLL_INTERVAL,
-      deviceStatus: cacheService.getDeviceStatus()
+      interval: DATA_POLL_INTERVAL
     };
+
+    if (deviceId) {
+      return { ...status, deviceStatus: cacheService.getDeviceStatus(deviceId) };
+    }
+
+    return { ...status, devices: registryService.getEnabledDevices().length };
   }
 }
 
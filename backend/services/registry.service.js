@@ -0,0 +1,241 @@
+const EventEmitter = require('events');
+const dataSources = require('./datasources');
+const auditService = require('./audit.service');
+const fileStorage = require('../utils/fileStorage');
+const logger = require('../utils/logger');
+const { ACTUAL_DEVICE_ID, DISPLAY_DEVICE_ID, DEVICE_IMEI, DEVICE_METER } = require('../config/constants');
+
+const REGISTRY_FILE = 'devices.json';
+
+// Device IDs are used as storage folder names and in URLs
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const EDITABLE_FIELDS = ['name', 'dataSource', 'awsDeviceId', 'imei', 'meter', 'location', 'enabled'];
+
+// Data source of devices registered before sources were selectable
+const DEFAULT_DATA_SOURCE = 'aws';
+
+/**
+ * Registry of the Carbelim units managed by this server
+ *
+ * Each device has:
+ * - id: ID shown in the dashboard and used in routes (/api/devices/:deviceId/...)
+ * - dataSource: where readings come from and commands go (aws, simulator; see datasources/)
+ * - awsDeviceId: ID of the unit in the AWS API (aws)
+ * - imei / meter: sent with every command (aws)
+ * - name / location: display only
+ * - enabled: disabled devices are not polled or automated
+ *
+ * Emits deviceAdded, deviceUpdated and deviceRemoved so services can
+ * set up or tear down per-device state.
+ */
+class DeviceRegistryService extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = [];
+  }
+
+  /**
+   * Load the registry from file
+   * On first run the device configured in .env is registered and its
+   * single-device storage files are moved into storage/devices/<id>/
+   */
+  async load() {
+    const data = await fileStorage.readJSON(REGISTRY_FILE);
+
+    if (data?.devices) {
+      this.devices = data.devices.map(device => ({ dataSource: DEFAULT_DATA_SOURCE, ...device }));
+    } else {
+      const device = {
+        id: DISPLAY_DEVICE_ID,
+        name: DISPLAY_DEVICE_ID,
+        dataSource: DEFAULT_DATA_SOURCE,
+        awsDeviceId: ACTUAL_DEVICE_ID,
+        imei: DEVICE_IMEI,
+        meter: DEVICE_METER,
+        location: '',
+        enabled: true,
+        createdAt: new Date().toISOString()
+      };
+
+      await fileStorage.migrateLegacyStorage(device.id);
+      this.devices = [device];
+      await this.save();
+      logger.info(`Device registry created with ${device.id} (${device.awsDeviceId})`);
+    }
+
+    logger.info(`Loaded ${this.devices.length} device(s) from registry`);
+    return this.getDevices();
+  }
+
+  /**
+   * Save the registry to file
+   */
+  async save() {
+    await fileStorage.writeJSON(REGISTRY_FILE, { devices: this.devices });
+  }
+
+  /**
+   * Get all registered devices
+   */
+  getDevices() {
+    return this.devices.map(device => ({ ...device }));
+  }
+
+  /**
+   * Get devices that should be polled and automated
+   */
+  getEnabledDevices() {
+    return this.getDevices().filter(device => device.enabled !== false);
+  }
+
+  /**
+   * Get a device by ID (null when not registered)
+   */
+  getDevice(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    return device ? { ...device } : null;
+  }
+
+  /**
+   * Get a device by ID or throw a DEVICE_NOT_FOUND error
+   */
+  requireDevice(deviceId) {
+    const device = this.getDevice(deviceId);
+
+    if (!device) {
+      const error = new Error(`Device ${deviceId} not found`);
+      error.code = 'DEVICE_NOT_FOUND';
+      throw error;
+    }
+
+    return device;
+  }
+
+  /**
+   * Validate device fields
+   * Throws an error describing the first invalid field
+   */
+  validateDevice(device) {
+    if (!device.id || !DEVICE_ID_PATTERN.test(device.id)) {
+      throw new Error('Invalid device ID (letters, numbers, "_" and "-" only, max 64 characters)');
+    }
+
+    const dataSource = dataSources[device.dataSource];
+    if (!dataSource) {
+      throw new Error(`Invalid data source (must be one of: ${Object.keys(dataSources).join(', ')})`);
+    }
+    dataSource.validate(device);
+
+    if (typeof device.enabled !== 'boolean') {
+      throw new Error('Invalid enabled flag (must be a boolean)');
+    }
+
+    const duplicate = device.awsDeviceId && this.devices.find(d => d.id !== device.id && d.awsDeviceId === device.awsDeviceId);
+    if (duplicate) {
+      const error = new Error(`AWS device ID ${device.awsDeviceId} is already registered as ${duplicate.id}`);
+      error.code = 'DEVICE_EXISTS';
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Register a new device
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async addDevice(data, actor = {}) {
+    const device = {
+      id: data.id,
+      name: data.name || data.id,
+      dataSource: data.dataSource || DEFAULT_DATA_SOURCE,
+      awsDeviceId: data.awsDeviceId,
+      imei: data.imei !== undefined ? String(data.imei) : undefined,
+      meter: data.meter !== undefined ? Number(data.meter) : DEVICE_METER,
+      location: data.location || '',
+      enabled: data.enabled ?? true,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      if (this.devices.some(d => d.id === data.id)) {
+        const error = new Error(`Device ${data.id} already exists`);
+        error.code = 'DEVICE_EXISTS';
+        throw error;
+      }
+
+      this.validateDevice(device);
+
+      this.devices.push(device);
+      await this.save();
+    } catch (error) {
+      await auditService.record({ deviceId: device.id, action: 'device.create', target: device.id, value: device, actor, error });
+      throw error;
+    }
+
+    logger.info(`Registered device ${device.id} (${device.awsDeviceId || device.dataSource})`);
+    await auditService.record({ deviceId: device.id, action: 'device.create', target: device.id, value: device, actor });
+    this.emit('deviceAdded', { ...device });
+    return { ...device };
+  }
+
+  /**
+   * Update a registered device
+   * The device ID cannot be changed
+   */
+  async updateDevice(deviceId, changes, actor = {}) {
+    const existing = this.requireDevice(deviceId);
+
+    const device = { ...existing };
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        device[field] = changes[field];
+      }
+    }
+    if (changes.imei !== undefined) device.imei = String(changes.imei);
+    if (changes.meter !== undefined) device.meter = Number(changes.meter);
+    device.updatedAt = new Date().toISOString();
+
+    try {
+      this.validateDevice(device);
+
+      this.devices = this.devices.map(d => (d.id === deviceId ? device : d));
+      await this.save();
+    } catch (error) {
+      await auditService.record({ deviceId, action: 'device.update', target: deviceId, previous: existing, value: device, actor, error });
+      throw error;
+    }
+
+    logger.info(`Updated device ${deviceId}`);
+    await auditService.record({ deviceId, action: 'device.update', target: deviceId, previous: existing, value: device, actor });
+    this.emit('deviceUpdated', { ...device }, existing);
+    return { ...device };
+  }
+
+  /**
+   * Remove a device from the registry
+   * Its storage folder is kept so the device can be registered again later
+   */
+  async removeDevice(deviceId, actor = {}) {
+    const device = this.requireDevice(deviceId);
+
+    this.devices = this.devices.filter(d => d.id !== deviceId);
+    await this.save();
+
+    logger.info(`Removed device ${deviceId}`);
+    await auditService.record({ deviceId, action: 'device.delete', target: deviceId, previous: device, actor });
+    this.emit('deviceRemoved', device);
+    return device;
+  }
+
+  /**
+   * Translate an AWS device ID into the registered device ID
+   */
+  getDeviceIdByAwsId(awsDeviceId) {
+    if (!awsDeviceId) return null;
+    return this.devices.find(d => d.awsDeviceId === awsDeviceId)?.id || null;
+  }
+}
+
+module.exports = new DeviceRegistryService();
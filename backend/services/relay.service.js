@@ -1,20 +1,220 @@
+const crypto = require('crypto');
 const awsService = require('./aws.service');
 const cacheService = require('./cache.service');
+const auditService = require('./audit.service');
+const interlockService = require('./interlock.service');
+const registryService = require('./registry.service');
 const fileStorage = require('../utils/fileStorage');
+const { emitToDevice } = require('../utils/socketRooms');
 const logger = require('../utils/logger');
+const {
+  COMMAND_CONFIRM_TIMEOUT_MS,
+  COMMAND_MAX_ATTEMPTS,
+  COMMAND_RETRY_DELAY_MS,
+  OFFLINE_QUEUE_EXPIRY_MINUTES,
+  OFFLINE_QUEUE_MAX_EXPIRY_MINUTES
+} = require('../config/constants');
 
+// Finished commands kept per device for GET /relay/commands
+const MAX_RECENT_COMMANDS = 100;
+
+const TIMEOUT_CHECK_INTERVAL_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Relay commands
+ *
+ * Every command is tracked until the device confirms it:
+ *   queued -> sent -> confirmed | failed | timeout
+ * - sent: AWS accepted it; failed sends are retried with backoff
+ *   (COMMAND_RETRY_DELAY_MS, doubling) up to COMMAND_MAX_ATTEMPTS
+ * - confirmed: a later poll shows every relay of the command in its target
+ *   state; only then is relay-states.json updated
+ * - timeout: not confirmed within COMMAND_CONFIRM_TIMEOUT_MS (doubling with
+ *   each attempt) after its last attempt; it is sent again until then
+ * - failed: could not be sent, or superseded by a newer command for the same relay
+ *
+ * While the device is offline, commands sent with `queueIfOffline` are kept
+ * queued (with an `expiresAt`) in the device's offline queue and replayed in
+ * order once it is back online. Until then they can be cancelled, and are
+ * dropped when they expire or a newer command for the same relay supersedes
+ * them: queued -> expired | cancelled | failed, or replayed as above.
+ *
+ * Each change is pushed to dashboards as `commandStatus`.
+ *
+ * Storage per device: command-queue.json (the offline queue)
+ */
 class RelayService {
   constructor() {
-    this.pendingCommands = new Map();
+    this.pendingCommands = new Map(); // Device ID -> Map(command ID -> command) not finished yet
+    this.recentCommands = new Map(); // Device ID -> finished commands, newest first
+    this.lastChanges = new Map(); // Device ID -> { relayId: time of last state change (ms) }
+    this.offlineQueues = new Map(); // Device ID -> commands queued while offline, oldest first
+    this.replaying = new Set(); // Device IDs whose offline queue is being replayed
+    this.timeoutInterval = null;
+  }
+
+  /**
+   * Load the offline queue of a device and the last change times of its
+   * relays from file
+   */
+  async loadDevice(deviceId) {
+    await this.loadLastChanges(deviceId);
+
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'command-queue.json'));
+      this.offlineQueues.set(deviceId, data?.commands || []);
+      if (data?.commands?.length) {
+        logger.info(`Loaded ${data.commands.length} queued relay commands for ${deviceId}`);
+      }
+    } catch (error) {
+      logger.error(`Error loading queued relay commands for ${deviceId}:`, error);
+      this.offlineQueues.set(deviceId, []);
+    }
+  }
+
+  /**
+   * Load the offline queues and start checking sent commands for confirmation
+   * timeouts and queued ones for expiry
+   */
+  async start() {
+    if (this.timeoutInterval) return;
+
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+    this.timeoutInterval = setInterval(() => this.checkTimeouts(), TIMEOUT_CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timeoutInterval) {
+      clearInterval(this.timeoutInterval);
+      this.timeoutInterval = null;
+    }
+  }
+
+  /**
+   * Forget the commands of a device that was removed from the registry
+   */
+  removeDevice(deviceId) {
+    this.pendingCommands.delete(deviceId);
+    this.recentCommands.delete(deviceId);
+    this.lastChanges.delete(deviceId);
+    this.offlineQueues.delete(deviceId);
+  }
+
+  getPending(deviceId) {
+    if (!this.pendingCommands.has(deviceId)) this.pendingCommands.set(deviceId, new Map());
+    return this.pendingCommands.get(deviceId);
+  }
+
+  /**
+   * Unfinished command (queued or sent) switching a relay
+   * @returns {Object|null}
+   */
+  getPendingCommand(deviceId, relayId) {
+    for (const command of this.getPending(deviceId).values()) {
+      if (command.relays[relayId] !== undefined) return command;
+    }
+    return null;
   }
 
   /**
-   * Control a relay (manual mode)
+   * Commands queued while the device is offline, oldest first
    */
-  async controlRelay(relayId, state) {
+  getQueue(deviceId) {
+    return this.offlineQueues.get(deviceId) || [];
+  }
+
+  async saveQueue(deviceId) {
+    try {
+      await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'command-queue.json'), {
+        commands: this.getQueue(deviceId)
+      });
+    } catch (error) {
+      logger.error(`Error saving queued relay commands for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Relays switched by the offline queue of a device
+   * @returns {Set<string>}
+   */
+  getQueuedRelays(deviceId) {
+    return new Set(this.getQueue(deviceId).flatMap(command => Object.keys(command.relays)));
+  }
+
+  /**
+   * Commands of a device, unfinished first (queued while offline, then
+   * in flight, newest first), then the most recent finished ones
+   * @param {Object} filters - status, limit
+   */
+  getCommands(deviceId, { status, limit = 50 } = {}) {
+    const queued = [...this.getQueue(deviceId)].reverse();
+    const pending = [...this.getPending(deviceId).values()].reverse();
+    return [...queued, ...pending, ...(this.recentCommands.get(deviceId) || [])]
+      .filter(command => !status || command.status === status)
+      .slice(0, limit);
+  }
+
+  /**
+   * Best known relay states of a device, used for the interlock checks:
+   * the states the device last reported, with unfinished commands applied
+   */
+  async getCurrentStates(deviceId) {
+    const states = {
+      ...(await this.getAllRelayStates(deviceId)),
+      ...cacheService.getRelayStates(deviceId)
+    };
+
+    for (const command of this.getPending(deviceId).values()) {
+      Object.assign(states, command.relays);
+    }
+    return states;
+  }
+
+  /**
+   * Read the last change times kept in relay-states.json (changedAt), so
+   * minimum on/off times still apply to the first switch after a restart
+   */
+  async loadLastChanges(deviceId) {
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'relay-states.json'));
+      const changes = Object.entries(data?.changedAt || {})
+        .map(([relayId, changedAt]) => [relayId, Date.parse(changedAt)])
+        .filter(([, t]) => !isNaN(t));
+
+      this.lastChanges.set(deviceId, Object.fromEntries(changes));
+    } catch (error) {
+      logger.error(`Error loading relay change times for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * When a relay of a device last changed state through a command
+   * @returns {number|null} epoch ms, null when unknown (never changed by a command)
+   */
+  getLastChange(deviceId, relayId) {
+    return this.lastChanges.get(deviceId)?.[relayId] ?? null;
+  }
+
+  /**
+   * Control a relay
+   * @param {Object} actor - Who triggered the command ({ user, source, reason }), see auditService
+   * @param {Object} options - queueIfOffline, expiresInMinutes (see queueCommand)
+   * @returns {Object} { success, relay, state, command } after the first send
+   *   attempt (see sendTracked), plus queued: true when it was queued because
+   *   the device is offline
+   */
+  async controlRelay(deviceId, relayId, state, actor = {}, options = {}) {
+    const previous = cacheService.getRelayStates(deviceId)?.[relayId] ?? null;
+    const offline = !cacheService.canControlRelays(deviceId);
+    const action = offline && options.queueIfOffline ? 'relay.queue' : 'relay.control';
+
     try {
       // Check if device is online before attempting control
-      if (!cacheService.canControlRelays()) {
+      if (offline && !options.queueIfOffline) {
         const error = new Error('Device is offline. Cannot control relay.');
         error.code = 'DEVICE_OFFLINE';
         throw error;
@@ -31,56 +231,379 @@ class RelayService {
         throw new Error('Invalid state (must be 0 or 1)');
       }
 
-      logger.info(`Controlling relay ${relayId} -> ${numericState === 1 ? 'ON' : 'OFF'}`);
+      if (offline) {
+        // Interlocks are checked when the queue is replayed, against the states then
+        const command = await this.queueCommand(deviceId, { [relayId]: numericState }, actor, options.expiresInMinutes);
+        await auditService.record({ deviceId, action, target: relayId, previous, value: numericState, actor });
 
-      // Send command to AWS
-      const commandData = {
-        [relayId]: numericState
-      };
+        return {
+          success: true,
+          relay: relayId,
+          state: numericState,
+          command,
+          queued: true
+        };
+      }
+
+      interlockService.enforce(deviceId, await this.getCurrentStates(deviceId), { [relayId]: numericState });
+
+      logger.info(`Controlling relay ${relayId} on ${deviceId} -> ${numericState === 1 ? 'ON' : 'OFF'}`);
 
-      await awsService.sendCommand(commandData);
+      // Send command to AWS; relay-states.json is updated once the device confirms it
+      const command = await this.sendTracked(deviceId, { [relayId]: numericState }, actor);
 
-      // Update persisted relay states
-      await this.updateRelayState(relayId, numericState);
+      await auditService.record({ deviceId, action: 'relay.control', target: relayId, previous, value: numericState, actor });
 
       return {
         success: true,
         relay: relayId,
-        state: numericState
+        state: numericState,
+        command
       };
     } catch (error) {
-      logger.error(`Error controlling relay ${relayId}:`, error);
+      logger.error(`Error controlling relay ${relayId} on ${deviceId}:`, error);
+      await auditService.record({ deviceId, action, target: relayId, previous, value: state, actor, error });
       throw error;
     }
   }
 
+  /**
+   * New tracked command (status queued)
+   */
+  createCommand(deviceId, relays, actor = {}) {
+    return {
+      id: crypto.randomUUID(),
+      deviceId,
+      relays,
+      status: 'queued',
+      attempts: 0,
+      user: actor.user || 'unknown',
+      source: actor.source || 'manual',
+      reason: actor.reason || null,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      deadline: null,
+      finishedAt: null,
+      error: null,
+      supersededBy: null
+    };
+  }
+
+  /**
+   * Fail the unfinished commands (in flight or queued while offline) that
+   * switch a relay of a newer command
+   */
+  async supersede(deviceId, command) {
+    const overlaps = (older) => older.id !== command.id
+      && Object.keys(command.relays).some(relayId => older.relays[relayId] !== undefined);
+
+    const queued = this.getQueue(deviceId).filter(overlaps);
+    for (const older of [...this.getPending(deviceId).values(), ...queued].filter(overlaps)) {
+      older.supersededBy = command.id;
+      this.finishCommand(older, 'failed', `Superseded by command ${command.id}`);
+    }
+    if (queued.length > 0) await this.saveQueue(deviceId);
+  }
+
+  /**
+   * Queue a command, supersede older unfinished commands for the same relays
+   * and send it
+   * @returns {Object} The command after its first send attempt: sent, or
+   *   queued while failed sends are retried in the background
+   * @throws The send error when no retry is left (COMMAND_MAX_ATTEMPTS 1)
+   */
+  async sendTracked(deviceId, relays, actor = {}) {
+    const command = this.createCommand(deviceId, relays, actor);
+    await this.supersede(deviceId, command);
+
+    this.getPending(deviceId).set(command.id, command);
+    this.emitStatus(command);
+
+    await this.sendCommand(command);
+    return command;
+  }
+
+  /**
+   * Keep a command for an offline device until it reconnects (or the command
+   * expires), superseding older commands for the same relays
+   * @param {number} expiresInMinutes - Default OFFLINE_QUEUE_EXPIRY_MINUTES
+   * @returns {Object} The queued command
+   */
+  async queueCommand(deviceId, relays, actor = {}, expiresInMinutes = OFFLINE_QUEUE_EXPIRY_MINUTES) {
+    const minutes = Number(expiresInMinutes ?? OFFLINE_QUEUE_EXPIRY_MINUTES);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > OFFLINE_QUEUE_MAX_EXPIRY_MINUTES) {
+      throw new Error(`Expiry must be between 1 and ${OFFLINE_QUEUE_MAX_EXPIRY_MINUTES} minutes`);
+    }
+
+    const command = {
+      ...this.createCommand(deviceId, relays, actor),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+    };
+    await this.supersede(deviceId, command);
+
+    this.offlineQueues.set(deviceId, [...this.getQueue(deviceId), command]);
+    await this.saveQueue(deviceId);
+    this.emitStatus(command);
+
+    logger.info(`Queued command ${command.id} for offline ${deviceId} until ${command.expiresAt}:`, relays);
+    return command;
+  }
+
+  /**
+   * Cancel a command queued while the device is offline
+   * Each relay of the command is audited (relay.cancel)
+   * @returns {Object|null} The cancelled command, null when no such command is queued
+   */
+  async cancelQueued(deviceId, commandId, actor = {}) {
+    const command = this.getQueue(deviceId).find(c => c.id === commandId);
+    if (!command) return null;
+
+    this.finishCommand(command, 'cancelled', `Cancelled by ${actor.user || 'unknown'}`);
+    await this.saveQueue(deviceId);
+
+    logger.info(`Cancelled queued command ${command.id} for ${deviceId}`);
+    await Promise.all(Object.entries(command.relays).map(([relayId, state]) => auditService.record({
+      deviceId, action: 'relay.cancel', target: relayId, value: state, actor
+    })));
+    return command;
+  }
+
+  /**
+   * Drop the queued commands of a device that expired
+   */
+  async expireQueued(deviceId) {
+    const now = Date.now();
+    const expired = this.getQueue(deviceId).filter(command => Date.parse(command.expiresAt) <= now);
+    if (expired.length === 0) return;
+
+    for (const command of expired) {
+      this.finishCommand(command, 'expired', 'Expired before the device came back online');
+      logger.warn(`Queued command ${command.id} for ${deviceId} expired:`, command.relays);
+    }
+    await this.saveQueue(deviceId);
+  }
+
+  /**
+   * Send the commands queued while a device was offline, oldest first
+   * Called by the polling service once the device is back online. Each replayed
+   * command is checked against the interlocks and tracked like any other; its
+   * relays are audited (relay.control) with the user who queued it.
+   */
+  async replayQueue(deviceId) {
+    if (this.getQueue(deviceId).length === 0 || this.replaying.has(deviceId)) return;
+    this.replaying.add(deviceId);
+
+    try {
+      await this.expireQueued(deviceId);
+
+      let command;
+      while ((command = this.getQueue(deviceId)[0]) && cacheService.canControlRelays(deviceId)) {
+        this.offlineQueues.set(deviceId, this.getQueue(deviceId).slice(1));
+        await this.saveQueue(deviceId);
+        await this.replayCommand(command);
+      }
+    } finally {
+      this.replaying.delete(deviceId);
+    }
+  }
+
+  async replayCommand(command) {
+    const { deviceId, relays } = command;
+    const previousStates = cacheService.getRelayStates(deviceId) || {};
+    const actor = {
+      user: command.user,
+      source: command.source,
+      reason: command.reason ? `${command.reason} (queued while offline)` : 'Queued while offline'
+    };
+    let error = null;
+
+    logger.info(`Replaying queued command ${command.id} on ${deviceId}:`, relays);
+
+    try {
+      interlockService.enforce(deviceId, await this.getCurrentStates(deviceId), relays);
+      await this.supersede(deviceId, command);
+
+      this.getPending(deviceId).set(command.id, command);
+      this.emitStatus(command);
+      await this.sendCommand(command);
+    } catch (err) {
+      error = err;
+      if (!command.finishedAt) this.finishCommand(command, 'failed', err.message);
+      logger.error(`Replaying queued command ${command.id} on ${deviceId} failed:`, err.message);
+    }
+
+    await Promise.all(Object.entries(relays).map(([relayId, state]) => auditService.record({
+      deviceId,
+      action: 'relay.control',
+      target: relayId,
+      previous: previousStates[relayId],
+      value: state,
+      actor,
+      error
+    })));
+  }
+
+  /**
+   * Send (or send again) a tracked command
+   * Each send starts a new confirmation window, doubling with each attempt.
+   * A failed send is retried in the background with backoff, so this returns
+   * after the first attempt; progress is pushed as `commandStatus`.
+   * @throws The send error when it was the last attempt
+   */
+  async sendCommand(command) {
+    command.attempts++;
+
+    try {
+      await awsService.sendCommand(command.deviceId, command.relays);
+      if (command.finishedAt) return; // superseded meanwhile
+
+      const now = Date.now();
+      command.status = 'sent';
+      command.sentAt = new Date(now).toISOString();
+      command.deadline = new Date(now + COMMAND_CONFIRM_TIMEOUT_MS * 2 ** (command.attempts - 1)).toISOString();
+      command.error = null;
+      this.emitStatus(command);
+    } catch (error) {
+      if (command.finishedAt) return;
+      command.error = error.message;
+
+      if (command.attempts >= COMMAND_MAX_ATTEMPTS) {
+        this.finishCommand(command, 'failed', error.message);
+        throw error;
+      }
+
+      logger.warn(`Command ${command.id} to ${command.deviceId} failed (attempt ${command.attempts}), retrying: ${error.message}`);
+      this.emitStatus(command);
+      this.retryCommand(command);
+    }
+  }
+
+  /**
+   * Send a command again after the backoff delay of its last attempt
+   */
+  retryCommand(command) {
+    sleep(COMMAND_RETRY_DELAY_MS * 2 ** (command.attempts - 1))
+      .then(() => !command.finishedAt && this.sendCommand(command))
+      .catch(error => logger.error(`Sending command ${command.id} to ${command.deviceId} failed:`, error.message));
+  }
+
+  /**
+   * Confirm the sent commands a poll shows applied: every relay of the command
+   * is in its target state. Called by the polling service with each reading.
+   * @returns {Array} The commands confirmed
+   */
+  async confirmCommands(deviceId, data) {
+    const confirmed = [];
+
+    for (const command of [...this.getPending(deviceId).values()]) {
+      if (command.status !== 'sent') continue;
+
+      const applied = Object.entries(command.relays).every(([relayId, state]) => (data[relayId] || 0) === state);
+      if (!applied) continue;
+
+      for (const [relayId, state] of Object.entries(command.relays)) {
+        await this.updateRelayState(deviceId, relayId, state);
+      }
+      this.finishCommand(command, 'confirmed');
+      confirmed.push(command);
+      logger.info(`Command ${command.id} confirmed by ${deviceId}:`, command.relays);
+    }
+    return confirmed;
+  }
+
+  /**
+   * Send unconfirmed commands again, or time them out once all attempts are used,
+   * and drop expired queued commands
+   */
+  checkTimeouts() {
+    const now = Date.now();
+
+    for (const deviceId of this.offlineQueues.keys()) {
+      this.expireQueued(deviceId);
+    }
+
+    for (const pending of this.pendingCommands.values()) {
+      for (const command of [...pending.values()]) {
+        if (command.status !== 'sent' || !command.deadline || Date.parse(command.deadline) > now) continue;
+
+        if (command.attempts >= COMMAND_MAX_ATTEMPTS) {
+          this.finishCommand(command, 'timeout', `Not confirmed by the device after ${command.attempts} attempts`);
+          logger.warn(`Command ${command.id} to ${command.deviceId} timed out:`, command.relays);
+          continue;
+        }
+
+        logger.warn(`Command ${command.id} to ${command.deviceId} not confirmed, sending again`);
+        command.deadline = null;
+        this.sendCommand(command).catch(error => {
+          logger.error(`Resending command ${command.id} failed:`, error.message);
+        });
+      }
+    }
+  }
+
+  /**
+   * Move a command to the finished ones
+   * Queued commands are removed from the offline queue; callers save it
+   * @param {string} status - confirmed, failed, timeout, expired or cancelled
+   */
+  finishCommand(command, status, error = null) {
+    command.status = status;
+    command.error = error;
+    command.finishedAt = new Date().toISOString();
+
+    this.getPending(command.deviceId).delete(command.id);
+    if (this.getQueue(command.deviceId).includes(command)) {
+      this.offlineQueues.set(command.deviceId, this.getQueue(command.deviceId).filter(c => c !== command));
+    }
+    const recent = this.recentCommands.get(command.deviceId) || [];
+    this.recentCommands.set(command.deviceId, [command, ...recent].slice(0, MAX_RECENT_COMMANDS));
+
+    this.emitStatus(command);
+  }
+
+  emitStatus(command) {
+    emitToDevice(command.deviceId, 'commandStatus', command);
+  }
+
   /**
    * Update relay state in storage
    */
-  async updateRelayState(relayId, state) {
+  async updateRelayState(deviceId, relayId, state) {
     try {
-      const currentStates = await fileStorage.readJSON('relay-states.json') || {};
+      const statesFile = fileStorage.deviceFile(deviceId, 'relay-states.json');
+      const currentStates = await fileStorage.readJSON(statesFile) || {};
 
+      // The change time is kept next to the state for the minimum on/off times
+      if (currentStates[relayId] !== state) {
+        const now = Date.now();
+        this.lastChanges.set(deviceId, { ...this.lastChanges.get(deviceId), [relayId]: now });
+        currentStates.changedAt = { ...currentStates.changedAt, [relayId]: new Date(now).toISOString() };
+      }
       currentStates[relayId] = state;
 
-      await fileStorage.writeJSON('relay-states.json', currentStates);
+      await fileStorage.writeJSON(statesFile, currentStates);
 
-      logger.debug(`Relay state persisted: ${relayId} = ${state}`);
+      logger.debug(`Relay state persisted for ${deviceId}: ${relayId} = ${state}`);
     } catch (error) {
       logger.error('Error updating relay state:', error);
     }
   }
 
   /**
-   * Get all relay states
+   * Get all relay states (without their change times)
    */
-  async getAllRelayStates() {
+  async getAllRelayStates(deviceId) {
     try {
-      const states = await fileStorage.readJSON('relay-states.json');
-      return states || {
-        i1: 0, i2: 0, i3: 0, i4: 0, i5: 0,
-        i6: 0, i7: 0, i8: 0, i9: 0, i10: 0
-      };
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'relay-states.json'));
+      if (!data) {
+        return {
+          i1: 0, i2: 0, i3: 0, i4: 0, i5: 0,
+          i6: 0, i7: 0, i8: 0, i9: 0, i10: 0
+        };
+      }
+
+      const { changedAt, ...states } = data;
+      return states;
     } catch (error) {
       logger.error('Error getting relay states:', error);
       return {};
@@ -89,11 +612,26 @@ class RelayService {
 
   /**
    * Execute multiple relay commands at once
+   * They are sent and tracked as one command; each relay is audited separately
+   * @param {Object} options - queueIfOffline, expiresInMinutes (see queueCommand)
    */
-  async executeMultipleCommands(commands) {
+  async executeMultipleCommands(deviceId, commands, actor = {}, options = {}) {
+    const previousStates = cacheService.getRelayStates(deviceId) || {};
+    const offline = !cacheService.canControlRelays(deviceId);
+    const action = offline && options.queueIfOffline ? 'relay.queue' : 'relay.control';
+    const auditCommands = (error) => Promise.all(commands.map(cmd => auditService.record({
+      deviceId,
+      action,
+      target: cmd.relay,
+      previous: previousStates[cmd.relay],
+      value: cmd.state,
+      actor,
+      error
+    })));
+
     try {
       // Check if device is online before attempting control
-      if (!cacheService.canControlRelays()) {
+      if (offline && !options.queueIfOffline) {
         const error = new Error('Device is offline. Cannot control relays.');
         error.code = 'DEVICE_OFFLINE';
         throw error;
@@ -105,18 +643,25 @@ class RelayService {
         commandData[cmd.relay] = cmd.state;
       }
 
-      logger.info('Executing multiple relay commands:', commandData);
+      if (offline) {
+        const command = await this.queueCommand(deviceId, commandData, actor, options.expiresInMinutes);
+        await auditCommands(null);
+        return { success: true, commands: commandData, command, queued: true };
+      }
 
-      await awsService.sendCommand(commandData);
+      // Checked as a whole, so e.g. one relay can hand over to another
+      interlockService.enforce(deviceId, await this.getCurrentStates(deviceId), commandData);
 
-      // Update all states
-      for (const cmd of commands) {
-        await this.updateRelayState(cmd.relay, cmd.state);
-      }
+      logger.info(`Executing multiple relay commands on ${deviceId}:`, commandData);
+
+      const command = await this.sendTracked(deviceId, commandData, actor);
+
+      await auditCommands(null);
 
-      return { success: true, commands: commandData };
+      return { success: true, commands: commandData, command };
     } catch (error) {
       logger.error('Error executing multiple commands:', error);
+      await auditCommands(error);
       throw error;
     }
   }
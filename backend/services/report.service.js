@@ -0,0 +1,501 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const awsService = require('./aws.service');
+const calculationsService = require('./calculations.service');
+const historyService = require('./history.service');
+const registryService = require('./registry.service');
+const maintenanceService = require('./maintenance.service');
+const formulas = require('../config/formulas.config');
+const { SENSOR_LABELS } = require('../config/constants');
+const { transformDeviceData } = require('../utils/deviceMapper');
+const { toCSV } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const REPORT_SENSORS = ['d1', 'd2', 'd3', 'd4', 'd5', 'd6', 'd7', 'd8', 'd9', 'd10', 'd11', 'd12', 'd13', 'd14', 'd38'];
+const RELAYS = ['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Built-in PDF fonts only cover Latin-1, so subscripts are spelled out
+const pdfText = (text) => String(text).replace(/₂/g, '2');
+
+const round = (value, decimals = 2) =>
+  typeof value === 'number' ? Number(value.toFixed(decimals)) : value;
+
+/**
+ * Where the records of a report came from
+ */
+const describeSource = (source) => {
+  if (source === 'local') return 'Local history store';
+  if (source === 'aws') return 'AWS long-term storage';
+  return awsService.getDataSources()[source] || source;
+};
+
+/**
+ * Epoch ms of a device record ("ts" in seconds, or "date" as "YYYY-MM-DD,HH:mm:ss")
+ */
+const getRecordTime = (record) => {
+  if (typeof record.ts === 'number') return Math.round(record.ts * 1000);
+
+  if (typeof record.date === 'string' && record.date.includes(',')) {
+    const [datePart, timePart] = record.date.split(',');
+    const parsed = new Date(`${datePart}T${timePart}`).getTime();
+    if (!isNaN(parsed)) return parsed;
+  }
+
+  return null;
+};
+
+class ReportService {
+  /**
+   * Get the formats a report can be rendered in
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Fetch raw device records for a date range
+   * Uses the long-term export of the device's data source first and the local
+   * history store as a fallback
+   * @param {string} deviceId - Device ID
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD (inclusive)
+   */
+  async getRecords(deviceId, startDate, endDate) {
+    const from = new Date(`${startDate}T00:00:00`).getTime();
+    const to = new Date(`${endDate}T23:59:59.999`).getTime();
+
+    try {
+      const exported = await awsService.generateReport(deviceId, startDate, endDate);
+      const records = (exported || [])
+        .map(record => ({ t: getRecordTime(record), raw: record }))
+        .filter(record => record.t !== null && record.t >= from && record.t <= to);
+
+      if (records.length > 0) {
+        return { source: registryService.requireDevice(deviceId).dataSource, records: records.sort((a, b) => a.t - b.t) };
+      }
+
+      if (exported) {
+        logger.warn(`Report export of ${deviceId} for ${startDate}..${endDate} had no records, using local history`);
+      }
+    } catch (error) {
+      logger.warn(`Report export of ${deviceId} unavailable, using local history:`, error.message);
+    }
+
+    const samples = await historyService.getSamples(deviceId, from, to);
+    return {
+      source: 'local',
+      records: samples.map(sample => ({ t: sample.t, raw: sample.raw, maintenance: sample.maintenance === true }))
+    };
+  }
+
+  /**
+   * Flag records taken during maintenance (tagged locally or inside a
+   * maintenance window), optionally leaving them out
+   */
+  flagMaintenance(deviceId, records, excludeMaintenance) {
+    if (records.length === 0) return records;
+
+    const windows = maintenanceService.getWindows(deviceId, records[0].t, records[records.length - 1].t);
+    const flagged = records.map(record => ({
+      ...record,
+      maintenance: record.maintenance === true || maintenanceService.inWindows(windows, record.t)
+    }));
+
+    return excludeMaintenance ? flagged.filter(record => !record.maintenance) : flagged;
+  }
+
+  /**
+   * Enrich records with calculated values and build summaries
+   * CO2/O2 are integrated over the gap to the previous reading (capped like live accumulation),
+   * relay on-time uses the state held since the previous reading.
+   * Readings taken during maintenance add no CO2/O2 and are left out of the averages.
+   */
+  buildReport(records, { deviceId, startDate, endDate, source, excludeMaintenance = false }) {
+    const airflowRate = calculationsService.getAirflowRate(deviceId);
+    const maxGapMs = formulas.co2.maxIntervalMinutes * 60 * 1000;
+    const relayNames = calculationsService.getRelayNames();
+
+    const relayTotals = {};
+    for (const relay of RELAYS) {
+      relayTotals[relay] = { relay, name: relayNames[relay] || relay, onMs: 0, switches: 0 };
+    }
+
+    let co2Total = 0;
+    let o2Total = 0;
+    const daily = new Map();
+
+    const rows = records.map((record, index) => {
+      const raw = transformDeviceData(record.raw);
+      const previous = records[index - 1];
+      const intervalMs = previous ? Math.min(record.t - previous.t, maxGapMs) : 0;
+
+      const co2Diff = Math.max(0, (raw.d1 || 0) - (raw.d8 || 0));
+      const { co2AbsorbedGrams, o2GeneratedLiters } = calculationsService.calculateIntervalExchange(
+        co2Diff, record.maintenance ? 0 : intervalMs / HOUR_MS, airflowRate
+      );
+      co2Total += co2AbsorbedGrams;
+      o2Total += o2GeneratedLiters;
+
+      if (previous) {
+        for (const relay of RELAYS) {
+          const before = previous.raw[relay] || 0;
+          relayTotals[relay].onMs += before * intervalMs;
+          if (Math.round(before) !== Math.round(raw[relay] || 0)) {
+            relayTotals[relay].switches++;
+          }
+        }
+      }
+
+      const aqi = calculationsService.calculateAQI(raw);
+
+      // Daily summary keyed on the device's local date when available
+      const day = typeof raw.date === 'string' && raw.date.includes(',')
+        ? raw.date.split(',')[0]
+        : new Date(record.t).toISOString().slice(0, 10);
+      if (!daily.has(day)) {
+        daily.set(day, { day, samples: 0, maintenanceSamples: 0, inletCO2: 0, outletCO2: 0, aqi: 0, co2Grams: 0, o2Liters: 0 });
+      }
+      const dayTotals = daily.get(day);
+      dayTotals.samples++;
+      if (record.maintenance) {
+        dayTotals.maintenanceSamples++;
+      } else {
+        dayTotals.inletCO2 += raw.d1 || 0;
+        dayTotals.outletCO2 += raw.d8 || 0;
+        dayTotals.aqi += aqi.value;
+      }
+      dayTotals.co2Grams += co2AbsorbedGrams;
+      dayTotals.o2Liters += o2GeneratedLiters;
+
+      return {
+        t: record.t,
+        raw,
+        aqi,
+        co2Diff,
+        co2Grams: co2AbsorbedGrams,
+        co2Total,
+        o2Liters: o2GeneratedLiters,
+        o2Total,
+        maintenance: record.maintenance === true
+      };
+    });
+    const representative = rows.filter(r => !r.maintenance);
+
+    return {
+      deviceId,
+      startDate,
+      endDate,
+      source,
+      excludeMaintenance,
+      generatedAt: new Date().toISOString(),
+      airflowRate,
+      rows,
+      totals: {
+        samples: rows.length,
+        maintenanceSamples: rows.length - representative.length,
+        co2AbsorbedGrams: co2Total,
+        o2GeneratedLiters: o2Total,
+        averageAQI: representative.length > 0
+          ? representative.reduce((sum, r) => sum + r.aqi.value, 0) / representative.length
+          : null
+      },
+      relays: Object.values(relayTotals).map(r => ({ ...r, onHours: r.onMs / HOUR_MS })),
+      daily: [...daily.values()].map(d => {
+        const counted = d.samples - d.maintenanceSamples;
+        return {
+          day: d.day,
+          samples: d.samples,
+          maintenanceSamples: d.maintenanceSamples,
+          avgInletCO2: counted > 0 ? d.inletCO2 / counted : null,
+          avgOutletCO2: counted > 0 ? d.outletCO2 / counted : null,
+          avgAQI: counted > 0 ? d.aqi / counted : null,
+          co2Grams: d.co2Grams,
+          o2Liters: d.o2Liters
+        };
+      })
+    };
+  }
+
+  /**
+   * Column headers and cell values for the data table
+   */
+  getDataTable(report) {
+    const relayNames = calculationsService.getRelayNames();
+
+    const header = [
+      'Timestamp (UTC)',
+      'Device Time',
+      'Device ID',
+      ...REPORT_SENSORS.map(key => `${SENSOR_LABELS[key]} (${key})`),
+      ...RELAYS.map(relay => `${relayNames[relay] || relay} (${relay})`),
+      'AQI',
+      'AQI Category',
+      'CO₂ Difference (ppm)',
+      'CO₂ Absorbed (g)',
+      'CO₂ Absorbed Cumulative (g)',
+      'O₂ Generated (L)',
+      'O₂ Generated Cumulative (L)',
+      'Maintenance'
+    ];
+
+    const rows = report.rows.map(row => [
+      new Date(row.t).toISOString(),
+      row.raw.date || '',
+      row.raw.d || report.deviceId,
+      ...REPORT_SENSORS.map(key => row.raw[key] ?? ''),
+      ...RELAYS.map(relay => row.raw[relay] ?? ''),
+      row.aqi.value,
+      row.aqi.category,
+      round(row.co2Diff),
+      round(row.co2Grams, 4),
+      round(row.co2Total, 4),
+      round(row.o2Liters, 6),
+      round(row.o2Total, 6),
+      row.maintenance ? 'Yes' : ''
+    ]);
+
+    return { header, rows };
+  }
+
+  /**
+   * Render as CSV: data rows followed by the relay on-time section
+   */
+  toCSV(report) {
+    const { header, rows } = this.getDataTable(report);
+
+    const csv = toCSV([
+      header,
+      ...rows,
+      [],
+      ['Relay On-Time Totals'],
+      ['Relay', 'Name', 'On-Time (h)', 'Switch Count'],
+      ...report.relays.map(r => [r.relay, r.name, round(r.onHours), r.switches])
+    ]);
+
+    // BOM so spreadsheet apps read the unicode labels correctly
+    return Buffer.from('\ufeff' + csv, 'utf8');
+  }
+
+  /**
+   * Render as an Excel workbook (Summary, Daily, Relays and Data sheets)
+   */
+  async toXLSX(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(report.generatedAt);
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ width: 32 }, { width: 28 }];
+    summary.addRows([
+      ['IOCL Air Quality Control System - Compliance Report'],
+      [],
+      ['Device', report.deviceId],
+      ['Period', `${report.startDate} to ${report.endDate}`],
+      ['Data Source', describeSource(report.source)],
+      ['Generated At', report.generatedAt],
+      ['Airflow Rate (m³/h)', report.airflowRate],
+      [],
+      ['Samples', report.totals.samples],
+      [report.excludeMaintenance ? 'Maintenance Readings' : 'Maintenance Samples', report.excludeMaintenance ? 'Excluded' : report.totals.maintenanceSamples],
+      ['Average AQI', round(report.totals.averageAQI, 1)],
+      ['CO₂ Absorbed (g)', round(report.totals.co2AbsorbedGrams, 2)],
+      ['O₂ Generated (L)', round(report.totals.o2GeneratedLiters, 4)]
+    ]);
+    summary.getRow(1).font = { bold: true, size: 14 };
+
+    const daily = workbook.addWorksheet('Daily');
+    daily.columns = [
+      { header: 'Date', key: 'day', width: 14 },
+      { header: 'Samples', key: 'samples', width: 10 },
+      { header: 'Maintenance', key: 'maintenanceSamples', width: 13 },
+      { header: 'Avg Inlet CO₂ (ppm)', key: 'avgInletCO2', width: 20 },
+      { header: 'Avg Outlet CO₂ (ppm)', key: 'avgOutletCO2', width: 20 },
+      { header: 'Avg AQI', key: 'avgAQI', width: 10 },
+      { header: 'CO₂ Absorbed (g)', key: 'co2Grams', width: 18 },
+      { header: 'O₂ Generated (L)', key: 'o2Liters', width: 18 }
+    ];
+    for (const day of report.daily) {
+      daily.addRow({
+        ...day,
+        avgInletCO2: round(day.avgInletCO2, 1),
+        avgOutletCO2: round(day.avgOutletCO2, 1),
+        avgAQI: round(day.avgAQI, 1),
+        co2Grams: round(day.co2Grams, 2),
+        o2Liters: round(day.o2Liters, 4)
+      });
+    }
+
+    const relays = workbook.addWorksheet('Relays');
+    relays.columns = [
+      { header: 'Relay', key: 'relay', width: 8 },
+      { header: 'Name', key: 'name', width: 22 },
+      { header: 'On-Time (h)', key: 'onHours', width: 14 },
+      { header: 'Switch Count', key: 'switches', width: 14 }
+    ];
+    for (const relay of report.relays) {
+      relays.addRow({ ...relay, onHours: round(relay.onHours) });
+    }
+
+    const { header, rows } = this.getDataTable(report);
+    const data = workbook.addWorksheet('Data');
+    data.addRow(header);
+    data.addRows(rows);
+
+    for (const sheet of [daily, relays, data]) {
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Render as PDF: summary, relay on-time and daily tables
+   * (Per-sample data is left to the CSV/XLSX exports)
+   */
+  async toPDF(report) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const drawTable = (columns, rows) => {
+      const startX = doc.page.margins.left;
+      const rowHeight = 16;
+
+      const drawRow = (cells, bold) => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        let x = startX;
+        cells.forEach((cell, index) => {
+          doc.text(pdfText(cell ?? ''), x, y, { width: columns[index].width - 4, lineBreak: false });
+          x += columns[index].width;
+        });
+        doc.y = y + rowHeight;
+      };
+
+      drawRow(columns.map(c => c.label), true);
+      rows.forEach(cells => drawRow(cells, false));
+      doc.x = startX;
+      doc.moveDown();
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text('IOCL Air Quality Control System');
+    doc.font('Helvetica').fontSize(12).text('Compliance Report');
+    doc.moveDown();
+
+    doc.fontSize(10);
+    [
+      ['Device', report.deviceId],
+      ['Period', `${report.startDate} to ${report.endDate}`],
+      ['Data Source', describeSource(report.source)],
+      ['Generated At', new Date(report.generatedAt).toLocaleString()],
+      ['Airflow Rate', `${report.airflowRate} m³/h`],
+      ['Samples', report.totals.samples],
+      [report.excludeMaintenance ? 'Maintenance Readings' : 'Maintenance Samples', report.excludeMaintenance ? 'Excluded' : report.totals.maintenanceSamples],
+      ['Average AQI', round(report.totals.averageAQI, 1) ?? '-'],
+      ['CO2 Absorbed', `${round(report.totals.co2AbsorbedGrams, 2)} g`],
+      ['O2 Generated', `${round(report.totals.o2GeneratedLiters, 4)} L`]
+    ].forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(pdfText(value));
+    });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Relay On-Time');
+    doc.moveDown(0.5);
+    drawTable(
+      [
+        { label: 'Relay', width: 50 },
+        { label: 'Name', width: 160 },
+        { label: 'On-Time (h)', width: 90 },
+        { label: 'Switches', width: 70 }
+      ],
+      report.relays.map(r => [r.relay, r.name, round(r.onHours), r.switches])
+    );
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Daily Summary');
+    doc.moveDown(0.5);
+    drawTable(
+      [
+        { label: 'Date', width: 70 },
+        { label: 'Samples', width: 50 },
+        { label: 'Maint.', width: 40 },
+        { label: 'Inlet CO2', width: 60 },
+        { label: 'Outlet CO2', width: 65 },
+        { label: 'Avg AQI', width: 50 },
+        { label: 'CO2 Abs. (g)', width: 90 },
+        { label: 'O2 Gen. (L)', width: 90 }
+      ],
+      report.daily.map(d => [
+        d.day,
+        d.samples,
+        d.maintenanceSamples,
+        round(d.avgInletCO2, 1),
+        round(d.avgOutletCO2, 1),
+        round(d.avgAQI, 1),
+        round(d.co2Grams, 2),
+        round(d.o2Liters, 4)
+      ])
+    );
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Generate a report file
+   * @param {Object} options
+   * @param {string} options.deviceId - Device ID
+   * @param {string} options.startDate - YYYY-MM-DD
+   * @param {string} options.endDate - YYYY-MM-DD (inclusive)
+   * @param {string} options.format - csv | xlsx | pdf
+   * @param {boolean} [options.excludeMaintenance] - Leave out readings taken during maintenance
+   * @returns {Object|null} { buffer, contentType, filename, source, recordCount } or null when there is no data
+   */
+  async generate({ deviceId, startDate, endDate, format, excludeMaintenance = false }) {
+    const formatInfo = FORMATS[format];
+    if (!formatInfo) {
+      throw new Error(`Unsupported report format "${format}"`);
+    }
+
+    const fetched = await this.getRecords(deviceId, startDate, endDate);
+    const { source } = fetched;
+    const records = this.flagMaintenance(deviceId, fetched.records, excludeMaintenance);
+    if (records.length === 0) {
+      return null;
+    }
+
+    const report = this.buildReport(records, { deviceId, startDate, endDate, source, excludeMaintenance });
+
+    let buffer;
+    if (format === 'csv') buffer = this.toCSV(report);
+    if (format === 'xlsx') buffer = await this.toXLSX(report);
+    if (format === 'pdf') buffer = await this.toPDF(report);
+
+    logger.info(`Generated ${format.toUpperCase()} report for ${deviceId} ${startDate}..${endDate} (${records.length} records from ${source})`);
+
+    return {
+      buffer,
+      contentType: formatInfo.contentType,
+      filename: `${report.deviceId}_report_${startDate}_${endDate}.${formatInfo.extension}`,
+      source,
+      recordCount: records.length
+    };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,411 @@
+const registryService = require('./registry.service');
+const auditService = require('./audit.service');
+const notificationService = require('./notification.service');
+const calculationsService = require('./calculations.service');
+const fileStorage = require('../utils/fileStorage');
+const { emitToDevice } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+const DEFAULT_SETTINGS = require('../config/runtime.config');
+
+const RELAY_IDS = ['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'];
+
+// Longer gaps between readings (device offline, server stopped) are not counted
+const MAX_SAMPLE_GAP_MS = 10 * 60 * 1000;
+
+// Counted readings are written to file at most this often
+const SAVE_INTERVAL_MS = 60 * 1000;
+
+const DAILY_RETENTION_DAYS = 400;
+const MAX_RATED_WATTS = 100000;
+const MAX_MAINTENANCE_HOURS = 100000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar day / month of a time ('2026-10-19' / '2026-10')
+const dayKey = (t) => {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+const monthKey = (t) => dayKey(t).slice(0, 7);
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Relay runtime accounting
+ *
+ * On-time and switch counts (times switched ON) per relay, derived from the
+ * relay states of consecutive readings. A relay that changed state between
+ * two readings switched when the confirmed command for it was sent, or
+ * halfway between the readings when no command explains the change.
+ *
+ * Totals are kept per day, per month and in all, plus a maintenance counter
+ * per relay (runtime since its last service). Relays with a `ratedWatts` get
+ * a kWh estimate; relays with `maintenanceHours` raise a `maintenance.due`
+ * notification and a `maintenanceDue` socket event once their counter
+ * reaches it, until the counter is reset.
+ *
+ * Intervals are timed by the device's reading times (`ts`), so a reading
+ * polled twice is counted once. Counted readings are saved every minute and
+ * on shutdown; settings and resets are saved at once.
+ *
+ * Storage per device: relay-runtime.json
+ */
+class RuntimeService {
+  constructor() {
+    this.devices = new Map(); // Device ID -> { settings, lastSample, totals, service, daily, monthly }
+    this.unsaved = new Set(); // Device IDs with readings counted since the last save
+    this.saveInterval = null;
+  }
+
+  /**
+   * Get the runtime state of a device, creating an empty one if needed
+   */
+  getState(deviceId) {
+    if (!this.devices.has(deviceId)) {
+      this.devices.set(deviceId, {
+        settings: DEFAULT_SETTINGS,
+        lastSample: null, // { t, states } of the last reading
+        totals: {}, // relayId -> { onSeconds, switches }
+        service: {}, // relayId -> { onSeconds, since, dueNotifiedAt }
+        daily: {}, // 'YYYY-MM-DD' -> { relayId: { onSeconds, switches } }
+        monthly: {} // 'YYYY-MM' -> { relayId: { onSeconds, switches } }
+      });
+    }
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Load the runtime totals and settings of a device from file
+   */
+  async loadDevice(deviceId) {
+    const state = this.getState(deviceId);
+
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'relay-runtime.json'));
+      if (data) Object.assign(state, data);
+      logger.info(`Loaded relay runtime for ${deviceId}`);
+    } catch (error) {
+      logger.error(`Error loading relay runtime for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Load the runtime of every registered device and start the periodic save
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+
+    this.saveInterval = setInterval(() => this.saveUnsaved(), SAVE_INTERVAL_MS);
+  }
+
+  /**
+   * Stop the periodic save and write the readings counted since the last one
+   */
+  async stop() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+    await this.saveUnsaved();
+  }
+
+  /**
+   * Forget a device that was removed from the registry (its file is kept)
+   */
+  removeDevice(deviceId) {
+    this.devices.delete(deviceId);
+    this.unsaved.delete(deviceId);
+  }
+
+  async saveUnsaved() {
+    for (const deviceId of [...this.unsaved]) {
+      await this.save(deviceId);
+    }
+  }
+
+  async save(deviceId) {
+    this.unsaved.delete(deviceId);
+
+    try {
+      await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'relay-runtime.json'), this.getState(deviceId));
+    } catch (error) {
+      logger.error(`Error saving relay runtime for ${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Settings of a relay ({ ratedWatts, maintenanceHours })
+   */
+  getSettings(deviceId, relayId) {
+    return {
+      ratedWatts: null,
+      maintenanceHours: null,
+      ...this.getState(deviceId).settings[relayId]
+    };
+  }
+
+  label(relayId) {
+    const name = calculationsService.getRelayNames()[relayId];
+    return name ? `${name} (${relayId})` : relayId;
+  }
+
+  /**
+   * Count the time since the previous reading. Called by the polling service
+   * with each reading; a reading that is not newer than the previous one
+   * (same `ts`) is skipped.
+   * @param {Object} data - Raw reading (ts in seconds, i1...i10)
+   * @param {Array} confirmedCommands - Commands this reading confirmed, see relayService
+   * @returns {boolean} Whether the reading was counted
+   */
+  recordSample(deviceId, data, confirmedCommands = []) {
+    const state = this.getState(deviceId);
+    const now = typeof data.ts === 'number' ? data.ts * 1000 : Date.now();
+    const states = Object.fromEntries(RELAY_IDS.map(relayId => [relayId, data[relayId] === 1 ? 1 : 0]));
+    const last = state.lastSample;
+
+    if (last && now <= last.t) {
+      logger.debug(`Relay runtime sample for ${deviceId} skipped (already counted)`);
+      return false;
+    }
+
+    if (last && now - last.t <= MAX_SAMPLE_GAP_MS) {
+      for (const relayId of RELAY_IDS) {
+        const was = last.states[relayId];
+        const is = states[relayId];
+
+        if (was === is) {
+          if (is === 1) this.addOnTime(state, relayId, last.t, now);
+          continue;
+        }
+
+        const command = confirmedCommands.find(c => c.relays[relayId] === is && c.sentAt);
+        const sentAt = command ? Date.parse(command.sentAt) : (last.t + now) / 2;
+        const switchedAt = Math.min(Math.max(sentAt, last.t), now);
+
+        if (was === 1) {
+          this.addOnTime(state, relayId, last.t, switchedAt);
+        } else {
+          this.addOnTime(state, relayId, switchedAt, now);
+          this.add(state, relayId, switchedAt, { switches: 1 });
+        }
+      }
+    }
+
+    state.lastSample = { t: now, states };
+    this.pruneDaily(state, now);
+    this.checkMaintenance(deviceId);
+    this.unsaved.add(deviceId);
+    return true;
+  }
+
+  /**
+   * Add on-time from one time to another, split at local midnight
+   */
+  addOnTime(state, relayId, from, to) {
+    let start = from;
+
+    while (start < to) {
+      const d = new Date(start);
+      const nextDay = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime();
+      const end = Math.min(to, nextDay);
+
+      this.add(state, relayId, start, { onSeconds: (end - start) / 1000 });
+      start = end;
+    }
+  }
+
+  /**
+   * Add on-time and/or switches to the totals, the maintenance counter and the
+   * day and month of a time
+   */
+  add(state, relayId, t, { onSeconds = 0, switches = 0 }) {
+    const day = dayKey(t);
+    const month = monthKey(t);
+    state.daily[day] = state.daily[day] || {};
+    state.monthly[month] = state.monthly[month] || {};
+
+    for (const bucket of [state.totals, state.daily[day], state.monthly[month]]) {
+      const counter = bucket[relayId] || { onSeconds: 0, switches: 0 };
+      counter.onSeconds += onSeconds;
+      counter.switches += switches;
+      bucket[relayId] = counter;
+    }
+
+    const service = state.service[relayId] || { onSeconds: 0, since: null, dueNotifiedAt: null };
+    service.onSeconds += onSeconds;
+    state.service[relayId] = service;
+  }
+
+  pruneDaily(state, now) {
+    const oldest = dayKey(now - DAILY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const day of Object.keys(state.daily)) {
+      if (day < oldest) delete state.daily[day];
+    }
+  }
+
+  /**
+   * Notify once when the maintenance counter of a relay reaches its limit
+   */
+  checkMaintenance(deviceId) {
+    const state = this.getState(deviceId);
+
+    for (const relayId of RELAY_IDS) {
+      const { maintenanceHours } = this.getSettings(deviceId, relayId);
+      const service = state.service[relayId];
+      if (!maintenanceHours || !service || service.dueNotifiedAt) continue;
+
+      const hours = service.onSeconds / 3600;
+      if (hours < maintenanceHours) continue;
+
+      service.dueNotifiedAt = new Date().toISOString();
+      const message = `${this.label(relayId)} has run ${round(hours, 1)} h since its last service (limit ${maintenanceHours} h)`;
+
+      logger.warn(`Maintenance due on ${deviceId}: ${message}`);
+      emitToDevice(deviceId, 'maintenanceDue', { relay: relayId, hours: round(hours, 2), maintenanceHours });
+      notificationService.notify({
+        type: 'maintenance.due',
+        deviceId,
+        severity: 'warning',
+        title: `Maintenance due: ${this.label(relayId)}`,
+        message,
+        key: relayId
+      });
+    }
+  }
+
+  /**
+   * Validate runtime settings
+   * Throws an error describing the first invalid field
+   */
+  validateSettings(settings) {
+    const { ratedWatts, maintenanceHours } = settings;
+
+    if (ratedWatts !== null && (typeof ratedWatts !== 'number' || ratedWatts <= 0 || ratedWatts > MAX_RATED_WATTS)) {
+      throw new Error(`ratedWatts must be null or a number between 0 and ${MAX_RATED_WATTS}`);
+    }
+    if (maintenanceHours !== null && (typeof maintenanceHours !== 'number' || maintenanceHours <= 0 || maintenanceHours > MAX_MAINTENANCE_HOURS)) {
+      throw new Error(`maintenanceHours must be null or a number between 0 and ${MAX_MAINTENANCE_HOURS}`);
+    }
+    return true;
+  }
+
+  /**
+   * Change the rated power and/or maintenance interval of a relay
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async saveSettings(deviceId, relayId, data, actor = {}) {
+    const state = this.getState(deviceId);
+    const previous = this.getSettings(deviceId, relayId);
+    const settings = {
+      ratedWatts: data.ratedWatts !== undefined ? data.ratedWatts : previous.ratedWatts,
+      maintenanceHours: data.maintenanceHours !== undefined ? data.maintenanceHours : previous.maintenanceHours
+    };
+
+    try {
+      if (!RELAY_IDS.includes(relayId)) {
+        throw new Error('Invalid relay ID');
+      }
+      this.validateSettings(settings);
+
+      state.settings = { ...state.settings, [relayId]: settings };
+
+      // A raised limit warns again once it is reached
+      const service = state.service[relayId];
+      if (service?.dueNotifiedAt && (!settings.maintenanceHours || service.onSeconds / 3600 < settings.maintenanceHours)) {
+        service.dueNotifiedAt = null;
+      }
+      this.checkMaintenance(deviceId);
+      await this.save(deviceId);
+
+      logger.info(`Updated runtime settings of ${relayId} on ${deviceId}:`, settings);
+      await auditService.record({ deviceId, action: 'runtime.settings', target: relayId, previous, value: settings, actor });
+      return settings;
+    } catch (error) {
+      await auditService.record({ deviceId, action: 'runtime.settings', target: relayId, previous, value: settings, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the maintenance counter of a relay after a service (e.g. new lamp)
+   * @returns {Object} The new counter
+   */
+  async resetMaintenance(deviceId, relayId, actor = {}) {
+    if (!RELAY_IDS.includes(relayId)) {
+      throw new Error('Invalid relay ID');
+    }
+
+    const state = this.getState(deviceId);
+    const previousHours = round((state.service[relayId]?.onSeconds || 0) / 3600, 2);
+
+    state.service[relayId] = { onSeconds: 0, since: new Date().toISOString(), dueNotifiedAt: null };
+    await this.save(deviceId);
+
+    logger.info(`Reset maintenance counter of ${relayId} on ${deviceId} (was ${previousHours} h)`);
+    await auditService.record({
+      deviceId,
+      action: 'runtime.reset',
+      target: relayId,
+      previous: previousHours,
+      value: 0,
+      actor
+    });
+    return state.service[relayId];
+  }
+
+  /**
+   * Hours, switches and kWh of a counter
+   */
+  summarize(counter, ratedWatts) {
+    const onHours = (counter?.onSeconds || 0) / 3600;
+    return {
+      onHours: round(onHours, 2),
+      switches: counter?.switches || 0,
+      kWh: ratedWatts ? round(onHours * ratedWatts / 1000, 3) : null
+    };
+  }
+
+  /**
+   * Runtime of every relay of a device
+   * @param {Object} options - days: daily totals to include (most recent first)
+   * @returns {Object} { relays, daily, monthly }
+   */
+  getRuntime(deviceId, { days = 30 } = {}) {
+    const state = this.getState(deviceId);
+    const now = Date.now();
+    const relayNames = calculationsService.getRelayNames();
+
+    const summarizeBucket = (bucket) => Object.fromEntries(Object.entries(bucket).map(([relayId, counter]) => (
+      [relayId, this.summarize(counter, this.getSettings(deviceId, relayId).ratedWatts)]
+    )));
+
+    const relays = Object.fromEntries(RELAY_IDS.map(relayId => {
+      const settings = this.getSettings(deviceId, relayId);
+      const service = state.service[relayId];
+      const serviceHours = round((service?.onSeconds || 0) / 3600, 2);
+
+      return [relayId, {
+        name: relayNames[relayId] || relayId,
+        ...settings,
+        total: this.summarize(state.totals[relayId], settings.ratedWatts),
+        today: this.summarize(state.daily[dayKey(now)]?.[relayId], settings.ratedWatts),
+        month: this.summarize(state.monthly[monthKey(now)]?.[relayId], settings.ratedWatts),
+        serviceHours,
+        serviceSince: service?.since || null,
+        maintenanceDue: !!settings.maintenanceHours && serviceHours >= settings.maintenanceHours
+      }];
+    }));
+
+    return {
+      relays,
+      daily: Object.keys(state.daily).sort().reverse().slice(0, days)
+        .map(date => ({ date, relays: summarizeBucket(state.daily[date]) })),
+      monthly: Object.keys(state.monthly).sort().reverse()
+        .map(month => ({ month, relays: summarizeBucket(state.monthly[month]) }))
+    };
+  }
+}
+
+module.exports = new RuntimeService();
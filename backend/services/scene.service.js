@@ -0,0 +1,181 @@
+const registryService = require('./registry.service');
+const relayService = require('./relay.service');
+const auditService = require('./audit.service');
+const fileStorage = require('../utils/fileStorage');
+const logger = require('../utils/logger');
+const DEFAULT_SCENES = require('../config/scenes.config');
+
+const RELAY_PATTERN = /^i([1-9]|10)$/;
+
+/**
+ * Scenes: named multi-relay configurations ({ id, name, relays: { i1: 1, i7: 0 } })
+ * applied as one batched command, so interlocks see them as a whole and the
+ * device switches all relays at once. Relays a scene does not list keep
+ * their state. Automation rules can target a scene instead of a relay.
+ *
+ * Storage per device: scenes.json (config/scenes.config.js until the
+ * device's scenes are first changed)
+ */
+class SceneService {
+  constructor() {
+    this.scenes = new Map(); // Device ID -> scenes
+  }
+
+  /**
+   * Load the scenes of a device from file
+   */
+  async loadDevice(deviceId) {
+    try {
+      const data = await fileStorage.readJSON(fileStorage.deviceFile(deviceId, 'scenes.json'));
+      this.scenes.set(deviceId, data?.scenes || DEFAULT_SCENES);
+      logger.info(`Loaded ${this.getScenes(deviceId).length} scenes for ${deviceId}`);
+    } catch (error) {
+      logger.error(`Error loading scenes for ${deviceId}:`, error);
+      this.scenes.set(deviceId, DEFAULT_SCENES);
+    }
+  }
+
+  /**
+   * Load the scenes of every registered device
+   */
+  async start() {
+    for (const device of registryService.getDevices()) {
+      await this.loadDevice(device.id);
+    }
+  }
+
+  /**
+   * Forget a device that was removed from the registry (its file is kept)
+   */
+  removeDevice(deviceId) {
+    this.scenes.delete(deviceId);
+  }
+
+  async saveScenes(deviceId) {
+    await fileStorage.writeJSON(fileStorage.deviceFile(deviceId, 'scenes.json'), {
+      scenes: this.getScenes(deviceId)
+    });
+  }
+
+  /**
+   * Get the scenes of a device
+   */
+  getScenes(deviceId) {
+    return this.scenes.get(deviceId) || DEFAULT_SCENES;
+  }
+
+  /**
+   * Get one scene of a device
+   * @returns {Object|null}
+   */
+  getScene(deviceId, sceneId) {
+    return this.getScenes(deviceId).find(s => s.id === sceneId) || null;
+  }
+
+  /**
+   * Validate a scene
+   * Throws an error describing the first invalid field
+   */
+  validateScene(scene) {
+    if (!scene.name || typeof scene.name !== 'string') {
+      throw new Error('Scene name is required');
+    }
+    if (!scene.relays || typeof scene.relays !== 'object' || Object.keys(scene.relays).length === 0) {
+      throw new Error('A scene must set at least one relay');
+    }
+    for (const [relayId, state] of Object.entries(scene.relays)) {
+      if (!RELAY_PATTERN.test(relayId)) {
+        throw new Error(`Invalid relay ID: ${relayId}`);
+      }
+      if (![0, 1].includes(state)) {
+        throw new Error(`Invalid state for ${relayId} (must be 0 or 1)`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Add or update a scene
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async saveScene(deviceId, data, actor = {}) {
+    const scenes = this.getScenes(deviceId);
+    const previous = scenes.find(s => s.id === data.id) || null;
+    const action = previous ? 'scene.update' : 'scene.create';
+
+    const scene = {
+      id: previous?.id || `scene_${Date.now()}`,
+      name: data.name,
+      relays: data.relays
+    };
+
+    try {
+      this.validateScene(scene);
+
+      this.scenes.set(deviceId, previous
+        ? scenes.map(s => (s.id === scene.id ? scene : s))
+        : [...scenes, scene]);
+      await this.saveScenes(deviceId);
+
+      logger.info(`${previous ? 'Updated' : 'Added'} scene for ${deviceId}: ${scene.id}`);
+      await auditService.record({ deviceId, action, target: scene.id, previous, value: scene, actor });
+      return scene;
+    } catch (error) {
+      await auditService.record({ deviceId, action, target: scene.id, previous, value: scene, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a scene
+   * @returns {boolean} false when the scene does not exist
+   */
+  async deleteScene(deviceId, sceneId, actor = {}) {
+    const scenes = this.getScenes(deviceId);
+    const previous = scenes.find(s => s.id === sceneId);
+    if (!previous) return false;
+
+    this.scenes.set(deviceId, scenes.filter(s => s.id !== sceneId));
+    await this.saveScenes(deviceId);
+
+    logger.info(`Deleted scene for ${deviceId}: ${sceneId}`);
+    await auditService.record({ deviceId, action: 'scene.delete', target: sceneId, previous, actor });
+    return true;
+  }
+
+  /**
+   * Apply a scene: one batched command setting all its relays
+   * Each relay command is audited (relay.control, reason "Scene ...")
+   * @param {Object} options - queueIfOffline, expiresInMinutes, see relayService;
+   *   skipRelays: relays of the scene to leave as they are
+   * @throws {Error} code SCENE_NOT_FOUND, DEVICE_OFFLINE or INTERLOCK
+   */
+  async applyScene(deviceId, sceneId, actor = {}, options = {}) {
+    const scene = this.getScene(deviceId, sceneId);
+    if (!scene) {
+      const error = new Error('Scene not found');
+      error.code = 'SCENE_NOT_FOUND';
+      throw error;
+    }
+
+    const { skipRelays = [], ...commandOptions } = options;
+    const commands = Object.entries(scene.relays)
+      .filter(([relay]) => !skipRelays.includes(relay))
+      .map(([relay, state]) => ({ relay, state }));
+
+    if (commands.length === 0) {
+      logger.info(`Scene ${scene.name} on ${deviceId} has no relays left to switch`);
+      return { scene, success: true, commands: {}, command: null };
+    }
+
+    logger.info(`Applying scene ${scene.name} on ${deviceId}`);
+    const result = await relayService.executeMultipleCommands(deviceId, commands, {
+      ...actor,
+      reason: actor.reason ? `Scene ${scene.name}: ${actor.reason}` : `Scene ${scene.name}`
+    }, commandOptions);
+
+    return { scene, ...result };
+  }
+}
+
+module.exports = new SceneService();
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const auditService = require('./audit.service');
+const fileStorage = require('../utils/fileStorage');
+const logger = require('../utils/logger');
+const { ADMIN_USERNAME, ADMIN_PASSWORD } = require('../config/constants');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = 'users.json';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Dashboard user accounts
+ *
+ * Each user has:
+ * - username: login name, cannot be changed
+ * - role: viewer (read only), operator (may also switch relays) or admin (everything)
+ * - devices: IDs of the devices the user may access (empty = all devices, ignored for admins)
+ * - passwordHash: scrypt hash as "<salt>:<hash>" (hex), never returned by the API
+ */
+class UserService {
+  constructor() {
+    this.users = [];
+  }
+
+  /**
+   * Load users from file
+   * On first run an admin account is created from ADMIN_USERNAME / ADMIN_PASSWORD
+   */
+  async load() {
+    const data = await fileStorage.readJSON(USERS_FILE);
+
+    if (data?.users?.length) {
+      this.users = data.users;
+    } else if (ADMIN_PASSWORD) {
+      // The existing password is kept even if shorter than MIN_PASSWORD_LENGTH
+      this.users = [{
+        username: ADMIN_USERNAME,
+        role: 'admin',
+        devices: [],
+        createdAt: new Date().toISOString(),
+        passwordHash: await this.hashPassword(ADMIN_PASSWORD)
+      }];
+      await this.save();
+      logger.info(`User store created with admin account ${ADMIN_USERNAME}`);
+    } else {
+      logger.warn('No users configured and ADMIN_PASSWORD is not set - nobody can log in');
+    }
+
+    logger.info(`Loaded ${this.users.length} user(s)`);
+  }
+
+  /**
+   * Save users to file
+   */
+  async save() {
+    await fileStorage.writeJSON(USERS_FILE, { users: this.users });
+  }
+
+  /**
+   * Hash a password with a random salt
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash (constant time)
+   */
+  async verifyPassword(password, passwordHash) {
+    const [salt, hash] = (passwordHash || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * User without the password hash
+   */
+  toPublic(user) {
+    const { passwordHash, ...publicUser } = user;
+    return { ...publicUser, devices: [...(user.devices || [])] };
+  }
+
+  /**
+   * Audited fields of a user (never the password)
+   */
+  toAudit(user) {
+    return { role: user.role, devices: user.devices || [] };
+  }
+
+  /**
+   * Get all users
+   */
+  getUsers() {
+    return this.users.map(user => this.toPublic(user));
+  }
+
+  /**
+   * Get a user by username (null when not found)
+   */
+  getUser(username) {
+    const user = this.users.find(u => u.username === username);
+    return user ? this.toPublic(user) : null;
+  }
+
+  /**
+   * Get a user by username or throw a USER_NOT_FOUND error
+   */
+  requireUser(username) {
+    const user = this.getUser(username);
+
+    if (!user) {
+      const error = new Error(`User ${username} not found`);
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Check login credentials
+   * Returns the user, or null when the username or password is wrong
+   */
+  async authenticate(username, password) {
+    if (typeof password !== 'string') return null;
+
+    const user = this.users.find(u => u.username === username);
+    if (!user) return null;
+
+    const valid = await this.verifyPassword(password, user.passwordHash);
+    return valid ? this.toPublic(user) : null;
+  }
+
+  /**
+   * Check if a role is at least as privileged as another
+   */
+  hasRole(user, role) {
+    return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Validate user fields
+   * Throws an error describing the first invalid field
+   */
+  validateUser(user) {
+    if (!user.username || !USERNAME_PATTERN.test(user.username)) {
+      throw new Error('Invalid username (3-64 letters, numbers, ".", "_" or "-")');
+    }
+
+    if (!ROLES.includes(user.role)) {
+      throw new Error(`Invalid role (must be one of: ${ROLES.join(', ')})`);
+    }
+
+    if (!Array.isArray(user.devices) || user.devices.some(id => typeof id !== 'string')) {
+      throw new Error('Invalid devices (must be a list of device IDs)');
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate a new password
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Create a user
+   * @param {Object} actor - Who made the change ({ user, source }), see auditService
+   */
+  async addUser(data, actor = {}) {
+    const user = {
+      username: data.username,
+      role: data.role || 'viewer',
+      devices: data.devices || [],
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      if (this.users.some(u => u.username === data.username)) {
+        const error = new Error(`User ${data.username} already exists`);
+        error.code = 'USER_EXISTS';
+        throw error;
+      }
+
+      this.validateUser(user);
+      this.validatePassword(data.password);
+      user.passwordHash = await this.hashPassword(data.password);
+
+      this.users.push(user);
+      await this.save();
+
+      logger.info(`Created user ${user.username} (${user.role})`);
+      await auditService.record({ deviceId: null, action: 'user.create', target: user.username, value: this.toAudit(user), actor });
+      return this.toPublic(user);
+    } catch (error) {
+      await auditService.record({ deviceId: null, action: 'user.create', target: user.username, value: this.toAudit(user), actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's role, devices and/or password
+   * The last admin cannot be demoted
+   */
+  async updateUser(username, changes, actor = {}) {
+    this.requireUser(username);
+    const existing = this.users.find(u => u.username === username);
+
+    const user = { ...existing };
+    if (changes.role !== undefined) user.role = changes.role;
+    if (changes.devices !== undefined) user.devices = changes.devices;
+    user.updatedAt = new Date().toISOString();
+
+    const previous = this.toAudit(existing);
+    const value = { ...this.toAudit(user), passwordChanged: changes.password !== undefined };
+
+    try {
+      this.validateUser(user);
+
+      if (existing.role === 'admin' && user.role !== 'admin') {
+        this.assertNotLastAdmin(username);
+      }
+
+      if (changes.password !== undefined) {
+        this.validatePassword(changes.password);
+        user.passwordHash = await this.hashPassword(changes.password);
+      }
+
+      this.users = this.users.map(u => (u.username === username ? user : u));
+      await this.save();
+
+      logger.info(`Updated user ${username}`);
+      await auditService.record({ deviceId: null, action: 'user.update', target: username, previous, value, actor });
+      return this.toPublic(user);
+    } catch (error) {
+      await auditService.record({ deviceId: null, action: 'user.update', target: username, previous, value, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user
+   * The last admin cannot be deleted
+   */
+  async removeUser(username, actor = {}) {
+    const user = this.requireUser(username);
+    const previous = this.toAudit(user);
+
+    try {
+      if (user.role === 'admin') {
+        this.assertNotLastAdmin(username);
+      }
+
+      this.users = this.users.filter(u => u.username !== username);
+      await this.save();
+
+      logger.info(`Deleted user ${username}`);
+      await auditService.record({ deviceId: null, action: 'user.delete', target: username, previous, actor });
+      return user;
+    } catch (error) {
+      await auditService.record({ deviceId: null, action: 'user.delete', target: username, previous, actor, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Throw a LAST_ADMIN error if no other admin would remain
+   */
+  assertNotLastAdmin(username) {
+    const otherAdmins = this.users.filter(u => u.role === 'admin' && u.username !== username);
+
+    if (otherAdmins.length === 0) {
+      const error = new Error('At least one admin account is required');
+      error.code = 'LAST_ADMIN';
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserService();
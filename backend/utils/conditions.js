@@ -0,0 +1,154 @@
+const { isKnownField, getFieldValue } = require('./sampleFields');
+
+/**
+ * Condition trees for sensor automation rules
+ *
+ * A node is either a comparison of one field of a sample:
+ *   { type: 'compare', field: 'd1', operator: '>', value: 800 }
+ *   { type: 'compare', field: 'aqi', operator: 'between', min: 50, max: 150 }
+ * or a group combining other nodes:
+ *   { type: 'group', op: 'and' | 'or', conditions: [...] }
+ *
+ * Fields are sensor keys (d1...) or calculated values (aqi, co2Difference...),
+ * see sampleFields.
+ *
+ * A comparison may have a `deadband`: once the relay is on, the threshold is
+ * moved by that much so the value has to come back past it before the
+ * condition stops matching (e.g. on above 800, off below 750).
+ */
+
+// d = deadband applied (0 unless the relay is on)
+const OPERATORS = {
+  '<': (v, c, d) => v < c.value + d,
+  '<=': (v, c, d) => v <= c.value + d,
+  '>': (v, c, d) => v > c.value - d,
+  '>=': (v, c, d) => v >= c.value - d,
+  '==': (v, c) => v === c.value,
+  '!=': (v, c) => v !== c.value,
+  between: (v, c, d) => v >= c.min - d && v <= c.max + d
+};
+
+const MAX_DEPTH = 5;
+const MAX_GROUP_SIZE = 20;
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Validate a condition tree
+ * Throws an error describing the first invalid node
+ */
+const validateCondition = (node, depth = 1) => {
+  if (!node || typeof node !== 'object') {
+    throw new Error('Invalid condition');
+  }
+
+  if (node.type === 'group') {
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Conditions can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+    if (!['and', 'or'].includes(node.op)) {
+      throw new Error('Condition group must combine with "and" or "or"');
+    }
+    if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+      throw new Error('Condition group must contain at least one condition');
+    }
+    if (node.conditions.length > MAX_GROUP_SIZE) {
+      throw new Error(`Condition group can contain at most ${MAX_GROUP_SIZE} conditions`);
+    }
+    node.conditions.forEach(child => validateCondition(child, depth + 1));
+    return true;
+  }
+
+  if (node.type === 'compare') {
+    if (!isKnownField(node.field)) {
+      throw new Error(`Unknown field: ${node.field}`);
+    }
+    if (!OPERATORS[node.operator]) {
+      throw new Error(`Invalid operator: ${node.operator}`);
+    }
+    if (node.operator === 'between') {
+      if (!isNumber(node.min) || !isNumber(node.max) || node.min > node.max) {
+        throw new Error(`"between" on ${node.field} needs numeric min <= max`);
+      }
+    } else if (!isNumber(node.value)) {
+      throw new Error(`Threshold for ${node.field} must be a number`);
+    }
+    if (node.deadband !== undefined && (!isNumber(node.deadband) || node.deadband < 0)) {
+      throw new Error(`Deadband for ${node.field} must be a non-negative number`);
+    }
+    return true;
+  }
+
+  throw new Error(`Invalid condition type: ${node.type}`);
+};
+
+/**
+ * Evaluate a condition tree against a sample ({ raw, calculated })
+ * @param {boolean} isOn - Relay is currently on: apply the deadbands
+ * @returns {boolean|null} null when a value needed for the result is missing
+ */
+const evaluateCondition = (node, sample, isOn = false) => {
+  if (node.type === 'compare') {
+    const value = getFieldValue(sample, node.field);
+    const deadband = isOn ? node.deadband || 0 : 0;
+    return value === null ? null : OPERATORS[node.operator](value, node, deadband);
+  }
+
+  // Three-valued logic: a missing value only matters if it could change the result
+  const results = node.conditions.map(child => evaluateCondition(child, sample, isOn));
+  const decisive = node.op === 'or';
+
+  if (results.includes(decisive)) return decisive;
+  if (results.includes(null)) return null;
+  return !decisive;
+};
+
+/**
+ * Human readable condition, with the current values when a sample is given
+ * e.g. "(d1 (850) > 800 AND d11 (65) < 70) OR d2 (40) > 100"
+ */
+const describeCondition = (node, sample = null, nested = false) => {
+  if (node.type === 'compare') {
+    const value = sample ? getFieldValue(sample, node.field) : null;
+    const operand = value === null ? node.field : `${node.field} (${value})`;
+    const deadband = node.deadband ? ` ±${node.deadband}` : '';
+    return node.operator === 'between'
+      ? `${operand} between ${node.min} and ${node.max}${deadband}`
+      : `${operand} ${node.operator} ${node.value}${deadband}`;
+  }
+
+  const text = node.conditions
+    .map(child => describeCondition(child, sample, true))
+    .join(` ${node.op.toUpperCase()} `);
+  return nested && node.conditions.length > 1 ? `(${text})` : text;
+};
+
+/**
+ * Fields a condition tree reads, each listed once
+ */
+const getConditionFields = (node) => (
+  node.type === 'compare'
+    ? [node.field]
+    : [...new Set(node.conditions.flatMap(getConditionFields))]
+);
+
+/**
+ * Condition tree equivalent to a single-sensor rule ({ sensor, operator, threshold })
+ * Older rules may store the threshold as a string, so values are converted to numbers
+ */
+const fromLegacyRule = (rule) => ({
+  type: 'compare',
+  field: rule.sensor,
+  operator: rule.operator,
+  value: rule.threshold === null || rule.threshold === undefined || rule.threshold === '' ? NaN : Number(rule.threshold),
+  deadband: rule.deadband === undefined ? undefined : Number(rule.deadband)
+});
+
+module.exports = {
+  OPERATORS: Object.keys(OPERATORS),
+  validateCondition,
+  evaluateCondition,
+  describeCondition,
+  getConditionFields,
+  fromLegacyRule
+};
@@ -0,0 +1,78 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ */
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Numeric-looking cells are converted to numbers
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...dataRows] = rows.filter(r => r.some(c => c !== ''));
+  if (!header) return [];
+
+  return dataRows.map(cells => {
+    const record = {};
+    header.forEach((key, index) => {
+      const value = cells[index] ?? '';
+      record[key.trim()] = value !== '' && !isNaN(value) ? Number(value) : value;
+    });
+    return record;
+  });
+};
+
+/**
+ * Escape one cell value
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows (arrays of cells) into CSV text
+ */
+const toCSV = (rows) => rows.map(cells => cells.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCSV,
+  toCSV
+};
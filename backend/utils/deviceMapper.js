@@ -1,7 +1,7 @@
-const { ACTUAL_DEVICE_ID, DISPLAY_DEVICE_ID } = require('../config/constants');
+const registryService = require('../services/registry.service');
 
 /**
- * Transform device data from actual device ID to display device ID
+ * Transform device data from actual (AWS) device IDs to registered display device IDs
  */
 const transformDeviceData = (data) => {
   if (!data) return data;
@@ -15,12 +15,14 @@ const transformDeviceData = (data) => {
   if (typeof data === 'object') {
     const transformed = { ...data };
 
-    if (transformed.deviceId === ACTUAL_DEVICE_ID) {
-      transformed.deviceId = DISPLAY_DEVICE_ID;
+    const deviceId = registryService.getDeviceIdByAwsId(transformed.deviceId);
+    if (deviceId) {
+      transformed.deviceId = deviceId;
     }
 
-    if (transformed.d === ACTUAL_DEVICE_ID) {
-      transformed.d = DISPLAY_DEVICE_ID;
+    const dId = registryService.getDeviceIdByAwsId(transformed.d);
+    if (dId) {
+      transformed.d = dId;
     }
 
     return transformed;
@@ -30,17 +32,11 @@ const transformDeviceData = (data) => {
 };
 
 /**
- * Get actual device ID for API calls
+ * Get actual (AWS) device ID for API calls
  */
-const getActualDeviceId = () => ACTUAL_DEVICE_ID;
-
-/**
- * Get display device ID for frontend
- */
-const getDisplayDeviceId = () => DISPLAY_DEVICE_ID;
+const getActualDeviceId = (deviceId) => registryService.requireDevice(deviceId).awsDeviceId;
 
 module.exports = {
   transformDeviceData,
-  getActualDeviceId,
-  getDisplayDeviceId
+  getActualDeviceId
 };
@@ -16,6 +16,20 @@ const ensureStorageDir = async () => {
   }
 };
 
+/**
+ * Resolve a path inside the storage directory
+ */
+const resolvePath = (...segments) => path.join(STORAGE_DIR, ...segments);
+
+/**
+ * Ensure a sub-directory of storage exists
+ */
+const ensureDir = async (...segments) => {
+  const dirPath = resolvePath(...segments);
+  await fs.mkdir(dirPath, { recursive: true });
+  return dirPath;
+};
+
 /**
  * Read JSON file
  */
@@ -41,6 +55,7 @@ const writeJSON = async (filename, data) => {
   try {
     await ensureStorageDir();
     const filePath = path.join(STORAGE_DIR, filename);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
     await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
     logger.debug(`File written: ${filename}`);
   } catch (error) {
@@ -50,47 +65,98 @@ const writeJSON = async (filename, data) => {
 };
 
 /**
- * Initialize default files if they don't exist
+ * Path (relative to storage) of a file belonging to one device
+ */
+const deviceFile = (deviceId, filename) => path.join('devices', deviceId, filename);
+
+// Files that used to live directly in storage/ when only one device was supported
+const LEGACY_DEVICE_FILES = [
+  'automation-rules.json',
+  'relay-states.json',
+  'last-data.json',
+  'display-settings.json',
+  'accumulated-data.json',
+  'history'
+];
+
+/**
+ * Move single-device storage files into the folder of a device
+ * Files already present in the device folder are left untouched
+ */
+const migrateLegacyStorage = async (deviceId) => {
+  await ensureDir('devices', deviceId);
+
+  for (const name of LEGACY_DEVICE_FILES) {
+    const source = resolvePath(name);
+    const target = resolvePath(deviceFile(deviceId, name));
+
+    try {
+      await fs.access(source);
+    } catch (error) {
+      continue;
+    }
+
+    try {
+      await fs.access(target);
+      logger.warn(`Legacy ${name} not migrated: ${deviceFile(deviceId, name)} already exists`);
+    } catch (error) {
+      await fs.rename(source, target);
+      logger.info(`Migrated ${name} -> ${deviceFile(deviceId, name)}`);
+    }
+  }
+};
+
+/**
+ * Initialize the storage directory
  */
 const initializeStorage = async () => {
   try {
     await ensureStorageDir();
+    logger.info('Storage initialization complete');
+  } catch (error) {
+    logger.error('Storage initialization failed:', error);
+    throw error;
+  }
+};
 
+/**
+ * Initialize default files of a device if they don't exist
+ */
+const initializeDeviceStorage = async (deviceId) => {
+  try {
     // Initialize automation rules
-    const rulesExists = await readJSON('automation-rules.json');
+    const rulesExists = await readJSON(deviceFile(deviceId, 'automation-rules.json'));
     if (!rulesExists) {
-      await writeJSON('automation-rules.json', { rules: [] });
-      logger.info('Initialized automation-rules.json');
+      await writeJSON(deviceFile(deviceId, 'automation-rules.json'), { rules: [] });
+      logger.info(`Initialized automation-rules.json for ${deviceId}`);
     }
 
     // Initialize relay states
-    const statesExists = await readJSON('relay-states.json');
+    const statesExists = await readJSON(deviceFile(deviceId, 'relay-states.json'));
     if (!statesExists) {
       const defaultStates = {
         i1: 0, i2: 0, i3: 0, i4: 0, i5: 0,
         i6: 0, i7: 0, i8: 0, i9: 0, i10: 0
       };
-      await writeJSON('relay-states.json', defaultStates);
-      logger.info('Initialized relay-states.json');
+      await writeJSON(deviceFile(deviceId, 'relay-states.json'), defaultStates);
+      logger.info(`Initialized relay-states.json for ${deviceId}`);
     }
 
     // Initialize last data
-    const lastDataExists = await readJSON('last-data.json');
+    const lastDataExists = await readJSON(deviceFile(deviceId, 'last-data.json'));
     if (!lastDataExists) {
-      await writeJSON('last-data.json', { data: null, timestamp: null });
-      logger.info('Initialized last-data.json');
+      await writeJSON(deviceFile(deviceId, 'last-data.json'), { data: null, timestamp: null });
+      logger.info(`Initialized last-data.json for ${deviceId}`);
     }
 
     // Initialize display settings
-    const displaySettingsExists = await readJSON('display-settings.json');
+    const displaySettingsExists = await readJSON(deviceFile(deviceId, 'display-settings.json'));
     if (!displaySettingsExists) {
-      await writeJSON('display-settings.json', { enabled: true });
-      logger.info('Initialized display-settings.json');
+      await writeJSON(deviceFile(deviceId, 'display-settings.json'), { enabled: true });
+      logger.info(`Initialized display-settings.json for ${deviceId}`);
     }
-
-    logger.info('Storage initialization complete');
   } catch (error) {
-    logger.error('Storage initialization failed:', error);
+    logger.error(`Storage initialization failed for ${deviceId}:`, error);
     throw error;
   }
 };
@@ -98,5 +164,10 @@ const initializeStorage = async () => {
 module.exports = {
   readJSON,
   writeJSON,
-  initializeStorage
+  resolvePath,
+  ensureDir,
+  deviceFile,
+  migrateLegacyStorage,
+  initializeStorage,
+  initializeDeviceStorage
 };
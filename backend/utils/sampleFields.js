@@ -0,0 +1,67 @@
+const { SENSOR_LABELS, RELAY_LABELS } = require('../config/constants');
+
+/**
+ * Values derived by the calculations service that can be read like sensors
+ * Each getter receives a history sample ({ raw, calculated })
+ */
+const CALCULATED_FIELDS = {
+  aqi: {
+    label: 'AQI',
+    unit: '',
+    get: (sample) => sample.calculated?.aqi?.value
+  },
+  co2Difference: {
+    label: 'CO₂ Difference',
+    unit: 'ppm',
+    get: (sample) => {
+      if (typeof sample.calculated?.co2?.difference === 'number') {
+        return sample.calculated.co2.difference;
+      }
+      const { d1, d8 } = sample.raw || {};
+      return typeof d1 === 'number' && typeof d8 === 'number' ? Math.max(0, d1 - d8) : null;
+    }
+  },
+  co2Absorbed: {
+    label: 'CO₂ Absorbed',
+    unit: 'g',
+    get: (sample) => sample.calculated?.co2?.absorbedGrams
+  },
+  o2Generated: {
+    label: 'O₂ Generated',
+    unit: 'L',
+    get: (sample) => sample.calculated?.o2?.generatedLiters
+  }
+};
+
+/**
+ * Check whether a field key can be read from a sample
+ */
+const isKnownField = (field) =>
+  Boolean(SENSOR_LABELS[field] || RELAY_LABELS[field] || CALCULATED_FIELDS[field]);
+
+/**
+ * Human readable label for a field key
+ */
+const getFieldLabel = (field) =>
+  SENSOR_LABELS[field] || RELAY_LABELS[field] || CALCULATED_FIELDS[field]?.label || field;
+
+/**
+ * Read a numeric field from a sample
+ * @param {Object} sample - { raw, calculated }
+ * @param {string} field - Sensor key (d1), relay key (i1) or calculated key (aqi)
+ * @returns {number|null}
+ */
+const getFieldValue = (sample, field) => {
+  const value = CALCULATED_FIELDS[field]
+    ? CALCULATED_FIELDS[field].get(sample)
+    : sample.raw?.[field];
+
+  return typeof value === 'number' && !isNaN(value) ? value : null;
+};
+
+module.exports = {
+  CALCULATED_FIELDS,
+  isKnownField,
+  getFieldLabel,
+  getFieldValue
+};
@@ -0,0 +1,258 @@
+const { SCHEDULE_TIMEZONE } = require('../config/constants');
+
+/**
+ * Schedules of time-mode automation rules
+ *
+ * A time rule turns its relay ON during:
+ * - windows: daily time ranges, optionally limited to days of the week
+ *   { start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] } (0 = Sunday, no days = every day);
+ *   a window ending before it starts crosses midnight and belongs to the day it starts
+ * - events: one-off periods { start: '2026-11-01T02:00', durationMinutes: 30 }
+ * Windows do not apply on `exceptions` dates ('2026-12-25'); events always do.
+ *
+ * Times are wall-clock times in the rule's IANA `timezone` (default
+ * SCHEDULE_TIMEZONE). Rules with only `startTime` / `endTime` are a single
+ * window on every day.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_WINDOWS = 20;
+const MAX_EVENTS = 50;
+const MAX_EXCEPTIONS = 100;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map(); // Time zone -> Intl.DateTimeFormat
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Wall-clock date and time of a moment in a time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', weekday (0 = Sunday), minutes (since midnight) }
+ */
+const getZonedTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    date: dateKey,
+    weekday: new Date(`${dateKey}T00:00:00Z`).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+/**
+ * Moment (epoch ms) of a wall-clock time in a time zone
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes since midnight
+ */
+const zonedTimeToEpoch = (dateKey, minutes, timeZone) => {
+  const wallClock = new Date(`${dateKey}T00:00:00Z`).getTime() + minutes * 60000;
+
+  // Offset of the zone at that moment; corrected once for DST changes in between
+  const offsetAt = (epoch) => {
+    const zoned = getZonedTime(new Date(epoch), timeZone);
+    return new Date(`${zoned.date}T00:00:00Z`).getTime() + zoned.minutes * 60000 - Math.floor(epoch / 60000) * 60000;
+  };
+
+  let epoch = wallClock - offsetAt(wallClock);
+  epoch = wallClock - offsetAt(epoch);
+  return epoch;
+};
+
+// Date key of the day before / after
+const shiftDate = (dateKey, days) => (
+  new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10)
+);
+
+/**
+ * Windows, events, exceptions and time zone of a rule, converting rules
+ * with only startTime / endTime
+ */
+const getSchedule = (rule) => ({
+  timezone: rule.timezone || SCHEDULE_TIMEZONE,
+  windows: rule.windows || (rule.startTime && rule.endTime ? [{ start: rule.startTime, end: rule.endTime }] : []),
+  events: rule.events || [],
+  exceptions: rule.exceptions || []
+});
+
+/**
+ * Validate the schedule of a time rule
+ * Throws an error describing the first invalid field
+ */
+const validateSchedule = (rule) => {
+  const { timezone, windows, events, exceptions } = getSchedule(rule);
+
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Unknown time zone: ${timezone}`);
+  }
+  if (!Array.isArray(windows) || !Array.isArray(events) || !Array.isArray(exceptions)) {
+    throw new Error('Windows, events and exceptions must be lists');
+  }
+  if (windows.length === 0 && events.length === 0) {
+    throw new Error('Time rules need at least one window or event');
+  }
+  if (windows.length > MAX_WINDOWS || events.length > MAX_EVENTS || exceptions.length > MAX_EXCEPTIONS) {
+    throw new Error(`At most ${MAX_WINDOWS} windows, ${MAX_EVENTS} events and ${MAX_EXCEPTIONS} exception dates`);
+  }
+
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new Error('Window start and end must be HH:MM');
+    }
+    if (window.start === window.end) {
+      throw new Error(`Window ${window.start}-${window.end} is empty`);
+    }
+    if (window.days !== undefined && (!Array.isArray(window.days) ||
+      window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw new Error('Window days must be a list of weekdays 0 (Sunday) to 6');
+    }
+  }
+
+  for (const event of events) {
+    if (!DATE_TIME_PATTERN.test(event.start)) {
+      throw new Error('Event start must be YYYY-MM-DDTHH:MM');
+    }
+    if (typeof event.durationMinutes !== 'number' || !(event.durationMinutes > 0)) {
+      throw new Error('Event duration must be a positive number of minutes');
+    }
+  }
+
+  if (exceptions.some(date => !DATE_PATTERN.test(date))) {
+    throw new Error('Exception dates must be YYYY-MM-DD');
+  }
+
+  return true;
+};
+
+const runsOn = (window, weekday) => !window.days || window.days.length === 0 || window.days.includes(weekday);
+
+/**
+ * ON periods of a schedule overlapping [from, to], as { from, to, source }
+ * in epoch ms; source is 'window' or 'event'
+ */
+const getOnPeriods = (rule, from, to) => {
+  const { timezone, windows, events, exceptions } = getSchedule(rule);
+  const periods = [];
+
+  // Start a day early for windows crossing midnight
+  const lastDate = getZonedTime(new Date(to), timezone).date;
+  for (let date = shiftDate(getZonedTime(new Date(from), timezone).date, -1); date <= lastDate; date = shiftDate(date, 1)) {
+    if (exceptions.includes(date)) continue;
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    for (const window of windows) {
+      if (!runsOn(window, weekday)) continue;
+
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      periods.push({
+        from: zonedTimeToEpoch(date, start, timezone),
+        to: end > start ? zonedTimeToEpoch(date, end, timezone) : zonedTimeToEpoch(shiftDate(date, 1), end, timezone),
+        source: 'window'
+      });
+    }
+  }
+
+  for (const event of events) {
+    const start = zonedTimeToEpoch(event.start.slice(0, 10), toMinutes(event.start.slice(11)), timezone);
+    periods.push({ from: start, to: start + event.durationMinutes * 60000, source: 'event' });
+  }
+
+  return periods
+    .filter(period => period.to > from && period.from <= to)
+    .sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Check if a time rule asks for ON at a moment
+ */
+const isScheduleActive = (rule, date = new Date()) => {
+  const now = date.getTime();
+  return getOnPeriods(rule, now, now).some(period => period.from <= now && now < period.to);
+};
+
+/**
+ * Switch times of a rule in [from, to], merging overlapping ON periods
+ * @returns {Array} [{ time (epoch ms), state (1 or 0), source }], oldest first
+ */
+const getScheduledActions = (rule, from, to) => {
+  const merged = [];
+  for (const period of getOnPeriods(rule, from, to)) {
+    const last = merged[merged.length - 1];
+    if (last && period.from <= last.to) {
+      last.to = Math.max(last.to, period.to);
+    } else {
+      merged.push({ ...period });
+    }
+  }
+
+  return merged
+    .flatMap(period => [
+      { time: period.from, state: 1, source: period.source },
+      { time: period.to, state: 0, source: period.source }
+    ])
+    .filter(action => action.time >= from && action.time <= to);
+};
+
+/**
+ * Human readable schedule, e.g. "Mon-Fri 08:00-18:00, Sat 09:00-13:00 (+2 events)"
+ */
+const describeSchedule = (rule) => {
+  const { windows, events } = getSchedule(rule);
+
+  const describeDays = (days) => {
+    if (!days || days.length === 0 || days.length === 7) return '';
+    const sorted = [...days].sort();
+    const isRange = sorted.length > 2 && sorted[sorted.length - 1] - sorted[0] === sorted.length - 1;
+    return `${isRange ? `${DAY_NAMES[sorted[0]]}-${DAY_NAMES[sorted[sorted.length - 1]]}` : sorted.map(d => DAY_NAMES[d]).join(',')} `;
+  };
+
+  const parts = windows.map(window => `${describeDays(window.days)}${window.start}-${window.end}`);
+  if (events.length > 0) parts.push(`${events.length} event${events.length > 1 ? 's' : ''}`);
+  return parts.join(', ');
+};
+
+module.exports = {
+  isValidTimeZone,
+  getSchedule,
+  validateSchedule,
+  getOnPeriods,
+  isScheduleActive,
+  getScheduledActions,
+  describeSchedule
+};
@@ -0,0 +1,24 @@
+/**
+ * Socket.IO room helpers
+ * Clients join the room of the device they are viewing, so updates of one
+ * device are not pushed to dashboards of another.
+ */
+
+/**
+ * Room name for a device
+ */
+const deviceRoom = (deviceId) => `device:${deviceId}`;
+
+/**
+ * Emit an event to every client viewing a device
+ */
+const emitToDevice = (deviceId, event, payload) => {
+  if (global.io) {
+    global.io.to(deviceRoom(deviceId)).emit(event, payload);
+  }
+};
+
+module.exports = {
+  deviceRoom,
+  emitToDevice
+};
@@ -0,0 +1,47 @@
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30s", "5m", "1h" or "1d" into milliseconds
+ * @returns {number|null} null when the string is not a valid duration
+ */
+const parseDuration = (value) => {
+  const match = String(value || '').trim().match(/^(\d+)\s*([smhd])$/);
+  if (!match) return null;
+
+  const ms = parseInt(match[1]) * DURATION_UNITS[match[2]];
+  return ms > 0 ? ms : null;
+};
+
+/**
+ * Format milliseconds as the largest whole duration unit ("300000" -> "5m")
+ */
+const formatDuration = (ms) => {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % DURATION_UNITS[unit] === 0) {
+      return `${ms / DURATION_UNITS[unit]}${unit}`;
+    }
+  }
+  return `${ms}ms`;
+};
+
+/**
+ * Parse a timestamp given as epoch milliseconds or an ISO date string
+ * @returns {number|null} Epoch milliseconds, or null when invalid
+ */
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const ms = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+  return isNaN(ms) ? null : ms;
+};
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  parseTime
+};
@@ -0,0 +1,314 @@
+const fs = require('fs').promises;
+const path = require('path');
+const fileStorage = require('./fileStorage');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})(\.compact)?\.jsonl$/;
+
+/**
+ * Average a list of values taken from the same field of several records.
+ * Numbers are averaged, objects are merged key by key, booleans are true
+ * if any record was true and anything else keeps the last non-null value.
+ * Fields listed in lastValueFields (dotted paths such as 'raw.i1') always
+ * keep the last non-null value.
+ */
+const averageValues = (values, lastValueFields = [], path = '') => {
+  const present = values.filter(v => v !== undefined && v !== null);
+  if (present.length === 0) return null;
+
+  if (lastValueFields.includes(path)) {
+    return present[present.length - 1];
+  }
+
+  if (present.every(v => typeof v === 'number')) {
+    return present.reduce((sum, v) => sum + v, 0) / present.length;
+  }
+
+  if (present.every(v => typeof v === 'boolean')) {
+    return present.some(Boolean);
+  }
+
+  if (present.every(v => typeof v === 'object' && !Array.isArray(v))) {
+    const keys = new Set(present.flatMap(v => Object.keys(v)));
+    const merged = {};
+    for (const key of keys) {
+      merged[key] = averageValues(present.map(v => v[key]), lastValueFields, path ? `${path}.${key}` : key);
+    }
+    return merged;
+  }
+
+  return present[present.length - 1];
+};
+
+/**
+ * Append-only time-series store backed by JSON lines files.
+ *
+ * Records are grouped into one segment per UTC day under storage/<name>/:
+ *   2025-12-14.jsonl          - records as they were appended
+ *   2025-12-14.compact.jsonl  - the same day after downsampling
+ *
+ * Every record must carry `t` (epoch milliseconds).
+ */
+class TimeSeriesStore {
+  /**
+   * @param {string} name - Sub-directory of storage/ holding the segments
+   * @param {Object} options
+   * @param {number} options.retentionDays - Segments older than this are deleted (0 = keep forever)
+   * @param {number} options.compactAfterDays - Raw segments older than this are downsampled (0 = never)
+   * @param {number} options.compactBucketMs - Bucket size used when downsampling
+   * @param {string[]} options.lastValueFields - Fields (dotted paths) that keep the
+   *   last value of a bucket instead of its average, e.g. states and timestamps
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.retentionDays = options.retentionDays ?? 90;
+    this.compactAfterDays = options.compactAfterDays ?? 7;
+    this.compactBucketMs = options.compactBucketMs ?? 5 * 60 * 1000;
+    this.lastValueFields = options.lastValueFields ?? [];
+
+    // Appends and compaction are serialized so segments are never rewritten mid-append
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a task after every previously queued task has settled
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Segment key (UTC date) for a timestamp
+   */
+  segmentKey(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Append a record to its day segment
+   */
+  async append(record) {
+    if (typeof record?.t !== 'number' || isNaN(record.t)) {
+      throw new Error('Time-series record requires a numeric "t" timestamp');
+    }
+
+    return this.enqueue(async () => {
+      const dir = await fileStorage.ensureDir(this.name);
+      const file = path.join(dir, `${this.segmentKey(record.t)}.jsonl`);
+      await fs.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+    });
+  }
+
+  /**
+   * List segment files, oldest first
+   */
+  async listSegments() {
+    try {
+      const files = await fs.readdir(fileStorage.resolvePath(this.name));
+
+      return files
+        .map(file => {
+          const match = file.match(SEGMENT_PATTERN);
+          return match ? { file, date: match[1], compacted: Boolean(match[2]) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date) || Number(b.compacted) - Number(a.compacted));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Read every record of one segment file, skipping malformed lines
+   */
+  async readSegment(file) {
+    let content;
+    try {
+      content = await fs.readFile(fileStorage.resolvePath(this.name, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    let malformed = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        malformed++;
+      }
+    }
+
+    if (malformed > 0) {
+      logger.warn(`Skipped ${malformed} malformed line(s) in ${this.name}/${file}`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Get all records with from <= t <= to, ordered by time
+   */
+  async query(from, to) {
+    const fromKey = this.segmentKey(from);
+    const toKey = this.segmentKey(to);
+    const segments = (await this.listSegments())
+      .filter(s => s.date >= fromKey && s.date <= toKey);
+
+    const records = [];
+    for (const segment of segments) {
+      const segmentRecords = await this.readSegment(segment.file);
+      for (const record of segmentRecords) {
+        if (record.t >= from && record.t <= to) {
+          records.push(record);
+        }
+      }
+    }
+
+    return records.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Get the most recent record, or null when the store is empty
+   */
+  async getLastRecord() {
+    const segments = await this.listSegments();
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const records = await this.readSegment(segments[i].file);
+      if (records.length > 0) {
+        return records.reduce((last, r) => (r.t > last.t ? r : last));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Downsample records into fixed buckets
+   */
+  downsample(records, bucketMs = this.compactBucketMs) {
+    const buckets = new Map();
+
+    for (const record of records) {
+      const bucketStart = Math.floor(record.t / bucketMs) * bucketMs;
+      if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+      buckets.get(bucketStart).push(record);
+    }
+
+    return [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([bucketStart, bucketRecords]) => ({
+        ...averageValues(bucketRecords, this.lastValueFields),
+        t: bucketStart,
+        count: bucketRecords.reduce((sum, r) => sum + (r.count || 1), 0),
+        compacted: true
+      }));
+  }
+
+  /**
+   * Downsample raw segments older than compactAfterDays
+   * @returns {number} Number of segments compacted
+   */
+  async compact(now = Date.now()) {
+    if (!this.compactAfterDays) return 0;
+
+    const cutoffKey = this.segmentKey(now - this.compactAfterDays * DAY_MS);
+
+    return this.enqueue(async () => {
+      const segments = await this.listSegments();
+      const rawSegments = segments.filter(s => !s.compacted && s.date < cutoffKey);
+      let compactedCount = 0;
+
+      for (const segment of rawSegments) {
+        const compactFile = `${segment.date}.compact.jsonl`;
+        const raw = await this.readSegment(segment.file);
+
+        // Merge with an existing compacted segment (late records or an interrupted run)
+        const merged = new Map();
+        for (const record of await this.readSegment(compactFile)) {
+          merged.set(record.t, record);
+        }
+        for (const record of this.downsample(raw)) {
+          merged.set(record.t, record);
+        }
+
+        const lines = [...merged.values()]
+          .sort((a, b) => a.t - b.t)
+          .map(r => JSON.stringify(r))
+          .join('\n');
+
+        // Write to a temp file first so a crash never leaves a truncated segment
+        const tmpPath = fileStorage.resolvePath(this.name, `${compactFile}.tmp`);
+        await fs.writeFile(tmpPath, lines ? lines + '\n' : '', 'utf8');
+        await fs.rename(tmpPath, fileStorage.resolvePath(this.name, compactFile));
+        await fs.unlink(fileStorage.resolvePath(this.name, segment.file));
+
+        logger.debug(`Compacted ${this.name}/${segment.file}: ${raw.length} -> ${merged.size} records`);
+        compactedCount++;
+      }
+
+      return compactedCount;
+    });
+  }
+
+  /**
+   * Delete segments older than retentionDays
+   * @returns {number} Number of segment files removed
+   */
+  async applyRetention(now = Date.now()) {
+    if (!this.retentionDays) return 0;
+
+    const cutoffKey = this.segmentKey(now - this.retentionDays * DAY_MS);
+
+    return this.enqueue(async () => {
+      const expired = (await this.listSegments()).filter(s => s.date < cutoffKey);
+
+      for (const segment of expired) {
+        await fs.unlink(fileStorage.resolvePath(this.name, segment.file));
+      }
+
+      return expired.length;
+    });
+  }
+
+  /**
+   * Drop expired segments, then compact the remaining old ones
+   */
+  async runMaintenance(now = Date.now()) {
+    const removed = await this.applyRetention(now);
+    const compacted = await this.compact(now);
+
+    if (compacted > 0 || removed > 0) {
+      logger.info(`${this.name} store maintenance: ${compacted} segment(s) compacted, ${removed} removed`);
+    }
+
+    return { compacted, removed };
+  }
+
+  /**
+   * Summary of what is on disk
+   */
+  async getStats() {
+    const segments = await this.listSegments();
+
+    return {
+      segments: segments.length,
+      compactedSegments: segments.filter(s => s.compacted).length,
+      oldestSegment: segments.length > 0 ? segments[0].date : null,
+      newestSegment: segments.length > 0 ? segments[segments.length - 1].date : null,
+      retentionDays: this.retentionDays,
+      compactAfterDays: this.compactAfterDays,
+      compactBucketMs: this.compactBucketMs
+    };
+  }
+}
+
+module.exports = TimeSeriesStore;
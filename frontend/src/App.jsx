@@ -1,8 +1,11 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { devicesAPI } from './services/api';
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
+import FleetPage from './pages/FleetPage';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -34,6 +37,47 @@ const PublicRoute = ({ children }) => {
   return user ? <Navigate to="/dashboard" replace /> : children;
 };
 
+// Redirect to the dashboard of the first device the user may access
+const DefaultDeviceRedirect = () => {
+  const [target, setTarget] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    devicesAPI
+      .list()
+      .then((response) => {
+        const devices = response.data.devices || [];
+        const device = devices[0];
+        if (device) {
+          setTarget(`/devices/${device.id}`);
+        } else {
+          setError('No devices registered');
+        }
+      })
+      .catch(() => setError('Failed to load devices'));
+  }, []);
+
+  if (target) {
+    return <Navigate to={target} replace />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center">
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      )}
+    </div>
+  );
+};
+
+// Remount the dashboard when switching device so no state leaks between devices
+const DeviceDashboard = () => {
+  const { deviceId } = useParams();
+  return <DashboardPage key={deviceId} deviceId={deviceId} />;
+};
+
 function App() {
   return (
     <BrowserRouter>
@@ -52,7 +96,23 @@ function App() {
               path="/dashboard"
               element={
                 <ProtectedRoute>
-                  <DashboardPage />
+                  <DefaultDeviceRedirect />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/fleet"
+              element={
+                <ProtectedRoute>
+                  <FleetPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/devices/:deviceId"
+              element={
+                <ProtectedRoute>
+                  <DeviceDashboard />
                 </ProtectedRoute>
               }
             />
@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from 'react';
+import { History, RefreshCw, Loader2, CheckCircle2, XCircle } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { auditAPI } from '../services/api';
+import { initSocket } from '../services/socket';
+import { describeRule } from '../utils/rules';
+
+const RANGE_PRESETS = [
+  { id: 'day', label: '24H', durationMs: 24 * 60 * 60 * 1000 },
+  { id: 'week', label: '7D', durationMs: 7 * 24 * 60 * 60 * 1000 },
+  { id: 'month', label: '30D', durationMs: 30 * 24 * 60 * 60 * 1000 },
+];
+
+// Action filter values; entries ending in "." match every action of the group
+const ACTION_OPTIONS = [
+  { value: '', label: 'All actions' },
+  { value: 'relay.', label: 'Relay commands' },
+  { value: 'rule.', label: 'Rule changes' },
+  { value: 'airflow.update', label: 'Airflow rate' },
+  { value: 'totals.reset', label: 'Totals reset' },
+  { value: 'display.', label: 'Display updates' },
+  { value: 'alarm.', label: 'Alarms' },
+  { value: 'interlock.', label: 'Interlocks' },
+  { value: 'scene.', label: 'Scenes' },
+  { value: 'runtime.', label: 'Runtime & service' },
+  { value: 'maintenance.', label: 'Maintenance mode' },
+  { value: 'device.', label: 'Device registry' },
+  { value: 'user.', label: 'Users' },
+  { value: 'channel.', label: 'Notification channels' },
+];
+
+const SOURCE_OPTIONS = [
+  { value: '', label: 'All sources' },
+  { value: 'manual', label: 'Manual' },
+  { value: 'automation', label: 'Automation' },
+  { value: 'restore', label: 'Restore' },
+];
+
+const RESULT_OPTIONS = [
+  { value: '', label: 'All results' },
+  { value: 'success', label: 'Success' },
+  { value: 'failure', label: 'Failure' },
+];
+
+const ACTION_LABELS = {
+  'relay.control': 'Relay',
+  'relay.queue': 'Relay queued (offline)',
+  'relay.cancel': 'Queued relay cancelled',
+  'relay.settings': 'Relay settings',
+  'relay.override': 'Relay override',
+  'relay.release': 'Override released',
+  'rule.create': 'Rule created',
+  'rule.update': 'Rule updated',
+  'rule.delete': 'Rule deleted',
+  'airflow.update': 'Airflow rate',
+  'totals.reset': 'Totals reset',
+  'display.enable': 'Display enabled',
+  'display.disable': 'Display disabled',
+  'alarm.create': 'Alarm created',
+  'alarm.update': 'Alarm updated',
+  'alarm.delete': 'Alarm deleted',
+  'alarm.acknowledge': 'Alarm acknowledged',
+  'interlock.create': 'Interlock created',
+  'interlock.update': 'Interlock updated',
+  'interlock.delete': 'Interlock deleted',
+  'scene.create': 'Scene created',
+  'scene.update': 'Scene updated',
+  'scene.delete': 'Scene deleted',
+  'runtime.settings': 'Runtime settings',
+  'runtime.reset': 'Service counter reset',
+  'maintenance.start': 'Maintenance started',
+  'maintenance.stop': 'Maintenance ended',
+  'device.create': 'Device registered',
+  'device.update': 'Device updated',
+  'device.delete': 'Device removed',
+  'user.create': 'User created',
+  'user.update': 'User updated',
+  'user.delete': 'User deleted',
+  'channel.create': 'Channel created',
+  'channel.update': 'Channel updated',
+  'channel.delete': 'Channel deleted',
+};
+
+// Human readable previous/new value of an entry
+const formatValue = (entry, value) => {
+  if (value === null || value === undefined) return '--';
+  if (['relay.control', 'relay.queue', 'relay.cancel'].includes(entry.action)) return value === 1 ? 'ON' : value === 0 ? 'OFF' : String(value);
+  if (typeof value === 'boolean') return value ? 'Enabled' : 'Disabled';
+  if (entry.action === 'airflow.update') return `${value} m³/h`;
+  if (['relay.override', 'relay.release'].includes(entry.action) && typeof value === 'object') {
+    const state = value.state === 1 ? 'ON' : 'OFF';
+    return value.until ? `${state} until ${new Date(value.until).toLocaleString()}` : state;
+  }
+  if (entry.action === 'runtime.reset') return `${value} h`;
+  if (entry.action === 'runtime.settings') {
+    return `${value.ratedWatts ?? '--'} W, service every ${value.maintenanceHours ?? '--'} h`;
+  }
+  if (entry.action.startsWith('maintenance.') && typeof value === 'object') {
+    return `${value.reason} (${value.technician})`;
+  }
+  if (entry.action === 'relay.settings') {
+    return `${value.strategy}, min on ${value.minOnSeconds}s / off ${value.minOffSeconds}s`;
+  }
+  if (entry.action.startsWith('alarm.') && typeof value === 'object') {
+    return `${value.name}: ${value.field} ${[value.low, value.high].map((v) => v ?? '-').join(' to ')}`;
+  }
+  if (entry.action.startsWith('interlock.') && typeof value === 'object') {
+    return `${value.name} (${value.type})`;
+  }
+  if (entry.action.startsWith('scene.') && typeof value === 'object') {
+    const states = Object.entries(value.relays).map(([relayId, state]) => `${relayId} ${state === 1 ? 'ON' : 'OFF'}`);
+    return `${value.name}: ${states.join(', ')}`;
+  }
+  if (entry.action.startsWith('device.') && typeof value === 'object') {
+    return `${value.name} (${value.dataSource}${value.enabled === false ? ', disabled' : ''})`;
+  }
+  if (entry.action.startsWith('user.') && typeof value === 'object') {
+    const devices = value.devices.length > 0 ? value.devices.join(', ') : 'all devices';
+    return `${value.role}, ${devices}${value.passwordChanged ? ', password changed' : ''}`;
+  }
+  if (entry.action.startsWith('channel.') && typeof value === 'object') {
+    return `${value.name} (${value.type}${value.enabled ? '' : ', disabled'}): ${value.events.join(', ')}`;
+  }
+  if (entry.action.startsWith('rule.') && typeof value === 'object') {
+    const priority = value.priority ? ` (P${value.priority})` : '';
+    return `${value.relay}${priority}: ${describeRule(value)}`;
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, v]) => `${key}: ${typeof v === 'number' ? Number(v.toFixed(2)) : v}`)
+      .join(', ');
+  }
+  return String(value);
+};
+
+// Same matching as the backend, used for entries pushed over the socket
+const matchesFilters = (entry, filters) => {
+  if (filters.source && entry.source !== filters.source) return false;
+  if (filters.result && entry.result !== filters.result) return false;
+  if (filters.user && entry.user !== filters.user) return false;
+  if (filters.action) {
+    return filters.action.endsWith('.') ? entry.action.startsWith(filters.action) : entry.action === filters.action;
+  }
+  return true;
+};
+
+const ActivityPanel = ({ deviceId }) => {
+  const { isDark } = useTheme();
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+
+  const [range, setRange] = useState('day');
+  const [filters, setFilters] = useState({ action: '', source: '', result: '', user: '' });
+  const [userInput, setUserInput] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchEntries = useCallback(async () => {
+    const to = Date.now();
+    const from = to - RANGE_PRESETS.find((r) => r.id === range).durationMs;
+
+    try {
+      // Admins also see changes not tied to a device (users, notification channels)
+      const params = { deviceId, from, to, limit: 500, ...(isAdmin && { system: 'include' }) };
+      for (const [key, value] of Object.entries(filters)) {
+        if (value) params[key] = value;
+      }
+
+      const res = await auditAPI.query(params);
+      if (res.data.success) {
+        setEntries(res.data.entries);
+        setTotal(res.data.total);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId, range, filters, isAdmin]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Prepend new entries as they are recorded
+  useEffect(() => {
+    const socket = initSocket(deviceId);
+
+    const handleEntry = (entry) => {
+      if (!matchesFilters(entry, filters)) return;
+      setEntries((prev) => (prev.some((e) => e.id === entry.id) ? prev : [entry, ...prev]));
+      setTotal((prev) => prev + 1);
+    };
+
+    socket.on('auditEntry', handleEntry);
+    return () => {
+      socket.off('auditEntry', handleEntry);
+    };
+  }, [deviceId, filters]);
+
+  const updateFilter = (key, value) => {
+    setLoading(true);
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleRangeChange = (id) => {
+    setLoading(true);
+    setRange(id);
+  };
+
+  const handleUserSubmit = (e) => {
+    e.preventDefault();
+    updateFilter('user', userInput.trim());
+  };
+
+  const buttonClass = (active) => `px-2.5 py-1 text-xs font-semibold rounded border transition ${
+    active
+      ? 'bg-blue-600 text-white border-blue-700'
+      : isDark
+        ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+        : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+  }`;
+
+  const inputClass = `px-2 py-1 text-xs border rounded ${
+    isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      {/* Header */}
+      <div className={`px-4 py-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+        <div className="flex items-center space-x-2">
+          <History className={`w-5 h-5 ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+          <h2 className={`text-base font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            Activity
+          </h2>
+          {!loading && (
+            <span className={`text-xs ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+              {entries.length < total ? `latest ${entries.length} of ${total}` : `${total}`} entries · live
+            </span>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1.5">
+          {RANGE_PRESETS.map((r) => (
+            <button key={r.id} onClick={() => handleRangeChange(r.id)} className={buttonClass(range === r.id)}>
+              {r.label}
+            </button>
+          ))}
+          <button onClick={() => { setLoading(true); fetchEntries(); }} className={buttonClass(false)} title="Refresh">
+            <RefreshCw className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className={`px-4 py-2 border-b flex flex-wrap items-center gap-2 ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+        <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={inputClass}>
+          {ACTION_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select value={filters.source} onChange={(e) => updateFilter('source', e.target.value)} className={inputClass}>
+          {SOURCE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select value={filters.result} onChange={(e) => updateFilter('result', e.target.value)} className={inputClass}>
+          {RESULT_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <form onSubmit={handleUserSubmit} className="flex items-center gap-1.5">
+          <input
+            type="text"
+            value={userInput}
+            onChange={(e) => setUserInput(e.target.value)}
+            placeholder="User (Enter to apply)"
+            className={inputClass}
+          />
+        </form>
+      </div>
+
+      {/* Content */}
+      <div className="p-4">
+        {error && (
+          <p className="text-xs text-red-500 mb-2">{error}</p>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className={`w-6 h-6 animate-spin ${mutedClass}`} />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className={`text-center text-sm py-16 ${mutedClass}`}>
+            No activity for this range and filters
+          </p>
+        ) : (
+          <div className={`rounded border overflow-x-auto ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+            <table className="w-full text-xs">
+              <thead className={isDark ? 'bg-slate-700/50 text-slate-300' : 'bg-gray-50 text-gray-600'}>
+                <tr>
+                  {['Time', 'Action', 'Previous', 'New', 'User', 'Source', 'Result'].map((label) => (
+                    <th key={label} className="text-left font-semibold uppercase tracking-wide px-3 py-2">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id} className={`border-t align-top ${isDark ? 'border-slate-700 text-slate-200' : 'border-gray-100 text-gray-800'}`}>
+                    <td className="px-3 py-2 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td className="px-3 py-2">
+                      <div className="font-semibold">
+                        {ACTION_LABELS[entry.action] || entry.action}
+                        {entry.target && <span className={`ml-1 font-mono ${mutedClass}`}>{entry.target}</span>}
+                      </div>
+                      {entry.reason && <div className={mutedClass}>{entry.reason}</div>}
+                    </td>
+                    <td className="px-3 py-2">{formatValue(entry, entry.previous)}</td>
+                    <td className="px-3 py-2">{formatValue(entry, entry.value)}</td>
+                    <td className="px-3 py-2">{entry.user}</td>
+                    <td className="px-3 py-2 capitalize">{entry.source}</td>
+                    <td className="px-3 py-2">
+                      {entry.result === 'success' ? (
+                        <span className={`flex items-center space-x-1 ${isDark ? 'text-green-400' : 'text-green-700'}`}>
+                          <CheckCircle2 className="w-3.5 h-3.5" />
+                          <span>Success</span>
+                        </span>
+                      ) : (
+                        <span className={`flex items-start space-x-1 ${isDark ? 'text-red-400' : 'text-red-700'}`} title={entry.error || ''}>
+                          <XCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                          <span>{entry.error || 'Failed'}</span>
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityPanel;
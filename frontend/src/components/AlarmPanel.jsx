@@ -0,0 +1,431 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Bell, BellOff, RefreshCw, Plus, Pencil, Trash2, Check, X, Loader2 } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { alarmAPI } from '../services/api';
+import { initSocket } from '../services/socket';
+
+const FIELD_OPTIONS = [
+  { value: 'd1', label: 'Inlet CO₂' },
+  { value: 'd2', label: 'Inlet Dust PM' },
+  { value: 'd3', label: 'Inlet Temperature' },
+  { value: 'd4', label: 'Inlet Humidity' },
+  { value: 'd5', label: 'Inlet pH' },
+  { value: 'd6', label: 'Inlet Water Level' },
+  { value: 'd7', label: 'Inlet Water Temp' },
+  { value: 'd8', label: 'Outlet CO₂' },
+  { value: 'd9', label: 'Outlet Dust PM' },
+  { value: 'd10', label: 'Outlet Temperature' },
+  { value: 'd11', label: 'Outlet Humidity' },
+  { value: 'd12', label: 'Outlet Water pH' },
+  { value: 'd13', label: 'Outlet Water Level' },
+  { value: 'd14', label: 'Outlet Water Temp' },
+  { value: 'aqi', label: 'AQI' },
+  { value: 'co2Difference', label: 'CO₂ Difference' },
+];
+
+const SEVERITY_OPTIONS = ['info', 'warning', 'critical'];
+
+const EMPTY_FORM = { name: '', field: 'd12', low: '', high: '', severity: 'warning', delaySeconds: 0, deadband: 0, enabled: true };
+
+const HISTORY_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const getSeverityClass = (severity, isDark) => {
+  switch (severity) {
+    case 'critical':
+      return isDark ? 'bg-red-900/30 border-red-700 text-red-300' : 'bg-red-50 border-red-300 text-red-800';
+    case 'warning':
+      return isDark ? 'bg-amber-900/30 border-amber-700 text-amber-300' : 'bg-amber-50 border-amber-300 text-amber-800';
+    default:
+      return isDark ? 'bg-blue-900/30 border-blue-700 text-blue-300' : 'bg-blue-50 border-blue-300 text-blue-800';
+  }
+};
+
+// "< 6.5 or > 8.5" style description of the limits
+const formatLimits = ({ low, high }) => [
+  low !== null && low !== undefined ? `< ${low}` : null,
+  high !== null && high !== undefined ? `> ${high}` : null,
+].filter(Boolean).join(' or ');
+
+// Create / edit form; `definition` is null when creating
+const DefinitionForm = ({ definition, onSave, onCancel, saving, isDark }) => {
+  const [form, setForm] = useState(() => (
+    definition
+      ? { ...definition, low: definition.low ?? '', high: definition.high ?? '' }
+      : EMPTY_FORM
+  ));
+
+  const inputClass = `w-full px-2 py-1 text-xs border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+  const labelClass = `block text-xs font-semibold mb-1 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...form,
+      low: form.low === '' ? null : parseFloat(form.low),
+      high: form.high === '' ? null : parseFloat(form.high),
+      delaySeconds: parseFloat(form.delaySeconds) || 0,
+      deadband: parseFloat(form.deadband) || 0,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`rounded border p-3 space-y-3 ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <div className="col-span-2">
+          <label className={labelClass}>Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. Outlet pH out of range"
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Value</label>
+          <select value={form.field} onChange={(e) => setForm({ ...form, field: e.target.value })} className={inputClass}>
+            {FIELD_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Severity</label>
+          <select value={form.severity} onChange={(e) => setForm({ ...form, severity: e.target.value })} className={`${inputClass} capitalize`}>
+            {SEVERITY_OPTIONS.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Low Limit</label>
+          <input type="number" step="any" value={form.low} onChange={(e) => setForm({ ...form, low: e.target.value })} placeholder="none" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>High Limit</label>
+          <input type="number" step="any" value={form.high} onChange={(e) => setForm({ ...form, high: e.target.value })} placeholder="none" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Delay (s)</label>
+          <input type="number" min="0" value={form.delaySeconds} onChange={(e) => setForm({ ...form, delaySeconds: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Deadband</label>
+          <input type="number" min="0" step="any" value={form.deadband} onChange={(e) => setForm({ ...form, deadband: e.target.value })} className={inputClass} />
+        </div>
+      </div>
+
+      <label className={`flex items-center space-x-1.5 text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+        <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+        <span>Enabled</span>
+      </label>
+
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-xs font-semibold rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : definition ? 'Save' : 'Create Alarm'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`px-3 py-1.5 text-xs font-semibold rounded ${isDark ? 'bg-slate-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const AlarmPanel = ({ deviceId }) => {
+  const { isDark } = useTheme();
+  const { hasRole } = useAuth();
+  const canAcknowledge = hasRole('operator');
+  const canEdit = hasRole('admin');
+
+  const [alarms, setAlarms] = useState([]);
+  const [definitions, setDefinitions] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // definition ID, 'new' or null
+  const [saving, setSaving] = useState(false);
+  const [acknowledging, setAcknowledging] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchAlarms = useCallback(async () => {
+    try {
+      const to = Date.now();
+      const [alarmsRes, definitionsRes, historyRes] = await Promise.all([
+        alarmAPI.list(deviceId),
+        alarmAPI.getDefinitions(deviceId),
+        alarmAPI.getHistory(deviceId, { from: to - HISTORY_RANGE_MS, to, limit: 100 }),
+      ]);
+
+      setAlarms(alarmsRes.data.alarms);
+      setDefinitions(definitionsRes.data.definitions);
+      setEvents(historyRes.data.events);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load alarms');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchAlarms();
+  }, [fetchAlarms]);
+
+  // Apply raise/acknowledge/clear events as they happen
+  useEffect(() => {
+    const socket = initSocket(deviceId);
+
+    const handleAlarm = ({ event, alarm, timestamp }) => {
+      setAlarms((prev) => {
+        const others = prev.filter((a) => a.id !== alarm.id);
+        return event === 'cleared' ? others : [alarm, ...others];
+      });
+      setEvents((prev) => [{ ...alarm, t: new Date(timestamp).getTime(), event }, ...prev]);
+    };
+
+    socket.on('alarm', handleAlarm);
+    return () => {
+      socket.off('alarm', handleAlarm);
+    };
+  }, [deviceId]);
+
+  const handleAcknowledge = async (alarmId) => {
+    setAcknowledging(alarmId);
+    try {
+      const res = await alarmAPI.acknowledge(deviceId, alarmId);
+      setAlarms((prev) => prev.map((a) => (a.id === alarmId ? res.data.alarm : a)));
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to acknowledge alarm');
+    } finally {
+      setAcknowledging(null);
+    }
+  };
+
+  const handleSave = async (definition) => {
+    setSaving(true);
+    try {
+      await alarmAPI.saveDefinition(deviceId, definition);
+      setEditing(null);
+      setError('');
+      await fetchAlarms();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save alarm');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (definition) => {
+    if (!confirm(`Delete alarm "${definition.name}"?`)) return;
+
+    try {
+      await alarmAPI.deleteDefinition(deviceId, definition.id);
+      setError('');
+      await fetchAlarms();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete alarm');
+    }
+  };
+
+  const fieldLabel = (field) => FIELD_OPTIONS.find((o) => o.value === field)?.label || field;
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+  const sectionClass = `rounded border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`;
+  const sectionTitleClass = `text-xs font-semibold uppercase tracking-wide ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      {/* Header */}
+      <div className={`px-4 py-3 border-b flex items-center justify-between ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+        <div className="flex items-center space-x-2">
+          <Bell className={`w-5 h-5 ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+          <h2 className={`text-base font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            Alarms
+          </h2>
+          {!loading && (
+            <span className={`text-xs ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+              {alarms.length} open · live
+            </span>
+          )}
+        </div>
+        <button
+          onClick={() => { setLoading(true); fetchAlarms(); }}
+          className={`px-2.5 py-1 text-xs font-semibold rounded border transition ${isDark ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600' : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'}`}
+          title="Refresh"
+        >
+          <RefreshCw className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {error && (
+          <div className={`px-3 py-2 rounded text-xs flex items-center justify-between ${isDark ? 'bg-red-900/20 border border-red-700 text-red-400' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+            <span>{error}</span>
+            <button onClick={() => setError('')}>
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className={`w-6 h-6 animate-spin ${mutedClass}`} />
+          </div>
+        ) : (
+          <>
+            {/* Open alarms */}
+            {alarms.length === 0 ? (
+              <div className={`flex items-center justify-center space-x-2 py-6 text-sm ${mutedClass}`}>
+                <BellOff className="w-4 h-4" />
+                <span>No open alarms</span>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {alarms.map((alarm) => (
+                  <div key={alarm.id} className={`flex items-center justify-between px-3 py-2 rounded border text-xs ${getSeverityClass(alarm.severity, isDark)}`}>
+                    <div>
+                      <div className="font-semibold">
+                        <span className="uppercase mr-1.5">{alarm.severity}</span>
+                        {alarm.name}
+                      </div>
+                      <div>
+                        {alarm.fieldLabel}: {alarm.lastValue} (limit {formatLimits(alarm)}) · raised {new Date(alarm.raisedAt).toLocaleString()}
+                      </div>
+                      {alarm.state === 'acknowledged' && (
+                        <div className="opacity-75">
+                          Acknowledged by {alarm.acknowledgedBy} at {new Date(alarm.acknowledgedAt).toLocaleString()}
+                        </div>
+                      )}
+                    </div>
+                    {alarm.state === 'active' && canAcknowledge && (
+                      <button
+                        onClick={() => handleAcknowledge(alarm.id)}
+                        disabled={acknowledging === alarm.id}
+                        className="flex items-center space-x-1 px-2.5 py-1 text-xs font-semibold rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        <Check className="w-3.5 h-3.5" />
+                        <span>Acknowledge</span>
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Definitions */}
+            <div className={`${sectionClass} p-3 space-y-2`}>
+              <div className="flex items-center justify-between">
+                <h3 className={sectionTitleClass}>Definitions</h3>
+                {canEdit && editing === null && (
+                  <button
+                    onClick={() => setEditing('new')}
+                    className="flex items-center space-x-1 px-2.5 py-1 text-xs font-semibold rounded bg-blue-600 text-white hover:bg-blue-700"
+                  >
+                    <Plus className="w-3.5 h-3.5" />
+                    <span>Add Alarm</span>
+                  </button>
+                )}
+              </div>
+
+              {editing === 'new' && (
+                <DefinitionForm definition={null} onSave={handleSave} onCancel={() => setEditing(null)} saving={saving} isDark={isDark} />
+              )}
+
+              {definitions.length === 0 && editing !== 'new' && (
+                <p className={`text-xs ${mutedClass}`}>No alarms defined</p>
+              )}
+
+              {definitions.map((definition) => (
+                editing === definition.id ? (
+                  <DefinitionForm
+                    key={definition.id}
+                    definition={definition}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                    saving={saving}
+                    isDark={isDark}
+                  />
+                ) : (
+                  <div
+                    key={definition.id}
+                    className={`flex items-center justify-between px-3 py-2 rounded border text-xs ${isDark ? 'border-slate-700 text-slate-200' : 'border-gray-200 text-gray-800'} ${definition.enabled ? '' : 'opacity-50'}`}
+                  >
+                    <div>
+                      <span className="font-semibold">{definition.name}</span>
+                      <span className={`ml-1.5 capitalize ${mutedClass}`}>({definition.severity})</span>
+                      <div className={mutedClass}>
+                        {fieldLabel(definition.field)} {formatLimits(definition)}
+                        {definition.delaySeconds > 0 && ` for ${definition.delaySeconds}s`}
+                        {definition.deadband > 0 && ` · deadband ${definition.deadband}`}
+                        {!definition.enabled && ' · disabled'}
+                      </div>
+                    </div>
+                    {canEdit && (
+                      <div className="flex items-center space-x-1">
+                        <button
+                          onClick={() => setEditing(definition.id)}
+                          disabled={editing !== null}
+                          className={`p-1 rounded disabled:opacity-40 ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'}`}
+                          title="Edit alarm"
+                        >
+                          <Pencil className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(definition)}
+                          disabled={editing !== null}
+                          className="p-1 rounded text-red-500 hover:bg-red-500/10 disabled:opacity-40"
+                          title="Delete alarm"
+                        >
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )
+              ))}
+            </div>
+
+            {/* History */}
+            <div className={`${sectionClass} overflow-x-auto`}>
+              <h3 className={`${sectionTitleClass} px-3 pt-3 pb-2`}>History (7 days)</h3>
+              {events.length === 0 ? (
+                <p className={`text-xs px-3 pb-3 ${mutedClass}`}>No alarm events</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead className={isDark ? 'bg-slate-700/50 text-slate-300' : 'bg-gray-50 text-gray-600'}>
+                    <tr>
+                      {['Time', 'Event', 'Alarm', 'Severity', 'Value', 'By / Reason'].map((label) => (
+                        <th key={label} className="text-left font-semibold uppercase tracking-wide px-3 py-2">{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {events.map((e) => (
+                      <tr key={`${e.id}-${e.event}-${e.t}`} className={`border-t ${isDark ? 'border-slate-700 text-slate-200' : 'border-gray-100 text-gray-800'}`}>
+                        <td className="px-3 py-2 whitespace-nowrap">{new Date(e.t).toLocaleString()}</td>
+                        <td className="px-3 py-2 capitalize font-semibold">{e.event}</td>
+                        <td className="px-3 py-2">{e.name}</td>
+                        <td className="px-3 py-2 capitalize">{e.severity}</td>
+                        <td className="px-3 py-2">{e.event === 'raised' ? e.value : e.lastValue}</td>
+                        <td className={`px-3 py-2 ${mutedClass}`}>
+                          {e.event === 'acknowledged' ? e.acknowledgedBy : e.event === 'cleared' ? e.clearReason : ''}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlarmPanel;
@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback } from 'react';
+import { History, X, AlertTriangle } from 'lucide-react';
+import { automationAPI } from '../services/api';
+import { initSocket } from '../services/socket';
+import { describeRule } from '../utils/rules';
+
+const MAX_ENTRIES = 50;
+
+// "d1 = 850, aqi = 120"
+const formatInputs = (inputs) => Object.entries(inputs || {})
+  .map(([field, value]) => `${field} = ${value === null ? '--' : Number(value.toFixed(2))}`)
+  .join(', ');
+
+// Switches automation attempted on one relay, newest first, with why each happened
+const AutomationHistory = ({ deviceId, relayId, relayName, rules, strategies = {}, isDark, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await automationAPI.getHistory(deviceId, { relay: relayId, limit: MAX_ENTRIES });
+      if (res.data.success) {
+        setEntries(res.data.entries);
+        setError(null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load automation history');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId, relayId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Prepend switches as they happen
+  useEffect(() => {
+    const socket = initSocket(deviceId);
+
+    const handleEntry = (entry) => {
+      if (entry.relay !== relayId || !entry.id) return;
+      setEntries((prev) => (prev.some((e) => e.id === entry.id) ? prev : [entry, ...prev].slice(0, MAX_ENTRIES)));
+    };
+
+    socket.on('automationTriggered', handleEntry);
+    return () => {
+      socket.off('automationTriggered', handleEntry);
+    };
+  }, [deviceId, relayId]);
+
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+
+  return (
+    <div className={`mt-3 rounded border p-2 ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className={`flex items-center space-x-1.5 text-xs font-semibold uppercase tracking-wide ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+          <History className="w-3.5 h-3.5" />
+          <span>Automation history · {relayName}</span>
+        </div>
+        <button onClick={onClose} className={`p-0.5 rounded ${isDark ? 'text-slate-400 hover:bg-slate-700' : 'text-gray-500 hover:bg-gray-100'}`} title="Close">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+      {entries.length === 0 && !error && (
+        <p className={`text-xs ${mutedClass}`}>{loading ? 'Loading...' : 'Automation has not switched this relay in the last 7 days.'}</p>
+      )}
+
+      <ol className="space-y-1 max-h-64 overflow-y-auto">
+        {entries.map((entry) => {
+          const rule = rules.find((r) => r.id === entry.ruleId);
+          const failed = entry.result === 'failure';
+          const inputs = formatInputs(entry.inputs);
+
+          return (
+            <li
+              key={entry.id}
+              className={`rounded px-1.5 py-1 text-xs border-l-2 ${
+                failed
+                  ? (isDark ? 'bg-red-900/20 border-red-500' : 'bg-red-50 border-red-500')
+                  : entry.state === 1
+                    ? (isDark ? 'bg-slate-700/50 border-green-500' : 'bg-gray-50 border-green-500')
+                    : (isDark ? 'bg-slate-700/50 border-slate-500' : 'bg-gray-50 border-gray-400')
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  {entry.previousState === null ? '' : `${entry.previousState === 1 ? 'ON' : 'OFF'} → `}
+                  {entry.state === 1 ? 'ON' : 'OFF'}
+                  {failed && <span className="ml-1 text-red-500">failed</span>}
+                </span>
+                <span className={mutedClass}>{new Date(entry.timestamp).toLocaleString()}</span>
+              </div>
+              <div className={isDark ? 'text-slate-300' : 'text-gray-700'}>
+                Because {entry.reason}
+              </div>
+              <div className={mutedClass}>
+                Rule {entry.ruleId}{rule ? ` (${describeRule(rule)})` : ' (deleted)'}
+                {entry.strategy !== 'priority' && strategies[entry.strategy] && ` · ${strategies[entry.strategy]}`}
+                {inputs && ` · ${inputs}`}
+              </div>
+              {failed && (
+                <div className="flex items-center space-x-1 text-red-500">
+                  <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                  <span>{entry.error}{entry.errorCode ? ` (${entry.errorCode})` : ''}</span>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default AutomationHistory;
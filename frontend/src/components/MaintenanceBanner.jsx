@@ -0,0 +1,34 @@
+import { Wrench } from 'lucide-react';
+
+const MaintenanceBanner = ({ session, canEnd, onEnd }) => (
+  <div className="bg-amber-500 text-white px-4 py-3 shadow-lg">
+    <div className="max-w-7xl mx-auto flex items-center justify-between">
+      <div className="flex items-center space-x-3">
+        <div className="flex items-center justify-center w-8 h-8 bg-amber-600 rounded-full">
+          <Wrench className="w-4 h-4" />
+        </div>
+        <div>
+          <span className="font-bold text-sm uppercase tracking-wide">Maintenance Mode</span>
+          <p className="text-xs text-amber-100 mt-0.5">
+            {session.reason} · {session.technician}. Automation is suspended and readings are flagged as non-representative.
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center space-x-3 text-xs">
+        <p className="text-amber-100">
+          Since <span className="font-semibold text-white">{new Date(session.startedAt).toLocaleString()}</span>
+        </p>
+        {canEnd && (
+          <button
+            onClick={onEnd}
+            className="px-3 py-1.5 bg-white text-amber-700 rounded font-semibold uppercase hover:bg-amber-50 transition"
+          >
+            End maintenance
+          </button>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+export default MaintenanceBanner;
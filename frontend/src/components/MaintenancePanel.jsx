@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Wrench } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+
+const formatDuration = (from, to) => {
+  const minutes = Math.round((Date.parse(to) - Date.parse(from)) / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+// Settings card: start/end maintenance mode and the recent sessions.
+// `maintenance` is { active, sessions } as returned by the API
+const MaintenancePanel = ({ maintenance, canControl, onStart, onStop }) => {
+  const { isDark } = useTheme();
+  const [reason, setReason] = useState('');
+  const [technician, setTechnician] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const active = maintenance?.active;
+  const sessions = maintenance?.sessions || [];
+
+  const inputClass = `w-full px-2 py-1 text-xs border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+  const labelClass = `block text-xs font-semibold mb-1 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  const run = async (action) => {
+    setSaving(true);
+    const message = await action();
+    setError(message || '');
+    setSaving(false);
+    return !message;
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    if (await run(() => onStart(reason, technician))) {
+      setReason('');
+      setTechnician('');
+    }
+  };
+
+  return (
+    <div className={`${isDark ? 'bg-slate-800 border border-slate-700' : 'bg-white border border-gray-200'} rounded-lg p-4 shadow-sm`}>
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className={`flex items-center space-x-1.5 text-sm font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            <Wrench className="w-4 h-4" />
+            <span>Maintenance Mode</span>
+          </h3>
+          <p className={`text-xs mt-1 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+            Suspends automation, shows the maintenance code on the display, pauses CO₂/O₂ totals and flags readings as non-representative.
+          </p>
+          {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+        </div>
+        {canControl && active && (
+          <button
+            onClick={() => run(onStop)}
+            disabled={saving}
+            className={`px-3 py-1.5 text-xs font-semibold rounded border bg-amber-500 text-white border-amber-600 hover:bg-amber-600 transition ${saving ? 'opacity-70 cursor-not-allowed' : ''}`}
+          >
+            End maintenance
+          </button>
+        )}
+      </div>
+
+      {active && (
+        <div className={`mt-3 rounded px-2 py-1.5 text-xs ${isDark ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800'}`}>
+          In progress since {new Date(active.startedAt).toLocaleString()}: {active.reason} ({active.technician})
+        </div>
+      )}
+
+      {canControl && !active && (
+        <form onSubmit={handleStart} className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+          <div>
+            <label className={labelClass}>Reason</label>
+            <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} required maxLength={200} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Technician</label>
+            <input type="text" value={technician} onChange={(e) => setTechnician(e.target.value)} required maxLength={200} className={inputClass} />
+          </div>
+          <div>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`px-3 py-1.5 text-xs font-semibold rounded border bg-blue-600 text-white border-blue-700 hover:bg-blue-700 transition ${saving ? 'opacity-70 cursor-not-allowed' : ''}`}
+            >
+              Start maintenance
+            </button>
+          </div>
+        </form>
+      )}
+
+      {sessions.length > 0 && (
+        <div className="mt-3">
+          <p className={`text-xs font-semibold mb-1 ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>Recent sessions</p>
+          <ul className={`text-xs space-y-0.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+            {sessions.slice(0, 5).map((session) => (
+              <li key={session.id}>
+                {new Date(session.startedAt).toLocaleString()} · {formatDuration(session.startedAt, session.endedAt)} · {session.reason} ({session.technician})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MaintenancePanel;
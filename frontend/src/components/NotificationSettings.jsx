@@ -0,0 +1,339 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BellRing, Plus, Pencil, Trash2, Send, X } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { notificationsAPI } from '../services/api';
+
+const EMPTY_FORM = { name: '', type: 'email', to: '', url: '', events: [], devices: [], minSeverity: 'info', enabled: true };
+
+// Create / edit form; `channel` is null when creating
+const ChannelForm = ({ channel, options, devices, onSave, onCancel, saving, isDark }) => {
+  const [form, setForm] = useState(() => (
+    channel
+      ? { ...EMPTY_FORM, ...channel, to: (channel.to || []).join(', ') }
+      : EMPTY_FORM
+  ));
+
+  const inputClass = `w-full px-2 py-1 text-xs border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+  const labelClass = `block text-xs font-semibold mb-1 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+  const checkboxLabelClass = `flex items-center space-x-1.5 text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  const toggle = (key, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((v) => v !== value) : [...prev[key], value],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = {
+      name: form.name,
+      type: form.type,
+      events: form.events,
+      devices: form.devices,
+      minSeverity: form.minSeverity,
+      enabled: form.enabled,
+    };
+    if (channel) payload.id = channel.id;
+    if (form.type === 'email') {
+      payload.to = form.to.split(',').map((address) => address.trim()).filter(Boolean);
+    } else {
+      payload.url = form.url;
+    }
+    onSave(payload);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`rounded border p-3 space-y-3 ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass}>Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Type</label>
+          <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={inputClass}>
+            {Object.entries(options.types).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Minimum Severity</label>
+          <select value={form.minSeverity} onChange={(e) => setForm({ ...form, minSeverity: e.target.value })} className={`${inputClass} capitalize`}>
+            {options.severities.map((severity) => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {form.type === 'email' ? (
+        <div>
+          <label className={labelClass}>Recipients (comma separated)</label>
+          <input
+            type="text"
+            value={form.to}
+            onChange={(e) => setForm({ ...form, to: e.target.value })}
+            placeholder="ops@example.com, shift@example.com"
+            required
+            className={inputClass}
+          />
+        </div>
+      ) : (
+        <div>
+          <label className={labelClass}>Webhook URL</label>
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://hooks.example.com/..."
+            required
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      <div>
+        <label className={labelClass}>Events</label>
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+          {Object.entries(options.events).map(([event, label]) => (
+            <label key={event} className={checkboxLabelClass}>
+              <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggle('events', event)} />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {devices.length > 1 && (
+        <div>
+          <label className={labelClass}>Devices (none selected = all devices)</label>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {devices.map((device) => (
+              <label key={device.id} className={checkboxLabelClass}>
+                <input type="checkbox" checked={form.devices.includes(device.id)} onChange={() => toggle('devices', device.id)} />
+                <span>{device.name || device.id}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <label className={checkboxLabelClass}>
+        <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+        <span>Enabled</span>
+      </label>
+
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-xs font-semibold rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : channel ? 'Save' : 'Create Channel'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`px-3 py-1.5 text-xs font-semibold rounded ${isDark ? 'bg-slate-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const NotificationSettings = ({ devices = [] }) => {
+  const { isDark } = useTheme();
+
+  const [channels, setChannels] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [editing, setEditing] = useState(null); // channel ID, 'new' or null
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(null);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'success', text }
+
+  const fetchChannels = useCallback(async () => {
+    try {
+      const res = await notificationsAPI.listChannels();
+      if (res.data.success) {
+        setChannels(res.data.channels);
+        setOptions(res.data.options);
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to load notification channels' });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchChannels();
+  }, [fetchChannels]);
+
+  const handleSave = async (payload) => {
+    setSaving(true);
+    try {
+      await notificationsAPI.saveChannel(payload);
+      setEditing(null);
+      setMessage(null);
+      await fetchChannels();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to save channel' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!confirm(`Delete notification channel "${channel.name}"?`)) return;
+
+    try {
+      await notificationsAPI.deleteChannel(channel.id);
+      setMessage(null);
+      await fetchChannels();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to delete channel' });
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting(channel.id);
+    try {
+      await notificationsAPI.testChannel(channel.id);
+      setMessage({ type: 'success', text: `Test notification sent to ${channel.name}` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to send test notification' });
+    } finally {
+      setTesting(null);
+      fetchChannels();
+    }
+  };
+
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+
+  return (
+    <div className={`${isDark ? 'bg-slate-800 border border-slate-700' : 'bg-white border border-gray-200'} rounded-lg p-4 shadow-sm`}>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className={`text-sm font-semibold flex items-center space-x-1.5 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            <BellRing className="w-4 h-4" />
+            <span>Notifications</span>
+          </h3>
+          <p className={`text-xs mt-1 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+            Email, webhook or Slack / Teams messages for alarms, offline devices and automation.
+          </p>
+        </div>
+        {editing === null && options && (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center space-x-1.5 px-3 py-1.5 text-xs font-semibold rounded border bg-blue-600 text-white border-blue-700 hover:bg-blue-700 transition"
+          >
+            <Plus className="w-3.5 h-3.5" />
+            <span>Add Channel</span>
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mb-3 px-3 py-2 rounded text-xs flex items-center justify-between ${
+          message.type === 'error'
+            ? (isDark ? 'bg-red-900/20 border border-red-700 text-red-400' : 'bg-red-50 border border-red-200 text-red-700')
+            : (isDark ? 'bg-green-900/20 border border-green-700 text-green-400' : 'bg-green-50 border border-green-200 text-green-700')
+        }`}>
+          <span>{message.text}</span>
+          <button onClick={() => setMessage(null)}>
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      {editing === 'new' && (
+        <div className="mb-3">
+          <ChannelForm
+            channel={null}
+            options={options}
+            devices={devices}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+            saving={saving}
+            isDark={isDark}
+          />
+        </div>
+      )}
+
+      {channels.length === 0 && editing !== 'new' && (
+        <p className={`text-xs ${mutedClass}`}>No notification channels</p>
+      )}
+
+      <div className="space-y-2">
+        {channels.map((channel) => (
+          editing === channel.id ? (
+            <ChannelForm
+              key={channel.id}
+              channel={channel}
+              options={options}
+              devices={devices}
+              onSave={handleSave}
+              onCancel={() => setEditing(null)}
+              saving={saving}
+              isDark={isDark}
+            />
+          ) : (
+            <div
+              key={channel.id}
+              className={`flex items-center justify-between px-3 py-2 rounded border text-xs ${isDark ? 'border-slate-700 text-slate-200' : 'border-gray-200 text-gray-800'} ${channel.enabled ? '' : 'opacity-50'}`}
+            >
+              <div>
+                <span className="font-semibold">{channel.name}</span>
+                <span className={`ml-1.5 ${mutedClass}`}>
+                  {options?.types[channel.type] || channel.type} · {channel.type === 'email' ? channel.to.join(', ') : channel.url}
+                </span>
+                <div className={mutedClass}>
+                  {channel.events.map((event) => options?.events[event] || event).join(', ')}
+                  {channel.minSeverity !== 'info' && ` · ${channel.minSeverity} and above`}
+                </div>
+                <div className={mutedClass}>
+                  Sent {channel.status.sent} · failed {channel.status.failed} · suppressed {channel.status.suppressed}
+                  {channel.status.lastError && <span className="text-red-500"> · {channel.status.lastError}</span>}
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => handleTest(channel)}
+                  disabled={testing !== null}
+                  className={`p-1 rounded disabled:opacity-40 ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'}`}
+                  title="Send test notification"
+                >
+                  <Send className="w-3.5 h-3.5" />
+                </button>
+                <button
+                  onClick={() => setEditing(channel.id)}
+                  disabled={editing !== null}
+                  className={`p-1 rounded disabled:opacity-40 ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'}`}
+                  title="Edit channel"
+                >
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button
+                  onClick={() => handleDelete(channel)}
+                  disabled={editing !== null}
+                  className="p-1 rounded text-red-500 hover:bg-red-500/10 disabled:opacity-40"
+                  title="Delete channel"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -331,16 +331,19 @@ const OverviewDashboard = ({ data, relayNames, onAirflowUpdate, deviceStatus = {
                   Airflow Rate
                 </span>
               </div>
-              <button
-                onClick={() => setShowAirflowSettings(!showAirflowSettings)}
-                className={`p-1 rounded ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-200'}`}
-              >
-                {showAirflowSettings ? (
-                  <ChevronUp className={`w-4 h-4 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
-                ) : (
-                  <Settings className={`w-4 h-4 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
-                )}
-              </button>
+              {/* Only shown when the user may change the airflow rate */}
+              {onAirflowUpdate && (
+                <button
+                  onClick={() => setShowAirflowSettings(!showAirflowSettings)}
+                  className={`p-1 rounded ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-200'}`}
+                >
+                  {showAirflowSettings ? (
+                    <ChevronUp className={`w-4 h-4 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
+                  ) : (
+                    <Settings className={`w-4 h-4 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
+                  )}
+                </button>
+              )}
             </div>
           </div>
           <div className="px-4 py-3">
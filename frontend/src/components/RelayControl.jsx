@@ -1,24 +1,26 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useTheme } from '../context/ThemeContext';
-import { relayAPI, automationAPI } from '../services/api';
-import { Power, Settings, Clock, TrendingUp, X, WifiOff, Zap, Loader2 } from 'lucide-react';
-
-const SENSOR_OPTIONS = [
-  { value: 'd1', label: 'Inlet CO₂' },
-  { value: 'd2', label: 'Inlet Dust PM' },
-  { value: 'd3', label: 'Inlet Temperature' },
-  { value: 'd4', label: 'Inlet Humidity' },
-  { value: 'd5', label: 'Inlet pH' },
-  { value: 'd6', label: 'Inlet Water Level' },
-  { value: 'd7', label: 'Inlet Water Temp' },
-  { value: 'd8', label: 'Outlet CO₂' },
-  { value: 'd9', label: 'Outlet Dust PM' },
-  { value: 'd10', label: 'Outlet Temperature' },
-  { value: 'd11', label: 'Outlet Humidity' },
-  { value: 'd12', label: 'Outlet Water pH' },
-  { value: 'd13', label: 'Outlet Water Level' },
-  { value: 'd14', label: 'Outlet Water Temp' },
-];
+import { useAuth } from '../context/AuthContext';
+import { relayAPI, automationAPI, sceneAPI } from '../services/api';
+import { initSocket } from '../services/socket';
+import { Power, Settings, Clock, TrendingUp, Repeat, X, WifiOff, Zap, Loader2, Plus, Pencil, Trash2, Hourglass, CalendarDays, Activity, History, Hand, AlertTriangle, ListOrdered, Layers } from 'lucide-react';
+import {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  newComparison,
+  newGroup,
+  getRuleCondition,
+} from '../utils/conditions';
+import { getRuleSchedule } from '../utils/schedule';
+import { describeRule } from '../utils/rules';
+import ScheduleEditor from './ScheduleEditor';
+import ScheduleCalendar from './ScheduleCalendar';
+import SimulationChart from './SimulationChart';
+import AutomationHistory from './AutomationHistory';
+import SceneBar from './SceneBar';
+import RelayRuntime from './RelayRuntime';
+
+const RUNTIME_REFRESH_MS = 60000;
 
 // Mode colors for visual distinction
 const getModeColors = (mode, isDark) => {
@@ -39,6 +41,14 @@ const getModeColors = (mode, isDark) => {
         icon: isDark ? 'text-purple-400' : 'text-purple-600',
         badge: isDark ? 'bg-purple-900/50 text-purple-300' : 'bg-purple-100 text-purple-800'
       };
+    case 'cycle':
+      return {
+        bg: isDark ? 'bg-cyan-900/20' : 'bg-cyan-50',
+        border: isDark ? 'border-cyan-700/50' : 'border-cyan-300',
+        text: isDark ? 'text-cyan-400' : 'text-cyan-700',
+        icon: isDark ? 'text-cyan-400' : 'text-cyan-600',
+        badge: isDark ? 'bg-cyan-900/50 text-cyan-300' : 'bg-cyan-100 text-cyan-800'
+      };
     default: // manual
       return {
         bg: isDark ? 'bg-slate-800/50' : 'bg-gray-50',
@@ -50,28 +60,177 @@ const getModeColors = (mode, isDark) => {
   }
 };
 
-const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
+const MODE_ICONS = { sensor: TrendingUp, time: Clock, cycle: Repeat };
+
+const ModeIcon = ({ mode, className }) => {
+  const Icon = MODE_ICONS[mode] || Clock;
+  return <Icon className={className} />;
+};
+
+const RelayControl = ({ deviceId, data, relayNames = {}, deviceStatus = {} }) => {
   const { isDark } = useTheme();
+  const { hasRole } = useAuth();
+  const canSwitch = hasRole('operator');
+  const canEditRules = hasRole('admin');
   const [relays, setRelays] = useState({});
   const [automationRules, setAutomationRules] = useState([]);
+  const [scenes, setScenes] = useState([]);
+  const [relaySettings, setRelaySettings] = useState({}); // { relayId: { strategy, minOnSeconds, minOffSeconds } }
+  const [strategies, setStrategies] = useState({});
+  const [relayStatus, setRelayStatus] = useState({}); // { relayId: { ruleId, targetState, reason, hold } }
   const [editingRelay, setEditingRelay] = useState(null);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [historyRelay, setHistoryRelay] = useState(null); // relay whose automation history is shown
+  const [overrideRelay, setOverrideRelay] = useState(null); // relay whose override durations are shown
+  const [now, setNow] = useState(Date.now());
   const [loading, setLoading] = useState(false);
 
-  // Track pending relay changes awaiting confirmation
-  const [pendingRelays, setPendingRelays] = useState({}); // { relayId: { targetState, timestamp } }
-  const pendingTimeoutsRef = useRef({}); // Store timeout IDs for cleanup
+  // Relay commands awaiting confirmation by the device (tracked by the backend)
+  const [pendingRelays, setPendingRelays] = useState({}); // { relayId: { targetState, commandId, attempts, queued } }
+  const [commandError, setCommandError] = useState(null);
+
+  // Commands queued by the backend until the device reconnects, oldest first
+  const [offlineQueue, setOfflineQueue] = useState([]);
+  const [queueWhileOffline, setQueueWhileOffline] = useState(false);
+
+  const [runtime, setRuntime] = useState({}); // { relayId: { today, month, total, serviceHours, maintenanceDue, ... } }
 
   // Check if device is offline
   const isOffline = deviceStatus?.hasData !== undefined && !deviceStatus?.online;
+  const controlsDisabled = isOffline && !queueWhileOffline;
+
+  const fetchAutomationRules = useCallback(async () => {
+    try {
+      const response = await automationAPI.getRules(deviceId);
+      setAutomationRules(response.data.rules || []);
+    } catch (err) {
+      console.error('Failed to fetch automation rules:', err);
+    }
+  }, [deviceId]);
+
+  const fetchAutomationRelays = useCallback(async () => {
+    try {
+      const response = await automationAPI.getRelays(deviceId);
+      setRelaySettings(response.data.settings || {});
+      setStrategies(response.data.strategies || {});
+      setRelayStatus(response.data.relays || {});
+    } catch (err) {
+      console.error('Failed to fetch relay settings:', err);
+    }
+  }, [deviceId]);
+
+  const fetchScenes = useCallback(async () => {
+    try {
+      const response = await sceneAPI.list(deviceId);
+      setScenes(response.data.scenes || []);
+    } catch (err) {
+      console.error('Failed to fetch scenes:', err);
+    }
+  }, [deviceId]);
 
   useEffect(() => {
     fetchAutomationRules();
+    fetchAutomationRelays();
+    fetchScenes();
+  }, [fetchAutomationRules, fetchAutomationRelays, fetchScenes]);
+
+  // Controlling rule and hold of each automated relay
+  useEffect(() => {
+    const socket = initSocket(deviceId);
+
+    const handleRelayStatus = (payload) => {
+      setRelayStatus(payload.relays || {});
+    };
+
+    socket.on('automationRelays', handleRelayStatus);
+    return () => {
+      socket.off('automationRelays', handleRelayStatus);
+    };
+  }, [deviceId]);
+
+  // Relay runtime, refreshed every minute and when a relay becomes due for service
+  const fetchRuntime = useCallback(async () => {
+    try {
+      const response = await relayAPI.getRuntime(deviceId, { days: 1 });
+      setRuntime(response.data.relays || {});
+    } catch (err) {
+      console.error('Failed to fetch relay runtime:', err);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchRuntime();
+    const interval = setInterval(fetchRuntime, RUNTIME_REFRESH_MS);
+    const socket = initSocket(deviceId);
+
+    socket.on('maintenanceDue', fetchRuntime);
+    return () => {
+      clearInterval(interval);
+      socket.off('maintenanceDue', fetchRuntime);
+    };
+  }, [deviceId, fetchRuntime]);
+
+  // Tick the override countdowns
+  const hasOverride = Object.values(relayStatus).some((status) => status?.override);
+  useEffect(() => {
+    if (!hasOverride) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasOverride]);
+
+  // Relays of a queued/sent command are pending; finished commands release them
+  const applyCommandStatus = useCallback((command) => {
+    const unfinished = ['queued', 'sent'].includes(command.status);
+    const queuedOffline = command.status === 'queued' && !!command.expiresAt;
+
+    setOfflineQueue(prev => {
+      const others = prev.filter((c) => c.id !== command.id);
+      if (!queuedOffline) return others.length === prev.length ? prev : others;
+      return [...others, command].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    });
+
+    setPendingRelays(prev => {
+      const updated = { ...prev };
+      for (const [relayId, targetState] of Object.entries(command.relays)) {
+        if (unfinished) {
+          updated[relayId] = { targetState, commandId: command.id, attempts: command.attempts, queued: queuedOffline };
+        } else if (updated[relayId]?.commandId === command.id) {
+          delete updated[relayId];
+        }
+      }
+      return updated;
+    });
+
+    if (['failed', 'timeout', 'expired'].includes(command.status) && !command.supersededBy) {
+      const names = Object.keys(command.relays).map((relayId) => relayNames[relayId] || relayId.toUpperCase());
+      setCommandError(`${names.join(', ')}: ${command.error}`);
+    }
+  }, [relayNames]);
+
+  // Commands still in flight, e.g. after a reload
+  const fetchPendingCommands = useCallback(async () => {
+    try {
+      const response = await relayAPI.getCommands(deviceId);
+      (response.data.commands || [])
+        .filter((command) => ['queued', 'sent'].includes(command.status))
+        .forEach(applyCommandStatus);
+    } catch (err) {
+      console.error('Failed to fetch relay commands:', err);
+    }
+  }, [deviceId, applyCommandStatus]);
+
+  useEffect(() => {
+    fetchPendingCommands();
+  }, [fetchPendingCommands]);
+
+  useEffect(() => {
+    const socket = initSocket(deviceId);
 
-    // Cleanup timeouts on unmount
+    socket.on('commandStatus', applyCommandStatus);
     return () => {
-      Object.values(pendingTimeoutsRef.current).forEach(clearTimeout);
+      socket.off('commandStatus', applyCommandStatus);
     };
-  }, []);
+  }, [deviceId, applyCommandStatus]);
 
   useEffect(() => {
     if (data) {
@@ -79,27 +238,12 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
       for (let i = 1; i <= 10; i++) {
         const relayId = `i${i}`;
         newRelayStates[relayId] = data[relayId] || 0;
-
-        // Check if this relay was pending and now matches the target state
-        if (pendingRelays[relayId]) {
-          const { targetState } = pendingRelays[relayId];
-          if (newRelayStates[relayId] === targetState) {
-            // Relay confirmed! Clear pending state
-            clearPendingRelay(relayId);
-          }
-        }
       }
       setRelays(newRelayStates);
     }
   }, [data]);
 
   const clearPendingRelay = (relayId) => {
-    // Clear timeout
-    if (pendingTimeoutsRef.current[relayId]) {
-      clearTimeout(pendingTimeoutsRef.current[relayId]);
-      delete pendingTimeoutsRef.current[relayId];
-    }
-    // Remove from pending state
     setPendingRelays(prev => {
       const updated = { ...prev };
       delete updated[relayId];
@@ -107,21 +251,22 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
     });
   };
 
-  const fetchAutomationRules = async () => {
-    try {
-      const response = await automationAPI.getRules();
-      setAutomationRules(response.data.rules || []);
-    } catch (err) {
-      console.error('Failed to fetch automation rules:', err);
-    }
+  // Automatic rules of a relay, highest priority first (as the engine orders them)
+  const getRelayRules = (relayId) => {
+    return automationRules
+      .filter((r) => r.relay === relayId && r.mode !== 'manual')
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
   };
 
-  const getRelayRule = (relayId) => {
-    return automationRules.find((r) => r.relay === relayId && r.enabled);
+  // Automatic scene rules whose scenes set a relay
+  const getSceneRules = (relayId) => {
+    return automationRules.filter((r) => r.scene && r.mode !== 'manual' && [r.scene, r.offScene].some((sceneId) => (
+      scenes.find((scene) => scene.id === sceneId)?.relays[relayId] !== undefined
+    )));
   };
 
   const handleToggleRelay = async (relayId) => {
-    if (isOffline) {
+    if (controlsDisabled) {
       alert('Device is offline. Cannot control relays.');
       return;
     }
@@ -134,76 +279,160 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
     const currentState = relays[relayId];
     const newState = currentState === 1 ? 0 : 1;
 
-    // Set pending state BEFORE API call
+    // Set pending state BEFORE API call; commandStatus events take over from there
     setPendingRelays(prev => ({
       ...prev,
-      [relayId]: { targetState: newState, timestamp: Date.now() }
+      [relayId]: { targetState: newState, commandId: null, attempts: 0, queued: isOffline }
     }));
+    setCommandError(null);
 
     try {
-      await relayAPI.control(relayId, newState);
-
-      // Set a timeout - if not confirmed within 30 seconds, clear pending and show error
-      pendingTimeoutsRef.current[relayId] = setTimeout(() => {
-        // Check if still pending (not confirmed)
-        setPendingRelays(prev => {
-          if (prev[relayId]) {
-            alert(`Relay ${relayId.toUpperCase()} change not confirmed. Please check device connection.`);
-            const updated = { ...prev };
-            delete updated[relayId];
-            return updated;
-          }
-          return prev;
-        });
-        delete pendingTimeoutsRef.current[relayId];
-      }, 30000); // 30 second timeout
-
+      const response = await relayAPI.control(deviceId, relayId, newState, { queueIfOffline: queueWhileOffline });
+      applyCommandStatus(response.data.command);
     } catch (err) {
       // Clear pending state on error
       clearPendingRelay(relayId);
 
       if (err.response?.status === 503) {
         alert('Device is offline. Cannot control relays.');
+      } else if (err.response?.status === 409) {
+        // Rejected by an interlock; the message lists the reasons
+        alert(err.response.data.message);
       } else {
         alert('Failed to control relay');
       }
     }
   };
 
+  // Apply a scene; its relays are pending until the device confirms the command
+  const handleApplyScene = async (scene) => {
+    setCommandError(null);
+    try {
+      const response = await sceneAPI.apply(deviceId, scene.id, { queueIfOffline: queueWhileOffline });
+      applyCommandStatus(response.data.command);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to apply scene');
+    }
+  };
+
+  const handleCancelQueued = async (command) => {
+    try {
+      const response = await relayAPI.cancelCommand(deviceId, command.id);
+      applyCommandStatus(response.data.command);
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to cancel queued command');
+    }
+  };
+
+  const handleResetMaintenance = async (relayId) => {
+    if (!confirm(`Reset the service counter of ${relayNames[relayId] || relayId.toUpperCase()}?`)) return;
+    try {
+      await relayAPI.resetMaintenance(deviceId, relayId);
+      await fetchRuntime();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to reset service counter');
+    }
+  };
+
+  // Returns true when saved, so the settings form can close
+  const handleSaveRuntimeSettings = async (relayId, settings) => {
+    try {
+      await relayAPI.saveRuntimeSettings(deviceId, relayId, settings);
+      await fetchRuntime();
+      return true;
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to save runtime settings');
+      return false;
+    }
+  };
+
+  // "Fan Unit 1 ON, Water Pump OFF"
+  const describeCommand = (command) => Object.entries(command.relays)
+    .map(([relayId, state]) => `${relayNames[relayId] || relayId.toUpperCase()} ${state === 1 ? 'ON' : 'OFF'}`)
+    .join(', ');
+
+  // Switch an automated relay by hand and pause its automation
+  const handleOverride = async (relayId, duration) => {
+    setLoading(true);
+    try {
+      await automationAPI.setOverride(deviceId, relayId, { state: relays[relayId] === 1 ? 0 : 1, ...duration });
+      setOverrideRelay(null);
+      await fetchAutomationRelays();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to override relay');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReleaseOverride = async (relayId) => {
+    setLoading(true);
+    try {
+      await automationAPI.releaseOverride(deviceId, relayId);
+      await fetchAutomationRelays();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to release override');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Returns true when saved, so the rule form can close
   const handleSaveRule = async (relayId, ruleData) => {
     setLoading(true);
     try {
+      // Scene rules target their scene instead of the relay
       const rule = {
         ...ruleData,
-        relay: relayId,
-        id: ruleData.id || `rule_${relayId}_${Date.now()}`,
-        enabled: true,
+        ...(!ruleData.scene && { relay: relayId }),
+        id: ruleData.id || `rule_${ruleData.scene || relayId}_${Date.now()}`,
       };
 
-      await automationAPI.saveRule(rule);
-      await fetchAutomationRules();
-      setEditingRelay(null);
-      alert('Automation rule saved successfully');
+      await automationAPI.saveRule(deviceId, rule);
+      await Promise.all([fetchAutomationRules(), fetchAutomationRelays()]);
+      return true;
     } catch (err) {
-      alert('Failed to save automation rule');
+      alert(err.response?.data?.message || 'Failed to save automation rule');
+      return false;
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDeleteRule = async (relayId) => {
-    const rule = getRelayRule(relayId);
-    if (!rule) return;
-
+  const handleDeleteRule = async (rule) => {
     if (!confirm('Delete automation rule?')) return;
 
     setLoading(true);
     try {
-      await automationAPI.deleteRule(rule.id);
-      await fetchAutomationRules();
-      alert('Automation rule deleted');
+      await automationAPI.deleteRule(deviceId, rule.id);
+      await Promise.all([fetchAutomationRules(), fetchAutomationRelays()]);
     } catch (err) {
-      alert('Failed to delete automation rule');
+      alert(err.response?.data?.message || 'Failed to delete automation rule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Dry run of a relay's rules over the last hours of history; resolves to the result
+  const handleSimulate = async (relayId, rules, settings, hours) => {
+    const to = Date.now();
+    const response = await automationAPI.simulate(deviceId, {
+      rules,
+      relaySettings: { [relayId]: settings },
+      from: to - hours * 60 * 60 * 1000,
+      to,
+    });
+    return response.data;
+  };
+
+  const handleSaveSettings = async (relayId, settings) => {
+    setLoading(true);
+    try {
+      await automationAPI.saveRelaySettings(deviceId, relayId, settings);
+      await fetchAutomationRelays();
+      alert('Relay settings saved');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to save relay settings');
     } finally {
       setLoading(false);
     }
@@ -215,9 +444,64 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
       {isOffline && (
         <div className={`px-4 py-2 flex items-center space-x-2 ${isDark ? 'bg-red-900/30 border-b border-red-700/50' : 'bg-red-50 border-b border-red-200'}`}>
           <WifiOff className={`w-4 h-4 ${isDark ? 'text-red-400' : 'text-red-600'}`} />
-          <span className={`text-xs font-semibold ${isDark ? 'text-red-400' : 'text-red-700'}`}>
-            Device is offline. Relay controls are disabled.
+          <span className={`flex-1 text-xs font-semibold ${isDark ? 'text-red-400' : 'text-red-700'}`}>
+            {queueWhileOffline
+              ? 'Device is offline. Relay changes are queued until it reconnects.'
+              : 'Device is offline. Relay controls are disabled.'}
           </span>
+          {canSwitch && (
+            <label className={`flex items-center space-x-1 text-xs ${isDark ? 'text-red-300' : 'text-red-700'}`}>
+              <input
+                type="checkbox"
+                checked={queueWhileOffline}
+                onChange={(e) => setQueueWhileOffline(e.target.checked)}
+              />
+              <span>Queue while offline</span>
+            </label>
+          )}
+        </div>
+      )}
+
+      {/* Commands waiting for the device to reconnect */}
+      {offlineQueue.length > 0 && (
+        <div className={`px-4 py-2 border-b ${isDark ? 'bg-slate-800/50 border-slate-700' : 'bg-blue-50/50 border-gray-200'}`}>
+          <div className={`flex items-center space-x-1.5 mb-1 text-xs font-semibold ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+            <ListOrdered className="w-3.5 h-3.5" />
+            <span>Queued until the device reconnects</span>
+          </div>
+          <ol className="space-y-0.5">
+            {offlineQueue.map((command) => (
+              <li key={command.id} className={`flex items-center justify-between text-xs ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+                <span className="truncate">
+                  <span className={isDark ? 'text-slate-200' : 'text-gray-900'}>{describeCommand(command)}</span>
+                  {command.reason && ` · ${command.reason}`}
+                  {` · ${command.user}, expires ${new Date(command.expiresAt).toLocaleTimeString()}`}
+                </span>
+                {canSwitch && (
+                  <button
+                    onClick={() => handleCancelQueued(command)}
+                    className={`ml-2 p-0.5 rounded flex-shrink-0 ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'}`}
+                    title="Cancel queued command"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {/* Last failed or unconfirmed relay command */}
+      {commandError && (
+        <div className={`px-4 py-2 flex items-center justify-between ${isDark ? 'bg-amber-900/30 border-b border-amber-700/50' : 'bg-amber-50 border-b border-amber-200'}`}>
+          <div className="flex items-center space-x-2">
+            <AlertTriangle className={`w-4 h-4 flex-shrink-0 ${isDark ? 'text-amber-400' : 'text-amber-600'}`} />
+            <span className={`text-xs font-semibold ${isDark ? 'text-amber-300' : 'text-amber-800'}`}>{commandError}</span>
+          </div>
+          <button onClick={() => setCommandError(null)} className={isDark ? 'text-amber-400' : 'text-amber-700'} title="Dismiss">
+            <X className="w-3.5 h-3.5" />
+          </button>
         </div>
       )}
 
@@ -235,31 +519,59 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
             <span className={`px-1.5 py-0.5 rounded ${getModeColors('manual', isDark).badge}`}>Manual</span>
             <span className={`px-1.5 py-0.5 rounded ${getModeColors('sensor', isDark).badge}`}>Sensor</span>
             <span className={`px-1.5 py-0.5 rounded ${getModeColors('time', isDark).badge}`}>Timer</span>
+            <span className={`px-1.5 py-0.5 rounded ${getModeColors('cycle', isDark).badge}`}>Cycle</span>
           </div>
           <span className={`text-xs ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
             {Object.values(relays).filter(v => v === 1).length} / 10 Active
           </span>
+          <button
+            onClick={() => setShowSchedule(!showSchedule)}
+            className={`p-1 rounded ${showSchedule ? 'bg-blue-600 text-white' : (isDark ? 'text-slate-400 hover:bg-slate-700' : 'text-gray-500 hover:bg-gray-100')}`}
+            title="Upcoming scheduled actions"
+          >
+            <CalendarDays className="w-4 h-4" />
+          </button>
         </div>
       </div>
 
       {/* Content */}
       <div className="p-3">
+        <SceneBar
+          deviceId={deviceId}
+          scenes={scenes}
+          relays={relays}
+          relayNames={relayNames}
+          rules={automationRules}
+          isDark={isDark}
+          canApply={canSwitch}
+          canEdit={canEditRules}
+          disabled={controlsDisabled}
+          onApply={handleApplyScene}
+          onChange={fetchScenes}
+        />
+
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-2">
           {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((num) => {
             const relayId = `i${num}`;
             const isOn = relays[relayId] === 1;
-            const rule = getRelayRule(relayId);
+            const rules = getRelayRules(relayId);
+            const activeRules = rules.filter((r) => r.enabled);
+            const status = relayStatus[relayId];
+            const rule = activeRules.find((r) => r.id === status?.ruleId) || activeRules[0]; // controlling rule
             const editing = editingRelay === relayId;
             const name = relayNames[relayId] || `Relay ${num}`;
             const mode = rule?.mode || 'manual';
             const modeColors = getModeColors(mode, isDark);
             const isPending = !!pendingRelays[relayId];
             const pendingTarget = pendingRelays[relayId]?.targetState;
+            const hold = rule ? status?.hold : null;
+            const override = rule && status?.override && Date.parse(status.override.until) > now ? status.override : null;
+            const hasSchedule = activeRules.some((r) => r.mode === 'time');
 
             return (
               <div
                 key={relayId}
-                className={`rounded border transition ${modeColors.bg} ${modeColors.border} ${isPending ? 'ring-2 ring-yellow-500/50' : ''}`}
+                className={`rounded border transition ${modeColors.bg} ${modeColors.border} ${isPending ? 'ring-2 ring-yellow-500/50' : ''} ${editing ? 'col-span-full' : ''}`}
               >
                 {/* Relay Header - Compact */}
                 <div className={`px-2 py-1.5 border-b flex items-center justify-between ${isDark ? 'border-slate-700/50' : 'border-gray-200/50'}`}>
@@ -275,17 +587,28 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                       {name.length > 12 ? name.substring(0, 10) + '...' : name}
                     </span>
                   </div>
-                  <button
-                    onClick={() => setEditingRelay(editing ? null : relayId)}
-                    disabled={isPending}
-                    className={`p-0.5 rounded ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'} ${isPending ? 'opacity-50 cursor-not-allowed' : ''}`}
-                  >
-                    {editing ? (
-                      <X className={`w-3.5 h-3.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
-                    ) : (
-                      <Settings className={`w-3.5 h-3.5 ${modeColors.icon}`} />
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => setHistoryRelay(historyRelay === relayId ? null : relayId)}
+                      className={`p-0.5 rounded ${historyRelay === relayId ? 'bg-blue-600 text-white' : (isDark ? 'text-slate-400 hover:bg-slate-600' : 'text-gray-500 hover:bg-gray-200')}`}
+                      title="Why did this relay switch?"
+                    >
+                      <History className="w-3.5 h-3.5" />
+                    </button>
+                    {canEditRules && (
+                      <button
+                        onClick={() => setEditingRelay(editing ? null : relayId)}
+                        disabled={isPending}
+                        className={`p-0.5 rounded ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'} ${isPending ? 'opacity-50 cursor-not-allowed' : ''}`}
+                      >
+                        {editing ? (
+                          <X className={`w-3.5 h-3.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
+                        ) : (
+                          <Settings className={`w-3.5 h-3.5 ${modeColors.icon}`} />
+                        )}
+                      </button>
                     )}
-                  </button>
+                  </div>
                 </div>
 
                 {/* Relay Body - Compact */}
@@ -299,7 +622,7 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                       {isPending && <Loader2 className="w-3 h-3 animate-spin text-yellow-500" />}
                       {mode !== 'manual' && !isPending && (
                         <span className={`text-xs ${modeColors.icon}`}>
-                          {mode === 'sensor' ? <TrendingUp className="w-3 h-3" /> : <Clock className="w-3 h-3" />}
+                          <ModeIcon mode={mode} className="w-3 h-3" />
                         </span>
                       )}
                       <span className={`text-xs font-bold ${
@@ -310,6 +633,8 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                             : (isDark ? 'text-slate-500' : 'text-gray-400')
                       }`}>
                         {isPending ? (pendingTarget === 1 ? 'ON...' : 'OFF...') : (isOn ? 'ON' : 'OFF')}
+                        {isPending && pendingRelays[relayId].queued && ' (queued)'}
+                        {isPending && pendingRelays[relayId].attempts > 1 && ` (try ${pendingRelays[relayId].attempts})`}
                       </span>
                     </div>
                   </div>
@@ -317,14 +642,41 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                   {/* Current Mode Display - Compact */}
                   {rule && !editing && (
                     <div className={`mb-1.5 rounded px-1.5 py-1 text-xs ${modeColors.badge}`}>
-                      {rule.mode === 'sensor' && (
-                        <span className="truncate block">
-                          {SENSOR_OPTIONS.find((s) => s.value === rule.sensor)?.label?.split(' ')[1] || rule.sensor} {rule.operator} {rule.threshold}
+                      <span className="truncate block" title={describeRule(rule)}>
+                        {describeRule(rule)}
+                      </span>
+                      {activeRules.length > 1 && (
+                        <span className="block opacity-75" title={strategies[relaySettings[relayId]?.strategy || 'priority']}>
+                          {activeRules.length} rules · {relaySettings[relayId]?.strategy || 'priority'}
                         </span>
                       )}
-                      {rule.mode === 'time' && (
-                        <span>{rule.startTime}-{rule.endTime}</span>
-                      )}
+                    </div>
+                  )}
+
+                  {/* On-time and service counter */}
+                  {!editing && (
+                    <RelayRuntime
+                      runtime={runtime[relayId]}
+                      isDark={isDark}
+                      canReset={canSwitch}
+                      canEdit={canEditRules}
+                      onReset={() => handleResetMaintenance(relayId)}
+                      onSaveSettings={(settings) => handleSaveRuntimeSettings(relayId, settings)}
+                    />
+                  )}
+
+                  {/* Why automation has not switched the relay yet */}
+                  {hold && !editing && (
+                    <div
+                      className={`mb-1.5 rounded px-1.5 py-1 text-xs flex items-center space-x-1 ${isDark ? 'bg-amber-900/30 text-amber-300' : 'bg-amber-50 text-amber-800'}`}
+                      title={hold.message}
+                    >
+                      <Hourglass className="w-3 h-3 flex-shrink-0" />
+                      <span className="truncate">
+                        {hold.type === 'command' || hold.type === 'maintenance'
+                          ? hold.message
+                          : `${status.targetState === 1 ? 'ON' : 'OFF'} at ${new Date(hold.until).toLocaleTimeString()}: ${hold.message}`}
+                      </span>
                     </div>
                   )}
 
@@ -332,24 +684,31 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                   {editing && (
                     <RelayConfigPanel
                       relayId={relayId}
-                      currentRule={rule}
-                      onSave={handleSaveRule}
-                      onCancel={() => setEditingRelay(null)}
-                      onDelete={handleDeleteRule}
+                      rules={rules}
+                      sceneRules={getSceneRules(relayId)}
+                      scenes={scenes}
+                      settings={relaySettings[relayId]}
+                      strategies={strategies}
+                      controllingRuleId={status?.ruleId}
+                      onSaveRule={handleSaveRule}
+                      onDeleteRule={handleDeleteRule}
+                      onSaveSettings={handleSaveSettings}
+                      onSimulate={handleSimulate}
                       loading={loading}
                       isDark={isDark}
                     />
                   )}
 
                   {/* Manual Control Button - Compact */}
-                  {!editing && (!rule || rule.mode === 'manual') && (
+                  {!editing && !rule && (
                     <button
                       onClick={() => handleToggleRelay(relayId)}
-                      disabled={loading || isOffline || isPending}
+                      disabled={loading || controlsDisabled || isPending || !canSwitch}
+                      title={canSwitch ? undefined : 'Viewers cannot switch relays'}
                       className={`w-full py-1.5 rounded text-xs font-semibold transition uppercase flex items-center justify-center space-x-1 ${
                         isPending
                           ? 'bg-yellow-600 text-white cursor-wait'
-                          : isOffline
+                          : controlsDisabled || !canSwitch
                             ? (isDark ? 'bg-slate-700 text-slate-500 cursor-not-allowed' : 'bg-gray-300 text-gray-500 cursor-not-allowed')
                             : isOn
                               ? 'bg-red-600 hover:bg-red-700 text-white'
@@ -359,19 +718,71 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
                       {isPending ? (
                         <>
                           <Loader2 className="w-3 h-3 animate-spin" />
-                          <span>Switching...</span>
+                          <span>{pendingRelays[relayId].queued ? 'Queued' : 'Switching...'}</span>
                         </>
                       ) : (
-                        <span>{isOffline ? 'Offline' : isOn ? 'Turn OFF' : 'Turn ON'}</span>
+                        <span>{controlsDisabled ? 'Offline' : !canSwitch ? 'Read only' : isOn ? 'Turn OFF' : 'Turn ON'}</span>
                       )}
                     </button>
                   )}
 
+                  {/* Manual override: automation paused until it expires */}
+                  {!editing && override && (
+                    <div
+                      className={`w-full py-1 px-1.5 rounded text-xs font-medium flex items-center justify-between ${isDark ? 'bg-amber-900/30 text-amber-300' : 'bg-amber-100 text-amber-800'}`}
+                      title={`Overridden by ${override.user} until ${new Date(override.until).toLocaleString()}`}
+                    >
+                      <span className="flex items-center space-x-1 truncate">
+                        <Hand className="w-3 h-3 flex-shrink-0" />
+                        <span>Manual {override.state === 1 ? 'ON' : 'OFF'} · {formatRemaining(Date.parse(override.until) - now)}</span>
+                      </span>
+                      {canSwitch && (
+                        <button onClick={() => handleReleaseOverride(relayId)} disabled={loading} className="ml-1 px-1 rounded hover:bg-amber-500/20 disabled:opacity-50" title="Resume automation now">
+                          <X className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+
                   {/* Automation Active Indicator */}
-                  {!editing && rule && rule.mode !== 'manual' && (
-                    <div className={`w-full py-1.5 rounded text-xs font-medium text-center ${modeColors.badge}`}>
-                      <Zap className="w-3 h-3 inline mr-1" />
-                      Auto
+                  {!editing && rule && !override && overrideRelay !== relayId && (
+                    <div className="flex space-x-1">
+                      <div className={`flex-1 py-1.5 rounded text-xs font-medium text-center ${modeColors.badge}`}>
+                        <Zap className="w-3 h-3 inline mr-1" />
+                        Auto
+                      </div>
+                      {canSwitch && (
+                        <button
+                          onClick={() => setOverrideRelay(relayId)}
+                          disabled={loading || isOffline}
+                          className={`px-1.5 rounded text-xs ${isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'} disabled:opacity-50`}
+                          title="Switch by hand and pause automation for a while"
+                        >
+                          <Hand className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {/* How long to override for */}
+                  {!editing && rule && !override && overrideRelay === relayId && (
+                    <div className="space-y-1">
+                      <div className={`text-xs ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>Turn {isOn ? 'OFF' : 'ON'} for:</div>
+                      <div className="flex flex-wrap gap-1">
+                        {OVERRIDE_DURATIONS.filter((option) => hasSchedule || !option.duration.untilNextSchedule).map((option) => (
+                          <button
+                            key={option.label}
+                            onClick={() => handleOverride(relayId, option.duration)}
+                            disabled={loading}
+                            className="px-1.5 py-0.5 rounded text-xs bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                        <button onClick={() => setOverrideRelay(null)} className={`px-1.5 py-0.5 rounded text-xs ${isDark ? 'bg-slate-600 text-white' : 'bg-gray-200 text-gray-700'}`}>
+                          ✕
+                        </button>
+                      </div>
                     </div>
                   )}
                 </div>
@@ -379,90 +790,508 @@ const RelayControl = ({ data, relayNames = {}, deviceStatus = {} }) => {
             );
           })}
         </div>
+
+        {showSchedule && (
+          <ScheduleCalendar deviceId={deviceId} rules={automationRules} relayNames={relayNames} isDark={isDark} />
+        )}
+        {historyRelay && (
+          <AutomationHistory
+            key={historyRelay}
+            deviceId={deviceId}
+            relayId={historyRelay}
+            relayName={relayNames[historyRelay] || `Relay ${historyRelay.slice(1)}`}
+            rules={automationRules}
+            strategies={strategies}
+            isDark={isDark}
+            onClose={() => setHistoryRelay(null)}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Convert the number inputs of a condition tree to numbers before saving
+const normalizeCondition = (node) => {
+  if (node.type === 'group') {
+    return { type: 'group', op: node.op, conditions: node.conditions.map(normalizeCondition) };
+  }
+  const comparison = node.operator === 'between'
+    ? { type: 'compare', field: node.field, operator: 'between', min: parseFloat(node.min), max: parseFloat(node.max) }
+    : { type: 'compare', field: node.field, operator: node.operator, value: parseFloat(node.value) };
+  const deadband = parseFloat(node.deadband);
+  if (deadband > 0) comparison.deadband = deadband;
+  return comparison;
+};
+
+// Durations offered when overriding an automated relay
+const OVERRIDE_DURATIONS = [
+  { label: '30 min', duration: { minutes: 30 } },
+  { label: '2 h', duration: { minutes: 120 } },
+  { label: 'Next schedule', duration: { untilNextSchedule: true } },
+];
+
+// Time left of an override: "1:05:09" or "12:30"
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const clock = `${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+  return hours > 0 ? `${hours}:${clock}` : clock;
+};
+
+// Seconds from a number input, empty meaning 0
+const toSeconds = (value) => Math.max(0, parseFloat(value) || 0);
+
+// History a draft rule can be simulated against
+const SIMULATION_RANGES = [
+  { hours: 24, label: 'Last 24h' },
+  { hours: 72, label: 'Last 3 days' },
+  { hours: 168, label: 'Last 7 days' },
+];
+
+// Nested groups are limited in the editor to keep it readable (the backend allows 5 levels)
+const MAX_EDITOR_DEPTH = 3;
+
+const ConditionRow = ({ condition, onChange, onRemove, inputClass }) => (
+  <div className="flex items-center space-x-1">
+    <select
+      value={condition.field}
+      onChange={(e) => onChange({ ...condition, field: e.target.value })}
+      className={`${inputClass} flex-1 min-w-0`}
+    >
+      {CONDITION_FIELDS.map((f) => (
+        <option key={f.value} value={f.value}>{f.label}</option>
+      ))}
+    </select>
+    <select
+      value={condition.operator}
+      onChange={(e) => {
+        const operator = e.target.value;
+        onChange(operator === 'between'
+          ? { type: 'compare', field: condition.field, operator, min: condition.value ?? 0, max: condition.value ?? 0 }
+          : { type: 'compare', field: condition.field, operator, value: condition.value ?? condition.min ?? 0 });
+      }}
+      className={`${inputClass} w-20`}
+    >
+      {CONDITION_OPERATORS.map((op) => (
+        <option key={op} value={op}>{op}</option>
+      ))}
+    </select>
+    {condition.operator === 'between' ? (
+      <>
+        <input type="number" step="any" value={condition.min} onChange={(e) => onChange({ ...condition, min: e.target.value })} className={`${inputClass} w-20`} />
+        <input type="number" step="any" value={condition.max} onChange={(e) => onChange({ ...condition, max: e.target.value })} className={`${inputClass} w-20`} />
+      </>
+    ) : (
+      <input type="number" step="any" value={condition.value} onChange={(e) => onChange({ ...condition, value: e.target.value })} className={`${inputClass} w-24`} />
+    )}
+    {!['==', '!='].includes(condition.operator) && (
+      <input
+        type="number"
+        step="any"
+        min="0"
+        value={condition.deadband ?? ''}
+        onChange={(e) => onChange({ ...condition, deadband: e.target.value })}
+        placeholder="±"
+        title="Deadband: while ON, the value must come back past the threshold by this much to turn OFF"
+        className={`${inputClass} w-14`}
+      />
+    )}
+    {onRemove && (
+      <button onClick={onRemove} className="p-0.5 rounded text-red-500 hover:bg-red-500/10" title="Remove condition">
+        <Trash2 className="w-3.5 h-3.5" />
+      </button>
+    )}
+  </div>
+);
+
+// AND/OR group with its conditions and nested groups
+const ConditionGroup = ({ group, onChange, onRemove, depth = 1, isDark, inputClass }) => {
+  const updateChild = (index, child) => {
+    onChange({ ...group, conditions: group.conditions.map((c, i) => (i === index ? child : c)) });
+  };
+
+  const removeChild = (index) => {
+    onChange({ ...group, conditions: group.conditions.filter((_, i) => i !== index) });
+  };
+
+  const addChild = (child) => {
+    onChange({ ...group, conditions: [...group.conditions, child] });
+  };
+
+  const linkButtonClass = `flex items-center space-x-0.5 px-1.5 py-0.5 rounded text-xs ${isDark ? 'text-blue-400 hover:bg-slate-700' : 'text-blue-600 hover:bg-blue-50'}`;
+
+  return (
+    <div className={`rounded border p-1.5 space-y-1 ${isDark ? 'border-slate-600 bg-slate-800/50' : 'border-gray-300 bg-white/60'}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-1 text-xs">
+          <span className={isDark ? 'text-slate-400' : 'text-gray-500'}>Match</span>
+          {['and', 'or'].map((op) => (
+            <button
+              key={op}
+              onClick={() => onChange({ ...group, op })}
+              className={`px-1.5 py-0.5 rounded font-semibold ${
+                group.op === op
+                  ? 'bg-blue-600 text-white'
+                  : (isDark ? 'bg-slate-700 text-slate-300' : 'bg-gray-200 text-gray-700')
+              }`}
+            >
+              {op === 'and' ? 'ALL (AND)' : 'ANY (OR)'}
+            </button>
+          ))}
+        </div>
+        {onRemove && (
+          <button onClick={onRemove} className="p-0.5 rounded text-red-500 hover:bg-red-500/10" title="Remove group">
+            <Trash2 className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) => (
+        child.type === 'group' ? (
+          <ConditionGroup
+            key={index}
+            group={child}
+            onChange={(updated) => updateChild(index, updated)}
+            onRemove={() => removeChild(index)}
+            depth={depth + 1}
+            isDark={isDark}
+            inputClass={inputClass}
+          />
+        ) : (
+          <ConditionRow
+            key={index}
+            condition={child}
+            onChange={(updated) => updateChild(index, updated)}
+            onRemove={group.conditions.length > 1 ? () => removeChild(index) : null}
+            inputClass={inputClass}
+          />
+        )
+      ))}
+
+      <div className="flex space-x-1">
+        <button onClick={() => addChild(newComparison())} className={linkButtonClass}>
+          <Plus className="w-3 h-3" />
+          <span>Condition</span>
+        </button>
+        {depth < MAX_EDITOR_DEPTH && (
+          <button onClick={() => addChild(newGroup(group.op === 'and' ? 'or' : 'and'))} className={linkButtonClass}>
+            <Plus className="w-3 h-3" />
+            <span>Group</span>
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
-const RelayConfigPanel = ({ relayId, currentRule, onSave, onCancel, onDelete, loading, isDark }) => {
-  const [mode, setMode] = useState(currentRule?.mode || 'manual');
-  const [sensor, setSensor] = useState(currentRule?.sensor || 'd1');
-  const [operator, setOperator] = useState(currentRule?.operator || '<');
-  const [threshold, setThreshold] = useState(currentRule?.threshold || 10);
-  const [startTime, setStartTime] = useState(currentRule?.startTime || '10:00');
-  const [endTime, setEndTime] = useState(currentRule?.endTime || '18:00');
+// Create / edit form of one rule; `rule` is null when creating
+const RuleForm = ({ rule, relayId, scenes, onSave, onSimulate, onCancel, loading, isDark, inputClass, labelClass }) => {
+  // Target: the relay, or a scene applied when the rule turns ON (and optionally another when OFF)
+  const [scene, setScene] = useState(rule?.scene || '');
+  const [offScene, setOffScene] = useState(rule?.offScene || '');
+  const [mode, setMode] = useState(rule?.mode || 'sensor');
+  const [priority, setPriority] = useState(rule?.priority ?? 0);
+  const [enabled, setEnabled] = useState(rule?.enabled ?? true);
+  const [condition, setCondition] = useState(() => getRuleCondition(rule));
+  const [holdSeconds, setHoldSeconds] = useState(rule?.holdSeconds || '');
+  const [schedule, setSchedule] = useState(() => getRuleSchedule(rule));
+  const [onMinutes, setOnMinutes] = useState(rule?.onMinutes ?? 5);
+  const [offMinutes, setOffMinutes] = useState(rule?.offMinutes ?? 25);
+  // Cycle rules may be limited to a schedule and/or a condition
+  const [cycleInSchedule, setCycleInSchedule] = useState(!!(rule?.windows || rule?.events));
+  const [cycleOnCondition, setCycleOnCondition] = useState(!!rule?.condition);
+  const [simulationHours, setSimulationHours] = useState(24);
+  const [simulation, setSimulation] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+
+  const buildRuleData = () => {
+    const ruleData = { id: rule?.id, mode, priority: parseInt(priority, 10) || 0, enabled };
+    if (scene) {
+      ruleData.scene = scene;
+      if (offScene) ruleData.offScene = offScene;
+    }
+    const scheduleData = {
+      ...(schedule.timezone && { timezone: schedule.timezone }),
+      windows: schedule.windows,
+      exceptions: schedule.exceptions,
+      events: schedule.events.map((event) => ({ start: event.start, durationMinutes: parseFloat(event.durationMinutes) })),
+    };
 
-  const handleSubmit = () => {
-    const ruleData = { mode, id: currentRule?.id };
     if (mode === 'sensor') {
-      ruleData.sensor = sensor;
-      ruleData.operator = operator;
-      ruleData.threshold = parseFloat(threshold);
+      ruleData.condition = normalizeCondition(condition);
+      ruleData.holdSeconds = toSeconds(holdSeconds);
     } else if (mode === 'time') {
-      ruleData.startTime = startTime;
-      ruleData.endTime = endTime;
+      Object.assign(ruleData, scheduleData);
+    } else {
+      ruleData.onMinutes = parseFloat(onMinutes);
+      ruleData.offMinutes = parseFloat(offMinutes);
+      if (cycleInSchedule) Object.assign(ruleData, scheduleData);
+      if (cycleOnCondition) ruleData.condition = normalizeCondition(condition);
     }
-    onSave(relayId, ruleData);
+    return ruleData;
   };
 
-  const selectClass = `w-full px-1 py-0.5 text-xs border rounded ${
-    isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'
-  }`;
+  const handleSimulate = async () => {
+    setSimulating(true);
+    try {
+      setSimulation(await onSimulate(buildRuleData(), simulationHours));
+      setSimulationError(null);
+    } catch (err) {
+      setSimulation(null);
+      setSimulationError(err.response?.data?.message || 'Simulation failed');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  // A scene need not set this relay: its first relay is shown then
+  const chartRelayId = simulation && scene && !simulation.relays[relayId] ? Object.keys(simulation.relays)[0] : relayId;
 
   return (
-    <div className="space-y-1">
-      {/* Mode Select */}
-      <select value={mode} onChange={(e) => setMode(e.target.value)} className={selectClass}>
-        <option value="manual">Manual</option>
-        <option value="sensor">Sensor</option>
-        <option value="time">Timer</option>
-      </select>
-
-      {/* Sensor Config */}
-      {mode === 'sensor' && (
-        <div className="space-y-1">
-          <select value={sensor} onChange={(e) => setSensor(e.target.value)} className={selectClass}>
-            {SENSOR_OPTIONS.map((opt) => (
-              <option key={opt.value} value={opt.value}>{opt.label}</option>
+    <div className={`rounded border p-1.5 space-y-1 ${isDark ? 'border-slate-600' : 'border-gray-300'}`}>
+      {scenes.length > 0 && (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+          <select value={scene} onChange={(e) => setScene(e.target.value)} className={inputClass} title="What the rule switches">
+            <option value="">This relay</option>
+            {scenes.map((s) => (
+              <option key={s.id} value={s.id}>Scene: {s.name}</option>
             ))}
           </select>
-          <div className="flex space-x-1">
-            <select value={operator} onChange={(e) => setOperator(e.target.value)} className={`${selectClass} w-12`}>
-              <option value="<">&lt;</option>
-              <option value=">">&gt;</option>
-            </select>
-            <input
-              type="number"
-              value={threshold}
-              onChange={(e) => setThreshold(e.target.value)}
-              className={`${selectClass} flex-1`}
-              step="0.1"
-            />
-          </div>
+          {scene && (
+            <label className={labelClass}>
+              <span>When OFF</span>
+              <select value={offScene} onChange={(e) => setOffScene(e.target.value)} className={inputClass}>
+                <option value="">Leave as is</option>
+                {scenes.filter((s) => s.id !== scene).map((s) => (
+                  <option key={s.id} value={s.id}>Scene: {s.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
         </div>
       )}
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+          <option value="sensor">Sensor</option>
+          <option value="time">Timer</option>
+          <option value="cycle">Cycle</option>
+        </select>
+        <label className={labelClass}>
+          <span>Priority</span>
+          <input type="number" step="1" value={priority} onChange={(e) => setPriority(e.target.value)} className={`${inputClass} w-14`} />
+        </label>
+        <label className={labelClass}>
+          <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+          <span>Enabled</span>
+        </label>
+      </div>
+
+      {/* Sensor Config: turn ON while the conditions match, OFF otherwise */}
+      {mode === 'sensor' && (
+        <>
+          <ConditionGroup group={condition} onChange={setCondition} isDark={isDark} inputClass={inputClass} />
+          <label className={labelClass}>
+            <span>Condition must hold for</span>
+            <input type="number" min="0" value={holdSeconds} onChange={(e) => setHoldSeconds(e.target.value)} placeholder="0" className={`${inputClass} w-16`} />
+            <span>s before switching</span>
+          </label>
+        </>
+      )}
 
       {/* Time Config */}
       {mode === 'time' && (
-        <div className="flex space-x-1">
-          <input type="time" value={startTime} onChange={(e) => setStartTime(e.target.value)} className={`${selectClass} flex-1`} />
-          <input type="time" value={endTime} onChange={(e) => setEndTime(e.target.value)} className={`${selectClass} flex-1`} />
-        </div>
+        <ScheduleEditor schedule={schedule} onChange={setSchedule} isDark={isDark} inputClass={inputClass} labelClass={labelClass} />
+      )}
+
+      {/* Cycle Config: ON / OFF repeatedly while allowed to run, OFF otherwise */}
+      {mode === 'cycle' && (
+        <>
+          <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+            <label className={labelClass}>
+              <span>ON for</span>
+              <input type="number" min="1" step="any" value={onMinutes} onChange={(e) => setOnMinutes(e.target.value)} className={`${inputClass} w-16`} />
+              <span>min</span>
+            </label>
+            <label className={labelClass}>
+              <span>then OFF for</span>
+              <input type="number" min="1" step="any" value={offMinutes} onChange={(e) => setOffMinutes(e.target.value)} className={`${inputClass} w-16`} />
+              <span>min</span>
+            </label>
+          </div>
+          <label className={labelClass}>
+            <input type="checkbox" checked={cycleInSchedule} onChange={(e) => setCycleInSchedule(e.target.checked)} />
+            <span>Only during a schedule</span>
+          </label>
+          {cycleInSchedule && (
+            <ScheduleEditor schedule={schedule} onChange={setSchedule} isDark={isDark} inputClass={inputClass} labelClass={labelClass} />
+          )}
+          <label className={labelClass}>
+            <input type="checkbox" checked={cycleOnCondition} onChange={(e) => setCycleOnCondition(e.target.checked)} />
+            <span>Only while a condition matches</span>
+          </label>
+          {cycleOnCondition && (
+            <ConditionGroup group={condition} onChange={setCondition} isDark={isDark} inputClass={inputClass} />
+          )}
+        </>
+      )}
+
+      {/* Dry run against the history of the device */}
+      <div className="flex items-center gap-1">
+        <select value={simulationHours} onChange={(e) => setSimulationHours(Number(e.target.value))} className={inputClass} title="History to replay">
+          {SIMULATION_RANGES.map(({ hours, label }) => (
+            <option key={hours} value={hours}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleSimulate}
+          disabled={simulating}
+          className={`flex items-center space-x-0.5 px-1.5 py-0.5 rounded text-xs disabled:opacity-50 ${isDark ? 'text-blue-400 hover:bg-slate-700' : 'text-blue-600 hover:bg-blue-50'}`}
+        >
+          {simulating ? <Loader2 className="w-3 h-3 animate-spin" /> : <Activity className="w-3 h-3" />}
+          <span>Simulate</span>
+        </button>
+      </div>
+      {simulationError && <p className="text-xs text-red-500">{simulationError}</p>}
+      {simulation && (
+        <SimulationChart
+          result={simulation}
+          relayId={chartRelayId}
+          sceneName={scenes.find((s) => s.id === scene)?.name}
+          isDark={isDark}
+        />
       )}
 
       {/* Buttons */}
       <div className="flex space-x-1">
-        <button onClick={handleSubmit} disabled={loading} className="flex-1 bg-blue-600 text-white py-1 rounded text-xs hover:bg-blue-700">
+        <button onClick={() => onSave(buildRuleData())} disabled={loading} className="flex-1 bg-blue-600 text-white py-1 rounded text-xs hover:bg-blue-700">
           ✓
         </button>
         <button onClick={onCancel} className={`flex-1 py-1 rounded text-xs ${isDark ? 'bg-slate-600 text-white' : 'bg-gray-200 text-gray-700'}`}>
           ✕
         </button>
-        {currentRule && (
-          <button onClick={() => onDelete(relayId)} className="px-1.5 py-1 bg-red-600 text-white rounded text-xs hover:bg-red-700">
-            🗑
-          </button>
-        )}
+      </div>
+    </div>
+  );
+};
+
+// Rules of one relay, how they are combined and its minimum on/off time
+const RelayConfigPanel = ({ relayId, rules, sceneRules, scenes, settings, strategies, controllingRuleId, onSaveRule, onDeleteRule, onSaveSettings, onSimulate, loading, isDark }) => {
+  const [editingRule, setEditingRule] = useState(null); // rule ID, 'new' or null
+  const [strategy, setStrategy] = useState(settings?.strategy || 'priority');
+  const [minOnSeconds, setMinOnSeconds] = useState(settings?.minOnSeconds || '');
+  const [minOffSeconds, setMinOffSeconds] = useState(settings?.minOffSeconds || '');
+
+  const handleSaveRule = async (ruleData) => {
+    if (await onSaveRule(relayId, ruleData)) setEditingRule(null);
+  };
+
+  const getSettings = () => ({ strategy, minOnSeconds: toSeconds(minOnSeconds), minOffSeconds: toSeconds(minOffSeconds) });
+
+  const handleSaveSettings = () => {
+    onSaveSettings(relayId, getSettings());
+  };
+
+  // The edited rule (enabled) with the relay's other rules, and the settings as entered;
+  // a scene rule on its own, as a relay is automated by its own rules or by scene rules
+  const handleSimulate = (ruleData, hours) => onSimulate(relayId, ruleData.scene
+    ? [{ ...ruleData, enabled: true }]
+    : [...rules.filter((rule) => rule.id !== ruleData.id), { ...ruleData, relay: relayId, enabled: true }],
+  getSettings(), hours);
+
+  const inputClass = `px-1 py-0.5 text-xs border rounded ${
+    isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const labelClass = `flex items-center space-x-1 text-xs ${isDark ? 'text-slate-400' : 'text-gray-600'}`;
+  const iconButtonClass = `p-0.5 rounded disabled:opacity-40 ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'}`;
+
+  const renderRuleForm = (rule) => (
+    <RuleForm
+      key={rule?.id || 'new'}
+      rule={rule}
+      relayId={relayId}
+      scenes={scenes}
+      onSave={handleSaveRule}
+      onSimulate={handleSimulate}
+      onCancel={() => setEditingRule(null)}
+      loading={loading}
+      isDark={isDark}
+      inputClass={inputClass}
+      labelClass={labelClass}
+    />
+  );
+
+  return (
+    <div className="space-y-1.5">
+      {rules.length === 0 && sceneRules.length === 0 && editingRule !== 'new' && (
+        <p className={`text-xs ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>No rules: the relay is switched manually.</p>
+      )}
+
+      {[...rules, ...sceneRules].map((rule) => (
+        editingRule === rule.id ? renderRuleForm(rule) : (
+          <div
+            key={rule.id}
+            className={`flex items-center justify-between rounded px-1.5 py-1 text-xs ${getModeColors(rule.mode, isDark).badge} ${rule.enabled ? '' : 'opacity-50'}`}
+          >
+            <div className="flex items-center space-x-1.5 min-w-0">
+              {rule.id === controllingRuleId && (
+                <span title="Controls the relay"><Zap className="w-3 h-3 flex-shrink-0" /></span>
+              )}
+              <span className="font-mono flex-shrink-0">P{rule.priority || 0}</span>
+              <ModeIcon mode={rule.mode} className="w-3 h-3 flex-shrink-0" />
+              {rule.scene && (
+                <span className="flex items-center space-x-0.5 flex-shrink-0" title="Applies a scene">
+                  <Layers className="w-3 h-3" />
+                  <span>{scenes.find((s) => s.id === rule.scene)?.name || rule.scene}</span>
+                </span>
+              )}
+              <span className="truncate" title={describeRule(rule)}>{describeRule(rule)}</span>
+            </div>
+            <div className="flex items-center flex-shrink-0">
+              <button onClick={() => setEditingRule(rule.id)} disabled={editingRule !== null} className={iconButtonClass} title="Edit rule">
+                <Pencil className="w-3.5 h-3.5" />
+              </button>
+              <button onClick={() => onDeleteRule(rule)} disabled={editingRule !== null || loading} className={`${iconButtonClass} text-red-500`} title="Delete rule">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          </div>
+        )
+      ))}
+
+      {editingRule === 'new' && renderRuleForm(null)}
+      {editingRule === null && (
+        <button
+          onClick={() => setEditingRule('new')}
+          className={`flex items-center space-x-0.5 px-1.5 py-0.5 rounded text-xs ${isDark ? 'text-blue-400 hover:bg-slate-700' : 'text-blue-600 hover:bg-blue-50'}`}
+        >
+          <Plus className="w-3 h-3" />
+          <span>Add rule</span>
+        </button>
+      )}
+
+      {/* Relay settings: combining rules and minimum on/off time (automation only) */}
+      <div className={`pt-1.5 border-t flex flex-wrap items-center gap-x-3 gap-y-1 ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+        <select value={strategy} onChange={(e) => setStrategy(e.target.value)} className={inputClass} title="How the rules of this relay are combined">
+          {Object.entries(strategies).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className={labelClass}>
+          <span>Min ON</span>
+          <input type="number" min="0" value={minOnSeconds} onChange={(e) => setMinOnSeconds(e.target.value)} placeholder="0" className={`${inputClass} w-16`} />
+          <span>s</span>
+        </label>
+        <label className={labelClass}>
+          <span>Min OFF</span>
+          <input type="number" min="0" value={minOffSeconds} onChange={(e) => setMinOffSeconds(e.target.value)} placeholder="0" className={`${inputClass} w-16`} />
+          <span>s</span>
+        </label>
+        <button onClick={handleSaveSettings} disabled={loading} className="px-2 py-0.5 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:opacity-50">
+          Save settings
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { Timer, Wrench, RotateCcw, Pencil } from 'lucide-react';
+
+const formatHours = (hours) => (hours >= 100 ? Math.round(hours).toString() : hours.toFixed(1));
+
+const describeTotals = (label, totals) => (
+  `${label}: ${formatHours(totals.onHours)} h, ${totals.switches}× on${totals.kWh !== null ? `, ${totals.kWh.toFixed(2)} kWh` : ''}`
+);
+
+// Rated power and maintenance interval of a relay (admins)
+const RuntimeSettingsForm = ({ runtime, isDark, onSave, onCancel }) => {
+  const [ratedWatts, setRatedWatts] = useState(runtime.ratedWatts ?? '');
+  const [maintenanceHours, setMaintenanceHours] = useState(runtime.maintenanceHours ?? '');
+
+  const inputClass = `w-16 px-1 py-0.5 text-xs border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+  const labelClass = `flex items-center space-x-1 text-xs ${isDark ? 'text-slate-400' : 'text-gray-600'}`;
+
+  const handleSave = () => onSave({
+    ratedWatts: ratedWatts === '' ? null : Number(ratedWatts),
+    maintenanceHours: maintenanceHours === '' ? null : Number(maintenanceHours),
+  });
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 mt-1">
+      <label className={labelClass}>
+        <input type="number" min="0" value={ratedWatts} onChange={(e) => setRatedWatts(e.target.value)} placeholder="--" className={inputClass} />
+        <span>W</span>
+      </label>
+      <label className={labelClass} title="Runtime between services">
+        <span>Service every</span>
+        <input type="number" min="0" value={maintenanceHours} onChange={(e) => setMaintenanceHours(e.target.value)} placeholder="--" className={inputClass} />
+        <span>h</span>
+      </label>
+      <button onClick={handleSave} className="px-1.5 py-0.5 bg-blue-600 text-white rounded text-xs hover:bg-blue-700">Save</button>
+      <button onClick={onCancel} className={`px-1.5 py-0.5 rounded text-xs ${isDark ? 'bg-slate-700 text-slate-300' : 'bg-gray-200 text-gray-700'}`}>Cancel</button>
+    </div>
+  );
+};
+
+// Runtime of a relay tile: today's hours and starts, the maintenance counter
+// and a warning once the relay is due for service
+const RelayRuntime = ({ runtime, isDark, canReset, canEdit, onReset, onSaveSettings }) => {
+  const [editing, setEditing] = useState(false);
+
+  if (!runtime) return null;
+
+  const details = [
+    describeTotals('Today', runtime.today),
+    describeTotals('This month', runtime.month),
+    describeTotals('In all', runtime.total),
+  ].join('\n');
+
+  const handleSave = async (settings) => {
+    if (await onSaveSettings(settings)) setEditing(false);
+  };
+
+  return (
+    <div className="mb-1.5">
+      <div className={`flex items-center justify-between text-xs ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+        <span className="flex items-center space-x-1 truncate" title={details}>
+          <Timer className="w-3 h-3 flex-shrink-0" />
+          <span>{formatHours(runtime.today.onHours)} h today · {runtime.today.switches}×</span>
+        </span>
+        {canEdit && !editing && (
+          <button onClick={() => setEditing(true)} className={`p-0.5 rounded ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'}`} title="Rated power and service interval">
+            <Pencil className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      {runtime.maintenanceHours && (
+        <div
+          className={`mt-1 rounded px-1.5 py-0.5 text-xs flex items-center justify-between ${
+            runtime.maintenanceDue
+              ? (isDark ? 'bg-amber-900/40 text-amber-300' : 'bg-amber-100 text-amber-800')
+              : (isDark ? 'text-slate-400' : 'text-gray-500')
+          }`}
+          title={runtime.serviceSince ? `Since the service on ${new Date(runtime.serviceSince).toLocaleDateString()}` : 'Since runtime counting started'}
+        >
+          <span className="flex items-center space-x-1 truncate">
+            <Wrench className="w-3 h-3 flex-shrink-0" />
+            <span>
+              {runtime.maintenanceDue ? 'Service due: ' : 'Service: '}
+              {formatHours(runtime.serviceHours)} / {runtime.maintenanceHours} h
+            </span>
+          </span>
+          {canReset && runtime.maintenanceDue && (
+            <button onClick={onReset} className="ml-1 p-0.5 rounded hover:bg-amber-500/20" title="Serviced: reset the counter">
+              <RotateCcw className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <RuntimeSettingsForm runtime={runtime} isDark={isDark} onSave={handleSave} onCancel={() => setEditing(false)} />
+      )}
+    </div>
+  );
+};
+
+export default RelayRuntime;
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Download, X, Loader2 } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { deviceAPI } from '../services/api';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'pdf', label: 'PDF summary' },
+];
+
+// Format a Date as YYYY-MM-DD in local time
+const toDateValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const getPresetRange = (preset) => {
+  const now = new Date();
+  if (preset === 'lastMonth') {
+    return {
+      start: toDateValue(new Date(now.getFullYear(), now.getMonth() - 1, 1)),
+      end: toDateValue(new Date(now.getFullYear(), now.getMonth(), 0)),
+    };
+  }
+  if (preset === 'thisMonth') {
+    return {
+      start: toDateValue(new Date(now.getFullYear(), now.getMonth(), 1)),
+      end: toDateValue(now),
+    };
+  }
+  // Last 7 days
+  return {
+    start: toDateValue(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6)),
+    end: toDateValue(now),
+  };
+};
+
+// Error responses arrive as a Blob because the request expects a file
+const readErrorMessage = async (err) => {
+  try {
+    const text = await err.response?.data?.text();
+    return JSON.parse(text).message;
+  } catch {
+    return null;
+  }
+};
+
+const ReportExportDialog = ({ deviceId, onClose }) => {
+  const { isDark } = useTheme();
+  const [range, setRange] = useState(() => getPresetRange('lastMonth'));
+  const [format, setFormat] = useState('csv');
+  const [excludeMaintenance, setExcludeMaintenance] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    if (!range.start || !range.end || range.start > range.end) {
+      setError('Start date must be on or before end date');
+      return;
+    }
+
+    setDownloading(true);
+    setError('');
+    try {
+      const res = await deviceAPI.downloadReport(deviceId, {
+        start: range.start,
+        end: range.end,
+        format,
+        maintenance: excludeMaintenance ? 'exclude' : 'include',
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${deviceId}_report_${range.start}_${range.end}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      onClose();
+    } catch (err) {
+      setError((await readErrorMessage(err)) || 'Failed to generate report');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const inputClass = `w-full px-2 py-1.5 text-xs border rounded ${
+    isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const labelClass = `block text-xs font-semibold uppercase tracking-wide mb-1 ${isDark ? 'text-slate-400' : 'text-gray-600'}`;
+  const presetClass = `px-2 py-1 text-xs rounded border transition ${
+    isDark ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600' : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className={`w-full max-w-sm rounded-lg border shadow-lg ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+        {/* Header */}
+        <div className={`px-4 py-3 border-b flex items-center justify-between ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+          <h3 className={`text-sm font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            Export Report
+          </h3>
+          <button onClick={onClose} className={`p-1 rounded ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'}`}>
+            <X className={`w-4 h-4 ${isDark ? 'text-slate-400' : 'text-gray-600'}`} />
+          </button>
+        </div>
+
+        {/* Body */}
+        <div className="p-4 space-y-3">
+          <div className="flex flex-wrap gap-1.5">
+            <button onClick={() => setRange(getPresetRange('lastMonth'))} className={presetClass}>Last month</button>
+            <button onClick={() => setRange(getPresetRange('thisMonth'))} className={presetClass}>This month</button>
+            <button onClick={() => setRange(getPresetRange('week'))} className={presetClass}>Last 7 days</button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className={labelClass}>Start</label>
+              <input
+                type="date"
+                value={range.start}
+                onChange={(e) => setRange((prev) => ({ ...prev, start: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>End</label>
+              <input
+                type="date"
+                value={range.end}
+                onChange={(e) => setRange((prev) => ({ ...prev, end: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Format</label>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+              {FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <label className={`flex items-center space-x-1.5 text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+            <input type="checkbox" checked={excludeMaintenance} onChange={(e) => setExcludeMaintenance(e.target.checked)} />
+            <span>Exclude readings taken during maintenance</span>
+          </label>
+
+          <p className={`text-xs ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+            Includes sensor readings, calculated AQI, CO₂ absorbed, O₂ generated and relay on-time totals.
+          </p>
+
+          {error && <p className="text-xs text-red-500">{error}</p>}
+        </div>
+
+        {/* Footer */}
+        <div className={`px-4 py-3 border-t flex justify-end space-x-2 ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+          <button
+            onClick={onClose}
+            className={`px-3 py-1.5 text-xs font-semibold rounded ${isDark ? 'bg-slate-700 text-slate-200 hover:bg-slate-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={downloading}
+            className="flex items-center space-x-1.5 px-3 py-1.5 text-xs font-semibold bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {downloading ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Download className="w-3.5 h-3.5" />}
+            <span>{downloading ? 'Generating...' : 'Download'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportExportDialog;
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import { Layers, Plus, Pencil, Trash2, X, Zap } from 'lucide-react';
+import { sceneAPI } from '../services/api';
+
+const RELAY_IDS = ['i1', 'i2', 'i3', 'i4', 'i5', 'i6', 'i7', 'i8', 'i9', 'i10'];
+
+// "ON: Fan Unit 1, Water Pump · OFF: Emergency Vent"
+const describeScene = (scene, relayNames) => {
+  const names = (state) => Object.entries(scene.relays)
+    .filter(([, s]) => s === state)
+    .map(([relayId]) => relayNames[relayId] || relayId);
+  return [['ON', names(1)], ['OFF', names(0)]]
+    .filter(([, list]) => list.length > 0)
+    .map(([label, list]) => `${label}: ${list.join(', ')}`)
+    .join(' · ');
+};
+
+// Scene form: name plus ON / OFF / unchanged per relay
+const SceneForm = ({ scene, relayNames, isDark, onSave, onCancel }) => {
+  const [name, setName] = useState(scene.name);
+  const [states, setStates] = useState(scene.relays);
+
+  const setState = (relayId, value) => {
+    setStates((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[relayId];
+      else next[relayId] = Number(value);
+      return next;
+    });
+  };
+
+  const inputClass = `px-1.5 py-1 text-xs rounded border ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+
+  return (
+    <div className={`mt-2 rounded border p-2 ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Scene name"
+        className={`${inputClass} w-full mb-2`}
+      />
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-1.5">
+        {RELAY_IDS.map((relayId) => (
+          <label key={relayId} className={`flex flex-col text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+            <span className="truncate">{relayNames[relayId] || relayId}</span>
+            <select
+              value={states[relayId] ?? ''}
+              onChange={(e) => setState(relayId, e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Unchanged</option>
+              <option value="1">ON</option>
+              <option value="0">OFF</option>
+            </select>
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end space-x-2 mt-2">
+        <button
+          onClick={onCancel}
+          className={`px-2 py-1 text-xs rounded ${isDark ? 'bg-slate-700 text-slate-300 hover:bg-slate-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave({ id: scene.id, name, relays: states })}
+          className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Save scene
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// One-click scenes above the relay grid; admins can add, edit and delete them.
+// The scenes are loaded by the parent, which reloads them on onChange
+const SceneBar = ({ deviceId, scenes, relays, relayNames, rules, isDark, canApply, canEdit, disabled, onApply, onChange }) => {
+  const [managing, setManaging] = useState(false);
+  const [editing, setEditing] = useState(null); // scene being edited, new scenes have no id
+  const [applying, setApplying] = useState(null);
+
+  const handleApply = async (scene) => {
+    setApplying(scene.id);
+    try {
+      await onApply(scene);
+    } finally {
+      setApplying(null);
+    }
+  };
+
+  const handleSave = async (scene) => {
+    try {
+      await sceneAPI.save(deviceId, scene);
+      setEditing(null);
+      await onChange();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to save scene');
+    }
+  };
+
+  const handleDelete = async (scene) => {
+    if (!confirm(`Delete scene "${scene.name}"?`)) return;
+    try {
+      await sceneAPI.delete(deviceId, scene.id);
+      await onChange();
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete scene');
+    }
+  };
+
+  // New scenes start from the current relay states
+  const startNew = () => setEditing({
+    name: '',
+    relays: Object.fromEntries(RELAY_IDS.map((relayId) => [relayId, relays[relayId] === 1 ? 1 : 0])),
+  });
+
+  if (scenes.length === 0 && !canEdit) return null;
+
+  const iconButtonClass = `p-0.5 rounded ${isDark ? 'text-slate-400 hover:bg-slate-600' : 'text-gray-500 hover:bg-gray-200'}`;
+
+  return (
+    <div className="mb-3">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span className={`flex items-center space-x-1 text-xs font-semibold uppercase tracking-wide ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+          <Layers className="w-3.5 h-3.5" />
+          <span>Scenes</span>
+        </span>
+
+        {scenes.map((scene) => {
+          const automated = rules.some((r) => r.enabled && (r.scene === scene.id || r.offScene === scene.id));
+
+          return (
+            <div key={scene.id} className="flex items-center">
+              <button
+                onClick={() => handleApply(scene)}
+                disabled={!canApply || disabled || applying !== null}
+                title={describeScene(scene, relayNames)}
+                className={`flex items-center space-x-1 px-2 py-1 text-xs font-semibold rounded border transition ${
+                  isDark ? 'bg-slate-800 border-slate-600 text-slate-200 hover:bg-slate-700' : 'bg-white border-gray-300 text-gray-800 hover:bg-gray-100'
+                } ${!canApply || disabled ? 'opacity-50 cursor-not-allowed' : ''} ${applying === scene.id ? 'animate-pulse' : ''}`}
+              >
+                <span>{scene.name}</span>
+                {automated && (
+                  <span title="Applied by automation rules">
+                    <Zap className="w-3 h-3 text-blue-500" />
+                  </span>
+                )}
+              </button>
+              {managing && (
+                <>
+                  <button onClick={() => setEditing(scene)} className={iconButtonClass} title="Edit scene">
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button onClick={() => handleDelete(scene)} className={iconButtonClass} title="Delete scene">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+
+        {canEdit && (
+          <>
+            {managing && (
+              <button onClick={startNew} className={iconButtonClass} title="New scene from the current relay states">
+                <Plus className="w-3.5 h-3.5" />
+              </button>
+            )}
+            <button
+              onClick={() => { setManaging(!managing); setEditing(null); }}
+              className={iconButtonClass}
+              title={managing ? 'Done' : 'Manage scenes'}
+            >
+              {managing ? <X className="w-3.5 h-3.5" /> : <Pencil className="w-3.5 h-3.5" />}
+            </button>
+          </>
+        )}
+      </div>
+
+      {editing && (
+        <SceneForm
+          key={editing.id || 'new'}
+          scene={editing}
+          relayNames={relayNames}
+          isDark={isDark}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SceneBar;
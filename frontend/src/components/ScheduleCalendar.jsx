@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CalendarDays } from 'lucide-react';
+import { automationAPI } from '../services/api';
+
+const DAYS_AHEAD = 7;
+
+// Local date key, used to group actions by day
+const toDateKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// Upcoming switch times of the time rules, one column per day (local time)
+const ScheduleCalendar = ({ deviceId, rules, relayNames = {}, isDark }) => {
+  const [actions, setActions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      const res = await automationAPI.getSchedule(deviceId, DAYS_AHEAD);
+      if (res.data.success) {
+        setActions(res.data.actions);
+        setError(null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId]);
+
+  // Reload when rules change
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule, rules]);
+
+  const days = Array.from({ length: DAYS_AHEAD }, (_, i) => {
+    const date = new Date();
+    date.setDate(date.getDate() + i);
+    return date;
+  });
+
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+
+  return (
+    <div className={`mt-3 rounded border p-2 ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+      <div className={`flex items-center space-x-1.5 mb-2 text-xs font-semibold uppercase tracking-wide ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+        <CalendarDays className="w-3.5 h-3.5" />
+        <span>Upcoming scheduled actions</span>
+      </div>
+
+      {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-1.5">
+        {days.map((day) => {
+          const dayActions = actions.filter((action) => toDateKey(new Date(action.time)) === toDateKey(day));
+
+          return (
+            <div key={toDateKey(day)} className={`rounded border p-1.5 min-h-[4rem] ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+              <div className={`text-xs font-semibold mb-1 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}
+              </div>
+              {dayActions.length === 0 && <div className={`text-xs ${mutedClass}`}>{loading ? '...' : '--'}</div>}
+              {dayActions.map((action) => (
+                <div
+                  key={`${action.ruleId}-${action.time}-${action.state}`}
+                  className="flex items-center justify-between text-xs"
+                  title={`Rule ${action.ruleId}${action.source === 'event' ? ' (one-off event)' : ''}`}
+                >
+                  <span className={mutedClass}>
+                    {new Date(action.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                  <span className={`truncate mx-1 ${isDark ? 'text-slate-200' : 'text-gray-800'}`}>
+                    {relayNames[action.relay] || action.relay.toUpperCase()}
+                    {action.source === 'event' && ' *'}
+                  </span>
+                  <span className={`font-bold ${action.state === 1 ? (isDark ? 'text-green-400' : 'text-green-600') : mutedClass}`}>
+                    {action.state === 1 ? 'ON' : 'OFF'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <p className={`mt-1.5 text-xs ${mutedClass}`}>
+        Times in your local time zone. * one-off event. Other rules on the same relay may override a schedule.
+      </p>
+    </div>
+  );
+};
+
+export default ScheduleCalendar;
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { DAY_NAMES, TIMEZONES, newWindow } from '../utils/schedule';
+
+// Weekly windows, exception dates and one-off events of a time rule
+const ScheduleEditor = ({ schedule, onChange, isDark, inputClass, labelClass }) => {
+  const [exceptionDate, setExceptionDate] = useState('');
+
+  const update = (key, value) => onChange({ ...schedule, [key]: value });
+
+  const updateItem = (key, index, item) => {
+    update(key, schedule[key].map((existing, i) => (i === index ? item : existing)));
+  };
+
+  const removeItem = (key, index) => {
+    update(key, schedule[key].filter((_, i) => i !== index));
+  };
+
+  const toggleDay = (index, day) => {
+    const window = schedule.windows[index];
+    const days = window.days?.length ? window.days : [0, 1, 2, 3, 4, 5, 6];
+    if (days.length === 1 && days[0] === day) return; // keep at least one day
+    updateItem('windows', index, {
+      ...window,
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort(),
+    });
+  };
+
+  const addException = () => {
+    if (!exceptionDate || schedule.exceptions.includes(exceptionDate)) return;
+    update('exceptions', [...schedule.exceptions, exceptionDate].sort());
+    setExceptionDate('');
+  };
+
+  const sectionClass = `text-xs font-semibold ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+  const linkButtonClass = `flex items-center space-x-0.5 px-1.5 py-0.5 rounded text-xs ${isDark ? 'text-blue-400 hover:bg-slate-700' : 'text-blue-600 hover:bg-blue-50'}`;
+  const removeButtonClass = 'p-0.5 rounded text-red-500 hover:bg-red-500/10';
+
+  return (
+    <div className="space-y-1.5">
+      <label className={labelClass}>
+        <span>Time zone</span>
+        <input
+          type="text"
+          list="schedule-timezones"
+          value={schedule.timezone}
+          onChange={(e) => update('timezone', e.target.value)}
+          placeholder="Server time zone"
+          className={`${inputClass} w-40`}
+        />
+        <datalist id="schedule-timezones">
+          {TIMEZONES.map((zone) => <option key={zone} value={zone} />)}
+        </datalist>
+      </label>
+
+      {/* Weekly windows */}
+      <div className="space-y-1">
+        <div className={sectionClass}>Weekly</div>
+        {schedule.windows.map((window, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-1">
+            <div className="flex">
+              {DAY_NAMES.map((name, day) => {
+                const active = !window.days?.length || window.days.includes(day);
+                return (
+                  <button
+                    key={day}
+                    onClick={() => toggleDay(index, day)}
+                    title={name}
+                    className={`w-5 py-0.5 text-xs first:rounded-l last:rounded-r ${
+                      active ? 'bg-blue-600 text-white' : (isDark ? 'bg-slate-700 text-slate-400' : 'bg-gray-200 text-gray-500')
+                    }`}
+                  >
+                    {name[0]}
+                  </button>
+                );
+              })}
+            </div>
+            <input type="time" value={window.start} onChange={(e) => updateItem('windows', index, { ...window, start: e.target.value })} className={inputClass} />
+            <span className={labelClass}>to</span>
+            <input type="time" value={window.end} onChange={(e) => updateItem('windows', index, { ...window, end: e.target.value })} className={inputClass} />
+            <button onClick={() => removeItem('windows', index)} className={removeButtonClass} title="Remove window">
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => update('windows', [...schedule.windows, newWindow()])} className={linkButtonClass}>
+          <Plus className="w-3 h-3" />
+          <span>Window</span>
+        </button>
+      </div>
+
+      {/* Holidays: windows do not run on these dates */}
+      <div className="space-y-1">
+        <div className={sectionClass}>Exception dates</div>
+        <div className="flex flex-wrap items-center gap-1">
+          {schedule.exceptions.map((date, index) => (
+            <span key={date} className={`flex items-center space-x-0.5 px-1.5 py-0.5 rounded text-xs ${isDark ? 'bg-slate-700 text-slate-200' : 'bg-gray-200 text-gray-700'}`}>
+              <span>{date}</span>
+              <button onClick={() => removeItem('exceptions', index)} title="Remove date">
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+          <input type="date" value={exceptionDate} onChange={(e) => setExceptionDate(e.target.value)} className={inputClass} />
+          <button onClick={addException} disabled={!exceptionDate} className={`${linkButtonClass} disabled:opacity-40`}>
+            <Plus className="w-3 h-3" />
+            <span>Date</span>
+          </button>
+        </div>
+      </div>
+
+      {/* One-off events */}
+      <div className="space-y-1">
+        <div className={sectionClass}>One-off events</div>
+        {schedule.events.map((event, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-1">
+            <input
+              type="datetime-local"
+              value={event.start}
+              onChange={(e) => updateItem('events', index, { ...event, start: e.target.value })}
+              className={inputClass}
+            />
+            <span className={labelClass}>for</span>
+            <input
+              type="number"
+              min="1"
+              value={event.durationMinutes}
+              onChange={(e) => updateItem('events', index, { ...event, durationMinutes: e.target.value })}
+              className={`${inputClass} w-16`}
+            />
+            <span className={labelClass}>min</span>
+            <button onClick={() => removeItem('events', index)} className={removeButtonClass} title="Remove event">
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => update('events', [...schedule.events, { start: '', durationMinutes: 30 }])} className={linkButtonClass}>
+          <Plus className="w-3 h-3" />
+          <span>Event</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
@@ -0,0 +1,103 @@
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip
+} from 'recharts';
+
+// "5h 20m", "12m", "0m"
+const formatOnTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Relay state over a simulated range (see automationAPI.simulate), with toggles and on-time;
+// sceneName is set when a scene rule was simulated
+const SimulationChart = ({ result, relayId, sceneName, isDark }) => {
+  const relay = result.relays[relayId];
+  const mutedClass = isDark ? 'text-slate-400' : 'text-gray-500';
+
+  if (!relay) {
+    return <p className={`text-xs ${mutedClass}`}>No enabled rule to simulate on this relay.</p>;
+  }
+
+  const from = Date.parse(result.from);
+  const to = Date.parse(result.to);
+
+  // One point per switch, plus the end of the range so the last state is drawn
+  const rows = [
+    ...relay.timeline.map((change) => ({ t: Date.parse(change.time), state: change.state, reason: change.reason })),
+    { t: to, state: relay.timeline[relay.timeline.length - 1].state, reason: 'End of range' },
+  ];
+
+  const formatTick = (t) => {
+    const d = new Date(t);
+    if (to - from <= 24 * 60 * 60 * 1000) {
+      return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return d.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' +
+      d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const axisColor = isDark ? '#64748b' : '#9ca3af';
+  const gridColor = isDark ? '#334155' : '#e5e7eb';
+  const tooltipStyle = {
+    backgroundColor: isDark ? '#1e293b' : '#ffffff',
+    border: `1px solid ${isDark ? '#334155' : '#e5e7eb'}`,
+    fontSize: 11,
+  };
+
+  return (
+    <div className={`rounded border p-1.5 ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+      <div className={`flex flex-wrap gap-x-3 text-xs ${isDark ? 'text-slate-200' : 'text-gray-800'}`}>
+        {sceneName && <span>{relayId.toUpperCase()} (scene {sceneName})</span>}
+        <span><b>{relay.toggles}</b> toggles</span>
+        <span>ON <b>{formatOnTime(relay.onSeconds)}</b> ({relay.onPercent}%)</span>
+      </div>
+
+      <ResponsiveContainer width="100%" height={90}>
+        <LineChart data={rows} margin={{ top: 5, right: 5, bottom: 0, left: 0 }}>
+          <CartesianGrid stroke={gridColor} strokeDasharray="3 3" />
+          <XAxis
+            dataKey="t"
+            type="number"
+            scale="time"
+            domain={[from, to]}
+            tickFormatter={formatTick}
+            stroke={axisColor}
+            tick={{ fontSize: 9 }}
+          />
+          <YAxis
+            domain={[0, 1]}
+            ticks={[0, 1]}
+            tickFormatter={(v) => (v === 1 ? 'ON' : 'OFF')}
+            stroke={axisColor}
+            tick={{ fontSize: 9 }}
+            width={28}
+          />
+          <Tooltip
+            contentStyle={tooltipStyle}
+            labelFormatter={(t) => new Date(t).toLocaleString()}
+            formatter={(v, name, item) => [v === 1 ? 'ON' : 'OFF', item.payload.reason]}
+          />
+          <Line type="stepAfter" dataKey="state" stroke="#22c55e" strokeWidth={2} dot={false} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <p className={`text-xs ${mutedClass}`}>
+        {result.sampleCount > 0
+          ? `Replayed ${result.sampleCount} samples of ${result.source === 'local' ? 'stored' : result.source === 'aws' ? 'AWS' : result.source} history`
+          : 'No history in this range: only time and cycle rules could be evaluated'}
+        {result.backfill && result.source === 'local' && ` (${result.backfill.sampleCount} from ${result.backfill.source === 'aws' ? 'AWS' : result.backfill.source})`}
+        {result.sampleCount > 0 && result.partial && ` starting ${new Date(result.coveredFrom).toLocaleString()}`}
+        {sceneName ? ', applying the scene to its relays.' : ', together with the other enabled rules of the relay.'}
+      </p>
+    </div>
+  );
+};
+
+export default SimulationChart;
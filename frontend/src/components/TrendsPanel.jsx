@@ -0,0 +1,429 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Brush,
+  ReferenceArea
+} from 'recharts';
+import { TrendingUp, RefreshCw, ZoomOut, Loader2 } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { deviceAPI } from '../services/api';
+import { initSocket } from '../services/socket';
+
+// Each chart compares an inlet sensor with its outlet counterpart
+const CHART_GROUPS = [
+  { id: 'co2', title: 'CO₂', unit: 'ppm', inlet: 'd1', outlet: 'd8' },
+  { id: 'pm', title: 'Dust PM', unit: 'µg/m³', inlet: 'd2', outlet: 'd9' },
+  { id: 'temperature', title: 'Temperature', unit: '°C', inlet: 'd3', outlet: 'd10' },
+  { id: 'humidity', title: 'Humidity', unit: '%', inlet: 'd4', outlet: 'd11' },
+  { id: 'ph', title: 'Water pH', unit: 'pH', inlet: 'd5', outlet: 'd12' },
+];
+
+const SERIES_KEYS = CHART_GROUPS.flatMap((g) => [g.inlet, g.outlet]);
+
+const SERIES_COLORS = {
+  inlet: '#3b82f6',
+  outlet: '#22c55e',
+};
+
+// Shading of readings taken during maintenance
+const MAINTENANCE_COLOR = '#f59e0b';
+
+const RANGE_PRESETS = [
+  { id: 'hour', label: '1H', durationMs: 60 * 60 * 1000 },
+  { id: 'day', label: '24H', durationMs: 24 * 60 * 60 * 1000 },
+  { id: 'week', label: '7D', durationMs: 7 * 24 * 60 * 60 * 1000 },
+  { id: 'custom', label: 'Custom' },
+];
+
+// Label of the history source of a response ('local' or the data source)
+const sourceLabel = (source) => (source === 'local' ? 'local history' : source === 'aws' ? 'AWS' : source);
+
+// Format a Date as the value of a datetime-local input
+const toInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Merge per-field series ({ d1: [{t, v}], ... }) into chart rows ({ t, d1, d8, ... })
+const mergeSeries = (series) => {
+  const rows = new Map();
+  for (const [field, points] of Object.entries(series || {})) {
+    for (const { t, v } of points) {
+      if (!rows.has(t)) rows.set(t, { t });
+      rows.get(t)[field] = v;
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.t - b.t);
+};
+
+const TrendsPanel = ({ deviceId }) => {
+  const { isDark } = useTheme();
+
+  const [range, setRange] = useState('day');
+  const [customFrom, setCustomFrom] = useState(() => toInputValue(new Date(Date.now() - 24 * 60 * 60 * 1000)));
+  const [customTo, setCustomTo] = useState(() => toInputValue(new Date()));
+  const [customRange, setCustomRange] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [hiddenSeries, setHiddenSeries] = useState({});
+  const [zoom, setZoom] = useState(null); // { startIndex, endIndex } into rows
+  const [excludeMaintenance, setExcludeMaintenance] = useState(false);
+  const [maintenanceWindows, setMaintenanceWindows] = useState([]); // [{ from, to, reason, technician }]
+
+  const preset = RANGE_PRESETS.find((r) => r.id === range);
+  const isLive = range !== 'custom';
+
+  const fetchHistory = useCallback(async () => {
+    let from;
+    let to;
+    if (range === 'custom') {
+      if (!customRange) return;
+      ({ from, to } = customRange);
+    } else {
+      to = Date.now();
+      from = to - RANGE_PRESETS.find((r) => r.id === range).durationMs;
+    }
+
+    try {
+      const res = await deviceAPI.getHistoryRange(deviceId, {
+        from,
+        to,
+        sensors: SERIES_KEYS.join(','),
+        agg: 'avg',
+        maintenance: excludeMaintenance ? 'exclude' : 'include',
+      });
+      if (res.data.success) {
+        setRows(mergeSeries(res.data.series));
+        setMaintenanceWindows(res.data.maintenance || []);
+        setMeta({
+          bucket: res.data.bucket,
+          bucketMs: res.data.bucketMs,
+          source: res.data.source,
+          backfill: res.data.backfill,
+          partial: res.data.partial,
+          coveredFrom: res.data.coveredFrom,
+          agg: res.data.agg,
+          maintenanceSamples: res.data.maintenanceSamples,
+          from,
+        });
+        setZoom(null);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [deviceId, range, customRange, excludeMaintenance]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Append live readings to the preset ranges as they arrive
+  useEffect(() => {
+    if (!isLive || !meta?.bucketMs) return;
+
+    const socket = initSocket(deviceId);
+    const durationMs = preset.durationMs;
+
+    const handleUpdate = (data) => {
+      const sensors = data?.sensors || data;
+      if (!sensors) return;
+
+      const t = Date.parse(data.deviceTimestamp || data.serverTimestamp) || Date.now();
+      const bucketStart = Math.floor(t / meta.bucketMs) * meta.bucketMs;
+
+      // Readings taken during maintenance are left out or extend the shading
+      if (data.maintenance) {
+        if (excludeMaintenance) return;
+        setMaintenanceWindows((prev) => {
+          const last = prev[prev.length - 1];
+          return last && bucketStart - last.to <= 2 * meta.bucketMs
+            ? [...prev.slice(0, -1), { ...last, to: Math.max(last.to, t) }]
+            : [...prev, { from: bucketStart, to: t }];
+        });
+      }
+
+      const point = { t: bucketStart };
+      for (const key of SERIES_KEYS) {
+        if (typeof sensors[key] === 'number') point[key] = sensors[key];
+      }
+
+      setRows((prev) => {
+        const windowStart = Date.now() - durationMs;
+        const last = prev[prev.length - 1];
+        const next = last && last.t === bucketStart
+          ? [...prev.slice(0, -1), { ...last, ...point }]
+          : last && last.t > bucketStart
+            ? prev
+            : [...prev, point];
+        return next.filter((row) => row.t >= windowStart);
+      });
+    };
+
+    socket.on('deviceUpdate', handleUpdate);
+    return () => {
+      socket.off('deviceUpdate', handleUpdate);
+    };
+  }, [deviceId, isLive, meta, preset, excludeMaintenance]);
+
+  const handleRangeChange = (id) => {
+    setRange(id);
+    if (id !== 'custom') {
+      setLoading(true);
+    }
+  };
+
+  const applyCustomRange = () => {
+    const from = new Date(customFrom).getTime();
+    const to = new Date(customTo).getTime();
+    if (isNaN(from) || isNaN(to) || from >= to) {
+      setError('Custom range: start must be before end');
+      return;
+    }
+    setLoading(true);
+    setCustomRange({ from, to });
+  };
+
+  const toggleSeries = (key) => {
+    setHiddenSeries((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const spanMs = rows.length > 1 ? rows[rows.length - 1].t - rows[0].t : 0;
+  const formatTick = (t) => {
+    const d = new Date(t);
+    if (spanMs <= 24 * 60 * 60 * 1000) {
+      return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return d.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' +
+      d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+  const formatValue = (v) => (typeof v === 'number' ? v.toFixed(1) : v);
+
+  const visibleRows = zoom ? rows.slice(zoom.startIndex, zoom.endIndex + 1) : rows;
+
+  const axisColor = isDark ? '#64748b' : '#9ca3af';
+  const gridColor = isDark ? '#334155' : '#e5e7eb';
+  const tooltipStyle = {
+    backgroundColor: isDark ? '#1e293b' : '#ffffff',
+    border: `1px solid ${isDark ? '#334155' : '#e5e7eb'}`,
+    fontSize: 12,
+  };
+
+  const buttonClass = (active) => `px-2.5 py-1 text-xs font-semibold rounded border transition ${
+    active
+      ? 'bg-blue-600 text-white border-blue-700'
+      : isDark
+        ? 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+        : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
+  }`;
+
+  const inputClass = `px-2 py-1 text-xs border rounded ${
+    isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`rounded-lg border ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      {/* Header */}
+      <div className={`px-4 py-3 border-b flex flex-wrap items-center justify-between gap-2 ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+        <div className="flex items-center space-x-2">
+          <TrendingUp className={`w-5 h-5 ${isDark ? 'text-blue-400' : 'text-blue-600'}`} />
+          <h2 className={`text-base font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            Trends
+          </h2>
+          {meta && (
+            <span className={`text-xs ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+              {meta.bucket} {meta.agg} · {rows.length} points · {sourceLabel(meta.source)}
+              {meta.backfill && meta.source === 'local' && ` + ${meta.backfill.sampleCount} ${sourceLabel(meta.backfill.source)} readings`}
+              {meta.partial && (meta.coveredFrom ? ` · data from ${new Date(meta.coveredFrom).toLocaleString()}` : ' · no data in range')}
+              {isLive && ' · live'}
+              {meta.maintenanceSamples > 0 && ` · ${meta.maintenanceSamples} maintenance readings${excludeMaintenance ? ' excluded' : ''}`}
+            </span>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1.5">
+          <label
+            className={`flex items-center space-x-1 mr-1 text-xs ${isDark ? 'text-slate-400' : 'text-gray-600'}`}
+            title="Leave out readings taken while the device was in maintenance mode"
+          >
+            <input
+              type="checkbox"
+              checked={excludeMaintenance}
+              onChange={(e) => { setLoading(true); setExcludeMaintenance(e.target.checked); }}
+            />
+            <span>Exclude maintenance</span>
+          </label>
+          {RANGE_PRESETS.map((r) => (
+            <button key={r.id} onClick={() => handleRangeChange(r.id)} className={buttonClass(range === r.id)}>
+              {r.label}
+            </button>
+          ))}
+          {zoom && (
+            <button onClick={() => setZoom(null)} className={buttonClass(false)} title="Reset zoom">
+              <ZoomOut className="w-3.5 h-3.5" />
+            </button>
+          )}
+          <button onClick={() => { setLoading(true); fetchHistory(); }} className={buttonClass(false)} title="Refresh">
+            <RefreshCw className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Custom Range */}
+      {range === 'custom' && (
+        <div className={`px-4 py-2 border-b flex flex-wrap items-center gap-2 ${isDark ? 'border-slate-700' : 'border-gray-200'}`}>
+          <span className={`text-xs font-semibold uppercase ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>From</span>
+          <input type="datetime-local" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} className={inputClass} />
+          <span className={`text-xs font-semibold uppercase ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>To</span>
+          <input type="datetime-local" value={customTo} onChange={(e) => setCustomTo(e.target.value)} className={inputClass} />
+          <button onClick={applyCustomRange} className="px-3 py-1 text-xs font-semibold bg-blue-600 text-white rounded hover:bg-blue-700">
+            Apply
+          </button>
+        </div>
+      )}
+
+      {/* Content */}
+      <div className="p-4 space-y-4">
+        {error && (
+          <p className="text-xs text-red-500">{error}</p>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center py-16">
+            <Loader2 className={`w-6 h-6 animate-spin ${isDark ? 'text-slate-400' : 'text-gray-500'}`} />
+          </div>
+        ) : range === 'custom' && !customRange ? (
+          <p className={`text-center text-sm py-16 ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+            Pick a range and press Apply
+          </p>
+        ) : rows.length === 0 ? (
+          <p className={`text-center text-sm py-16 ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+            No history for this range
+          </p>
+        ) : (
+          <>
+            {/* Zoom / pan selector */}
+            <div className={`rounded border p-2 ${isDark ? 'bg-slate-800/80 border-slate-700' : 'bg-white border-gray-200 shadow-sm'}`}>
+              <p className={`text-xs mb-1 ${isDark ? 'text-slate-500' : 'text-gray-500'}`}>
+                Drag the handles to zoom, drag the window to pan
+              </p>
+              <ResponsiveContainer width="100%" height={60}>
+                <LineChart data={rows} margin={{ top: 0, right: 10, bottom: 0, left: 10 }}>
+                  <Line type="monotone" dataKey="d1" stroke={SERIES_COLORS.inlet} dot={false} isAnimationActive={false} />
+                  <Brush
+                    dataKey="t"
+                    height={24}
+                    travellerWidth={8}
+                    stroke={isDark ? '#64748b' : '#9ca3af'}
+                    fill={isDark ? '#1e293b' : '#f9fafb'}
+                    tickFormatter={formatTick}
+                    startIndex={zoom?.startIndex ?? 0}
+                    endIndex={zoom?.endIndex ?? rows.length - 1}
+                    onChange={({ startIndex, endIndex }) => setZoom({ startIndex, endIndex })}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {CHART_GROUPS.map((group) => (
+                <div
+                  key={group.id}
+                  className={`rounded border ${isDark ? 'bg-slate-800/80 border-slate-700' : 'bg-white border-gray-200 shadow-sm'}`}
+                >
+                  <div className={`px-3 py-1.5 border-b flex items-center justify-between ${isDark ? 'bg-slate-700/50 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+                    <span className={`text-xs font-semibold uppercase tracking-wide ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+                      {group.title} <span className={isDark ? 'text-slate-500' : 'text-gray-400'}>({group.unit})</span>
+                    </span>
+                    <div className="flex items-center space-x-1">
+                      {[['inlet', group.inlet], ['outlet', group.outlet]].map(([side, key]) => (
+                        <button
+                          key={key}
+                          onClick={() => toggleSeries(key)}
+                          className={`flex items-center space-x-1 px-1.5 py-0.5 rounded text-xs transition ${
+                            hiddenSeries[key] ? 'opacity-40' : ''
+                          } ${isDark ? 'hover:bg-slate-600' : 'hover:bg-gray-200'}`}
+                          title={hiddenSeries[key] ? 'Show series' : 'Hide series'}
+                        >
+                          <span className="w-2 h-2 rounded-full" style={{ backgroundColor: SERIES_COLORS[side] }}></span>
+                          <span className={isDark ? 'text-slate-300' : 'text-gray-700'}>
+                            {side === 'inlet' ? 'Inlet' : 'Outlet'}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="p-2">
+                    <ResponsiveContainer width="100%" height={200}>
+                      <LineChart data={visibleRows} syncId="trends" margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                        <CartesianGrid stroke={gridColor} strokeDasharray="3 3" />
+                        <XAxis
+                          dataKey="t"
+                          type="number"
+                          scale="time"
+                          domain={['dataMin', 'dataMax']}
+                          tickFormatter={formatTick}
+                          stroke={axisColor}
+                          tick={{ fontSize: 10 }}
+                        />
+                        <YAxis stroke={axisColor} tick={{ fontSize: 10 }} width={40} domain={['auto', 'auto']} />
+                        {maintenanceWindows.map((window) => (
+                          <ReferenceArea
+                            key={window.from}
+                            x1={window.from}
+                            x2={window.to}
+                            fill={MAINTENANCE_COLOR}
+                            fillOpacity={0.15}
+                            ifOverflow="hidden"
+                            label={{ value: 'Maintenance', position: 'insideTop', fontSize: 9, fill: MAINTENANCE_COLOR }}
+                          />
+                        ))}
+                        <Tooltip
+                          contentStyle={tooltipStyle}
+                          labelFormatter={(t) => new Date(t).toLocaleString()}
+                          formatter={formatValue}
+                        />
+                        <Line
+                          type="monotone"
+                          dataKey={group.inlet}
+                          name={`Inlet ${group.title}`}
+                          stroke={SERIES_COLORS.inlet}
+                          dot={false}
+                          hide={!!hiddenSeries[group.inlet]}
+                          isAnimationActive={false}
+                          connectNulls
+                        />
+                        <Line
+                          type="monotone"
+                          dataKey={group.outlet}
+                          name={`Outlet ${group.title}`}
+                          stroke={SERIES_COLORS.outlet}
+                          dot={false}
+                          hide={!!hiddenSeries[group.outlet]}
+                          isAnimationActive={false}
+                          connectNulls
+                        />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrendsPanel;
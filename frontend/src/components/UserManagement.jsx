@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Users, UserPlus, Pencil, Trash2, X } from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { usersAPI } from '../services/api';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer', description: 'Read only' },
+  { value: 'operator', label: 'Operator', description: 'Can switch relays' },
+  { value: 'admin', label: 'Admin', description: 'Full access' },
+];
+
+const EMPTY_FORM = { username: '', password: '', role: 'viewer', devices: [] };
+
+// Create / edit form; `user` is null when creating
+const UserForm = ({ user, devices, onSave, onCancel, saving, isDark }) => {
+  const [form, setForm] = useState(() => (user ? { ...user, password: '' } : EMPTY_FORM));
+
+  const inputClass = `w-full px-2 py-1 text-xs border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-white' : 'bg-white border-gray-300 text-gray-900'}`;
+  const labelClass = `block text-xs font-semibold mb-1 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  const toggleDevice = (deviceId) => {
+    setForm((prev) => ({
+      ...prev,
+      devices: prev.devices.includes(deviceId)
+        ? prev.devices.filter((id) => id !== deviceId)
+        : [...prev.devices, deviceId],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const payload = { role: form.role, devices: form.devices };
+    if (!user) payload.username = form.username;
+    if (form.password) payload.password = form.password;
+    onSave(payload);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`rounded border p-3 space-y-3 ${isDark ? 'bg-slate-900 border-slate-700' : 'bg-gray-50 border-gray-200'}`}>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass}>Username</label>
+          <input
+            type="text"
+            value={form.username}
+            onChange={(e) => setForm({ ...form, username: e.target.value })}
+            disabled={!!user}
+            required
+            className={`${inputClass} disabled:opacity-60`}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>{user ? 'New Password (optional)' : 'Password'}</label>
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            required={!user}
+            minLength={8}
+            autoComplete="new-password"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Role</label>
+          <select
+            value={form.role}
+            onChange={(e) => setForm({ ...form, role: e.target.value })}
+            className={inputClass}
+          >
+            {ROLE_OPTIONS.map((role) => (
+              <option key={role.value} value={role.value}>
+                {role.label} - {role.description}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {form.role !== 'admin' && devices.length > 0 && (
+        <div>
+          <label className={labelClass}>Devices (none selected = all devices)</label>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {devices.map((device) => (
+              <label key={device.id} className={`flex items-center space-x-1.5 text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  checked={form.devices.includes(device.id)}
+                  onChange={() => toggleDevice(device.id)}
+                />
+                <span>{device.name || device.id}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-xs font-semibold rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : user ? 'Save' : 'Create User'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`px-3 py-1.5 text-xs font-semibold rounded ${isDark ? 'bg-slate-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const UserManagement = ({ devices = [] }) => {
+  const { isDark } = useTheme();
+  const { user: currentUser } = useAuth();
+
+  const [users, setUsers] = useState([]);
+  const [editing, setEditing] = useState(null); // username, 'new' or null
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const res = await usersAPI.list();
+      if (res.data.success) {
+        setUsers(res.data.users);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load users');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleSave = async (payload) => {
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        await usersAPI.create(payload);
+      } else {
+        await usersAPI.update(editing, payload);
+      }
+      setEditing(null);
+      setError('');
+      await fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (username) => {
+    if (!confirm(`Delete user ${username}?`)) return;
+
+    try {
+      await usersAPI.remove(username);
+      setError('');
+      await fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete user');
+    }
+  };
+
+  const deviceLabel = (user) => {
+    if (user.role === 'admin' || !user.devices.length) return 'All devices';
+    return user.devices.join(', ');
+  };
+
+  return (
+    <div className={`${isDark ? 'bg-slate-800 border border-slate-700' : 'bg-white border border-gray-200'} rounded-lg p-4 shadow-sm`}>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className={`text-sm font-semibold flex items-center space-x-1.5 ${isDark ? 'text-white' : 'text-gray-900'}`}>
+            <Users className="w-4 h-4" />
+            <span>Users</span>
+          </h3>
+          <p className={`text-xs mt-1 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+            Viewers can only read, operators can also switch relays, admins can change everything.
+          </p>
+        </div>
+        {editing === null && (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center space-x-1.5 px-3 py-1.5 text-xs font-semibold rounded border bg-blue-600 text-white border-blue-700 hover:bg-blue-700 transition"
+          >
+            <UserPlus className="w-3.5 h-3.5" />
+            <span>Add User</span>
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className={`mb-3 px-3 py-2 rounded text-xs flex items-center justify-between ${isDark ? 'bg-red-900/20 border border-red-700 text-red-400' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+          <span>{error}</span>
+          <button onClick={() => setError('')}>
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      )}
+
+      {editing === 'new' && (
+        <div className="mb-3">
+          <UserForm
+            user={null}
+            devices={devices}
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+            saving={saving}
+            isDark={isDark}
+          />
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {users.map((user) => (
+          editing === user.username ? (
+            <UserForm
+              key={user.username}
+              user={user}
+              devices={devices}
+              onSave={handleSave}
+              onCancel={() => setEditing(null)}
+              saving={saving}
+              isDark={isDark}
+            />
+          ) : (
+            <div
+              key={user.username}
+              className={`flex items-center justify-between px-3 py-2 rounded border text-xs ${isDark ? 'border-slate-700 text-slate-200' : 'border-gray-200 text-gray-800'}`}
+            >
+              <div>
+                <span className="font-semibold">{user.username}</span>
+                {user.username === currentUser?.username && (
+                  <span className={`ml-1.5 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>(you)</span>
+                )}
+                <div className={isDark ? 'text-slate-400' : 'text-gray-500'}>
+                  {ROLE_OPTIONS.find((r) => r.value === user.role)?.label || user.role} · {deviceLabel(user)}
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => setEditing(user.username)}
+                  disabled={editing !== null}
+                  className={`p-1 rounded disabled:opacity-40 ${isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'}`}
+                  title="Edit user"
+                >
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                {user.username !== currentUser?.username && (
+                  <button
+                    onClick={() => handleDelete(user.username)}
+                    disabled={editing !== null}
+                    className="p-1 rounded text-red-500 hover:bg-red-500/10 disabled:opacity-40"
+                    title="Delete user"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
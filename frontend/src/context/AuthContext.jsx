@@ -3,6 +3,9 @@ import { authAPI } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Ordered from least to most privileged (same as the backend)
+const ROLES = ['viewer', 'operator', 'admin'];
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -23,7 +26,7 @@ export const AuthProvider = ({ children }) => {
         .verify(token)
         .then((response) => {
           if (response.data.valid) {
-            setUser({ deviceId: response.data.deviceId });
+            setUser(response.data.user);
           } else {
             localStorage.removeItem('token');
           }
@@ -39,13 +42,13 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
-  const login = async (deviceId, password) => {
+  const login = async (username, password) => {
     try {
-      const response = await authAPI.login({ deviceId, password });
-      const { token, deviceId: returnedDeviceId } = response.data;
+      const response = await authAPI.login({ username, password });
+      const { token, user: loggedInUser } = response.data;
 
       localStorage.setItem('token', token);
-      setUser({ deviceId: returnedDeviceId });
+      setUser(loggedInUser);
 
       return { success: true };
     } catch (error) {
@@ -61,8 +64,11 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
+  // Check if the logged in user has at least the given role
+  const hasRole = (role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, hasRole }}>
       {children}
     </AuthContext.Provider>
   );
@@ -1,17 +1,27 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { deviceAPI } from '../services/api';
+import { deviceAPI, devicesAPI, alarmAPI, maintenanceAPI } from '../services/api';
 import { initSocket, disconnectSocket } from '../services/socket';
-import { LogOut, Signal, Clock, Moon, Sun, LayoutDashboard, Activity, Power, Settings } from 'lucide-react';
+import { LogOut, Signal, Clock, Moon, Sun, LayoutDashboard, Activity, TrendingUp, Power, Settings, FileDown, LayoutGrid, History, Bell } from 'lucide-react';
 import OverviewDashboard from '../components/OverviewDashboard';
 import SensorDisplay from '../components/SensorDisplay';
+import TrendsPanel from '../components/TrendsPanel';
+import ActivityPanel from '../components/ActivityPanel';
+import AlarmPanel from '../components/AlarmPanel';
 import RelayControl from '../components/RelayControl';
 import OfflineBanner from '../components/OfflineBanner';
-
-const DashboardPage = () => {
-  const { user, logout } = useAuth();
+import MaintenanceBanner from '../components/MaintenanceBanner';
+import MaintenancePanel from '../components/MaintenancePanel';
+import ReportExportDialog from '../components/ReportExportDialog';
+import UserManagement from '../components/UserManagement';
+import NotificationSettings from '../components/NotificationSettings';
+
+const DashboardPage = ({ deviceId }) => {
+  const { logout, hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
+  const isOperator = hasRole('operator');
   const { isDark, toggleTheme } = useTheme();
   const navigate = useNavigate();
 
@@ -30,53 +40,16 @@ const DashboardPage = () => {
   const [displayStatus, setDisplayStatus] = useState(null);
   const [displayLoading, setDisplayLoading] = useState(false);
   const [displayError, setDisplayError] = useState('');
+  const [showReportDialog, setShowReportDialog] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [alarmSummary, setAlarmSummary] = useState({ active: 0, acknowledged: 0, critical: 0 });
+  const [maintenance, setMaintenance] = useState(null);
 
-  useEffect(() => {
-    fetchDeviceData();
-    fetchRelayNames();
-    fetchDisplayStatus();
-
-    const socket = initSocket();
-
-    socket.on('deviceUpdate', (data) => {
-      setDeviceData(data);
-      // Use device timestamp if available, otherwise server timestamp, fallback to current time
-      const timestamp = data.deviceTimestamp || data.serverTimestamp || new Date().toISOString();
-      setLastUpdate(new Date(timestamp));
-      // When we receive data, the device is definitely online
-      // Update online status but preserve other fields
-      setDeviceStatus(prevStatus => ({
-        ...prevStatus,
-        online: true,
-        hasData: true,
-        consecutiveFailures: 0
-      }));
-    });
-
-    socket.on('deviceStatus', (status) => {
-      // Only update status if we have valid data
-      if (status && typeof status.online === 'boolean') {
-        setDeviceStatus(prevStatus => ({
-          ...prevStatus,
-          ...status
-        }));
-        // Update lastUpdate if status says online and has lastUpdate
-        if (status.online && status.lastUpdate) {
-          setLastUpdate(new Date(status.lastUpdate));
-        }
-      }
-    });
-
-    return () => {
-      disconnectSocket();
-    };
-  }, []);
-
-  const fetchDeviceData = async () => {
+  const fetchDeviceData = useCallback(async () => {
     try {
       const [dataRes, statusRes] = await Promise.all([
-        deviceAPI.getCurrent(),
-        deviceAPI.getStatus(),
+        deviceAPI.getCurrent(deviceId),
+        deviceAPI.getStatus(deviceId),
       ]);
 
       if (dataRes.data.success) {
@@ -106,22 +79,22 @@ const DashboardPage = () => {
       setError('Failed to fetch device data');
       setLoading(false);
     }
-  };
+  }, [deviceId]);
 
-  const fetchRelayNames = async () => {
+  const fetchRelayNames = useCallback(async () => {
     try {
-      const res = await deviceAPI.getRelayNames();
+      const res = await deviceAPI.getRelayNames(deviceId);
       if (res.data.success) {
         setRelayNames(res.data.relayNames);
       }
     } catch (err) {
       console.error('Failed to fetch relay names:', err);
     }
-  };
+  }, [deviceId]);
 
-  const fetchDisplayStatus = async () => {
+  const fetchDisplayStatus = useCallback(async () => {
     try {
-      const res = await deviceAPI.getDisplayStatus();
+      const res = await deviceAPI.getDisplayStatus(deviceId);
       if (res.data.success) {
         setDisplayStatus({
           enabled: res.data.enabled,
@@ -133,13 +106,13 @@ const DashboardPage = () => {
     } catch (err) {
       setDisplayError('Failed to fetch display status');
     }
-  };
+  }, [deviceId]);
 
   const toggleDisplay = async () => {
     if (!displayStatus) return;
     try {
       setDisplayLoading(true);
-      const res = await deviceAPI.setDisplayEnabled(!displayStatus.enabled);
+      const res = await deviceAPI.setDisplayEnabled(deviceId, !displayStatus.enabled);
       if (res.data.success) {
         setDisplayStatus({
           enabled: res.data.enabled,
@@ -157,12 +130,124 @@ const DashboardPage = () => {
 
   const handleAirflowUpdate = async (rate) => {
     try {
-      await deviceAPI.updateAirflow(rate);
+      await deviceAPI.updateAirflow(deviceId, rate);
     } catch (err) {
       alert('Failed to update airflow rate');
     }
   };
 
+  const fetchDevices = useCallback(async () => {
+    try {
+      const res = await devicesAPI.list();
+      if (res.data.success) {
+        setDevices(res.data.devices);
+      }
+    } catch (err) {
+      console.error('Failed to fetch devices:', err);
+    }
+  }, []);
+
+  const fetchAlarmSummary = useCallback(async () => {
+    try {
+      const res = await alarmAPI.list(deviceId);
+      if (res.data.success) {
+        setAlarmSummary(res.data.summary);
+      }
+    } catch (err) {
+      console.error('Failed to fetch alarms:', err);
+    }
+  }, [deviceId]);
+
+  const fetchMaintenance = useCallback(async () => {
+    try {
+      const res = await maintenanceAPI.getStatus(deviceId);
+      if (res.data.success) {
+        setMaintenance({ active: res.data.active, sessions: res.data.sessions });
+      }
+    } catch (err) {
+      console.error('Failed to fetch maintenance status:', err);
+    }
+  }, [deviceId]);
+
+  // Both return an error message, or null once the dashboard is up to date
+  const startMaintenance = async (reason, technician) => {
+    try {
+      await maintenanceAPI.start(deviceId, reason, technician);
+      await fetchMaintenance();
+      return null;
+    } catch (err) {
+      return err.response?.data?.message || 'Failed to start maintenance';
+    }
+  };
+
+  const stopMaintenance = async () => {
+    try {
+      await maintenanceAPI.stop(deviceId);
+      await fetchMaintenance();
+      return null;
+    } catch (err) {
+      return err.response?.data?.message || 'Failed to end maintenance';
+    }
+  };
+
+  const handleBannerEnd = async () => {
+    const message = await stopMaintenance();
+    if (message) alert(message);
+  };
+
+  useEffect(() => {
+    fetchDeviceData();
+    fetchRelayNames();
+    fetchDisplayStatus();
+    fetchDevices();
+    fetchAlarmSummary();
+    fetchMaintenance();
+
+    const socket = initSocket(deviceId);
+
+    socket.on('deviceUpdate', (data) => {
+      setDeviceData(data);
+      // Use device timestamp if available, otherwise server timestamp, fallback to current time
+      const timestamp = data.deviceTimestamp || data.serverTimestamp || new Date().toISOString();
+      setLastUpdate(new Date(timestamp));
+      // When we receive data, the device is definitely online
+      // Update online status but preserve other fields
+      setDeviceStatus(prevStatus => ({
+        ...prevStatus,
+        online: true,
+        hasData: true,
+        consecutiveFailures: 0
+      }));
+    });
+
+    socket.on('deviceStatus', (status) => {
+      // Only update status if we have valid data
+      if (status && typeof status.online === 'boolean') {
+        setDeviceStatus(prevStatus => ({
+          ...prevStatus,
+          ...status
+        }));
+        // Update lastUpdate if status says online and has lastUpdate
+        if (status.online && status.lastUpdate) {
+          setLastUpdate(new Date(status.lastUpdate));
+        }
+      }
+    });
+
+    // Keep the header alarm counter current
+    socket.on('alarm', () => {
+      fetchAlarmSummary();
+    });
+
+    socket.on('maintenanceMode', ({ active, sessions }) => {
+      setMaintenance({ active, sessions });
+    });
+
+    return () => {
+      disconnectSocket();
+    };
+  }, [deviceId, fetchDeviceData, fetchRelayNames, fetchDisplayStatus, fetchDevices, fetchAlarmSummary, fetchMaintenance]);
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -171,7 +256,10 @@ const DashboardPage = () => {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: LayoutDashboard },
     { id: 'sensors', label: 'Sensors', icon: Activity },
+    { id: 'trends', label: 'Trends', icon: TrendingUp },
     { id: 'relays', label: 'Relay Control', icon: Power },
+    { id: 'alarms', label: 'Alarms', icon: Bell },
+    { id: 'activity', label: 'Activity', icon: History },
     { id: 'settings', label: 'Settings', icon: Settings },
   ];
 
@@ -222,6 +310,11 @@ const DashboardPage = () => {
         />
       )}
 
+      {/* Maintenance Banner - automation suspended, readings flagged */}
+      {maintenance?.active && (
+        <MaintenanceBanner session={maintenance.active} canEnd={isOperator} onEnd={handleBannerEnd} />
+      )}
+
       {/* Header */}
       <header className={`border-b shadow-sm ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2.5">
@@ -230,9 +323,23 @@ const DashboardPage = () => {
               <h1 className={`text-base font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
                 IOCL Air Quality Control System
               </h1>
-              <p className={`text-xs mt-0.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
-                Device: {user?.deviceId}
-              </p>
+              {devices.length > 1 ? (
+                <select
+                  value={deviceId}
+                  onChange={(e) => navigate(`/devices/${e.target.value}`)}
+                  className={`text-xs mt-0.5 px-1.5 py-0.5 border rounded ${isDark ? 'bg-slate-700 border-slate-600 text-slate-200' : 'bg-white border-gray-300 text-gray-700'}`}
+                >
+                  {devices.map((device) => (
+                    <option key={device.id} value={device.id}>
+                      {device.name && device.name !== device.id ? `${device.name} (${device.id})` : device.id}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <p className={`text-xs mt-0.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+                  Device: {deviceId}
+                </p>
+              )}
             </div>
 
             <div className="flex items-center space-x-2">
@@ -272,6 +379,34 @@ const DashboardPage = () => {
                 </div>
               )}
 
+              {/* Open Alarms */}
+              {alarmSummary.active + alarmSummary.acknowledged > 0 && (
+                <button
+                  onClick={() => setActiveTab('alarms')}
+                  className={`flex items-center space-x-1.5 px-2.5 py-1.5 rounded border transition ${
+                    alarmSummary.active > 0
+                      ? 'bg-red-600 border-red-700 text-white hover:bg-red-700'
+                      : (isDark ? 'bg-slate-700/50 border-slate-600 text-slate-300 hover:bg-slate-700' : 'bg-gray-100 border-gray-200 text-gray-700 hover:bg-gray-200')
+                  }`}
+                  title={`${alarmSummary.active} unacknowledged, ${alarmSummary.acknowledged} acknowledged`}
+                >
+                  <Bell className={`w-3.5 h-3.5 ${alarmSummary.active > 0 ? 'animate-pulse' : ''}`} />
+                  <span className="text-xs font-semibold">{alarmSummary.active + alarmSummary.acknowledged}</span>
+                </button>
+              )}
+
+              {/* Fleet Overview */}
+              {devices.length > 1 && (
+                <button
+                  onClick={() => navigate('/fleet')}
+                  className={`flex items-center space-x-1.5 px-2.5 py-1.5 rounded border transition ${isDark ? 'bg-slate-700/50 border-slate-600 text-slate-300 hover:bg-slate-700' : 'bg-gray-100 border-gray-200 text-gray-700 hover:bg-gray-200'}`}
+                  title="Fleet Overview"
+                >
+                  <LayoutGrid className="w-3.5 h-3.5" />
+                  <span className="text-xs font-medium">Fleet</span>
+                </button>
+              )}
+
               {/* Theme Toggle */}
               <button
                 onClick={toggleTheme}
@@ -326,7 +461,7 @@ const DashboardPage = () => {
           <OverviewDashboard
             data={deviceData}
             relayNames={relayNames}
-            onAirflowUpdate={handleAirflowUpdate}
+            onAirflowUpdate={isAdmin ? handleAirflowUpdate : undefined}
             deviceStatus={deviceStatus}
           />
         )}
@@ -335,8 +470,20 @@ const DashboardPage = () => {
           <SensorDisplay data={sensorData} deviceStatus={deviceStatus} />
         )}
 
+        {activeTab === 'trends' && (
+          <TrendsPanel deviceId={deviceId} />
+        )}
+
         {activeTab === 'relays' && (
-          <RelayControl data={sensorData} relayNames={relayNames} deviceStatus={deviceStatus} />
+          <RelayControl deviceId={deviceId} data={sensorData} relayNames={relayNames} deviceStatus={deviceStatus} />
+        )}
+
+        {activeTab === 'alarms' && (
+          <AlarmPanel deviceId={deviceId} />
+        )}
+
+        {activeTab === 'activity' && (
+          <ActivityPanel deviceId={deviceId} />
         )}
 
         {activeTab === 'settings' && (
@@ -354,19 +501,21 @@ const DashboardPage = () => {
                     <p className="text-xs text-red-500 mt-1">{displayError}</p>
                   )}
                 </div>
-                <button
-                  onClick={toggleDisplay}
-                  disabled={!displayStatus || displayLoading}
-                  className={`px-3 py-1.5 text-xs font-semibold rounded border transition ${
-                    displayStatus?.enabled
-                      ? 'bg-green-600 text-white border-green-700 hover:bg-green-700'
-                      : isDark
-                        ? 'bg-slate-700 text-slate-200 border-slate-600 hover:bg-slate-600'
-                        : 'bg-gray-100 text-gray-800 border-gray-200 hover:bg-gray-200'
-                  } ${displayLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
-                >
-                  {displayLoading ? 'Updating...' : displayStatus?.enabled ? 'Disable' : 'Enable'}
-                </button>
+                {isAdmin && (
+                  <button
+                    onClick={toggleDisplay}
+                    disabled={!displayStatus || displayLoading}
+                    className={`px-3 py-1.5 text-xs font-semibold rounded border transition ${
+                      displayStatus?.enabled
+                        ? 'bg-green-600 text-white border-green-700 hover:bg-green-700'
+                        : isDark
+                          ? 'bg-slate-700 text-slate-200 border-slate-600 hover:bg-slate-600'
+                          : 'bg-gray-100 text-gray-800 border-gray-200 hover:bg-gray-200'
+                    } ${displayLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
+                  >
+                    {displayLoading ? 'Updating...' : displayStatus?.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                )}
               </div>
               {displayStatus && (
                 <div className={`mt-3 text-xs ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
@@ -376,8 +525,43 @@ const DashboardPage = () => {
                 </div>
               )}
             </div>
+
+            <div className={`${isDark ? 'bg-slate-800 border border-slate-700' : 'bg-white border border-gray-200'} rounded-lg p-4 shadow-sm`}>
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className={`text-sm font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                    Export Report
+                  </h3>
+                  <p className={`text-xs mt-1 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+                    Download sensor data, gas exchange totals and relay runtime as CSV, Excel or PDF.
+                  </p>
+                </div>
+                <button
+                  onClick={() => setShowReportDialog(true)}
+                  className="flex items-center space-x-1.5 px-3 py-1.5 text-xs font-semibold rounded border bg-blue-600 text-white border-blue-700 hover:bg-blue-700 transition"
+                >
+                  <FileDown className="w-3.5 h-3.5" />
+                  <span>Export</span>
+                </button>
+              </div>
+            </div>
+
+            <MaintenancePanel
+              maintenance={maintenance}
+              canControl={isOperator}
+              onStart={startMaintenance}
+              onStop={stopMaintenance}
+            />
+
+            {isAdmin && <NotificationSettings devices={devices} />}
+
+            {isAdmin && <UserManagement devices={devices} />}
           </div>
         )}
+
+        {showReportDialog && (
+          <ReportExportDialog deviceId={deviceId} onClose={() => setShowReportDialog(false)} />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,304 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import { devicesAPI } from '../services/api';
+import { LogOut, Moon, Sun, Signal, Search, RefreshCw, ArrowUp, ArrowDown, ChevronRight } from 'lucide-react';
+
+// Backend polls every device every 30s, so refreshing faster gains nothing
+const REFRESH_INTERVAL_MS = 30000;
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'online', label: 'Online' },
+  { id: 'offline', label: 'Offline' },
+];
+
+// Sortable columns; `value` extracts the sort key from a device
+const COLUMNS = [
+  { id: 'name', label: 'Device', value: (d) => (d.name || d.id).toLowerCase() },
+  { id: 'status', label: 'Status', value: (d) => (d.status?.online ? 1 : 0) },
+  { id: 'gsm', label: 'GSM', value: (d) => d.status?.gsmSignal ?? null },
+  { id: 'aqi', label: 'AQI', value: (d) => d.summary?.aqi?.value ?? null },
+  { id: 'co2Difference', label: 'CO₂ Δ (ppm)', value: (d) => d.summary?.co2Difference ?? null },
+  { id: 'co2Absorbed', label: 'CO₂ Absorbed', value: (d) => d.summary?.co2AbsorbedGrams ?? null },
+  { id: 'lastUpdate', label: 'Last Update', value: (d) => (d.status?.lastUpdate ? Date.parse(d.status.lastUpdate) : null) },
+];
+
+const AQI_TEXT_COLORS = {
+  green: 'text-green-500',
+  yellow: 'text-yellow-500',
+  orange: 'text-orange-500',
+  red: 'text-red-500',
+  purple: 'text-purple-500',
+  maroon: 'text-red-900',
+};
+
+// Grams below 1 kg, kilograms above
+const formatCO2 = (grams) => {
+  if (typeof grams !== 'number') return '--';
+  return grams >= 1000 ? `${(grams / 1000).toFixed(2)} kg` : `${grams.toFixed(2)} g`;
+};
+
+const formatLastUpdate = (lastUpdate) => {
+  if (!lastUpdate) return 'Never';
+  const date = new Date(lastUpdate);
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+};
+
+const FleetPage = () => {
+  const { logout } = useAuth();
+  const { isDark, toggleTheme } = useTheme();
+  const navigate = useNavigate();
+
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sort, setSort] = useState({ column: 'name', direction: 'asc' });
+
+  const fetchDevices = useCallback(async () => {
+    try {
+      setRefreshing(true);
+      const res = await devicesAPI.list();
+      if (res.data.success) {
+        setDevices(res.data.devices);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load devices');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDevices();
+    const interval = setInterval(fetchDevices, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchDevices]);
+
+  const visibleDevices = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const column = COLUMNS.find((c) => c.id === sort.column);
+    const factor = sort.direction === 'asc' ? 1 : -1;
+
+    return devices
+      .filter((d) => {
+        if (statusFilter === 'online' && !d.status?.online) return false;
+        if (statusFilter === 'offline' && d.status?.online) return false;
+        if (!query) return true;
+        return [d.id, d.name, d.location].some((field) => field?.toLowerCase().includes(query));
+      })
+      .sort((a, b) => {
+        const va = column.value(a);
+        const vb = column.value(b);
+        // Devices without a value always go last
+        if (va === null && vb === null) return 0;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        if (va < vb) return -factor;
+        if (va > vb) return factor;
+        return 0;
+      });
+  }, [devices, search, statusFilter, sort]);
+
+  const onlineCount = devices.filter((d) => d.status?.online).length;
+
+  const handleSort = (columnId) => {
+    setSort((prev) => ({
+      column: columnId,
+      direction: prev.column === columnId && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const headerButtonClass = `flex items-center space-x-1.5 px-2.5 py-1.5 rounded border transition ${isDark ? 'bg-slate-700/50 border-slate-600 text-slate-300 hover:bg-slate-700' : 'bg-gray-100 border-gray-200 text-gray-700 hover:bg-gray-200'}`;
+
+  return (
+    <div className={`min-h-screen ${isDark ? 'bg-slate-900' : 'bg-gray-50'}`}>
+      {/* Header */}
+      <header className={`border-b shadow-sm ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2.5">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className={`text-base font-bold uppercase tracking-wide ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                IOCL Air Quality Control System
+              </h1>
+              <p className={`text-xs mt-0.5 ${isDark ? 'text-slate-400' : 'text-gray-600'}`}>
+                Fleet Overview · {onlineCount}/{devices.length} online
+              </p>
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={fetchDevices}
+                disabled={refreshing}
+                className={headerButtonClass}
+                title="Refresh"
+              >
+                <RefreshCw className={`w-3.5 h-3.5 ${refreshing ? 'animate-spin' : ''}`} />
+              </button>
+
+              <button
+                onClick={toggleTheme}
+                className={headerButtonClass}
+                title={isDark ? 'Switch to Light Mode' : 'Switch to Dark Mode'}
+              >
+                {isDark ? <Sun className="w-3.5 h-3.5" /> : <Moon className="w-3.5 h-3.5" />}
+              </button>
+
+              <button
+                onClick={handleLogout}
+                className="flex items-center space-x-1.5 px-3 py-1.5 bg-red-600 text-white rounded hover:bg-red-700 transition text-xs font-semibold uppercase"
+              >
+                <LogOut className="w-3.5 h-3.5" />
+                <span>Logout</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <div className={`flex items-center px-2.5 py-1.5 rounded border ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-300'}`}>
+            <Search className={`w-3.5 h-3.5 mr-1.5 ${isDark ? 'text-slate-400' : 'text-gray-500'}`} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name, ID or location"
+              className={`text-xs bg-transparent outline-none w-56 ${isDark ? 'text-slate-200 placeholder-slate-500' : 'text-gray-800 placeholder-gray-400'}`}
+            />
+          </div>
+
+          <div className={`flex rounded border overflow-hidden ${isDark ? 'border-slate-700' : 'border-gray-300'}`}>
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.id}
+                onClick={() => setStatusFilter(filter.id)}
+                className={`px-3 py-1.5 text-xs font-medium transition ${
+                  statusFilter === filter.id
+                    ? 'bg-blue-600 text-white'
+                    : isDark
+                      ? 'bg-slate-800 text-slate-300 hover:bg-slate-700'
+                      : 'bg-white text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className={`mb-3 px-3 py-2 rounded text-xs ${isDark ? 'bg-red-900/20 border border-red-700 text-red-400' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+            {error}
+          </div>
+        )}
+
+        {/* Device Table */}
+        <div className={`rounded border overflow-x-auto ${isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+          <table className="w-full text-xs">
+            <thead className={isDark ? 'bg-slate-700/50 text-slate-300' : 'bg-gray-50 text-gray-600'}>
+              <tr>
+                {COLUMNS.map((column) => (
+                  <th key={column.id} className="text-left font-semibold px-3 py-2">
+                    <button
+                      onClick={() => handleSort(column.id)}
+                      className="flex items-center space-x-1 uppercase tracking-wide"
+                    >
+                      <span>{column.label}</span>
+                      {sort.column === column.id && (
+                        sort.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />
+                      )}
+                    </button>
+                  </th>
+                ))}
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className={`px-3 py-6 text-center ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+                    Loading devices...
+                  </td>
+                </tr>
+              ) : visibleDevices.length === 0 ? (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className={`px-3 py-6 text-center ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+                    {devices.length === 0 ? 'No devices registered' : 'No devices match the current filters'}
+                  </td>
+                </tr>
+              ) : (
+                visibleDevices.map((device) => {
+                  const aqi = device.summary?.aqi;
+                  return (
+                    <tr
+                      key={device.id}
+                      onClick={() => navigate(`/devices/${device.id}`)}
+                      className={`border-t cursor-pointer transition ${isDark ? 'border-slate-700 text-slate-200 hover:bg-slate-700/50' : 'border-gray-100 text-gray-800 hover:bg-gray-50'}`}
+                    >
+                      <td className="px-3 py-2">
+                        <div className="font-semibold">{device.name || device.id}</div>
+                        <div className={isDark ? 'text-slate-400' : 'text-gray-500'}>
+                          {device.id}{device.location ? ` · ${device.location}` : ''}
+                          {!device.enabled && ' · disabled'}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className="flex items-center space-x-1.5">
+                          <span className={`w-2 h-2 rounded-full ${device.status?.online ? 'bg-green-500' : 'bg-red-500'}`}></span>
+                          <span className={`font-semibold ${device.status?.online ? (isDark ? 'text-green-400' : 'text-green-700') : (isDark ? 'text-red-400' : 'text-red-700')}`}>
+                            {device.status?.online ? 'ONLINE' : 'OFFLINE'}
+                          </span>
+                        </span>
+                      </td>
+                      <td className="px-3 py-2">
+                        {device.status?.gsmSignal != null ? (
+                          <span className="flex items-center space-x-1">
+                            <Signal className="w-3.5 h-3.5" />
+                            <span>{device.status.gsmSignal}</span>
+                          </span>
+                        ) : '--'}
+                      </td>
+                      <td className="px-3 py-2">
+                        {aqi ? (
+                          <span>
+                            <span className={`font-bold ${AQI_TEXT_COLORS[aqi.color] || ''}`}>{aqi.value}</span>
+                            <span className={`ml-1 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>{aqi.category}</span>
+                          </span>
+                        ) : '--'}
+                      </td>
+                      <td className="px-3 py-2">
+                        {typeof device.summary?.co2Difference === 'number' ? device.summary.co2Difference.toFixed(1) : '--'}
+                      </td>
+                      <td className="px-3 py-2">{formatCO2(device.summary?.co2AbsorbedGrams)}</td>
+                      <td className="px-3 py-2">{formatLastUpdate(device.status?.lastUpdate)}</td>
+                      <td className="px-3 py-2 text-right">
+                        <ChevronRight className={`w-4 h-4 inline ${isDark ? 'text-slate-500' : 'text-gray-400'}`} />
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default FleetPage;
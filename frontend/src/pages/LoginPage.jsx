@@ -4,7 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import { Lock, AlertCircle } from 'lucide-react';
 
 const LoginPage = () => {
-  const [deviceId, setDeviceId] = useState('IOCL_XTRA_O2_ADMIN');
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -17,7 +17,7 @@ const LoginPage = () => {
     setError('');
     setLoading(true);
 
-    const result = await login(deviceId, password);
+    const result = await login(username, password);
 
     if (result.success) {
       navigate('/dashboard');
@@ -53,15 +53,16 @@ const LoginPage = () => {
           <form onSubmit={handleSubmit} className="p-4 space-y-3">
             <div>
               <label className="block text-xs font-semibold text-gray-700 uppercase tracking-wide mb-1">
-                Device ID
+                Username
               </label>
               <input
                 type="text"
-                value={deviceId}
-                onChange={(e) => setDeviceId(e.target.value)}
-                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded bg-gray-50 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                placeholder="Enter your username"
+                autoComplete="username"
                 required
-                disabled
               />
             </div>
 
@@ -40,32 +40,100 @@ export const authAPI = {
   verify: (token) => api.post('/auth/verify', { token }),
 };
 
-// Device API
+// User management API (admin only)
+export const usersAPI = {
+  list: () => api.get('/users'),
+  create: (user) => api.post('/users', user),
+  update: (username, changes) => api.put(`/users/${username}`, changes),
+  remove: (username) => api.delete(`/users/${username}`),
+};
+
+// Notification channels API (admin only)
+export const notificationsAPI = {
+  listChannels: () => api.get('/notifications/channels'),
+  saveChannel: (channel) => api.post('/notifications/channels', channel),
+  deleteChannel: (id) => api.delete(`/notifications/channels/${id}`),
+  testChannel: (id) => api.post(`/notifications/channels/${id}/test`),
+};
+
+// Audit log API
+export const auditAPI = {
+  query: (params) => api.get('/audit', { params }),
+};
+
+// Device registry API
+export const devicesAPI = {
+  list: () => api.get('/devices'),
+  get: (deviceId) => api.get(`/devices/${deviceId}`),
+  create: (device) => api.post('/devices', device),
+  update: (deviceId, changes) => api.put(`/devices/${deviceId}`, changes),
+  remove: (deviceId) => api.delete(`/devices/${deviceId}`),
+};
+
+// Device API (scoped to one registered device)
 export const deviceAPI = {
-  getCurrent: () => api.get('/device/current'),
-  getStatus: () => api.get('/device/status'),
-  getHistory: (period) => api.get(`/device/history/${period}`),
-  getAirflow: () => api.get('/device/airflow'),
-  updateAirflow: (airflowRate) => api.put('/device/airflow', { airflowRate }),
-  getAccumulated: () => api.get('/device/accumulated'),
-  resetAccumulated: () => api.post('/device/accumulated/reset'),
-  getRelayNames: () => api.get('/device/relay-names'),
-  getDisplayStatus: () => api.get('/device/display'),
-  setDisplayEnabled: (enabled) => api.put('/device/display', { enabled }),
+  getCurrent: (deviceId) => api.get(`/devices/${deviceId}/current`),
+  getStatus: (deviceId) => api.get(`/devices/${deviceId}/status`),
+  getHistory: (deviceId, period) => api.get(`/devices/${deviceId}/history/${period}`),
+  getHistoryRange: (deviceId, params) => api.get(`/devices/${deviceId}/history`, { params }),
+  downloadReport: (deviceId, params) => api.get(`/devices/${deviceId}/report`, { params, responseType: 'blob' }),
+  getAirflow: (deviceId) => api.get(`/devices/${deviceId}/airflow`),
+  updateAirflow: (deviceId, airflowRate) => api.put(`/devices/${deviceId}/airflow`, { airflowRate }),
+  getAccumulated: (deviceId) => api.get(`/devices/${deviceId}/accumulated`),
+  resetAccumulated: (deviceId) => api.post(`/devices/${deviceId}/accumulated/reset`),
+  getRelayNames: (deviceId) => api.get(`/devices/${deviceId}/relay-names`),
+  getDisplayStatus: (deviceId) => api.get(`/devices/${deviceId}/display`),
+  setDisplayEnabled: (deviceId, enabled) => api.put(`/devices/${deviceId}/display`, { enabled }),
 };
 
 // Relay API
 export const relayAPI = {
-  control: (relay, state) => api.post('/relay/control', { relay, state }),
-  getStates: () => api.get('/relay/states'),
+  control: (deviceId, relay, state, options) => api.post(`/devices/${deviceId}/relay/control`, { relay, state, ...options }),
+  getStates: (deviceId) => api.get(`/devices/${deviceId}/relay/states`),
+  getCommands: (deviceId, params) => api.get(`/devices/${deviceId}/relay/commands`, { params }),
+  cancelCommand: (deviceId, id) => api.delete(`/devices/${deviceId}/relay/commands/${id}`),
+  getRuntime: (deviceId, params) => api.get(`/devices/${deviceId}/relay/runtime`, { params }),
+  saveRuntimeSettings: (deviceId, relayId, settings) => api.put(`/devices/${deviceId}/relay/runtime/${relayId}`, settings),
+  resetMaintenance: (deviceId, relayId) => api.post(`/devices/${deviceId}/relay/runtime/${relayId}/reset`),
 };
 
 // Automation API
 export const automationAPI = {
-  getRules: () => api.get('/automation/rules'),
-  saveRule: (rule) => api.post('/automation/rules', rule),
-  deleteRule: (id) => api.delete(`/automation/rules/${id}`),
-  getStatus: () => api.get('/automation/status'),
+  getRules: (deviceId) => api.get(`/devices/${deviceId}/automation/rules`),
+  saveRule: (deviceId, rule) => api.post(`/devices/${deviceId}/automation/rules`, rule),
+  deleteRule: (deviceId, id) => api.delete(`/devices/${deviceId}/automation/rules/${id}`),
+  getStatus: (deviceId) => api.get(`/devices/${deviceId}/automation/status`),
+  getRelays: (deviceId) => api.get(`/devices/${deviceId}/automation/relays`),
+  getSchedule: (deviceId, days) => api.get(`/devices/${deviceId}/automation/schedule`, { params: { days } }),
+  saveRelaySettings: (deviceId, relayId, settings) => api.put(`/devices/${deviceId}/automation/relays/${relayId}`, settings),
+  getHistory: (deviceId, params) => api.get(`/devices/${deviceId}/automation/history`, { params }),
+  setOverride: (deviceId, relayId, override) => api.post(`/devices/${deviceId}/automation/overrides/${relayId}`, override),
+  releaseOverride: (deviceId, relayId) => api.delete(`/devices/${deviceId}/automation/overrides/${relayId}`),
+  simulate: (deviceId, body) => api.post(`/devices/${deviceId}/automation/simulate`, body),
+};
+
+// Alarm API
+export const alarmAPI = {
+  list: (deviceId) => api.get(`/devices/${deviceId}/alarms`),
+  acknowledge: (deviceId, alarmId) => api.post(`/devices/${deviceId}/alarms/${alarmId}/acknowledge`),
+  getHistory: (deviceId, params) => api.get(`/devices/${deviceId}/alarms/history`, { params }),
+  getDefinitions: (deviceId) => api.get(`/devices/${deviceId}/alarms/definitions`),
+  saveDefinition: (deviceId, definition) => api.post(`/devices/${deviceId}/alarms/definitions`, definition),
+  deleteDefinition: (deviceId, id) => api.delete(`/devices/${deviceId}/alarms/definitions/${id}`),
+};
+
+export const sceneAPI = {
+  list: (deviceId) => api.get(`/devices/${deviceId}/scenes`),
+  save: (deviceId, scene) => api.post(`/devices/${deviceId}/scenes`, scene),
+  delete: (deviceId, id) => api.delete(`/devices/${deviceId}/scenes/${id}`),
+  apply: (deviceId, id, options) => api.post(`/devices/${deviceId}/scenes/${id}/apply`, options),
+};
+
+// Maintenance mode API
+export const maintenanceAPI = {
+  getStatus: (deviceId) => api.get(`/devices/${deviceId}/maintenance`),
+  start: (deviceId, reason, technician) => api.post(`/devices/${deviceId}/maintenance/start`, { reason, technician }),
+  stop: (deviceId) => api.post(`/devices/${deviceId}/maintenance/stop`),
 };
 
 export default api;
@@ -3,20 +3,35 @@ import { io } from 'socket.io-client';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
 
 let socket = null;
+let socketDeviceId = null;
+
+// The server only sends events of the device passed on connect,
+// so switching device opens a new connection
+export const initSocket = (deviceId) => {
+  if (socket && deviceId && deviceId !== socketDeviceId) {
+    disconnectSocket();
+  }
 
-export const initSocket = () => {
   if (!socket) {
+    socketDeviceId = deviceId || null;
     socket = io(SOCKET_URL, {
       transports: ['websocket'],
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5,
+      query: deviceId ? { deviceId } : {},
+      // Read on every (re)connect so a renewed login is picked up
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
     });
 
     socket.on('connect', () => {
       console.log('Socket connected');
     });
 
+    socket.on('connect_error', (error) => {
+      console.error('Socket connection refused:', error.message);
+    });
+
     socket.on('disconnect', () => {
       console.log('Socket disconnected');
     });
@@ -29,6 +44,7 @@ export const disconnectSocket = () => {
   if (socket) {
     socket.disconnect();
     socket = null;
+    socketDeviceId = null;
   }
 };
 
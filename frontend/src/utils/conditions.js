@@ -0,0 +1,63 @@
+// Condition trees of sensor automation rules (same format as the backend):
+//   { type: 'compare', field: 'd1', operator: '>', value: 800 }
+//   { type: 'compare', field: 'aqi', operator: 'between', min: 50, max: 150 }
+//   { type: 'group', op: 'and' | 'or', conditions: [...] }
+// A comparison may have a `deadband` applied while the relay is ON.
+
+export const CONDITION_FIELDS = [
+  { value: 'd1', label: 'Inlet CO₂', short: 'In CO₂' },
+  { value: 'd2', label: 'Inlet Dust PM', short: 'In PM' },
+  { value: 'd3', label: 'Inlet Temperature', short: 'In Temp' },
+  { value: 'd4', label: 'Inlet Humidity', short: 'In Hum' },
+  { value: 'd5', label: 'Inlet pH', short: 'In pH' },
+  { value: 'd6', label: 'Inlet Water Level', short: 'In Level' },
+  { value: 'd7', label: 'Inlet Water Temp', short: 'In W.Temp' },
+  { value: 'd8', label: 'Outlet CO₂', short: 'Out CO₂' },
+  { value: 'd9', label: 'Outlet Dust PM', short: 'Out PM' },
+  { value: 'd10', label: 'Outlet Temperature', short: 'Out Temp' },
+  { value: 'd11', label: 'Outlet Humidity', short: 'Out Hum' },
+  { value: 'd12', label: 'Outlet Water pH', short: 'Out pH' },
+  { value: 'd13', label: 'Outlet Water Level', short: 'Out Level' },
+  { value: 'd14', label: 'Outlet Water Temp', short: 'Out W.Temp' },
+  { value: 'aqi', label: 'AQI (calculated)', short: 'AQI' },
+  { value: 'co2Difference', label: 'CO₂ Difference (calculated)', short: 'ΔCO₂' },
+];
+
+export const CONDITION_OPERATORS = ['<', '<=', '>', '>=', '==', '!=', 'between'];
+
+export const newComparison = () => ({ type: 'compare', field: 'd1', operator: '>', value: 0 });
+
+export const newGroup = (op = 'and') => ({ type: 'group', op, conditions: [newComparison()] });
+
+// Condition tree of a rule, converting single-sensor rules ({ sensor, operator, threshold })
+export const getRuleCondition = (rule) => {
+  if (rule?.condition) return rule.condition;
+  if (rule?.sensor) {
+    return {
+      type: 'group',
+      op: 'and',
+      conditions: [{
+        type: 'compare',
+        field: rule.sensor,
+        operator: rule.operator,
+        value: Number(rule.threshold),
+        ...(rule.deadband !== undefined && { deadband: Number(rule.deadband) }),
+      }],
+    };
+  }
+  return newGroup();
+};
+
+// "(In CO₂ > 800 ±50 AND Out Hum < 70) OR In PM > 100"
+export const describeCondition = (node, nested = false) => {
+  if (node.type === 'compare') {
+    const field = CONDITION_FIELDS.find((f) => f.value === node.field)?.short || node.field;
+    const deadband = node.deadband ? ` ±${node.deadband}` : '';
+    return node.operator === 'between'
+      ? `${field} ${node.min}–${node.max}${deadband}`
+      : `${field} ${node.operator} ${node.value}${deadband}`;
+  }
+
+  const text = node.conditions.map((child) => describeCondition(child, true)).join(` ${node.op.toUpperCase()} `);
+  return nested && node.conditions.length > 1 ? `(${text})` : text;
+};
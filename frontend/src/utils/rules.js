@@ -0,0 +1,15 @@
+import { describeCondition, getRuleCondition } from './conditions';
+import { describeSchedule } from './schedule';
+
+// One-line summary of an automation rule (without its relay)
+export const describeRule = (rule) => {
+  if (rule.mode === 'time') return describeSchedule(rule);
+  if (rule.mode === 'cycle') {
+    const parts = [`${rule.onMinutes}m on / ${rule.offMinutes}m off`];
+    if (rule.windows || rule.events) parts.push(describeSchedule(rule));
+    if (rule.condition) parts.push(`when ${describeCondition(rule.condition)}`);
+    return parts.join(' · ');
+  }
+  if (rule.mode === 'sensor') return describeCondition(getRuleCondition(rule));
+  return rule.mode;
+};
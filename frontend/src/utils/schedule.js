@@ -0,0 +1,36 @@
+// Schedules of time rules (same format as the backend):
+//   { timezone, windows: [{ start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] }],
+//     exceptions: ['2026-12-25'], events: [{ start: '2026-11-01T02:00', durationMinutes: 30 }] }
+// Days are 0 (Sunday) to 6; no days = every day.
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+export const newWindow = () => ({ start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] });
+
+// Schedule of a rule, converting rules with only startTime / endTime
+// An empty timezone means the server's default; new rules use the browser's
+export const getRuleSchedule = (rule) => ({
+  timezone: rule?.timezone || (rule?.mode === 'time' || rule?.windows ? '' : BROWSER_TIMEZONE),
+  windows: rule?.windows || (rule?.startTime ? [{ start: rule.startTime, end: rule.endTime }] : [newWindow()]),
+  exceptions: rule?.exceptions || [],
+  events: rule?.events || [],
+});
+
+const describeDays = (days) => {
+  if (!days || days.length === 0 || days.length === 7) return '';
+  const sorted = [...days].sort();
+  const isRange = sorted.length > 2 && sorted[sorted.length - 1] - sorted[0] === sorted.length - 1;
+  return `${isRange ? `${DAY_NAMES[sorted[0]]}-${DAY_NAMES[sorted[sorted.length - 1]]}` : sorted.map((d) => DAY_NAMES[d]).join(',')} `;
+};
+
+// "Mon-Fri 08:00-18:00, Sat 09:00-13:00, 1 event"
+export const describeSchedule = (rule) => {
+  const { windows, events } = getRuleSchedule(rule);
+  const parts = windows.map((w) => `${describeDays(w.days)}${w.start}-${w.end}`);
+  if (events.length > 0) parts.push(`${events.length} event${events.length > 1 ? 's' : ''}`);
+  return parts.join(', ');
+};